@@ -1,38 +1,73 @@
 import express from 'express';
 import "dotenv/config";
 import routesJuegos from './routes/juegos.js';
+import routesAuth from './routes/auth.js';
+import routesBiblioteca from './routes/biblioteca.js';
+import routesStats from './routes/stats.js';
+import routesListas from './routes/listas.js';
+import routesRecomendaciones from './routes/recomendaciones.js';
+import routesGraphql from './routes/graphql.js';
+import routesEventos from './routes/eventos.js';
+import routesWebhooks from './routes/webhooks.js';
+import routesUsuarios from './routes/usuarios.js';
 import dbClient from './config/dbClient.js';
+import usuariosModelo from './models/Usuarios.js';
+import bibliotecaModelo from './models/Biblioteca.js';
+import juegosModelo from './models/Juegos.js';
+import reseñasModelo from './models/Resenas.js';
+import auditoriaModelo from './models/Auditoria.js';
+import listasModelo from './models/Listas.js';
+import sesionesModelo from './models/Sesiones.js';
+import webhooksModelo from './models/Webhooks.js';
+import { requestId } from './middleware/requestId.js';
+import { limitarPeticiones, registrarTamañoCuerpo } from './middleware/limites.js';
+import almacenLimites from './config/limites.js';
+import { aplicarMigraciones } from './utils/migraciones.js';
+import { busEventos } from './utils/eventos.js';
 import bodyParser from 'body-parser';
 import cors from 'cors';
 
 const app = express();
 
 // Middleware
-app.use(bodyParser.json({ limit: '50mb' }));
-app.use(bodyParser.urlencoded({ extended: true, limit: '50mb' }));
+// Identificador de petición (X-Request-Id) para logs y auditoría
+app.use(requestId);
+
+// Tamaño máximo que acepta cualquier ruta (la importación JSON del catálogo);
+// cada ruta aplica después su propio límite con limitarCuerpo (ver middleware/limites.js)
+app.use(bodyParser.json({ limit: '1mb', verify: registrarTamañoCuerpo }));
+app.use(bodyParser.urlencoded({ extended: true, limit: '1mb', verify: registrarTamañoCuerpo }));
+
+// Número de proxies delante del servidor (p. ej. 1 en Render), para que req.ip sea la IP del cliente
+app.set('trust proxy', Number(process.env.TRUST_PROXY) || false);
 
 // Configurar Express para decodificar caracteres codificados en URL correctamente
 app.set('query parser', 'extended');
 app.set('strict routing', false);
 
 // Configuración de CORS
+// Orígenes permitidos: el frontend (FRONTEND_URL) y los de CORS_ORIGINS, separados por comas
+const allowedOrigins = [
+  process.env.FRONTEND_URL || 'http://localhost:3000',
+  'https://playlib-backend.onrender.com',
+  ...(process.env.CORS_ORIGINS || '').split(',')
+].map(o => o.trim().replace(/\/+$/, '')).filter(Boolean);
+
 const corsOptions = {
   origin: function (origin, callback) {
-    const allowedOrigins = [
-      'http://localhost:3000',
-      'https://playlib-backend.onrender.com'
-    ];
     // Permitir solicitudes sin origen (como apps móviles o curl)
     if (!origin) return callback(null, true);
 
-    if (allowedOrigins.indexOf(origin) !== -1 || origin.endsWith('.vercel.app')) {
+    if (allowedOrigins.indexOf(origin) !== -1) {
       callback(null, true);
     } else {
       callback(new Error('Not allowed by CORS'));
     }
   },
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id', 'If-Match', 'If-None-Match'],
+  // Paginación, ID de petición, versión del juego y límites de peticiones
+  exposedHeaders: ['Link', 'X-Total-Count', 'X-Request-Id', 'ETag', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'],
   credentials: true,
   optionsSuccessStatus: 200 // Para soporte de navegadores legacy
 };
@@ -44,8 +79,22 @@ app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok', message: 'API está funcionando' });
 });
 
+// Límites de peticiones por IP o usuario: lecturas (GET, HEAD) y escrituras por separado
+app.use(['/api', '/graphql'], limitarPeticiones());
+
 // Rutas de la API
 app.use('/api/juegos', routesJuegos);
+app.use('/api/auth', routesAuth);
+app.use('/api/me/library', routesBiblioteca);
+app.use('/api/stats', routesStats);
+app.use('/api/lists', routesListas);
+app.use('/api/recommendations', routesRecomendaciones);
+app.use('/api/events', routesEventos);
+app.use('/api/webhooks', routesWebhooks);
+app.use('/api/users', routesUsuarios);
+
+// API GraphQL sobre el mismo catálogo
+app.use('/graphql', routesGraphql);
 
 
 
@@ -62,6 +111,15 @@ app.use((req, res) => {
 app.use((err, req, res, next) => {
   console.error('Error:', err);
 
+  // Cuerpo mayor que el máximo del parser
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      success: false,
+      message: `El cuerpo de la petición no puede superar ${err.limit} bytes`,
+      limite: err.limit
+    });
+  }
+
   // Manejo de errores de validación
   if (err.name === 'ValidationError') {
     return res.status(400).json({
@@ -79,11 +137,79 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Crear los índices y validadores que necesitan los modelos
+// Un fallo aquí no impide arrancar: la API sigue funcionando sin ellos
+const inicializarColecciones = async () => {
+  // Con MIGRATE_ON_START=true se aplican las migraciones pendientes antes de arrancar
+  if (process.env.MIGRATE_ON_START === 'true') {
+    try {
+      const aplicadas = await aplicarMigraciones(dbClient.db, { log: console.log });
+      if (aplicadas.length) console.log(`🗃️ ${aplicadas.length} migraciones aplicadas`);
+    } catch (error) {
+      console.error('❌ Error al aplicar las migraciones:', error.message);
+    }
+  }
+
+  try {
+    await juegosModelo.ensureValidator();
+    // Calcular estadísticas de los juegos creados antes de que existieran
+    await reseñasModelo.recalcularTodas();
+    await reseñasModelo.ensureIndexes();
+    await usuariosModelo.ensureIndexes();
+    await bibliotecaModelo.ensureIndexes();
+    await auditoriaModelo.ensureIndexes();
+    await listasModelo.ensureIndexes();
+    await sesionesModelo.ensureIndexes();
+    await webhooksModelo.ensureIndexes();
+    // Índice TTL de los contadores de límites si se guardan en MongoDB
+    if (almacenLimites.ensureIndexes) await almacenLimites.ensureIndexes();
+  } catch (error) {
+    console.warn('⚠️ No se pudieron preparar las colecciones:', error.message);
+  }
+};
+
+// Purgar periódicamente los juegos que superan el periodo de retención de la papelera
+const INTERVALO_PURGA_MS = 60 * 60 * 1000;
+const purgarPapelera = async () => {
+  try {
+    const purgados = await juegosModelo.purgarCaducados();
+    if (purgados) console.log(`🗑️ ${purgados} juegos purgados de la papelera`);
+  } catch (error) {
+    console.warn('⚠️ No se pudo purgar la papelera:', error.message);
+  }
+};
+
+// Enviar las entregas de webhooks pendientes (las nuevas y las que esperan reintento)
+const INTERVALO_WEBHOOKS_MS = Number(process.env.WEBHOOK_POLL_MS) || 5000;
+const procesarWebhooks = async () => {
+  try {
+    await webhooksModelo.procesarCola();
+  } catch (error) {
+    console.warn('⚠️ No se pudo procesar la cola de webhooks:', error.message);
+  }
+};
+
 // Iniciar el servidor
 const startServer = async () => {
   try {
     const PORT = process.env.PORT || 5100;
     await dbClient.conectarDB();
+    await inicializarColecciones();
+    console.log(`🚦 Límites de peticiones: almacén ${almacenLimites.nombre}`);
+    await purgarPapelera();
+    setInterval(purgarPapelera, INTERVALO_PURGA_MS).unref();
+
+    // Eventos en tiempo real: change streams si la base de datos es un replica set, emits locales si no
+    const origenEventos = await busEventos.iniciarChangeStreams(dbClient.db, { juegos: juegosModelo.colName, reseñas: reseñasModelo.colName });
+    console.log(`📡 Eventos en tiempo real: ${origenEventos === 'changeStream' ? 'change streams de MongoDB' : 'emits locales'}`);
+
+    // Cada evento del catálogo se encola para los webhooks suscritos y se intenta enviar al momento
+    busEventos.suscribir((evento) => {
+      webhooksModelo.encolar(evento)
+        .then(encoladas => encoladas > 0 && procesarWebhooks())
+        .catch(error => console.warn('⚠️ No se pudo encolar el evento para los webhooks:', error.message));
+    });
+    setInterval(procesarWebhooks, INTERVALO_WEBHOOKS_MS).unref();
 
     const server = app.listen(PORT, () => {
       console.log(`🚀 Servidor corriendo en http://localhost:${PORT}`);
@@ -94,6 +220,7 @@ const startServer = async () => {
     // Manejo de cierre limpio
     const shutdown = () => {
       console.log('🔌 Apagando el servidor...');
+      busEventos.cerrar();
       server.close(() => {
         console.log('Servidor detenido');
         process.exit(0);
@@ -0,0 +1,169 @@
+// Límites de peticiones por IP y por usuario (ver middleware/limites.js)
+// El contador se guarda en el almacén elegido con RATE_LIMIT_STORE: "memory" (por defecto, uno por proceso)
+// o "mongo" (compartido entre instancias, en la colección rate_limits)
+// Todos los almacenes tienen la misma interfaz:
+//   incrementar(clave, ventanaMs) - Promise<{ total, reinicio }> con las peticiones de la ventana actual
+//                                   (incluida esta) y el instante (ms) en que empieza la siguiente
+import dbClient from './dbClient.js';
+
+/**
+ * Lee un número entero positivo del entorno
+ * Admite productos como "15*60*1000" para escribir duraciones legibles en el .env
+ * @param {string} nombre - Variable de entorno
+ * @param {number} porDefecto - Valor si no está definida o no es válida
+ * @returns {number} - Valor leído
+ */
+const leerEntero = (nombre, porDefecto) => {
+  const raw = process.env[nombre];
+  if (raw === undefined || raw.trim() === '') return porDefecto;
+
+  const valor = raw.split('*').reduce((producto, factor) => producto * Number(factor.trim()), 1);
+  if (!Number.isInteger(valor) || valor < 1) {
+    console.warn(`⚠️ ${nombre}="${raw}" no es un entero positivo, se usará ${porDefecto}`);
+    return porDefecto;
+  }
+  return valor;
+};
+
+const VENTANA_MS = leerEntero('RATE_LIMIT_WINDOW_MS', 15 * 60 * 1000);
+
+/**
+ * Límites de cada grupo de peticiones
+ * Las peticiones anónimas se cuentan por IP (maxIp) y las autenticadas por usuario (maxUsuario)
+ * - lectura: GET y HEAD de toda la API
+ * - escritura: el resto de métodos (incluidas las consultas GraphQL enviadas por POST)
+ * - reseñas: publicación de reseñas, que además cuenta como escritura
+ */
+export const LIMITES = {
+  lectura: {
+    ventanaMs: VENTANA_MS,
+    maxIp: leerEntero('RATE_LIMIT_MAX', 100),
+    maxUsuario: leerEntero('RATE_LIMIT_USER_MAX', 300)
+  },
+  escritura: {
+    ventanaMs: VENTANA_MS,
+    maxIp: leerEntero('RATE_LIMIT_WRITE_MAX', 30),
+    maxUsuario: leerEntero('RATE_LIMIT_WRITE_USER_MAX', 100)
+  },
+  reseñas: {
+    ventanaMs: leerEntero('RATE_LIMIT_REVIEW_WINDOW_MS', 60 * 60 * 1000),
+    maxIp: leerEntero('RATE_LIMIT_REVIEW_MAX', 10),
+    maxUsuario: leerEntero('RATE_LIMIT_REVIEW_USER_MAX', 10)
+  }
+};
+
+/**
+ * Almacén en memoria - Ventanas fijas en un Map; cada instancia del servidor cuenta por separado
+ */
+class MemoryStore {
+  constructor() {
+    this.nombre = 'memory';
+    this.contadores = new Map();
+    // Descartar periódicamente las ventanas ya terminadas
+    setInterval(() => this._limpiar(), 60 * 1000).unref();
+  }
+
+  /**
+   * Cuenta una petición en la ventana actual de la clave
+   * @param {string} clave - Grupo e identificador del cliente (p. ej. escritura:ip:1.2.3.4)
+   * @param {number} ventanaMs - Duración de la ventana
+   * @returns {Promise<Object>} - { total, reinicio }
+   */
+  async incrementar(clave, ventanaMs) {
+    const ahora = Date.now();
+    let contador = this.contadores.get(clave);
+    if (!contador || contador.reinicio <= ahora) {
+      contador = { total: 0, reinicio: ahora + ventanaMs };
+      this.contadores.set(clave, contador);
+    }
+    contador.total += 1;
+    return { total: contador.total, reinicio: contador.reinicio };
+  }
+
+  /**
+   * Elimina los contadores cuya ventana ya terminó
+   * @private
+   */
+  _limpiar() {
+    const ahora = Date.now();
+    for (const [clave, contador] of this.contadores) {
+      if (contador.reinicio <= ahora) this.contadores.delete(clave);
+    }
+  }
+}
+
+/**
+ * Almacén MongoDB - Un documento por clave con el total y el fin de su ventana ({ _id, total, expira })
+ * El incremento es atómico, así que varias instancias comparten los mismos límites;
+ * un índice TTL borra los documentos caducados
+ */
+class MongoStore {
+  constructor(colName = 'rate_limits') {
+    this.nombre = 'mongo';
+    this.colName = colName;
+  }
+
+  /**
+   * Obtiene la colección de contadores
+   * @private
+   * @returns {Collection} - Colección de MongoDB
+   * @throws {Error} - Si la base de datos no está inicializada
+   */
+  _col() {
+    if (!dbClient.db) throw new Error('Database not initialized. Call connectarDB() first.');
+    return dbClient.db.collection(this.colName);
+  }
+
+  /**
+   * Crea el índice TTL que elimina los contadores caducados
+   * @returns {Promise<void>}
+   */
+  async ensureIndexes() {
+    await this._col().createIndex({ expira: 1 }, { expireAfterSeconds: 0 });
+  }
+
+  /**
+   * Cuenta una petición en la ventana actual de la clave
+   * @param {string} clave - Grupo e identificador del cliente
+   * @param {number} ventanaMs - Duración de la ventana
+   * @param {boolean} reintentar - Reintentar si otra petición creó el documento a la vez (uso interno)
+   * @returns {Promise<Object>} - { total, reinicio }
+   */
+  async incrementar(clave, ventanaMs, reintentar = true) {
+    const ahora = new Date();
+    // Si la ventana guardada ya terminó (o no existe), se empieza una nueva
+    const vigente = { $gt: ['$expira', ahora] };
+    try {
+      const contador = await this._col().findOneAndUpdate(
+        { _id: clave },
+        [{
+          $set: {
+            total: { $cond: [vigente, { $add: ['$total', 1] }, 1] },
+            expira: { $cond: [vigente, '$expira', new Date(ahora.getTime() + ventanaMs)] }
+          }
+        }],
+        { upsert: true, returnDocument: 'after' }
+      );
+      return { total: contador.total, reinicio: contador.expira.getTime() };
+    } catch (error) {
+      // Dos peticiones simultáneas pueden intentar crear el mismo documento; la segunda lo reintenta como actualización
+      if (error.code === 11000 && reintentar) return this.incrementar(clave, ventanaMs, false);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Crea el almacén configurado en RATE_LIMIT_STORE
+ * @returns {MemoryStore|MongoStore} - Almacén de contadores
+ */
+const crearAlmacen = () => {
+  const tipo = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+  if (tipo === 'mongo' || tipo === 'mongodb') return new MongoStore();
+  if (tipo !== 'memory') {
+    console.warn(`⚠️ RATE_LIMIT_STORE "${tipo}" desconocido, se usará el almacén en memoria`);
+  }
+  return new MemoryStore();
+};
+
+export default crearAlmacen();
@@ -0,0 +1,231 @@
+// Proveedores de metadatos de juegos (desarrollador, año, descripción, portada...)
+// Se eligen con METADATA_PROVIDERS, separados por comas y en orden de prioridad: "local" (por defecto) y "rawg"
+// Todos los adaptadores tienen la misma interfaz:
+//   nombre                        - Identificador del proveedor (se guarda en games.idsExternos)
+//   buscar(titulo, { limit })     - Promise<Array<registro>> con los juegos cuyo título se parece
+//   obtener(idExterno)            - Promise<registro|null> con la ficha completa de un juego
+// Un registro es { idExterno, titulo, genero, plataforma, añoLanzamiento, desarrollador, descripcion, imagenPortada }
+// y solo incluye los campos que el proveedor conoce
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseCsv } from '../utils/csv.js';
+import { similitudTitulo } from '../utils/busqueda.js';
+
+// Separador de los valores de una lista (género, plataforma) dentro de una celda CSV, como en la importación
+const SEPARADOR_LISTAS = '|';
+
+// Catálogo local por defecto: los juegos de ejemplo del repositorio, para que lookup y enrich funcionen sin conexión
+const CATALOGO_LOCAL_POR_DEFECTO = fileURLToPath(new URL('../scripts/data/sampleGames.json', import.meta.url));
+
+/**
+ * Error al consultar un proveedor (archivo inexistente, respuesta HTTP inesperada, tiempo agotado)
+ */
+export class ProveedorError extends Error {
+  constructor(proveedor, message) {
+    super(message);
+    this.name = 'ProveedorError';
+    this.status = 502;
+    this.proveedor = proveedor;
+  }
+}
+
+/**
+ * Quita de un registro los campos vacíos o desconocidos
+ * @param {Object} registro - Registro con los datos del proveedor ya mapeados
+ * @returns {Object} - Registro solo con los campos que tienen valor
+ */
+const limpiarRegistro = (registro) => Object.fromEntries(
+  Object.entries(registro).filter(([, valor]) =>
+    valor !== undefined && valor !== null && valor !== '' && !(Array.isArray(valor) && valor.length === 0) && !Number.isNaN(valor))
+);
+
+/**
+ * Normaliza un texto del volcado local (se admiten números, como un título "1942")
+ * @param {*} valor - Valor leído
+ * @returns {string|undefined} - Texto sin espacios sobrantes o undefined si no es texto
+ */
+const texto = (valor) => (typeof valor === 'string' || typeof valor === 'number' ? String(valor).trim() : undefined);
+
+/**
+ * Normaliza una lista del volcado local: un array o un texto con los valores separados por "|"
+ * @param {*} valor - Valor leído
+ * @returns {Array<string>|undefined} - Valores no vacíos o undefined si no es una lista
+ */
+const listaTextos = (valor) => {
+  const valores = typeof valor === 'string' ? valor.split(SEPARADOR_LISTAS) : valor;
+  if (!Array.isArray(valores)) return undefined;
+  return valores.map(texto).filter(Boolean);
+};
+
+/**
+ * Adaptador de catálogo local - Lee un volcado JSON o CSV con el mismo formato que la importación
+ * (ruta en METADATA_LOCAL_FILE, por defecto los juegos de ejemplo de scripts/data/sampleGames.json); cada juego puede traer su "id"
+ * El archivo se vuelve a leer cuando cambia, sin reiniciar el servidor
+ */
+export class LocalCatalogProvider {
+  constructor(archivo = CATALOGO_LOCAL_POR_DEFECTO) {
+    this.nombre = 'local';
+    this.archivo = path.resolve(archivo);
+    this._registros = null;
+    this._modificado = null;
+  }
+
+  /**
+   * Carga el volcado (o reutiliza el ya cargado si el archivo no ha cambiado)
+   * @private
+   * @returns {Promise<Array<Object>>} - Registros del catálogo
+   * @throws {ProveedorError} - Si el archivo no existe o no se puede interpretar
+   */
+  async _cargar() {
+    let stat;
+    try {
+      stat = await fs.stat(this.archivo);
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new ProveedorError(this.nombre, `No se encontró el catálogo local ${this.archivo}`);
+      throw error;
+    }
+    if (this._registros && this._modificado === stat.mtimeMs) return this._registros;
+
+    const contenido = await fs.readFile(this.archivo, 'utf8');
+    let juegos;
+    try {
+      if (/\.csv$/i.test(this.archivo)) {
+        juegos = parseCsv(contenido);
+      } else {
+        const datos = JSON.parse(contenido);
+        juegos = Array.isArray(datos) ? datos : datos?.juegos;
+      }
+    } catch (error) {
+      throw new ProveedorError(this.nombre, `El catálogo local no es válido: ${error.message}`);
+    }
+    if (!Array.isArray(juegos)) throw new ProveedorError(this.nombre, 'El catálogo local debe ser un array de juegos o un objeto { "juegos": [...] }');
+    const invalido = juegos.findIndex(juego => !juego || typeof juego !== 'object' || Array.isArray(juego));
+    if (invalido !== -1) throw new ProveedorError(this.nombre, `El juego ${invalido + 1} del catálogo local no es un objeto`);
+
+    this._registros = juegos.map((juego, i) => limpiarRegistro({
+      // Sin id propio se usa la posición en el archivo
+      idExterno: String(juego.id ?? juego.idExterno ?? i + 1),
+      titulo: texto(juego.titulo),
+      genero: listaTextos(juego.genero),
+      plataforma: listaTextos(juego.plataforma),
+      añoLanzamiento: juego.añoLanzamiento !== undefined && juego.añoLanzamiento !== null && juego.añoLanzamiento !== '' ? Number(juego.añoLanzamiento) : undefined,
+      desarrollador: texto(juego.desarrollador),
+      descripcion: texto(juego.descripcion),
+      imagenPortada: texto(juego.imagenPortada)
+    }));
+    this._modificado = stat.mtimeMs;
+    return this._registros;
+  }
+
+  async buscar(titulo, { limit = 5 } = {}) {
+    return (await this._cargar())
+      .map(registro => ({ registro, parecido: similitudTitulo(titulo, registro.titulo) }))
+      .filter(r => r.parecido > 0)
+      .sort((a, b) => b.parecido - a.parecido)
+      .slice(0, limit)
+      .map(r => r.registro);
+  }
+
+  async obtener(idExterno) {
+    return (await this._cargar()).find(r => r.idExterno === String(idExterno)) || null;
+  }
+}
+
+/**
+ * Adaptador HTTP al estilo de RAWG - Consulta GET {url}/games?search= y GET {url}/games/{id}
+ * URL en METADATA_RAWG_URL (por defecto la API pública) y clave en METADATA_RAWG_KEY;
+ * apuntando la URL a un servidor local se puede probar sin conexión
+ */
+export class RawgProvider {
+  constructor({ url, key, timeoutMs }) {
+    this.nombre = 'rawg';
+    this.url = url.replace(/\/+$/, '');
+    this.key = key;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Hace una petición GET a la API y devuelve el JSON
+   * @private
+   * @param {string} ruta - Ruta bajo la URL base
+   * @param {Object} params - Parámetros de la query
+   * @returns {Promise<Object|null>} - Respuesta o null si es 404
+   * @throws {ProveedorError} - Si la API no responde, responde con error o tarda más de timeoutMs
+   */
+  async _get(ruta, params = {}) {
+    const url = new URL(`${this.url}${ruta}`);
+    for (const [nombre, valor] of Object.entries({ ...params, key: this.key })) {
+      if (valor !== undefined && valor !== '') url.searchParams.set(nombre, valor);
+    }
+
+    let res;
+    try {
+      res = await fetch(url, { headers: { Accept: 'application/json' }, signal: AbortSignal.timeout(this.timeoutMs) });
+    } catch (error) {
+      throw new ProveedorError(this.nombre, error.name === 'TimeoutError'
+        ? `El proveedor no respondió en ${this.timeoutMs} ms`
+        : `No se pudo conectar con el proveedor: ${error.message}`);
+    }
+    if (res.status === 404) return null;
+    if (!res.ok) throw new ProveedorError(this.nombre, `El proveedor respondió ${res.status}`);
+    try {
+      return await res.json();
+    } catch (error) {
+      throw new ProveedorError(this.nombre, 'El proveedor no devolvió un JSON válido');
+    }
+  }
+
+  /**
+   * Convierte un juego de la API en un registro
+   * @private
+   */
+  _registro(juego) {
+    return limpiarRegistro({
+      idExterno: String(juego.id),
+      titulo: juego.name,
+      genero: juego.genres?.map(g => g.name).filter(Boolean),
+      plataforma: juego.platforms?.map(p => p.platform?.name).filter(Boolean),
+      añoLanzamiento: juego.released ? Number(String(juego.released).slice(0, 4)) : undefined,
+      desarrollador: juego.developers?.[0]?.name,
+      descripcion: juego.description_raw,
+      imagenPortada: juego.background_image
+    });
+  }
+
+  async buscar(titulo, { limit = 5 } = {}) {
+    const datos = await this._get('/games', { search: titulo, page_size: limit });
+    return (datos?.results || []).map(juego => this._registro(juego));
+  }
+
+  async obtener(idExterno) {
+    const juego = await this._get(`/games/${encodeURIComponent(idExterno)}`);
+    return juego ? this._registro(juego) : null;
+  }
+}
+
+/**
+ * Crea los proveedores configurados en el entorno, en orden de prioridad
+ * @returns {Array<LocalCatalogProvider|RawgProvider>} - Proveedores
+ */
+const crearProveedores = () => {
+  const nombres = (process.env.METADATA_PROVIDERS ?? 'local').split(',').map(n => n.trim().toLowerCase()).filter(Boolean);
+  const proveedores = [];
+  for (const nombre of new Set(nombres)) {
+    if (nombre === 'local') {
+      proveedores.push(new LocalCatalogProvider(process.env.METADATA_LOCAL_FILE || undefined));
+    } else if (nombre === 'rawg') {
+      proveedores.push(new RawgProvider({
+        url: process.env.METADATA_RAWG_URL || 'https://api.rawg.io/api',
+        key: process.env.METADATA_RAWG_KEY,
+        timeoutMs: Number(process.env.METADATA_TIMEOUT_MS || 5000)
+      }));
+    } else {
+      console.warn(`⚠️ Proveedor de metadatos "${nombre}" desconocido, se ignora`);
+    }
+  }
+  return proveedores;
+};
+
+// Instancia única de los proveedores (patrón Singleton)
+export default crearProveedores();
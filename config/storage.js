@@ -0,0 +1,144 @@
+// Almacenamiento de archivos subidos (portadas de juegos)
+// Se elige el adaptador con COVER_STORAGE: "gridfs" (por defecto, en la misma base de datos) o "local"
+import { GridFSBucket } from 'mongodb';
+import { createReadStream } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import dbClient from './dbClient.js';
+
+/**
+ * Adaptador GridFS - Guarda los archivos en el bucket "covers" de la base de datos existente
+ * Cada archivo se identifica por su clave (filename); el tipo MIME va en los metadatos
+ */
+class GridFSStorage {
+  constructor(bucketName = 'covers') {
+    this.bucketName = bucketName;
+  }
+
+  /**
+   * Obtiene el bucket de GridFS
+   * @private
+   * @returns {GridFSBucket} - Bucket de archivos
+   * @throws {Error} - Si la base de datos no está inicializada
+   */
+  _bucket() {
+    if (!dbClient.db) throw new Error('Database not initialized. Call connectarDB() first.');
+    return new GridFSBucket(dbClient.db, { bucketName: this.bucketName });
+  }
+
+  /**
+   * Guarda un archivo, reemplazando el anterior con la misma clave
+   * @param {string} key - Clave del archivo (p. ej. covers/<juegoId>/<version>/thumb)
+   * @param {Buffer} buffer - Contenido
+   * @param {string} contentType - Tipo MIME
+   * @returns {Promise<void>}
+   */
+  async save(key, buffer, contentType) {
+    const bucket = this._bucket();
+    await this._deleteWhere(bucket, { filename: key });
+    await new Promise((resolve, reject) => {
+      const upload = bucket.openUploadStream(key, { metadata: { contentType } });
+      upload.once('finish', resolve);
+      upload.once('error', reject);
+      upload.end(buffer);
+    });
+  }
+
+  /**
+   * Abre un archivo para leerlo
+   * @param {string} key - Clave del archivo
+   * @returns {Promise<Object|null>} - { stream, size, contentType } o null si no existe
+   */
+  async open(key) {
+    const bucket = this._bucket();
+    const [file] = await bucket.find({ filename: key }).sort({ uploadDate: -1 }).limit(1).toArray();
+    if (!file) return null;
+    return {
+      stream: bucket.openDownloadStream(file._id),
+      size: file.length,
+      contentType: file.metadata?.contentType
+    };
+  }
+
+  /**
+   * Elimina todos los archivos cuya clave empieza por el prefijo
+   * @param {string} prefix - Prefijo de las claves (p. ej. covers/<juegoId>/)
+   * @returns {Promise<void>}
+   */
+  async removePrefix(prefix) {
+    const escaped = prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    await this._deleteWhere(this._bucket(), { filename: { $regex: `^${escaped}` } });
+  }
+
+  /**
+   * Elimina los archivos que cumplan el filtro
+   * @private
+   */
+  async _deleteWhere(bucket, filter) {
+    const files = await bucket.find(filter, { projection: { _id: 1 } }).toArray();
+    for (const file of files) {
+      await bucket.delete(file._id);
+    }
+  }
+}
+
+/**
+ * Adaptador de disco local - Guarda los archivos bajo COVER_STORAGE_DIR (por defecto ./uploads)
+ * La clave se usa como ruta relativa; el tipo MIME se guarda en un archivo ".type" junto al contenido
+ */
+class LocalDiskStorage {
+  constructor(baseDir) {
+    this.baseDir = path.resolve(baseDir);
+  }
+
+  /**
+   * Convierte una clave en una ruta dentro del directorio base
+   * @private
+   * @throws {Error} - Si la clave intenta salir del directorio base
+   */
+  _path(key) {
+    const ruta = path.resolve(this.baseDir, key);
+    if (!ruta.startsWith(this.baseDir + path.sep)) throw new Error(`Clave de archivo inválida: ${key}`);
+    return ruta;
+  }
+
+  async save(key, buffer, contentType) {
+    const ruta = this._path(key);
+    await fs.mkdir(path.dirname(ruta), { recursive: true });
+    await fs.writeFile(ruta, buffer);
+    await fs.writeFile(`${ruta}.type`, contentType);
+  }
+
+  async open(key) {
+    const ruta = this._path(key);
+    try {
+      const [stat, contentType] = await Promise.all([fs.stat(ruta), fs.readFile(`${ruta}.type`, 'utf8')]);
+      return { stream: createReadStream(ruta), size: stat.size, contentType };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async removePrefix(prefix) {
+    await fs.rm(this._path(prefix), { recursive: true, force: true });
+  }
+}
+
+/**
+ * Crea el adaptador configurado en el entorno
+ * @returns {GridFSStorage|LocalDiskStorage} - Adaptador de almacenamiento
+ */
+const crearStorage = () => {
+  const tipo = (process.env.COVER_STORAGE || 'gridfs').toLowerCase();
+  if (tipo === 'local') {
+    return new LocalDiskStorage(process.env.COVER_STORAGE_DIR || './uploads');
+  }
+  if (tipo !== 'gridfs') {
+    console.warn(`⚠️ COVER_STORAGE "${tipo}" desconocido, se usará GridFS`);
+  }
+  return new GridFSStorage();
+};
+
+// Instancia única del almacenamiento (patrón Singleton)
+export default crearStorage();
@@ -0,0 +1,207 @@
+// Importación del modelo de usuarios y utilidades de tokens
+import usuariosModelo from "../models/Usuarios.js";
+import { signAccessToken, signRefreshToken, verifyToken } from "../utils/tokens.js";
+
+// Formato mínimo aceptado para emails
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Longitud mínima de contraseña
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Emite un nuevo par de tokens y registra el refresh token en el usuario
+ * @param {Object} user - Usuario autenticado
+ * @returns {Promise<Object>} - { accessToken, refreshToken, tokenType }
+ */
+const emitirTokens = async (user) => {
+    const accessToken = signAccessToken(user);
+    const { token: refreshToken, jti, expiraEn } = signRefreshToken(user);
+    await usuariosModelo.addRefreshToken(user._id, jti, expiraEn);
+    return { accessToken, refreshToken, tokenType: 'Bearer' };
+};
+
+/**
+ * Controlador de Autenticación - Registro, login y gestión de tokens
+ * Emite un access token de corta duración y un refresh token rotativo
+ */
+class authController {
+    constructor() {}
+
+    /**
+     * Registra un nuevo usuario
+     * @route POST /api/auth/register
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.body.nombreUsuario - Nombre visible (obligatorio)
+     * @param {string} req.body.email - Email (obligatorio)
+     * @param {string} req.body.password - Contraseña de al menos 8 caracteres (obligatorio)
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con el usuario y sus tokens
+     */
+    async register(req, res) {
+        try {
+            const { nombreUsuario, email, password } = req.body || {};
+
+            if (!nombreUsuario || typeof nombreUsuario !== 'string' || !nombreUsuario.trim()) {
+                return res.status(400).json({ success: false, message: 'El campo "nombreUsuario" es obligatorio', field: 'nombreUsuario' });
+            }
+            if (!email || typeof email !== 'string' || !EMAIL_REGEX.test(email.trim())) {
+                return res.status(400).json({ success: false, message: 'El email no es válido', field: 'email' });
+            }
+            if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+                return res.status(400).json({
+                    success: false,
+                    message: `La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres`,
+                    field: 'password'
+                });
+            }
+
+            const user = await usuariosModelo.create({ nombreUsuario, email, password });
+            const tokens = await emitirTokens(user);
+
+            return res.status(201).json({
+                success: true,
+                data: { user, ...tokens },
+                message: 'Usuario registrado exitosamente'
+            });
+        } catch (error) {
+            console.error('Error en register controller:', error);
+
+            // Email o nombre de usuario ya registrados (índices únicos)
+            if (error.code === 11000) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Ya existe un usuario con ese email o nombre de usuario'
+                });
+            }
+
+            return res.status(500).json({ success: false, message: 'Error al registrar el usuario', error: error.message });
+        }
+    }
+
+    /**
+     * Inicia sesión con email y contraseña
+     * @route POST /api/auth/login
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.body.email - Email del usuario
+     * @param {string} req.body.password - Contraseña del usuario
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con el usuario y sus tokens
+     */
+    async login(req, res) {
+        try {
+            const { email, password } = req.body || {};
+            if (!email || !password) {
+                return res.status(400).json({ success: false, message: 'Email y contraseña son obligatorios' });
+            }
+
+            const user = await usuariosModelo.findByEmail(email);
+            // Mismo mensaje para usuario inexistente y contraseña incorrecta
+            if (!user || !(await usuariosModelo.verifyPassword(user, password))) {
+                return res.status(401).json({ success: false, message: 'Credenciales inválidas' });
+            }
+
+            const tokens = await emitirTokens(user);
+            return res.status(200).json({
+                success: true,
+                data: { user: usuariosModelo.toPublic(user), ...tokens },
+                message: 'Sesión iniciada'
+            });
+        } catch (error) {
+            console.error('Error en login controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al iniciar sesión', error: error.message });
+        }
+    }
+
+    /**
+     * Renueva el par de tokens a partir de un refresh token válido
+     * El refresh token usado se revoca (rotación), por lo que solo sirve una vez
+     * @route POST /api/auth/refresh
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.body.refreshToken - Refresh token emitido previamente
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con los nuevos tokens
+     */
+    async refresh(req, res) {
+        try {
+            const { refreshToken } = req.body || {};
+            if (!refreshToken) {
+                return res.status(400).json({ success: false, message: 'El campo "refreshToken" es obligatorio' });
+            }
+
+            let payload;
+            try {
+                payload = verifyToken(refreshToken, 'refresh');
+            } catch (error) {
+                return res.status(401).json({ success: false, message: 'Refresh token inválido o expirado' });
+            }
+
+            // Revocar el token usado; si ya no existía, fue revocado o reutilizado
+            const revoked = await usuariosModelo.revokeRefreshToken(payload.sub, payload.jti);
+            if (!revoked) {
+                return res.status(401).json({ success: false, message: 'Refresh token revocado' });
+            }
+
+            const user = await usuariosModelo.getOne(payload.sub);
+            if (!user) {
+                return res.status(401).json({ success: false, message: 'Usuario no encontrado' });
+            }
+
+            const tokens = await emitirTokens(user);
+            return res.status(200).json({ success: true, data: tokens });
+        } catch (error) {
+            console.error('Error en refresh controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al renovar el token', error: error.message });
+        }
+    }
+
+    /**
+     * Cierra la sesión revocando el refresh token recibido
+     * @route POST /api/auth/logout
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.body.refreshToken - Refresh token a revocar
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON confirmando el cierre de sesión
+     */
+    async logout(req, res) {
+        try {
+            const { refreshToken } = req.body || {};
+            if (!refreshToken) {
+                return res.status(400).json({ success: false, message: 'El campo "refreshToken" es obligatorio' });
+            }
+
+            try {
+                const payload = verifyToken(refreshToken, 'refresh');
+                await usuariosModelo.revokeRefreshToken(payload.sub, payload.jti);
+            } catch (error) {
+                // Un token inválido o expirado ya no sirve: el logout se considera hecho
+            }
+
+            return res.status(200).json({ success: true, message: 'Sesión cerrada' });
+        } catch (error) {
+            console.error('Error en logout controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al cerrar sesión', error: error.message });
+        }
+    }
+
+    /**
+     * Obtiene el perfil del usuario autenticado
+     * @route GET /api/auth/me
+     * @param {Object} req - Objeto de petición Express (req.user lo rellena requireAuth)
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con el usuario actual
+     */
+    async me(req, res) {
+        try {
+            const user = await usuariosModelo.getOne(req.user.id);
+            if (!user) {
+                return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
+            }
+            return res.status(200).json({ success: true, data: user });
+        } catch (error) {
+            console.error('Error en me controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener el usuario', error: error.message });
+        }
+    }
+}
+
+// Exportar una instancia única del controlador (patrón Singleton)
+export default new authController();
@@ -0,0 +1,212 @@
+// Importación de los modelos necesarios
+import bibliotecaModelo, { ESTADOS_BIBLIOTECA } from "../models/Biblioteca.js";
+import juegosModelo from "../models/Juegos.js";
+import sesionesModelo from "../models/Sesiones.js";
+
+/**
+ * Valida y normaliza los datos de una entrada de biblioteca
+ * @param {Object} body - Datos recibidos
+ * @param {boolean} parcial - Si es una actualización parcial (no exige campos)
+ * @returns {{ data: Object, error: Object|null }} - Datos normalizados o error con el campo afectado
+ */
+const validarEntrada = (body, parcial = false) => {
+    const data = {};
+
+    if (body.estado !== undefined) {
+        if (!ESTADOS_BIBLIOTECA.includes(body.estado)) {
+            return { error: { field: 'estado', message: `El estado debe ser uno de: ${ESTADOS_BIBLIOTECA.join(', ')}` } };
+        }
+        data.estado = body.estado;
+    } else if (!parcial) {
+        data.estado = 'wishlist';
+    }
+
+    // Las horas se calculan sumando las sesiones de juego, no se pueden fijar a mano
+    if (body.horasJugadas !== undefined) {
+        return { error: { field: 'horasJugadas', message: 'Las horas jugadas se calculan a partir de las sesiones (POST /api/juegos/:id/sessions)' } };
+    }
+
+    for (const campo of ['fechaInicio', 'fechaFin']) {
+        if (body[campo] === undefined) continue;
+        if (body[campo] === null || body[campo] === "") {
+            data[campo] = null;
+            continue;
+        }
+        const fecha = new Date(body[campo]);
+        if (isNaN(fecha.getTime())) {
+            return { error: { field: campo, message: `El campo "${campo}" debe ser una fecha válida` } };
+        }
+        data[campo] = fecha.toISOString();
+    }
+
+    if (data.fechaInicio && data.fechaFin && data.fechaFin < data.fechaInicio) {
+        return { error: { field: 'fechaFin', message: 'La fecha de fin no puede ser anterior a la de inicio' } };
+    }
+
+    if (body.notas !== undefined) {
+        if (typeof body.notas !== 'string') {
+            return { error: { field: 'notas', message: 'Las notas deben ser texto' } };
+        }
+        data.notas = body.notas;
+    }
+
+    return { data, error: null };
+};
+
+/**
+ * Controlador de Biblioteca - Maneja la biblioteca personal del usuario autenticado
+ * Todas las rutas requieren autenticación; el usuario se toma de req.user
+ */
+class bibliotecaController {
+    constructor() {}
+
+    /**
+     * Obtiene la biblioteca del usuario autenticado
+     * @route GET /api/me/library
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.query.estado - Filtrar por estado (opcional)
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con las entradas de la biblioteca
+     */
+    async getAll(req, res) {
+        try {
+            const { estado } = req.query;
+            if (estado && !ESTADOS_BIBLIOTECA.includes(estado)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `El estado debe ser uno de: ${ESTADOS_BIBLIOTECA.join(', ')}`,
+                    field: 'estado'
+                });
+            }
+
+            const list = await bibliotecaModelo.getAll(req.user.id, { estado });
+            return res.status(200).json({ success: true, data: list });
+        } catch (error) {
+            console.error('Error en getAll biblioteca controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener la biblioteca', error: error.message });
+        }
+    }
+
+    /**
+     * Obtiene una entrada de la biblioteca por ID de juego
+     * @route GET /api/me/library/:juegoId
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.juegoId - ID del juego del catálogo
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con la entrada o mensaje de error
+     */
+    async getOne(req, res) {
+        try {
+            const entrada = await bibliotecaModelo.getOne(req.user.id, req.params.juegoId);
+            if (!entrada) {
+                return res.status(404).json({ success: false, message: 'El juego no está en tu biblioteca' });
+            }
+            return res.status(200).json({ success: true, data: entrada });
+        } catch (error) {
+            console.error('Error en getOne biblioteca controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener la entrada', error: error.message });
+        }
+    }
+
+    /**
+     * Añade un juego del catálogo a la biblioteca del usuario
+     * @route POST /api/me/library
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.body.juegoId - ID del juego del catálogo (obligatorio)
+     * @param {string} req.body.estado - wishlist, playing, completed o dropped (por defecto wishlist)
+     * @param {string} req.body.fechaInicio - Fecha de inicio (opcional)
+     * @param {string} req.body.fechaFin - Fecha de fin (opcional)
+     * @param {string} req.body.notas - Notas personales (opcional)
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con la entrada creada o mensaje de error
+     */
+    async add(req, res) {
+        try {
+            const body = req.body || {};
+
+            if (!body.juegoId) {
+                return res.status(400).json({ success: false, message: 'El campo "juegoId" es obligatorio', field: 'juegoId' });
+            }
+
+            // El juego debe existir en el catálogo compartido
+            const game = await juegosModelo.getOne(body.juegoId);
+            if (!game) {
+                return res.status(404).json({ success: false, message: 'Juego no encontrado' });
+            }
+
+            const { data, error } = validarEntrada(body);
+            if (error) {
+                return res.status(400).json({ success: false, message: error.message, field: error.field });
+            }
+
+            // Si ya había sesiones registradas (p. ej. antes de quitarlo de la biblioteca), se conservan sus horas
+            const horasJugadas = await sesionesModelo.getHoras(req.user.id, body.juegoId);
+            const entrada = await bibliotecaModelo.add(req.user.id, { ...data, horasJugadas, juegoId: body.juegoId });
+            return res.status(201).json({
+                success: true,
+                data: entrada,
+                message: 'Juego añadido a tu biblioteca'
+            });
+        } catch (error) {
+            console.error('Error en add biblioteca controller:', error);
+
+            // El juego ya estaba en la biblioteca (índice único usuario + juego)
+            if (error.code === 11000) {
+                return res.status(409).json({ success: false, message: 'El juego ya está en tu biblioteca' });
+            }
+
+            return res.status(500).json({ success: false, message: 'Error al añadir el juego a la biblioteca', error: error.message });
+        }
+    }
+
+    /**
+     * Actualiza parcialmente una entrada de la biblioteca
+     * @route PUT /api/me/library/:juegoId
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.juegoId - ID del juego del catálogo
+     * @param {Object} req.body - Campos a actualizar (estado, fechaInicio, fechaFin, notas)
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con la entrada actualizada o mensaje de error
+     */
+    async update(req, res) {
+        try {
+            const { data, error } = validarEntrada(req.body || {}, true);
+            if (error) {
+                return res.status(400).json({ success: false, message: error.message, field: error.field });
+            }
+
+            const updated = await bibliotecaModelo.update(req.user.id, req.params.juegoId, data);
+            if (!updated) {
+                return res.status(404).json({ success: false, message: 'El juego no está en tu biblioteca' });
+            }
+            return res.status(200).json({ success: true, data: updated, message: 'Entrada actualizada' });
+        } catch (error) {
+            console.error('Error en update biblioteca controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al actualizar la entrada', error: error.message });
+        }
+    }
+
+    /**
+     * Quita un juego de la biblioteca del usuario
+     * @route DELETE /api/me/library/:juegoId
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.juegoId - ID del juego del catálogo
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON confirmando la eliminación o mensaje de error
+     */
+    async remove(req, res) {
+        try {
+            const ok = await bibliotecaModelo.remove(req.user.id, req.params.juegoId);
+            if (!ok) {
+                return res.status(404).json({ success: false, message: 'El juego no está en tu biblioteca' });
+            }
+            return res.status(200).json({ success: true, message: 'Juego quitado de tu biblioteca' });
+        } catch (error) {
+            console.error('Error en remove biblioteca controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al quitar el juego de la biblioteca', error: error.message });
+        }
+    }
+}
+
+// Exportar una instancia única del controlador (patrón Singleton)
+export default new bibliotecaController();
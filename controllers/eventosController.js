@@ -0,0 +1,109 @@
+// Importación de las utilidades necesarias
+import { ObjectId } from 'mongodb';
+import { busEventos, TIPOS_EVENTO } from "../utils/eventos.js";
+
+// Intervalo de los comentarios de keep-alive, para que los proxies no cierren la conexión inactiva
+const HEARTBEAT_MS = Number(process.env.EVENTS_HEARTBEAT_MS) || 25 * 1000;
+
+// Tiempo que espera el navegador antes de reconectar (campo retry de SSE)
+const REINTENTO_MS = 5000;
+
+// Máximo de juegos a los que se puede suscribir una conexión
+const MAXIMO_JUEGOS = 100;
+
+/**
+ * Convierte un parámetro de lista (a,b o ?x=a&x=b) en array de strings
+ * @param {string|Array} valor - Valor del parámetro
+ * @returns {Array<string>} - Valores no vacíos
+ */
+const lista = (valor) => (Array.isArray(valor) ? valor : String(valor ?? '').split(','))
+    .map(v => String(v).trim())
+    .filter(Boolean);
+
+/**
+ * Escribe un evento en formato SSE
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Object} evento - Evento del bus
+ */
+const escribirEvento = (res, evento) => {
+    res.write(`id: ${evento.id}\nevent: ${evento.tipo}\ndata: ${JSON.stringify(evento)}\n\n`);
+};
+
+/**
+ * Controlador de Eventos - Envía en tiempo real los cambios del catálogo con Server-Sent Events
+ */
+class eventosController {
+    constructor() {}
+
+    /**
+     * Abre un flujo SSE con los eventos game.created, game.updated, game.deleted y review.added
+     * Cada evento lleva su tipo en "event" y el JSON { id, tipo, juegoId, fecha, datos } en "data";
+     * al reconectar, el navegador envía Last-Event-ID y se reenvían los eventos perdidos que sigan en el historial
+     * @route GET /api/events
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.query.juegos - IDs de juegos separados por coma (por defecto, todos)
+     * @param {string} req.query.tipos - Tipos de evento separados por coma (por defecto, todos)
+     * @param {string} req.headers.last-event-id - ID del último evento recibido (reconexión)
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {void} - La respuesta queda abierta hasta que el cliente se desconecta
+     */
+    stream(req, res) {
+        try {
+            const juegos = lista(req.query.juegos);
+            if (juegos.length > MAXIMO_JUEGOS) {
+                return res.status(400).json({ success: false, message: `No se puede suscribir a más de ${MAXIMO_JUEGOS} juegos`, field: 'juegos' });
+            }
+            const invalido = juegos.find(id => !ObjectId.isValid(id) || !/^[a-fA-F0-9]{24}$/.test(id));
+            if (invalido) {
+                return res.status(400).json({ success: false, message: `ID de juego inválido: "${invalido}"`, field: 'juegos' });
+            }
+            const tipos = lista(req.query.tipos);
+            const desconocido = tipos.find(t => !TIPOS_EVENTO.includes(t));
+            if (desconocido) {
+                return res.status(400).json({ success: false, message: `Tipo de evento desconocido "${desconocido}". Permitidos: ${TIPOS_EVENTO.join(', ')}`, field: 'tipos' });
+            }
+
+            const idsJuegos = new Set(juegos.map(id => id.toLowerCase()));
+            const tiposPedidos = new Set(tipos);
+            const interesa = (evento) => (idsJuegos.size === 0 || idsJuegos.has(evento.juegoId))
+                && (tiposPedidos.size === 0 || tiposPedidos.has(evento.tipo));
+
+            res.status(200).set({
+                'Content-Type': 'text/event-stream; charset=utf-8',
+                'Cache-Control': 'no-cache, no-transform',
+                'Connection': 'keep-alive',
+                // Evita que nginx acumule los eventos en su búfer
+                'X-Accel-Buffering': 'no'
+            });
+            res.flushHeaders();
+            res.write(`retry: ${REINTENTO_MS}\n\n`);
+
+            // Reenviar los eventos que el cliente se perdió mientras estaba desconectado
+            const ultimoId = Number(req.get('Last-Event-ID'));
+            if (Number.isInteger(ultimoId) && ultimoId > 0) {
+                for (const evento of busEventos.desde(ultimoId)) if (interesa(evento)) escribirEvento(res, evento);
+            }
+
+            const cancelar = busEventos.suscribir(
+                (evento) => {
+                    if (interesa(evento)) escribirEvento(res, evento);
+                },
+                // Al apagar el servidor se cierra el flujo; el navegador reconectará a otra instancia
+                () => res.end()
+            );
+            const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+            req.on('close', () => {
+                clearInterval(heartbeat);
+                cancelar();
+            });
+        } catch (error) {
+            console.error('Error en stream eventos controller:', error);
+            if (res.headersSent) return res.end();
+            return res.status(500).json({ success: false, message: 'Error al abrir el flujo de eventos', error: error.message });
+        }
+    }
+}
+
+// Exportar una instancia única del controlador (patrón Singleton)
+export default new eventosController();
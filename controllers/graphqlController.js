@@ -0,0 +1,105 @@
+// Importación del esquema y utilidades necesarios
+import { parse, validate, execute, getOperationAST, GraphQLError } from 'graphql';
+import schema from "../graphql/schema.js";
+import { crearCargadores } from "../graphql/cargadores.js";
+import { contextoAuditoria } from "../middleware/requestId.js";
+import { consumirLimite } from "../middleware/limites.js";
+
+/**
+ * Formatea un error de ejecución para la respuesta
+ * Los errores sin código (fallos inesperados de la base de datos, bugs) se registran y se ocultan al cliente
+ * @param {GraphQLError} error - Error producido al resolver un campo
+ * @returns {Object} - Error en formato JSON de GraphQL
+ */
+const formatearError = (error) => {
+    if (error.extensions?.code) return error.toJSON();
+    console.error('Error en resolver GraphQL:', error.originalError || error);
+    return new GraphQLError('Error interno del servidor', {
+        path: error.path,
+        nodes: error.nodes,
+        extensions: { code: 'INTERNAL_SERVER_ERROR' }
+    }).toJSON();
+};
+
+/**
+ * Controlador de GraphQL - Ejecuta consultas y mutaciones sobre el mismo catálogo que la API REST
+ */
+class graphqlController {
+    constructor() {}
+
+    /**
+     * Ejecuta una operación GraphQL
+     * Por GET solo se aceptan consultas (query, variables y operationName en la query string);
+     * las mutaciones deben enviarse por POST
+     * @route GET|POST /graphql
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.body.query - Documento GraphQL
+     * @param {Object} req.body.variables - Variables de la operación (opcional)
+     * @param {string} req.body.operationName - Operación a ejecutar si el documento tiene varias (opcional)
+     * @param {Object} req.user - Usuario autenticado (opcional)
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con { data, errors }
+     */
+    async execute(req, res) {
+        try {
+            const entrada = req.method === 'GET' ? req.query : (req.body || {});
+            const { query, operationName } = entrada;
+            let { variables } = entrada;
+
+            if (typeof query !== 'string' || query.trim() === '') {
+                return res.status(400).json({ errors: [{ message: 'Falta el documento GraphQL en "query"' }] });
+            }
+            // Por GET las variables llegan como JSON en la query string
+            if (typeof variables === 'string') {
+                try {
+                    variables = JSON.parse(variables);
+                } catch (error) {
+                    return res.status(400).json({ errors: [{ message: 'El parámetro "variables" debe ser un JSON válido' }] });
+                }
+            }
+
+            let documento;
+            try {
+                documento = parse(query);
+            } catch (error) {
+                return res.status(400).json({ errors: [error.toJSON()] });
+            }
+            const erroresValidacion = validate(schema, documento);
+            if (erroresValidacion.length > 0) {
+                return res.status(400).json({ errors: erroresValidacion.map(e => e.toJSON()) });
+            }
+
+            const operacion = getOperationAST(documento, operationName);
+            if (req.method === 'GET' && operacion?.operation === 'mutation') {
+                res.set('Allow', 'POST');
+                return res.status(405).json({ errors: [{ message: 'Las mutaciones solo se aceptan por POST' }] });
+            }
+
+            // Los cargadores se crean por petición: no se comparten resultados entre usuarios
+            const resultado = await execute({
+                schema,
+                document: documento,
+                variableValues: variables,
+                operationName,
+                contextValue: {
+                    user: req.user,
+                    cargadores: crearCargadores(),
+                    contexto: contextoAuditoria(req),
+                    // Límites propios de algunas mutaciones (p. ej. addReview cuenta en el grupo de reseñas)
+                    limitar: (grupo) => consumirLimite(req, res, grupo)
+                }
+            });
+
+            const respuesta = { data: resultado.data ?? null };
+            if (resultado.errors) respuesta.errors = resultado.errors.map(formatearError);
+            // Sin data la operación no llegó a ejecutarse (p. ej. variables no válidas)
+            return res.status(resultado.data === undefined ? 400 : 200).json(respuesta);
+        } catch (error) {
+            console.error('Error en execute graphql controller:', error);
+            return res.status(500).json({ errors: [{ message: 'Error al ejecutar la operación GraphQL' }] });
+        }
+    }
+}
+
+// Exportar una instancia única del controlador (patrón Singleton)
+export default new graphqlController();
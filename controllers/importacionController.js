@@ -0,0 +1,127 @@
+// Importación de la lógica compartida con los scripts de importación/exportación
+import { FORMATOS, ESTRATEGIAS_DUPLICADOS, leerImportacion, importarJuegos, exportarJuegos } from "../utils/importacion.js";
+import { contextoAuditoria } from "../middleware/requestId.js";
+
+// Tipos de contenido de cada formato de exportación
+const CONTENT_TYPES = {
+    json: 'application/json; charset=utf-8',
+    csv: 'text/csv; charset=utf-8'
+};
+
+/**
+ * Interpreta un parámetro booleano de la query ("true"/"false")
+ * @param {string} valor - Valor recibido
+ * @param {string} campo - Nombre del parámetro (para el mensaje de error)
+ * @returns {{ valor: boolean } | { error: string }} - Valor interpretado o mensaje de error
+ */
+const parseBooleano = (valor, campo) => {
+    if (valor === undefined) return { valor: false };
+    const texto = String(valor).toLowerCase();
+    if (!['true', 'false'].includes(texto)) return { error: `El parámetro "${campo}" debe ser true o false` };
+    return { valor: texto === 'true' };
+};
+
+/**
+ * Deduce el formato de un archivo de importación a partir de la petición
+ * @param {Object} req - Objeto de petición Express
+ * @returns {string} - 'json' o 'csv'
+ */
+const detectarFormato = (req) => {
+    if (req.query.format) return String(req.query.format).toLowerCase();
+    if (req.file) {
+        return /\.csv$/i.test(req.file.originalname) || req.file.mimetype === 'text/csv' ? 'csv' : 'json';
+    }
+    return req.is('text/csv') ? 'csv' : 'json';
+};
+
+/**
+ * Controlador de Importación - Carga y descarga masiva del catálogo en JSON y CSV
+ */
+class importacionController {
+    constructor() {}
+
+    /**
+     * Exporta el catálogo completo como descarga, leyendo los juegos con un cursor
+     * @route GET /api/juegos/export
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.query.format - json (por defecto) o csv
+     * @param {string} req.query.includeReviews - "true" para añadir las reseñas aprobadas de cada juego
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Stream} - Archivo JSON o CSV, o JSON de error
+     */
+    async export(req, res) {
+        try {
+            const formato = String(req.query.format || 'json').toLowerCase();
+            if (!FORMATOS.includes(formato)) {
+                return res.status(400).json({ success: false, message: `El formato debe ser uno de: ${FORMATOS.join(', ')}`, field: 'format' });
+            }
+            const incluir = parseBooleano(req.query.includeReviews, 'includeReviews');
+            if (incluir.error) {
+                return res.status(400).json({ success: false, message: incluir.error, field: 'includeReviews' });
+            }
+
+            const fecha = new Date().toISOString().slice(0, 10);
+            res.set('Content-Type', CONTENT_TYPES[formato]);
+            res.set('Content-Disposition', `attachment; filename="playlib-juegos-${fecha}.${formato}"`);
+            await exportarJuegos(res, { formato, incluirReseñas: incluir.valor });
+            return res.end();
+        } catch (error) {
+            // El cliente cortó la descarga: no hay a quién responder
+            if (res.destroyed) return;
+            console.error('Error en export controller:', error);
+            // Si ya se enviaron datos no se puede responder con JSON: cortar la descarga
+            if (res.headersSent) return res.destroy(error);
+            return res.status(500).json({ success: false, message: 'Error al exportar el catálogo', error: error.message });
+        }
+    }
+
+    /**
+     * Importa juegos desde un archivo JSON o CSV y devuelve un informe por fila
+     * El archivo puede llegar como multipart (campo "file"), como cuerpo text/csv o como cuerpo JSON
+     * @route POST /api/juegos/import
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.query.format - json o csv (por defecto se deduce del archivo o del Content-Type)
+     * @param {string} req.query.dryRun - "true" para validar y simular sin guardar nada
+     * @param {string} req.query.onDuplicate - skip (por defecto) u upsert para actualizar los juegos existentes
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con el informe de importación
+     */
+    async import(req, res) {
+        try {
+            const formato = detectarFormato(req);
+            if (!FORMATOS.includes(formato)) {
+                return res.status(400).json({ success: false, message: `El formato debe ser uno de: ${FORMATOS.join(', ')}`, field: 'format' });
+            }
+            const dryRun = parseBooleano(req.query.dryRun, 'dryRun');
+            if (dryRun.error) {
+                return res.status(400).json({ success: false, message: dryRun.error, field: 'dryRun' });
+            }
+            const duplicados = String(req.query.onDuplicate || 'skip').toLowerCase();
+            if (!ESTRATEGIAS_DUPLICADOS.includes(duplicados)) {
+                return res.status(400).json({ success: false, message: `"onDuplicate" debe ser uno de: ${ESTRATEGIAS_DUPLICADOS.join(', ')}`, field: 'onDuplicate' });
+            }
+
+            const contenido = req.file ? req.file.buffer.toString('utf8') : req.body;
+            let juegos;
+            try {
+                juegos = leerImportacion(contenido, formato);
+            } catch (error) {
+                if (error.name !== 'ImportacionError') throw error;
+                return res.status(400).json({ success: false, message: error.message });
+            }
+
+            const informe = await importarJuegos(juegos, { dryRun: dryRun.valor, duplicados, contexto: contextoAuditoria(req) });
+            return res.status(200).json({
+                success: true,
+                data: informe,
+                message: informe.dryRun ? 'Simulación de importación completada' : 'Importación completada'
+            });
+        } catch (error) {
+            console.error('Error en import controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al importar juegos', error: error.message });
+        }
+    }
+}
+
+// Exportar una instancia única del controlador (patrón Singleton)
+export default new importacionController();
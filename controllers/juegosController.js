@@ -1,5 +1,44 @@
 // Importación del modelo de juegos para interactuar con la base de datos
 import juegosModelo from "../models/Juegos.js";
+import reseñasModelo, { ESTADOS_RESEÑA } from "../models/Resenas.js";
+import auditoriaModelo, { CAMPOS_REVERTIBLES } from "../models/Auditoria.js";
+import bibliotecaModelo from "../models/Biblioteca.js";
+import { parseListQuery, buildPagination, encodeCursor, ORDENES_RESEÑAS, ORDENES_PAPELERA, ORDENES_AUDITORIA } from "../utils/paginacion.js";
+import { diasRetencion } from "../utils/papelera.js";
+import { buildSearchFilter } from "../utils/busqueda.js";
+import { contextoAuditoria } from "../middleware/requestId.js";
+import { etagJuego, leerIfMatch } from "../utils/concurrencia.js";
+import { TIPOS_PATCH, traducirMergePatch, traducirJsonPatch } from "../utils/patch.js";
+import { tienePermiso } from "../utils/permisos.js";
+
+// Órdenes con nombre para el listado de reseñas (?sort=newest, ?sort=helpful...)
+const ORDENES_NOMBRADOS_RESEÑAS = {
+    newest: '-fechaCreacion',
+    oldest: 'fechaCreacion',
+    highest: '-rating',
+    lowest: 'rating',
+    helpful: '-utiles'
+};
+
+/**
+ * Indica si un usuario puede editar o borrar una reseña (su autor o un administrador)
+ * @param {Object} user - Usuario autenticado (req.user)
+ * @param {Object} reseña - Reseña a gestionar
+ * @returns {boolean} - true si tiene permiso
+ */
+const puedeGestionar = (user, reseña) =>
+    Boolean(user) && (tienePermiso(user.rol, 'reseñas:moderar') || String(reseña.usuarioId) === String(user.id));
+
+/**
+ * Responde 412 a una escritura condicional cuya versión ya no es la actual
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {PrecondicionError} error - Error lanzado por el modelo
+ * @returns {Object} - Respuesta 412 con la ETag actual
+ */
+const responderPrecondicion = (res, error) => {
+    res.set('ETag', etagJuego({ version: error.versionActual }));
+    return res.status(412).json({ success: false, message: error.message, versionActual: error.versionActual });
+};
 
 /**
  * Controlador de Juegos - Maneja las peticiones HTTP para la API de juegos
@@ -11,11 +50,14 @@ class juegosController {
 
     /**
      * Crea un nuevo juego en la base de datos
+     * Si ya hay juegos con un título parecido (y el mismo desarrollador y año, si se conocen)
+     * responde 409 con los candidatos, salvo que se fuerce con ?force=true
      * @route POST /api/juegos
      * @param {Object} req - Objeto de petición Express
-     * @param {Object} req.body - Datos del juego a crear
+     * @param {string} req.query.force - "true" para crear el juego aunque parezca un duplicado
+     * @param {Object} req.body - Datos del juego a crear, validados contra juegoSchema
      * @param {string} req.body.titulo - Título del juego (obligatorio)
-     * @param {string|Array} req.body.genero - Género(s) del juego (obligatorio)
+     * @param {Array} req.body.genero - Género(s) del juego (obligatorio)
      * @param {number} req.body.añoLanzamiento - Año de lanzamiento (opcional)
      * @param {Object} res - Objeto de respuesta Express
      * @returns {Object} - Respuesta JSON con el juego creado o mensaje de error
@@ -27,46 +69,24 @@ class juegosController {
             console.log('Received create request with body:', JSON.stringify(req.body, null, 2));
             const body = req.body || {};
 
-            // Validaciones básicas de campos obligatorios
-            // Validar que el título no esté vacío
-            if (!body.titulo) {
-                return res.status(400).json({ 
-                    success: false, 
-                    message: 'El campo "título" es obligatorio',
-                    field: 'titulo',
-                    receivedData: body
-                });
-            }
-            
-            // Validar que el género no esté vacío
-            if (!body.genero || (Array.isArray(body.genero) && body.genero.length === 0)) {
-                return res.status(400).json({ 
-                    success: false, 
-                    message: 'El campo "género" es obligatorio',
-                    field: 'genero',
-                    receivedData: body
-                });
-            }
-
-            // Validar tipos de datos y formato
-            // Validar que el año de lanzamiento sea un número válido
-            if (body.añoLanzamiento && isNaN(Number(body.añoLanzamiento))) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'El año de lanzamiento debe ser un número válido',
-                    field: 'añoLanzamiento'
-                });
-            }
+            // El cuerpo ya llega validado y normalizado por el middleware validarBody(juegoSchema)
 
-            // Normalizar datos - asegurar que el año sea entero
-            if (body.añoLanzamiento) {
-                body.añoLanzamiento = parseInt(body.añoLanzamiento, 10);
+            if (req.query.force !== 'true') {
+                const candidatos = await juegosModelo.buscarDuplicados(body);
+                if (candidatos.length > 0) {
+                    return res.status(409).json({
+                        success: false,
+                        message: 'Ya existen juegos que parecen el mismo; usa ?force=true para crearlo igualmente o fusiónalos',
+                        candidatos
+                    });
+                }
             }
 
             // Log para depuración - mostrar datos final a crear
             console.log('Creating game with data:', JSON.stringify(body, null, 2));
-            const created = await juegosModelo.create(body);
+            const created = await juegosModelo.create(body, contextoAuditoria(req));
             console.log('Game created successfully:', created._id);
+            res.set('ETag', etagJuego(created));
             
             // Respuesta exitosa con juego creado
             return res.status(201).json({ 
@@ -92,6 +112,15 @@ class juegosController {
                 });
             }
             
+            // Documento rechazado por el validador $jsonSchema de la colección
+            if (error.code === 121) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El juego no cumple el esquema de la colección',
+                    error: error.message
+                });
+            }
+
             // Errores de duplicado (índices únicos)
             if (error.code === 11000) {
                 return res.status(400).json({
@@ -112,35 +141,114 @@ class juegosController {
     }
 
     /**
-     * Obtiene todos los juegos de la base de datos con filtrado opcional
+     * Obtiene los juegos de la base de datos con filtrado, orden, proyección y paginación
      * @route GET /api/juegos
      * @param {Object} req - Objeto de petición Express
      * @param {Object} req.query - Parámetros de consulta para filtrado
      * @param {string} req.query.genero - Filtrar por género específico
      * @param {string} req.query.plataforma - Filtrar por plataforma específica
+     * @param {number} req.query.page - Página a obtener (por defecto 1)
+     * @param {number} req.query.limit - Juegos por página (por defecto 20, máximo 100)
+     * @param {string} req.query.cursor - Cursor devuelto en pagination.nextCursor (alternativa a page)
+     * @param {string} req.query.sort - titulo, año, rating, horas, reseñas, recomendacion o fechaCreacion; prefijo "-" para descendente
+     * @param {string} req.query.fields - Campos a incluir (titulo,genero) o excluir (-descripcion)
      * @param {Object} res - Objeto de respuesta Express
-     * @returns {Object} - Respuesta JSON con lista de juegos o mensaje de error
+     * @returns {Object} - Respuesta JSON con la página de juegos y metadatos de paginación
      */
-    // Obtener todos los juegos (opcionalmente filtrar por query)
+    // Obtener los juegos paginados (opcionalmente filtrar por query)
     async getAll(req, res) {
         try {
+            // Validar parámetros de paginación, orden y proyección
+            let opciones;
+            try {
+                opciones = parseListQuery(req.query);
+            } catch (error) {
+                if (error.name !== 'QueryParamError') throw error;
+                return res.status(400).json({ success: false, message: error.message, field: error.field });
+            }
+
             // Construir filtro dinámico basado en parámetros de consulta
             const filter = {};
             // Soporte simple para filtrar por género o plataforma vía query string
             if (req.query.genero) filter.genero = { $in: [req.query.genero] };
             if (req.query.plataforma) filter.plataforma = { $in: [req.query.plataforma] };
 
-            // Obtener lista de juegos con filtro aplicado
-            const list = await juegosModelo.getAll(filter);
-            return res.status(200).json({ success: true, data: list });
+            // Obtener la página de juegos con filtro aplicado
+            const { items, total, ultimo } = await juegosModelo.paginate(filter, opciones);
+            const nextCursor = ultimo ? encodeCursor(ultimo.valor, ultimo.id) : null;
+            const { pagination, link } = buildPagination(req, opciones, total, nextCursor);
+
+            res.set('Link', link);
+            res.set('X-Total-Count', String(total));
+            return res.status(200).json({ success: true, data: items, pagination });
         } catch (error) {
             console.error('Error en getAll controller:', error);
             return res.status(500).json({ success: false, message: 'Error al obtener juegos', error: error.message });
         }
     }
 
+    /**
+     * Busca juegos con texto libre, filtros combinables y conteos por faceta
+     * @route GET /api/juegos/search
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.query.q - Texto libre (título, desarrollador, descripción), insensible a tildes
+     * @param {string} req.query.genero - Géneros separados por coma
+     * @param {string} req.query.generoModo - "or" (por defecto) o "and"
+     * @param {string} req.query.plataforma - Plataformas separadas por coma
+     * @param {string} req.query.plataformaModo - "or" (por defecto) o "and"
+     * @param {number} req.query.añoMin - Año de lanzamiento mínimo
+     * @param {number} req.query.añoMax - Año de lanzamiento máximo
+     * @param {number} req.query.horasMin - Mediana mínima de horas según las reseñas
+     * @param {number} req.query.horasMax - Mediana máxima de horas según las reseñas
+     * @param {string} req.query.completado - "true" o "false" según la biblioteca del usuario (requiere autenticación)
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con resultados paginados y facetas
+     */
+    // Buscar juegos con filtros y facetas
+    async search(req, res) {
+        try {
+            let opciones;
+            let filter;
+            try {
+                opciones = parseListQuery(req.query);
+
+                // El filtro "completado" depende de la biblioteca del usuario
+                const contexto = {};
+                if (req.query.completado !== undefined) {
+                    if (!['true', 'false'].includes(String(req.query.completado).toLowerCase())) {
+                        return res.status(400).json({ success: false, message: 'El parámetro "completado" debe ser true o false', field: 'completado' });
+                    }
+                    if (!req.user) {
+                        return res.status(401).json({ success: false, message: 'Se requiere autenticación para filtrar por "completado"' });
+                    }
+                    contexto.completados = await bibliotecaModelo.getJuegoIds(req.user.id, 'completed');
+                }
+
+                filter = buildSearchFilter(req.query, contexto);
+            } catch (error) {
+                if (error.name !== 'QueryParamError') throw error;
+                return res.status(400).json({ success: false, message: error.message, field: error.field });
+            }
+
+            const [{ items, total, ultimo }, facets] = await Promise.all([
+                juegosModelo.paginate(filter, opciones),
+                juegosModelo.facets(filter)
+            ]);
+            const nextCursor = ultimo ? encodeCursor(ultimo.valor, ultimo.id) : null;
+            const { pagination, link } = buildPagination(req, opciones, total, nextCursor);
+
+            res.set('Link', link);
+            res.set('X-Total-Count', String(total));
+            return res.status(200).json({ success: true, data: items, pagination, facets });
+        } catch (error) {
+            console.error('Error en search controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al buscar juegos', error: error.message });
+        }
+    }
+
     /**
      * Obtiene un juego específico por su ID
+     * Devuelve su versión en la cabecera ETag y responde 304 si coincide con If-None-Match
      * @route GET /api/juegos/:id
      * @param {Object} req - Objeto de petición Express
      * @param {string} req.params.id - ID del juego a buscar
@@ -161,13 +269,16 @@ class juegosController {
                 });
             }
             
-            // Buscar juego en la base de datos
+            // Buscar juego en la base de datos (las reseñas se piden aparte en /:id/reviews)
             const game = await juegosModelo.getOne(id);
             if (!game) {
                 // Juego no encontrado
                 return res.status(404).json({ success: false, message: 'Juego no encontrado' });
             }
-            // Juego encontrado exitosamente
+            // Juego encontrado exitosamente; si el cliente ya tiene esta versión, 304 sin cuerpo
+            res.set('ETag', etagJuego(game));
+            res.set('Cache-Control', 'no-cache');
+            if (req.fresh) return res.status(304).end();
             return res.status(200).json({ success: true, data: game });
         } catch (error) {
             console.error('Error en getOne controller:', error);
@@ -176,22 +287,24 @@ class juegosController {
     }
 
     /**
-     * Actualiza parcialmente un juego existente
+     * Sustituye un juego existente por la representación completa recibida
+     * Los campos que no se envían vuelven a su valor por defecto; para cambios parciales, PATCH
      * @route PUT /api/juegos/:id
      * @param {Object} req - Objeto de petición Express
      * @param {string} req.params.id - ID del juego a actualizar
-     * @param {Object} req.body - Campos a actualizar del juego
+     * @param {Object} req.body - Juego completo, validado contra juegoSchema
+     * @param {string} req.headers.if-match - ETag leída por el cliente (opcional); si ya no es la actual, 412
      * @param {Object} res - Objeto de respuesta Express
      * @returns {Object} - Respuesta JSON con el juego actualizado o mensaje de error
      */
-    // Actualizar un juego por id (parcialmente)
+    // Reemplazar un juego por id
     async update(req, res) {
         try {
             const { id } = req.params;
             const body = req.body || {};
             
-            // Actualizar juego en la base de datos
-            const updated = await juegosModelo.update(id, body);
+            // Reemplazar el juego en la base de datos, solo si sigue en la versión que leyó el cliente
+            const updated = await juegosModelo.replace(id, body, contextoAuditoria(req), { version: leerIfMatch(req) });
             
             if (!updated) {
                 // Juego no encontrado para actualizar
@@ -199,18 +312,75 @@ class juegosController {
             }
             
             // Actualización exitosa
+            res.set('ETag', etagJuego(updated));
             return res.status(200).json({ success: true, data: updated, message: 'Juego actualizado' });
         } catch (error) {
+            if (error.name === 'PrecondicionError') return responderPrecondicion(res, error);
             console.error('Error en update controller:', error);
+            // Documento rechazado por el validador $jsonSchema de la colección
+            if (error.code === 121) {
+                return res.status(400).json({ success: false, message: 'El juego no cumple el esquema de la colección', error: error.message });
+            }
+            return res.status(500).json({ success: false, message: 'Error al actualizar el juego', error: error.message });
+        }
+    }
+
+    /**
+     * Modifica parte de un juego con un JSON Merge Patch (RFC 7396) o un JSON Patch (RFC 6902)
+     * El patch se traduce a una única escritura atómica: o se aplica entero o no se aplica
+     * @route PATCH /api/juegos/:id
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID del juego a modificar
+     * @param {Object|Array} req.body - Merge patch (application/merge-patch+json) o lista de operaciones (application/json-patch+json)
+     * @param {string} req.headers.if-match - ETag leída por el cliente (opcional); si ya no es la actual, 412
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con el juego modificado o mensaje de error
+     */
+    async patch(req, res) {
+        try {
+            const { id } = req.params;
+
+            let patch;
+            if (req.is(TIPOS_PATCH.merge)) {
+                patch = traducirMergePatch(req.body);
+            } else if (req.is(TIPOS_PATCH.json)) {
+                patch = traducirJsonPatch(req.body);
+            } else {
+                res.set('Accept-Patch', Object.values(TIPOS_PATCH).join(', '));
+                return res.status(415).json({
+                    success: false,
+                    message: `Content-Type no admitido; usa ${Object.values(TIPOS_PATCH).join(' o ')}`
+                });
+            }
+
+            const updated = await juegosModelo.patch(id, patch, contextoAuditoria(req), { version: leerIfMatch(req) });
+            if (!updated) {
+                return res.status(404).json({ success: false, message: 'Juego no encontrado para actualizar' });
+            }
+
+            res.set('ETag', etagJuego(updated));
+            return res.status(200).json({ success: true, data: updated, message: 'Juego actualizado' });
+        } catch (error) {
+            if (error.name === 'PrecondicionError') return responderPrecondicion(res, error);
+            if (error.name === 'PatchError') {
+                return res.status(error.status).json({ success: false, message: error.message, path: error.path });
+            }
+            console.error('Error en patch controller:', error);
+            // Documento rechazado por el validador $jsonSchema de la colección (p. ej. género vacío o repetido)
+            if (error.code === 121) {
+                return res.status(400).json({ success: false, message: 'El juego no cumple el esquema de la colección', error: error.message });
+            }
             return res.status(500).json({ success: false, message: 'Error al actualizar el juego', error: error.message });
         }
     }
 
     /**
-     * Elimina un juego de la base de datos
+     * Envía un juego a la papelera (borrado lógico)
+     * Se puede restaurar hasta que se purgue manualmente o pase el periodo de retención
      * @route DELETE /api/juegos/:id
      * @param {Object} req - Objeto de petición Express
      * @param {string} req.params.id - ID del juego a eliminar
+     * @param {string} req.headers.if-match - ETag leída por el cliente (opcional); si ya no es la actual, 412
      * @param {Object} res - Objeto de respuesta Express
      * @returns {Object} - Respuesta JSON confirmando eliminación o mensaje de error
      */
@@ -219,8 +389,8 @@ class juegosController {
         try {
             const { id } = req.params;
             
-            // Eliminar juego de la base de datos
-            const ok = await juegosModelo.delete(id);
+            // Marcar el juego como eliminado, registrando quién lo eliminó
+            const ok = await juegosModelo.delete(id, contextoAuditoria(req), { version: leerIfMatch(req) });
             
             if (!ok) {
                 // Juego no encontrado para eliminar
@@ -228,20 +398,269 @@ class juegosController {
             }
             
             // Eliminación exitosa
-            return res.status(200).json({ success: true, message: 'Juego eliminado' });
+            return res.status(200).json({
+                success: true,
+                message: `Juego enviado a la papelera, se purgará en ${diasRetencion()} días si no se restaura`
+            });
         } catch (error) {
+            if (error.name === 'PrecondicionError') return responderPrecondicion(res, error);
             console.error('Error en delete controller:', error);
             return res.status(500).json({ success: false, message: 'Error al eliminar el juego', error: error.message });
         }
     }
 
+    /**
+     * Lista los juegos de la papelera (solo administradores)
+     * @route GET /api/juegos/trash
+     * @param {Object} req - Objeto de petición Express
+     * @param {number} req.query.page - Página a obtener (por defecto 1)
+     * @param {number} req.query.limit - Juegos por página (por defecto 20, máximo 100)
+     * @param {string} req.query.cursor - Cursor devuelto en pagination.nextCursor (alternativa a page)
+     * @param {string} req.query.sort - fechaEliminacion (por defecto, más recientes primero), titulo o fechaCreacion
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con la página de juegos eliminados y la retención configurada
+     */
+    async getPapelera(req, res) {
+        try {
+            let opciones;
+            try {
+                opciones = parseListQuery(
+                    { page: req.query.page, limit: req.query.limit, cursor: req.query.cursor, sort: req.query.sort ?? '-fechaEliminacion' },
+                    ORDENES_PAPELERA
+                );
+            } catch (error) {
+                if (error.name !== 'QueryParamError') throw error;
+                return res.status(400).json({ success: false, message: error.message, field: error.field });
+            }
+
+            const { items, total, ultimo } = await juegosModelo.getPapelera(opciones);
+            const nextCursor = ultimo ? encodeCursor(ultimo.valor, ultimo.id) : null;
+            const { pagination, link } = buildPagination(req, opciones, total, nextCursor);
+
+            res.set('Link', link);
+            res.set('X-Total-Count', String(total));
+            return res.status(200).json({ success: true, data: items, pagination, retencionDias: diasRetencion() });
+        } catch (error) {
+            console.error('Error en getPapelera controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener la papelera', error: error.message });
+        }
+    }
+
+    /**
+     * Informe de los grupos de juegos del catálogo que parecen el mismo (solo administradores)
+     * @route GET /api/juegos/duplicates
+     * @param {Object} req - Objeto de petición Express
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con los grupos { confianza, juegos }, los más grandes primero
+     */
+    async getDuplicados(req, res) {
+        try {
+            const grupos = await juegosModelo.getDuplicados();
+            return res.status(200).json({ success: true, data: grupos, total: grupos.length });
+        } catch (error) {
+            console.error('Error en getDuplicados controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener los duplicados', error: error.message });
+        }
+    }
+
+    /**
+     * Fusiona otro juego en este (solo administradores): se le suman sus géneros, plataformas,
+     * reseñas, bibliotecas, sesiones y listas, y el ID del otro juego redirige a este
+     * @route POST /api/juegos/:id/merge
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID del juego que se conserva
+     * @param {string} req.body.juegoId - ID del juego duplicado que desaparece
+     * @param {string} req.headers.if-match - ETag del juego que se conserva (opcional); si ya no es la actual, 412
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con el juego resultante o mensaje de error
+     */
+    async merge(req, res) {
+        try {
+            const { id } = req.params;
+            const { juegoId } = req.body;
+            const merged = await juegosModelo.merge(id, juegoId, contextoAuditoria(req), { version: leerIfMatch(req) });
+            if (!merged) {
+                return res.status(404).json({ success: false, message: 'Juego no encontrado' });
+            }
+
+            res.set('ETag', etagJuego(merged));
+            return res.status(200).json({ success: true, data: merged, message: 'Juegos fusionados' });
+        } catch (error) {
+            if (error.name === 'PrecondicionError') return responderPrecondicion(res, error);
+            if (error.name === 'FusionError') {
+                return res.status(error.status).json({ success: false, message: error.message, field: 'juegoId' });
+            }
+            console.error('Error en merge controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al fusionar los juegos', error: error.message });
+        }
+    }
+
+    /**
+     * Redirige (308) las peticiones a un juego fusionado hacia el juego en el que se fusionó
+     * Se registra con route.param("id"), así que vale para el juego y todas sus subrutas
+     * @param {Object} req - Objeto de petición Express
+     * @param {Object} res - Objeto de respuesta Express
+     * @param {Function} next - Siguiente middleware
+     * @param {string} id - ID del juego de la ruta
+     */
+    async redirigirFusionado(req, res, next, id) {
+        try {
+            const destino = await juegosModelo.getRedireccion(id);
+            if (!destino) return next();
+            return res.redirect(308, req.originalUrl.replace(`/${id}`, `/${destino}`));
+        } catch (error) {
+            return next(error);
+        }
+    }
+
+    /**
+     * Restaura un juego de la papelera (solo administradores)
+     * @route POST /api/juegos/:id/restore
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID del juego
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con el juego restaurado o mensaje de error
+     */
+    async restore(req, res) {
+        try {
+            const { id } = req.params;
+            const game = await juegosModelo.getOne(id, { incluirEliminados: true });
+            if (!game?.eliminado) {
+                return res.status(404).json({ success: false, message: 'El juego no está en la papelera' });
+            }
+
+            const restored = await juegosModelo.restore(id, contextoAuditoria(req));
+            if (!restored) {
+                return res.status(404).json({ success: false, message: 'El juego no está en la papelera' });
+            }
+            return res.status(200).json({ success: true, data: restored, message: 'Juego restaurado' });
+        } catch (error) {
+            console.error('Error en restore controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al restaurar el juego', error: error.message });
+        }
+    }
+
+    /**
+     * Elimina definitivamente un juego de la papelera, con sus reseñas y su portada (solo administradores)
+     * @route DELETE /api/juegos/trash/:id
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID del juego
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON confirmando la purga o mensaje de error
+     */
+    async purge(req, res) {
+        try {
+            const ok = await juegosModelo.purge(req.params.id, contextoAuditoria(req));
+            if (!ok) {
+                return res.status(404).json({ success: false, message: 'El juego no está en la papelera' });
+            }
+            return res.status(200).json({ success: true, message: 'Juego eliminado definitivamente' });
+        } catch (error) {
+            console.error('Error en purge controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al purgar el juego', error: error.message });
+        }
+    }
+
+    /**
+     * Obtiene el historial de cambios de un juego, las revisiones más recientes primero
+     * Incluye las acciones sobre el juego, su portada y sus reseñas
+     * @route GET /api/juegos/:id/history
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID del juego
+     * @param {number} req.query.page - Página a obtener (por defecto 1)
+     * @param {number} req.query.limit - Revisiones por página (por defecto 20, máximo 100)
+     * @param {string} req.query.cursor - Cursor devuelto en pagination.nextCursor (alternativa a page)
+     * @param {string} req.query.sort - fecha o -fecha (por defecto)
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con la página de revisiones
+     */
+    async getHistorial(req, res) {
+        try {
+            const { id } = req.params;
+
+            let opciones;
+            try {
+                opciones = parseListQuery(
+                    { page: req.query.page, limit: req.query.limit, cursor: req.query.cursor, sort: req.query.sort ?? '-fecha' },
+                    ORDENES_AUDITORIA
+                );
+            } catch (error) {
+                if (error.name !== 'QueryParamError') throw error;
+                return res.status(400).json({ success: false, message: error.message, field: error.field });
+            }
+
+            // El historial sigue disponible mientras el juego esté en la papelera
+            const game = await juegosModelo.getOne(id, { incluirEliminados: true });
+            if (!game) {
+                return res.status(404).json({ success: false, message: 'Juego no encontrado' });
+            }
+
+            const { items, total, ultimo } = await auditoriaModelo.getHistorial(id, opciones);
+            const nextCursor = ultimo ? encodeCursor(ultimo.valor, ultimo.id) : null;
+            const { pagination, link } = buildPagination(req, opciones, total, nextCursor);
+
+            res.set('Link', link);
+            res.set('X-Total-Count', String(total));
+            return res.status(200).json({ success: true, data: items, pagination });
+        } catch (error) {
+            console.error('Error en getHistorial controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener el historial', error: error.message });
+        }
+    }
+
+    /**
+     * Devuelve un juego al estado que tenía tras una revisión de su historial
+     * El propio revert queda registrado como una revisión nueva
+     * @route POST /api/juegos/:id/revert/:revisionId
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID del juego
+     * @param {string} req.params.revisionId - ID de la revisión a la que volver
+     * @param {string} req.headers.if-match - ETag leída por el cliente (opcional); si ya no es la actual, 412
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con el juego revertido o mensaje de error
+     */
+    async revert(req, res) {
+        try {
+            const { id, revisionId } = req.params;
+
+            const revision = await auditoriaModelo.getRevision(id, revisionId);
+            if (!revision) {
+                return res.status(404).json({ success: false, message: 'Revisión no encontrada' });
+            }
+            // Las revisiones de reseñas y las purgas no guardan un estado del juego al que volver
+            if (!revision.estado) {
+                return res.status(400).json({ success: false, message: `No se puede revertir a una revisión de tipo ${revision.accion}` });
+            }
+
+            // Los campos que aún no existían en la revisión se eliminan, para volver exactamente a ese estado
+            const updated = await juegosModelo.update(id, { ...revision.estado }, contextoAuditoria(req), {
+                accion: 'revert',
+                extra: { revisionRevertida: revision._id },
+                version: leerIfMatch(req),
+                quitar: CAMPOS_REVERTIBLES.filter(campo => revision.estado[campo] === undefined)
+            });
+            if (!updated) {
+                return res.status(404).json({ success: false, message: 'Juego no encontrado o en la papelera' });
+            }
+            res.set('ETag', etagJuego(updated));
+            return res.status(200).json({ success: true, data: updated, message: 'Juego revertido' });
+        } catch (error) {
+            if (error.name === 'PrecondicionError') return responderPrecondicion(res, error);
+            console.error('Error en revert controller:', error);
+            if (error.code === 121) {
+                return res.status(400).json({ success: false, message: 'El juego no cumple el esquema de la colección', error: error.message });
+            }
+            return res.status(500).json({ success: false, message: 'Error al revertir el juego', error: error.message });
+        }
+    }
+
     /**
      * Agrega una nueva reseña a un juego específico
      * @route POST /api/juegos/:id/reseñas
      * @param {Object} req - Objeto de petición Express
      * @param {string} req.params.id - ID del juego al que se añadirá la reseña
-     * @param {Object} req.body - Datos de la reseña
-     * @param {string} req.body.nombreUsuario - Nombre del usuario (obligatorio)
+     * @param {Object} req.user - Usuario autenticado (autor de la reseña)
+     * @param {Object} req.body - Datos de la reseña, validados contra reseñaSchema
      * @param {string} req.body.textoReseña - Texto de la reseña (obligatorio)
      * @param {number} req.body.calificaciones - Calificación de 0 a 5 (opcional)
      * @param {number} req.body.horasJugadas - Horas jugadas (opcional)
@@ -256,40 +675,19 @@ class juegosController {
             const { id } = req.params;
             const body = req.body || {};
             
-            // Validaciones básicas de campos obligatorios
-            // Validar que el nombre de usuario no esté vacío
-            if (!body.nombreUsuario) {
-                return res.status(400).json({ 
-                    success: false, 
-                    message: 'El campo "nombreUsuario" es obligatorio'
-                });
-            }
-            
-            // Validar que el texto de la reseña no esté vacío
-            if (!body.textoReseña) {
-                return res.status(400).json({ 
-                    success: false, 
-                    message: 'El campo "textoReseña" es obligatorio'
-                });
-            }
+            // El cuerpo ya llega validado y normalizado por el middleware validarBody(reseñaSchema)
 
-            // Validar rango de calificación si se proporciona
-            if (body.calificaciones !== undefined) {
-                const rating = Number(body.calificaciones);
-                if (isNaN(rating) || rating < 0 || rating > 5) {
-                    return res.status(400).json({
-                        success: false,
-                        message: 'La calificación debe ser un número entre 0 y 5'
-                    });
-                }
+            // Crear reseña en la base de datos a nombre del usuario autenticado
+            const reseña = await reseñasModelo.create(id, body, req.user, contextoAuditoria(req));
+            if (!reseña) {
+                return res.status(404).json({ success: false, message: 'Juego no encontrado' });
             }
-            
-            // Crear reseña en la base de datos
-            const reseña = await juegosModelo.addReseña(id, body);
             return res.status(201).json({ 
                 success: true, 
                 data: reseña, 
-                message: 'Reseña agregada exitosamente' 
+                message: reseña.estado === 'approved'
+                    ? 'Reseña agregada exitosamente'
+                    : 'Reseña enviada, quedará visible cuando sea aprobada'
             });
         } catch (error) {
             console.error('Error en addReseña controller:', error);
@@ -302,21 +700,66 @@ class juegosController {
     }
 
     /**
-     * Obtiene todas las reseñas de un juego específico
-     * @route GET /api/juegos/:id/reseñas
+     * Obtiene las reseñas de un juego específico, paginadas y ordenadas
+     * Por defecto solo las aprobadas; los administradores pueden pedir otros estados
+     * @route GET /api/juegos/:id/reviews
      * @param {Object} req - Objeto de petición Express
      * @param {string} req.params.id - ID del juego del que se obtendrán las reseñas
+     * @param {string} req.query.estado - pending, approved, rejected o all (solo administradores)
+     * @param {number} req.query.page - Página a obtener (por defecto 1)
+     * @param {number} req.query.limit - Reseñas por página (por defecto 20, máximo 100)
+     * @param {string} req.query.cursor - Cursor devuelto en pagination.nextCursor (alternativa a page)
+     * @param {string} req.query.sort - newest (por defecto), oldest, highest, lowest, helpful, o un campo (fechaCreacion, rating, utiles) con "-" para descendente
      * @param {Object} res - Objeto de respuesta Express
-     * @returns {Object} - Respuesta JSON con lista de reseñas o mensaje de error
+     * @returns {Object} - Respuesta JSON con la página de reseñas y metadatos de paginación
      */
-    // Obtener todas las reseñas de un juego
+    // Obtener las reseñas de un juego
     async getReseñas(req, res) {
         try {
             const { id } = req.params;
+
+            let opciones;
+            try {
+                opciones = parseListQuery(
+                    {
+                        page: req.query.page,
+                        limit: req.query.limit,
+                        cursor: req.query.cursor,
+                        sort: ORDENES_NOMBRADOS_RESEÑAS[req.query.sort] || req.query.sort
+                    },
+                    ORDENES_RESEÑAS
+                );
+            } catch (error) {
+                if (error.name !== 'QueryParamError') throw error;
+                return res.status(400).json({ success: false, message: error.message, field: error.field });
+            }
+
+            let estados = ['approved'];
+            if (req.query.estado !== undefined && req.query.estado !== 'approved') {
+                if (!tienePermiso(req.user?.rol, 'reseñas:moderar')) {
+                    return res.status(403).json({ success: false, message: 'Solo los administradores pueden ver reseñas no aprobadas' });
+                }
+                if (req.query.estado === 'all') {
+                    estados = ESTADOS_RESEÑA;
+                } else if (ESTADOS_RESEÑA.includes(req.query.estado)) {
+                    estados = [req.query.estado];
+                } else {
+                    return res.status(400).json({ success: false, message: `El estado debe ser uno de: ${ESTADOS_RESEÑA.join(', ')}, all`, field: 'estado' });
+                }
+            }
             
-            // Obtener todas las reseñas del juego
-            const reseñas = await juegosModelo.getReseñas(id);
-            return res.status(200).json({ success: true, data: reseñas });
+            // Obtener la página de reseñas del juego en los estados pedidos
+            const pagina = await reseñasModelo.getPage(id, estados, opciones);
+            if (!pagina) {
+                return res.status(404).json({ success: false, message: 'Juego no encontrado' });
+            }
+            const { items, total, ultimo } = pagina;
+            const nextCursor = ultimo ? encodeCursor(ultimo.valor, ultimo.id) : null;
+            const { pagination, link } = buildPagination(req, opciones, total, nextCursor);
+
+            res.set('Link', link);
+            res.set('X-Total-Count', String(total));
+            return res.status(200).json({ success: true, data: items, pagination });
         } catch (error) {
             console.error('Error en getReseñas controller:', error);
             return res.status(500).json({ 
@@ -326,6 +769,204 @@ class juegosController {
             });
         }
     }
+
+    /**
+     * Obtiene una reseña concreta
+     * Las reseñas no aprobadas solo las ven su autor y los administradores
+     * @route GET /api/juegos/:id/reviews/:reviewId
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID del juego
+     * @param {string} req.params.reviewId - ID de la reseña
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con la reseña o mensaje de error
+     */
+    async getReseña(req, res) {
+        try {
+            const { id, reviewId } = req.params;
+            const reseña = await reseñasModelo.getOne(id, reviewId);
+
+            const visible = reseña && ((reseña.estado || 'approved') === 'approved' || puedeGestionar(req.user, reseña));
+            if (!visible) {
+                return res.status(404).json({ success: false, message: 'Reseña no encontrada' });
+            }
+            return res.status(200).json({ success: true, data: reseña });
+        } catch (error) {
+            console.error('Error en getReseña controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener la reseña', error: error.message });
+        }
+    }
+
+    /**
+     * Edita una reseña propia (o cualquiera si es administrador)
+     * Una reseña editada por su autor vuelve a quedar pendiente de moderación
+     * @route PUT /api/juegos/:id/reviews/:reviewId
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID del juego
+     * @param {string} req.params.reviewId - ID de la reseña
+     * @param {Object} req.body - Campos a modificar, validados contra reseñaSchema en modo parcial
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con la reseña actualizada o mensaje de error
+     */
+    async updateReseña(req, res) {
+        try {
+            const { id, reviewId } = req.params;
+            const reseña = await reseñasModelo.getOne(id, reviewId);
+            if (!reseña) {
+                return res.status(404).json({ success: false, message: 'Reseña no encontrada' });
+            }
+            if (!puedeGestionar(req.user, reseña)) {
+                return res.status(403).json({ success: false, message: 'Solo puedes editar tus propias reseñas' });
+            }
+
+            const campos = { ...req.body };
+            if (!tienePermiso(req.user.rol, 'reseñas:moderar')) campos.estado = 'pending';
+
+            const updated = await reseñasModelo.update(id, reviewId, campos, contextoAuditoria(req));
+            if (!updated) {
+                return res.status(404).json({ success: false, message: 'Reseña no encontrada' });
+            }
+            return res.status(200).json({ success: true, data: updated, message: 'Reseña actualizada' });
+        } catch (error) {
+            console.error('Error en updateReseña controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al actualizar la reseña', error: error.message });
+        }
+    }
+
+    /**
+     * Elimina una reseña propia (o cualquiera si es administrador)
+     * @route DELETE /api/juegos/:id/reviews/:reviewId
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID del juego
+     * @param {string} req.params.reviewId - ID de la reseña
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON confirmando la eliminación o mensaje de error
+     */
+    async deleteReseña(req, res) {
+        try {
+            const { id, reviewId } = req.params;
+            const reseña = await reseñasModelo.getOne(id, reviewId);
+            if (!reseña) {
+                return res.status(404).json({ success: false, message: 'Reseña no encontrada' });
+            }
+            if (!puedeGestionar(req.user, reseña)) {
+                return res.status(403).json({ success: false, message: 'Solo puedes eliminar tus propias reseñas' });
+            }
+
+            const ok = await reseñasModelo.delete(id, reviewId, contextoAuditoria(req));
+            if (!ok) {
+                return res.status(404).json({ success: false, message: 'Reseña no encontrada' });
+            }
+            return res.status(200).json({ success: true, message: 'Reseña eliminada' });
+        } catch (error) {
+            console.error('Error en deleteReseña controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al eliminar la reseña', error: error.message });
+        }
+    }
+
+    /**
+     * Marca una reseña aprobada como útil (un voto por usuario)
+     * @route POST /api/juegos/:id/reviews/:reviewId/helpful
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID del juego
+     * @param {string} req.params.reviewId - ID de la reseña
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con la reseña y su contador de votos
+     */
+    async votarReseña(req, res) {
+        try {
+            const { id, reviewId } = req.params;
+            const reseña = await reseñasModelo.getOne(id, reviewId);
+            if (!reseña || (reseña.estado || 'approved') !== 'approved') {
+                return res.status(404).json({ success: false, message: 'Reseña no encontrada' });
+            }
+            if (String(reseña.usuarioId) === String(req.user.id)) {
+                return res.status(400).json({ success: false, message: 'No puedes votar tu propia reseña' });
+            }
+
+            const updated = await reseñasModelo.votarUtil(id, reviewId, req.user.id, true);
+            return res.status(200).json({ success: true, data: updated, message: 'Voto registrado' });
+        } catch (error) {
+            console.error('Error en votarReseña controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al votar la reseña', error: error.message });
+        }
+    }
+
+    /**
+     * Retira el voto de utilidad del usuario sobre una reseña
+     * @route DELETE /api/juegos/:id/reviews/:reviewId/helpful
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID del juego
+     * @param {string} req.params.reviewId - ID de la reseña
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con la reseña y su contador de votos
+     */
+    async quitarVotoReseña(req, res) {
+        try {
+            const { id, reviewId } = req.params;
+            const updated = await reseñasModelo.votarUtil(id, reviewId, req.user.id, false);
+            if (!updated) {
+                return res.status(404).json({ success: false, message: 'Reseña no encontrada' });
+            }
+            return res.status(200).json({ success: true, data: updated, message: 'Voto retirado' });
+        } catch (error) {
+            console.error('Error en quitarVotoReseña controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al retirar el voto', error: error.message });
+        }
+    }
+
+    /**
+     * Aprueba o rechaza una reseña (solo administradores)
+     * @route PUT /api/juegos/:id/reviews/:reviewId/moderation
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID del juego
+     * @param {string} req.params.reviewId - ID de la reseña
+     * @param {string} req.body.estado - pending, approved o rejected
+     * @param {string} req.body.motivo - Motivo de la decisión (opcional)
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con la reseña moderada o mensaje de error
+     */
+    async moderarReseña(req, res) {
+        try {
+            const { id, reviewId } = req.params;
+            const updated = await reseñasModelo.moderar(id, reviewId, req.body, contextoAuditoria(req));
+            if (!updated) {
+                return res.status(404).json({ success: false, message: 'Reseña no encontrada' });
+            }
+            return res.status(200).json({ success: true, data: updated, message: 'Reseña moderada' });
+        } catch (error) {
+            console.error('Error en moderarReseña controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al moderar la reseña', error: error.message });
+        }
+    }
+
+    /**
+     * Cola de moderación: reseñas pendientes de todos los juegos, las más antiguas primero
+     * @route GET /api/juegos/reviews/pending
+     * @param {Object} req - Objeto de petición Express
+     * @param {number} req.query.page - Página (por defecto 1)
+     * @param {number} req.query.limit - Reseñas por página (por defecto 20, máximo 100)
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con las reseñas pendientes y metadatos de paginación
+     */
+    async getReseñasPendientes(req, res) {
+        try {
+            let opciones;
+            try {
+                opciones = parseListQuery({ page: req.query.page, limit: req.query.limit });
+            } catch (error) {
+                if (error.name !== 'QueryParamError') throw error;
+                return res.status(400).json({ success: false, message: error.message, field: error.field });
+            }
+
+            const { items, total } = await reseñasModelo.getPendientes(opciones);
+            const { pagination, link } = buildPagination(req, opciones, total, null);
+            res.set('Link', link);
+            return res.status(200).json({ success: true, data: items, pagination });
+        } catch (error) {
+            console.error('Error en getReseñasPendientes controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener las reseñas pendientes', error: error.message });
+        }
+    }
 }
 
 // Exportar una instancia única del controlador (patrón Singleton)
@@ -0,0 +1,293 @@
+// Importación de los modelos necesarios
+import listasModelo from "../models/Listas.js";
+import { parseListQuery, buildPagination, encodeCursor, ORDENES_LISTAS } from "../utils/paginacion.js";
+import { tienePermiso } from "../utils/permisos.js";
+
+/**
+ * Indica si un usuario puede modificar una lista (su autor o un rol con el permiso listas:gestionar)
+ * @param {Object} user - Usuario autenticado (req.user)
+ * @param {Object} lista - Lista a gestionar
+ * @returns {boolean} - true si tiene permiso
+ */
+const puedeGestionar = (user, lista) =>
+    Boolean(user) && (tienePermiso(user.rol, 'listas:gestionar') || String(lista.usuarioId) === String(user.id));
+
+/**
+ * Indica si un usuario puede ver una lista (pública, o privada y gestionable por él)
+ * @param {Object} user - Usuario autenticado (req.user) o undefined
+ * @param {Object} lista - Lista a consultar
+ * @returns {boolean} - true si la puede ver
+ */
+const puedeVer = (user, lista) => lista.visibilidad === 'public' || puedeGestionar(user, lista);
+
+/**
+ * Obtiene la lista de la petición comprobando que el usuario puede modificarla
+ * Las listas privadas de otros usuarios responden 404, como si no existieran
+ * @param {Object} req - Objeto de petición Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {Object|null} - Lista, o null si ya se respondió con un error
+ */
+const listaGestionable = async (req, res) => {
+    const lista = await listasModelo.getOne(req.params.id);
+    if (!lista || !puedeVer(req.user, lista)) {
+        res.status(404).json({ success: false, message: 'Lista no encontrada' });
+        return null;
+    }
+    if (!puedeGestionar(req.user, lista)) {
+        res.status(403).json({ success: false, message: 'Solo el autor de la lista puede modificarla' });
+        return null;
+    }
+    return lista;
+};
+
+/**
+ * Controlador de Listas - Maneja las listas de juegos creadas por los usuarios
+ * Las listas públicas las puede ver cualquiera; las privadas, su autor y los administradores
+ */
+class listasController {
+    constructor() {}
+
+    /**
+     * Lista las listas visibles: las públicas y, si hay sesión, las propias
+     * @route GET /api/lists
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.query.mine - "true" para ver solo las listas propias (requiere sesión)
+     * @param {string} req.query.usuarioId - Solo las listas de este usuario
+     * @param {number} req.query.page - Página a obtener (por defecto 1)
+     * @param {number} req.query.limit - Listas por página (por defecto 20, máximo 100)
+     * @param {string} req.query.cursor - Cursor devuelto en pagination.nextCursor (alternativa a page)
+     * @param {string} req.query.sort - fechaActualizacion (por defecto, descendente), fechaCreacion o nombre
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con la página de listas
+     */
+    async getAll(req, res) {
+        try {
+            let opciones;
+            try {
+                opciones = parseListQuery(
+                    { page: req.query.page, limit: req.query.limit, cursor: req.query.cursor, sort: req.query.sort ?? '-fechaActualizacion' },
+                    ORDENES_LISTAS
+                );
+            } catch (error) {
+                if (error.name !== 'QueryParamError') throw error;
+                return res.status(400).json({ success: false, message: error.message, field: error.field });
+            }
+
+            let { usuarioId } = req.query;
+            if (req.query.mine === 'true') {
+                if (!req.user) {
+                    return res.status(401).json({ success: false, message: 'Se requiere autenticación' });
+                }
+                usuarioId = req.user.id;
+            }
+            if (usuarioId !== undefined && !/^[a-fA-F0-9]{24}$/.test(usuarioId)) {
+                return res.status(400).json({ success: false, message: 'ID de usuario inválido', field: 'usuarioId' });
+            }
+
+            const { items, total, ultimo } = await listasModelo.getPage(req.user, { usuarioId }, opciones);
+            const nextCursor = ultimo ? encodeCursor(ultimo.valor, ultimo.id) : null;
+            const { pagination, link } = buildPagination(req, opciones, total, nextCursor);
+
+            res.set('Link', link);
+            res.set('X-Total-Count', String(total));
+            return res.status(200).json({ success: true, data: items, pagination });
+        } catch (error) {
+            console.error('Error en getAll listas controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener las listas', error: error.message });
+        }
+    }
+
+    /**
+     * Crea una lista vacía del usuario autenticado
+     * @route POST /api/lists
+     * @param {Object} req - Objeto de petición Express
+     * @param {Object} req.body - Datos de la lista, validados contra listaSchema
+     * @param {string} req.body.nombre - Nombre de la lista (obligatorio)
+     * @param {string} req.body.descripcion - Descripción (opcional)
+     * @param {string} req.body.visibilidad - public o private (por defecto private)
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con la lista creada
+     */
+    async create(req, res) {
+        try {
+            const lista = await listasModelo.create(req.user, req.body);
+            return res.status(201).json({ success: true, data: lista, message: 'Lista creada' });
+        } catch (error) {
+            console.error('Error en create listas controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al crear la lista', error: error.message });
+        }
+    }
+
+    /**
+     * Obtiene una lista con los datos de sus juegos, en orden
+     * @route GET /api/lists/:id
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID de la lista
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con la lista o mensaje de error
+     */
+    async getOne(req, res) {
+        try {
+            const lista = await listasModelo.getOne(req.params.id);
+            if (!lista || !puedeVer(req.user, lista)) {
+                return res.status(404).json({ success: false, message: 'Lista no encontrada' });
+            }
+            return res.status(200).json({ success: true, data: await listasModelo.conJuegos(lista) });
+        } catch (error) {
+            console.error('Error en getOne listas controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener la lista', error: error.message });
+        }
+    }
+
+    /**
+     * Actualiza el nombre, la descripción o la visibilidad de una lista
+     * @route PUT /api/lists/:id
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID de la lista
+     * @param {Object} req.body - Campos a modificar, validados contra listaSchema en modo parcial
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con la lista actualizada o mensaje de error
+     */
+    async update(req, res) {
+        try {
+            const lista = await listaGestionable(req, res);
+            if (!lista) return;
+
+            const updated = await listasModelo.update(req.params.id, req.body);
+            if (!updated) {
+                return res.status(404).json({ success: false, message: 'Lista no encontrada' });
+            }
+            return res.status(200).json({ success: true, data: updated, message: 'Lista actualizada' });
+        } catch (error) {
+            console.error('Error en update listas controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al actualizar la lista', error: error.message });
+        }
+    }
+
+    /**
+     * Elimina una lista (los juegos no se tocan)
+     * @route DELETE /api/lists/:id
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID de la lista
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON confirmando la eliminación o mensaje de error
+     */
+    async delete(req, res) {
+        try {
+            const lista = await listaGestionable(req, res);
+            if (!lista) return;
+
+            const ok = await listasModelo.delete(req.params.id);
+            if (!ok) {
+                return res.status(404).json({ success: false, message: 'Lista no encontrada' });
+            }
+            return res.status(200).json({ success: true, message: 'Lista eliminada' });
+        } catch (error) {
+            console.error('Error en delete listas controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al eliminar la lista', error: error.message });
+        }
+    }
+
+    /**
+     * Añade un juego del catálogo a una lista
+     * @route POST /api/lists/:id/games
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID de la lista
+     * @param {string} req.body.juegoId - ID del juego (obligatorio)
+     * @param {number} req.body.posicion - Posición en la que insertarlo (por defecto, al final)
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con la lista actualizada o mensaje de error
+     */
+    async addJuego(req, res) {
+        try {
+            const lista = await listaGestionable(req, res);
+            if (!lista) return;
+
+            const updated = await listasModelo.addJuego(req.params.id, req.body.juegoId, req.body.posicion);
+            if (!updated) {
+                return res.status(404).json({ success: false, message: 'Lista no encontrada' });
+            }
+            return res.status(201).json({ success: true, data: updated, message: 'Juego añadido a la lista' });
+        } catch (error) {
+            if (error.name === 'ListaError') {
+                return res.status(error.status).json({ success: false, message: error.message });
+            }
+            console.error('Error en addJuego listas controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al añadir el juego a la lista', error: error.message });
+        }
+    }
+
+    /**
+     * Quita un juego de una lista
+     * @route DELETE /api/lists/:id/games/:juegoId
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID de la lista
+     * @param {string} req.params.juegoId - ID del juego
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con la lista actualizada o mensaje de error
+     */
+    async removeJuego(req, res) {
+        try {
+            const lista = await listaGestionable(req, res);
+            if (!lista) return;
+
+            const updated = await listasModelo.removeJuego(req.params.id, req.params.juegoId);
+            if (!updated) {
+                return res.status(404).json({ success: false, message: 'El juego no está en la lista' });
+            }
+            return res.status(200).json({ success: true, data: updated, message: 'Juego quitado de la lista' });
+        } catch (error) {
+            console.error('Error en removeJuego listas controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al quitar el juego de la lista', error: error.message });
+        }
+    }
+
+    /**
+     * Cambia el orden de los juegos de una lista
+     * @route PUT /api/lists/:id/games
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID de la lista
+     * @param {Array<string>} req.body.juegos - Todos los IDs de juegos de la lista, en el nuevo orden
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con la lista reordenada o mensaje de error
+     */
+    async reordenar(req, res) {
+        try {
+            const lista = await listaGestionable(req, res);
+            if (!lista) return;
+
+            const updated = await listasModelo.reordenar(lista, req.body.juegos);
+            if (!updated) {
+                return res.status(404).json({ success: false, message: 'Lista no encontrada' });
+            }
+            return res.status(200).json({ success: true, data: updated, message: 'Lista reordenada' });
+        } catch (error) {
+            if (error.name === 'ListaError') {
+                return res.status(error.status).json({ success: false, message: error.message });
+            }
+            console.error('Error en reordenar listas controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al reordenar la lista', error: error.message });
+        }
+    }
+
+    /**
+     * Obtiene las listas visibles que contienen un juego
+     * @route GET /api/juegos/:id/lists
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID del juego
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con las listas (sin sus juegos)
+     */
+    async getByJuego(req, res) {
+        try {
+            const listas = await listasModelo.getByJuego(req.params.id, req.user);
+            return res.status(200).json({ success: true, data: listas });
+        } catch (error) {
+            console.error('Error en getByJuego listas controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener las listas del juego', error: error.message });
+        }
+    }
+}
+
+// Exportar una instancia única del controlador (patrón Singleton)
+export default new listasController();
@@ -0,0 +1,154 @@
+// Importación de los modelos y utilidades necesarios
+import juegosModelo from "../models/Juegos.js";
+import { CAMPOS_ENRIQUECIBLES } from "../schemas/metadatos.js";
+import { CONFIANZA_MINIMA, nombresProveedores, leerPares, buscarMetadatos, combinarMetadatos, prepararEnriquecimiento } from "../utils/enriquecimiento.js";
+import { contextoAuditoria } from "../middleware/requestId.js";
+import { etagJuego, leerIfMatch } from "../utils/concurrencia.js";
+
+// Resultados por proveedor en una búsqueda (por defecto y máximo)
+const LIMITE_LOOKUP = 5;
+const LIMITE_LOOKUP_MAXIMO = 20;
+
+/**
+ * Responde 503 si no hay ningún proveedor de metadatos configurado
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {boolean} - true si ya se respondió con el error
+ */
+const sinProveedores = (res) => {
+    if (nombresProveedores().length > 0) return false;
+    res.status(503).json({ success: false, message: 'No hay proveedores de metadatos configurados (METADATA_PROVIDERS)' });
+    return true;
+};
+
+/**
+ * Controlador de Metadatos - Busca juegos en los proveedores de metadatos y enriquece el catálogo con sus datos
+ */
+class metadatosController {
+    constructor() {}
+
+    /**
+     * Busca un título en los proveedores configurados y combina las mejores coincidencias campo a campo
+     * @route GET /api/juegos/lookup
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.query.titulo - Título a buscar (obligatorio)
+     * @param {string} req.query.proveedores - Proveedores a consultar, separados por coma (por defecto, todos)
+     * @param {number} req.query.limit - Resultados por proveedor (por defecto 5, máximo 20)
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con { resultados, combinado, errores }
+     */
+    async lookup(req, res) {
+        try {
+            const titulo = String(req.query.titulo ?? '').trim();
+            if (titulo === '' || titulo.length > 200) {
+                return res.status(400).json({ success: false, message: 'El parámetro "titulo" es obligatorio (máximo 200 caracteres)', field: 'titulo' });
+            }
+            const limit = req.query.limit !== undefined ? Number(req.query.limit) : LIMITE_LOOKUP;
+            if (!Number.isInteger(limit) || limit < 1 || limit > LIMITE_LOOKUP_MAXIMO) {
+                return res.status(400).json({ success: false, message: `El parámetro "limit" debe ser un entero entre 1 y ${LIMITE_LOOKUP_MAXIMO}`, field: 'limit' });
+            }
+            if (sinProveedores(res)) return;
+
+            const proveedores = req.query.proveedores !== undefined
+                ? String(req.query.proveedores).split(',').map(p => p.trim()).filter(Boolean)
+                : undefined;
+            const { resultados, errores } = await buscarMetadatos(titulo, { proveedores, limit });
+
+            // Vista combinada con la mejor coincidencia de cada proveedor que se parezca lo suficiente
+            const mejores = [];
+            for (const resultado of resultados) {
+                if (resultado.confianza >= CONFIANZA_MINIMA && !mejores.some(m => m.proveedor === resultado.proveedor)) mejores.push(resultado);
+            }
+            mejores.sort((a, b) => nombresProveedores().indexOf(a.proveedor) - nombresProveedores().indexOf(b.proveedor));
+
+            return res.status(200).json({
+                success: true,
+                data: { resultados, combinado: combinarMetadatos({}, mejores), errores }
+            });
+        } catch (error) {
+            if (error.name === 'EnriquecimientoError') {
+                return res.status(error.status).json({ success: false, message: error.message, field: error.field });
+            }
+            console.error('Error en lookup metadatos controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al buscar metadatos', error: error.message });
+        }
+    }
+
+    /**
+     * Completa un juego con los datos de los proveedores de metadatos y guarda sus IDs externos
+     * Sin "aplicar" devuelve la vista previa: qué cambiaría en cada campo, qué propone cada proveedor y los conflictos
+     * @route POST /api/juegos/:id/enrich
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID del juego
+     * @param {Object} req.body - Opciones, validadas contra enriquecimientoSchema
+     * @param {boolean} req.body.aplicar - Guardar los cambios (por defecto false: solo vista previa)
+     * @param {boolean} req.body.sobrescribir - Sustituir también los campos que ya tienen valor
+     * @param {Array<string>} req.body.campos - Campos a aplicar (por defecto, todos)
+     * @param {Array<string>} req.body.proveedores - Proveedores a consultar (por defecto, todos)
+     * @param {Array<string>} req.body.coincidencias - Coincidencia elegida por proveedor ("proveedor:idExterno")
+     * @param {Array<string>} req.body.preferir - Proveedor preferido por campo ("campo:proveedor")
+     * @param {string} req.headers.if-match - ETag leída por el cliente (opcional); si ya no es la actual, 412
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con { coincidencias, cambios, errores, aplicado, juego }
+     */
+    async enrich(req, res) {
+        try {
+            const { id } = req.params;
+            const { aplicar, sobrescribir, campos, proveedores } = req.body;
+            const coincidencias = leerPares(req.body.coincidencias, 'coincidencias');
+            const preferir = leerPares(req.body.preferir, 'preferir');
+            const campoDesconocido = Object.keys(preferir).find(c => !CAMPOS_ENRIQUECIBLES.includes(c));
+            if (campoDesconocido) {
+                return res.status(400).json({ success: false, message: `"${campoDesconocido}" no es un campo enriquecible (${CAMPOS_ENRIQUECIBLES.join(', ')})`, field: 'preferir' });
+            }
+
+            const game = await juegosModelo.getOne(id);
+            if (!game) {
+                return res.status(404).json({ success: false, message: 'Juego no encontrado' });
+            }
+            if (sinProveedores(res)) return;
+
+            const { datos, idsExternos, ...vista } = await prepararEnriquecimiento(game, { proveedores, coincidencias, preferir, campos, sobrescribir });
+            if (vista.coincidencias.length === 0 && vista.errores.length > 0 && vista.errores.length === (proveedores?.length ?? nombresProveedores().length)) {
+                return res.status(502).json({ success: false, message: 'Ningún proveedor de metadatos respondió', errores: vista.errores });
+            }
+
+            if (!aplicar) {
+                return res.status(200).json({ success: true, data: { ...vista, aplicado: false }, message: 'Vista previa del enriquecimiento' });
+            }
+
+            const idsNuevos = JSON.stringify(idsExternos) !== JSON.stringify(game.idsExternos || {});
+            if (Object.keys(datos).length === 0 && !idsNuevos) {
+                return res.status(200).json({ success: true, data: { ...vista, aplicado: false, juego: game }, message: 'No hay cambios que aplicar' });
+            }
+
+            const updated = await juegosModelo.update(id, { ...datos, idsExternos }, contextoAuditoria(req), {
+                accion: 'enrich',
+                extra: { coincidencias: vista.coincidencias },
+                version: leerIfMatch(req)
+            });
+            if (!updated) {
+                return res.status(404).json({ success: false, message: 'Juego no encontrado' });
+            }
+
+            res.set('ETag', etagJuego(updated));
+            return res.status(200).json({ success: true, data: { ...vista, aplicado: true, juego: updated }, message: 'Juego enriquecido' });
+        } catch (error) {
+            if (error.name === 'EnriquecimientoError') {
+                return res.status(error.status).json({ success: false, message: error.message, field: error.field });
+            }
+            if (error.name === 'PrecondicionError') {
+                res.set('ETag', etagJuego({ version: error.versionActual }));
+                return res.status(412).json({ success: false, message: error.message, versionActual: error.versionActual });
+            }
+            console.error('Error en enrich metadatos controller:', error);
+            // Documento rechazado por el validador $jsonSchema de la colección
+            if (error.code === 121) {
+                return res.status(400).json({ success: false, message: 'El juego no cumple el esquema de la colección', error: error.message });
+            }
+            return res.status(500).json({ success: false, message: 'Error al enriquecer el juego', error: error.message });
+        }
+    }
+}
+
+// Exportar una instancia única del controlador (patrón Singleton)
+export default new metadatosController();
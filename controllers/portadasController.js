@@ -0,0 +1,134 @@
+// Importación de los modelos necesarios
+import juegosModelo from "../models/Juegos.js";
+import portadasModelo, { TAMAÑOS_DISPONIBLES } from "../models/Portadas.js";
+import { contextoAuditoria } from "../middleware/requestId.js";
+
+// Las portadas versionadas (?v=) no cambian nunca; sin versión se revalidan a menudo
+const CACHE_VERSIONADA = 'public, max-age=31536000, immutable';
+const CACHE_SIN_VERSION = 'public, max-age=300';
+
+/**
+ * Obtiene la URL base pública de la API (PUBLIC_API_URL o el host de la petición)
+ * @param {Object} req - Objeto de petición Express
+ * @returns {string} - Protocolo y host, sin barra final
+ */
+const urlBase = (req) => (process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+
+/**
+ * Controlador de Portadas - Subida y descarga de las imágenes de portada de los juegos
+ */
+class portadasController {
+    constructor() {}
+
+    /**
+     * Sube la portada de un juego y genera sus miniaturas
+     * @route POST /api/juegos/:id/cover
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID del juego
+     * @param {Object} req.file - Imagen recibida en el campo "cover" (ver middleware/upload.js)
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con la portada guardada y las URLs de cada tamaño
+     */
+    async upload(req, res) {
+        try {
+            const { id } = req.params;
+            const updated = await portadasModelo.guardar(id, req.file.buffer, urlBase(req), contextoAuditoria(req));
+            if (!updated) {
+                return res.status(404).json({ success: false, message: 'Juego no encontrado' });
+            }
+
+            const { version } = updated.portada;
+            const urls = Object.fromEntries(TAMAÑOS_DISPONIBLES.map(t => [t, portadasModelo.url(urlBase(req), id, version, t)]));
+            return res.status(201).json({
+                success: true,
+                data: { imagenPortada: updated.imagenPortada, portada: updated.portada, urls },
+                message: 'Portada subida exitosamente'
+            });
+        } catch (error) {
+            if (error.name === 'PortadaError') {
+                return res.status(400).json({ success: false, message: error.message, field: 'cover' });
+            }
+            console.error('Error en upload controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al subir la portada', error: error.message });
+        }
+    }
+
+    /**
+     * Sirve la portada de un juego en el tamaño pedido, con cabeceras de caché
+     * Si el juego solo tiene una URL externa en imagenPortada se redirige a ella
+     * @route GET /api/juegos/:id/cover
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID del juego
+     * @param {string} req.query.size - thumb, small, medium u original (por defecto)
+     * @param {string} req.query.v - Versión de la portada (permite caché inmutable)
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Stream} - La imagen, 304 si el cliente ya la tiene, o JSON de error
+     */
+    async get(req, res) {
+        try {
+            const { id } = req.params;
+            const tamaño = req.query.size || 'original';
+            if (!TAMAÑOS_DISPONIBLES.includes(tamaño)) {
+                return res.status(400).json({ success: false, message: `El tamaño debe ser uno de: ${TAMAÑOS_DISPONIBLES.join(', ')}`, field: 'size' });
+            }
+
+            const game = await juegosModelo.getOne(id);
+            if (!game) {
+                return res.status(404).json({ success: false, message: 'Juego no encontrado' });
+            }
+            if (!game.portada) {
+                if (/^https?:\/\//i.test(game.imagenPortada || '')) return res.redirect(302, game.imagenPortada);
+                return res.status(404).json({ success: false, message: 'El juego no tiene portada' });
+            }
+
+            const { version } = game.portada;
+            res.set('ETag', `"${version}-${tamaño}"`);
+            res.set('Last-Modified', new Date(game.portada.fechaSubida).toUTCString());
+            res.set('Cache-Control', req.query.v === version ? CACHE_VERSIONADA : CACHE_SIN_VERSION);
+            // If-None-Match / If-Modified-Since: el cliente ya tiene esta versión
+            if (req.fresh) return res.status(304).end();
+
+            const archivo = await portadasModelo.abrir(game.portada, id, tamaño);
+            if (!archivo) {
+                res.removeHeader('ETag');
+                res.removeHeader('Cache-Control');
+                return res.status(404).json({ success: false, message: 'Archivo de portada no encontrado' });
+            }
+
+            res.set('Content-Type', archivo.contentType);
+            res.set('Content-Length', String(archivo.size));
+            archivo.stream.on('error', (error) => {
+                console.error('Error al leer la portada:', error);
+                res.destroy(error);
+            });
+            archivo.stream.pipe(res);
+        } catch (error) {
+            console.error('Error en get cover controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener la portada', error: error.message });
+        }
+    }
+
+    /**
+     * Elimina la portada subida de un juego
+     * @route DELETE /api/juegos/:id/cover
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID del juego
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON confirmando la eliminación o mensaje de error
+     */
+    async delete(req, res) {
+        try {
+            const ok = await portadasModelo.eliminar(req.params.id, contextoAuditoria(req));
+            if (!ok) {
+                return res.status(404).json({ success: false, message: 'Juego no encontrado o sin portada subida' });
+            }
+            return res.status(200).json({ success: true, message: 'Portada eliminada' });
+        } catch (error) {
+            console.error('Error en delete cover controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al eliminar la portada', error: error.message });
+        }
+    }
+}
+
+// Exportar una instancia única del controlador (patrón Singleton)
+export default new portadasController();
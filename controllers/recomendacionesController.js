@@ -0,0 +1,73 @@
+// Importación de los modelos necesarios
+import recomendacionesModelo, { MAXIMO_RECOMENDACIONES } from "../models/Recomendaciones.js";
+
+/**
+ * Lee el parámetro "limit" de la query
+ * @param {Object} query - req.query
+ * @returns {number|null} - Límite (por defecto 10) o null si no es válido
+ */
+const parseLimit = (query) => {
+    const limit = query.limit !== undefined ? Number(query.limit) : 10;
+    return Number.isInteger(limit) && limit >= 1 && limit <= MAXIMO_RECOMENDACIONES ? limit : null;
+};
+
+/**
+ * Controlador de Recomendaciones - Juegos similares y recomendaciones personales
+ */
+class recomendacionesController {
+    constructor() {}
+
+    /**
+     * Obtiene los juegos más parecidos a uno por género, plataforma, desarrollador, año y descripción
+     * @route GET /api/juegos/:id/similar
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID del juego
+     * @param {number} req.query.limit - Número de juegos (por defecto 10, máximo 50)
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con los juegos similares y su puntuación
+     */
+    async getSimilares(req, res) {
+        try {
+            const limit = parseLimit(req.query);
+            if (limit === null) {
+                return res.status(400).json({ success: false, message: `El parámetro "limit" debe ser un entero entre 1 y ${MAXIMO_RECOMENDACIONES}`, field: 'limit' });
+            }
+
+            const similares = await recomendacionesModelo.getSimilares(req.params.id, limit);
+            if (!similares) {
+                return res.status(404).json({ success: false, message: 'Juego no encontrado' });
+            }
+            return res.status(200).json({ success: true, data: similares });
+        } catch (error) {
+            console.error('Error en getSimilares recomendaciones controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener los juegos similares', error: error.message });
+        }
+    }
+
+    /**
+     * Obtiene recomendaciones para el usuario autenticado a partir de los juegos completados que mejor valoró
+     * Sin juegos completados que sirvan de señal, devuelve los mejor valorados del catálogo
+     * @route GET /api/recommendations
+     * @param {Object} req - Objeto de petición Express
+     * @param {number} req.query.limit - Número de juegos (por defecto 10, máximo 50)
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con { basadoEn, juegos }; cada juego indica sus motivos
+     */
+    async getRecomendaciones(req, res) {
+        try {
+            const limit = parseLimit(req.query);
+            if (limit === null) {
+                return res.status(400).json({ success: false, message: `El parámetro "limit" debe ser un entero entre 1 y ${MAXIMO_RECOMENDACIONES}`, field: 'limit' });
+            }
+
+            const recomendaciones = await recomendacionesModelo.getRecomendaciones(req.user.id, limit);
+            return res.status(200).json({ success: true, data: recomendaciones });
+        } catch (error) {
+            console.error('Error en getRecomendaciones recomendaciones controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener las recomendaciones', error: error.message });
+        }
+    }
+}
+
+// Exportar una instancia única del controlador (patrón Singleton)
+export default new recomendacionesController();
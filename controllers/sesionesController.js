@@ -0,0 +1,144 @@
+// Importación de los modelos necesarios
+import sesionesModelo from "../models/Sesiones.js";
+import { parseListQuery, buildPagination, encodeCursor, ORDENES_SESIONES } from "../utils/paginacion.js";
+
+/**
+ * Controlador de Sesiones - Maneja las sesiones de juego del usuario autenticado en un juego
+ * Las sesiones son personales: cada usuario solo ve y gestiona las suyas
+ */
+class sesionesController {
+    constructor() {}
+
+    /**
+     * Registra una sesión de juego: la empieza o la detiene (accion start/stop) o la guarda ya jugada (duracionMinutos)
+     * Las horas jugadas de la biblioteca se recalculan al terminar cada sesión
+     * @route POST /api/juegos/:id/sessions
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID del juego
+     * @param {Object} req.body - Datos de la sesión, validados contra sesionSchema
+     * @param {string} req.body.accion - start o stop (para cronometrar)
+     * @param {number} req.body.duracionMinutos - Duración de una sesión ya jugada (alternativa a accion)
+     * @param {string} req.body.inicio - Inicio de la sesión ya jugada (ISO, por defecto hace duracionMinutos)
+     * @param {string} req.body.plataforma - Plataforma (opcional, una de las del juego)
+     * @param {string} req.body.nota - Nota (opcional)
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con la sesión o mensaje de error
+     */
+    async create(req, res) {
+        try {
+            const { id } = req.params;
+            const { accion, duracionMinutos, inicio, plataforma, nota } = req.body;
+
+            if ((accion === undefined) === (duracionMinutos === undefined)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Indica "accion" (start/stop) para cronometrar o "duracionMinutos" para registrar una sesión ya jugada, pero no ambos'
+                });
+            }
+
+            if (accion === 'stop') {
+                const sesion = await sesionesModelo.detener(req.user.id, id, { nota });
+                return res.status(200).json({ success: true, data: sesion, message: 'Sesión terminada' });
+            }
+
+            let sesion;
+            if (accion === 'start') {
+                sesion = await sesionesModelo.iniciar(req.user.id, id, { plataforma, nota });
+            } else {
+                if (inicio !== undefined) {
+                    const fecha = new Date(inicio);
+                    if (isNaN(fecha.getTime())) {
+                        return res.status(400).json({ success: false, message: 'El campo "inicio" debe ser una fecha válida', field: 'inicio' });
+                    }
+                    if (fecha.getTime() + duracionMinutos * 60000 > Date.now()) {
+                        return res.status(400).json({ success: false, message: 'La sesión no puede terminar en el futuro', field: 'inicio' });
+                    }
+                }
+                sesion = await sesionesModelo.registrar(req.user.id, id, { duracionMinutos, inicio, plataforma, nota });
+            }
+
+            if (!sesion) {
+                return res.status(404).json({ success: false, message: 'Juego no encontrado' });
+            }
+            return res.status(201).json({
+                success: true,
+                data: sesion,
+                message: accion === 'start' ? 'Sesión iniciada' : 'Sesión registrada'
+            });
+        } catch (error) {
+            if (error.name === 'SesionError') {
+                return res.status(error.status).json({ success: false, message: error.message });
+            }
+            console.error('Error en create sesiones controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al registrar la sesión', error: error.message });
+        }
+    }
+
+    /**
+     * Lista las sesiones del usuario autenticado en un juego, las más recientes primero
+     * @route GET /api/juegos/:id/sessions
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID del juego
+     * @param {number} req.query.page - Página a obtener (por defecto 1)
+     * @param {number} req.query.limit - Sesiones por página (por defecto 20, máximo 100)
+     * @param {string} req.query.cursor - Cursor devuelto en pagination.nextCursor (alternativa a page)
+     * @param {string} req.query.sort - inicio (por defecto, descendente) o duracion
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con la página de sesiones
+     */
+    async getAll(req, res) {
+        try {
+            let opciones;
+            try {
+                opciones = parseListQuery(
+                    { page: req.query.page, limit: req.query.limit, cursor: req.query.cursor, sort: req.query.sort ?? '-inicio' },
+                    ORDENES_SESIONES
+                );
+            } catch (error) {
+                if (error.name !== 'QueryParamError') throw error;
+                return res.status(400).json({ success: false, message: error.message, field: error.field });
+            }
+
+            const page = await sesionesModelo.getPage(req.user.id, req.params.id, opciones);
+            if (!page) {
+                return res.status(404).json({ success: false, message: 'Juego no encontrado' });
+            }
+
+            const { items, total, ultimo } = page;
+            const nextCursor = ultimo ? encodeCursor(ultimo.valor, ultimo.id) : null;
+            const { pagination, link } = buildPagination(req, opciones, total, nextCursor);
+
+            res.set('Link', link);
+            res.set('X-Total-Count', String(total));
+            return res.status(200).json({ success: true, data: items, pagination });
+        } catch (error) {
+            console.error('Error en getAll sesiones controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener las sesiones', error: error.message });
+        }
+    }
+
+    /**
+     * Elimina una sesión del usuario autenticado y recalcula sus horas jugadas
+     * @route DELETE /api/juegos/:id/sessions/:sessionId
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID del juego
+     * @param {string} req.params.sessionId - ID de la sesión
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON confirmando la eliminación o mensaje de error
+     */
+    async delete(req, res) {
+        try {
+            const ok = await sesionesModelo.delete(req.user.id, req.params.id, req.params.sessionId);
+            if (!ok) {
+                return res.status(404).json({ success: false, message: 'Sesión no encontrada' });
+            }
+            return res.status(200).json({ success: true, message: 'Sesión eliminada' });
+        } catch (error) {
+            console.error('Error en delete sesiones controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al eliminar la sesión', error: error.message });
+        }
+    }
+}
+
+// Exportar una instancia única del controlador (patrón Singleton)
+export default new sesionesController();
@@ -0,0 +1,100 @@
+// Importación de los modelos necesarios
+import juegosModelo from "../models/Juegos.js";
+import bibliotecaModelo from "../models/Biblioteca.js";
+import sesionesModelo from "../models/Sesiones.js";
+
+// Rango por defecto del informe de tiempo de juego
+const DIAS_PLAYTIME_POR_DEFECTO = 30;
+
+/**
+ * Interpreta un parámetro de fecha de la query
+ * @param {string} valor - Fecha recibida (ISO, p. ej. 2026-01-31)
+ * @returns {Date|null} - Fecha o null si no es válida
+ */
+const parseFecha = (valor) => {
+    const fecha = new Date(valor);
+    return isNaN(fecha.getTime()) ? null : fecha;
+};
+
+/**
+ * Controlador de Estadísticas - Agregados del catálogo completo y del tiempo de juego
+ */
+class statsController {
+    constructor() {}
+
+    /**
+     * Obtiene estadísticas de todo el catálogo
+     * @route GET /api/stats
+     * @param {Object} req - Objeto de petición Express
+     * @param {number} req.query.top - Tamaño de los rankings (por defecto 10, máximo 50)
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con totales, juegos por género/plataforma/año, mejor valorados y más jugados
+     */
+    async getCatalogo(req, res) {
+        try {
+            const top = req.query.top !== undefined ? Number(req.query.top) : 10;
+            if (!Number.isInteger(top) || top < 1 || top > 50) {
+                return res.status(400).json({ success: false, message: 'El parámetro "top" debe ser un entero entre 1 y 50', field: 'top' });
+            }
+
+            const [catalogo, masJugados] = await Promise.all([
+                juegosModelo.getEstadisticasCatalogo({ top }),
+                bibliotecaModelo.getMasJugados(top)
+            ]);
+
+            return res.status(200).json({ success: true, data: { ...catalogo, masJugados } });
+        } catch (error) {
+            console.error('Error en getCatalogo stats controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener las estadísticas', error: error.message });
+        }
+    }
+
+    /**
+     * Obtiene el tiempo de juego registrado en sesiones en un rango de fechas
+     * agrupado por día, semana ISO, mes, género y plataforma
+     * @route GET /api/stats/playtime
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.query.desde - Inicio del rango (ISO, por defecto hace 30 días)
+     * @param {string} req.query.hasta - Fin del rango, excluido (ISO, por defecto ahora)
+     * @param {string} req.query.mine - "true" para contar solo las sesiones propias (requiere sesión)
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con el total y los agrupados
+     */
+    async getPlaytime(req, res) {
+        try {
+            const hasta = req.query.hasta !== undefined ? parseFecha(req.query.hasta) : new Date();
+            if (!hasta) {
+                return res.status(400).json({ success: false, message: 'El parámetro "hasta" debe ser una fecha válida', field: 'hasta' });
+            }
+            const desde = req.query.desde !== undefined
+                ? parseFecha(req.query.desde)
+                : new Date(hasta.getTime() - DIAS_PLAYTIME_POR_DEFECTO * 24 * 60 * 60 * 1000);
+            if (!desde) {
+                return res.status(400).json({ success: false, message: 'El parámetro "desde" debe ser una fecha válida', field: 'desde' });
+            }
+            if (desde >= hasta) {
+                return res.status(400).json({ success: false, message: '"desde" debe ser anterior a "hasta"', field: 'desde' });
+            }
+
+            let usuarioId;
+            if (req.query.mine === 'true') {
+                if (!req.user) {
+                    return res.status(401).json({ success: false, message: 'Se requiere autenticación' });
+                }
+                usuarioId = req.user.id;
+            }
+
+            const playtime = await sesionesModelo.getPlaytime({ desde, hasta, usuarioId });
+            return res.status(200).json({
+                success: true,
+                data: { desde: desde.toISOString(), hasta: hasta.toISOString(), ...playtime }
+            });
+        } catch (error) {
+            console.error('Error en getPlaytime stats controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener el tiempo de juego', error: error.message });
+        }
+    }
+}
+
+// Exportar una instancia única del controlador (patrón Singleton)
+export default new statsController();
@@ -0,0 +1,115 @@
+// Importación del modelo de usuarios y utilidades necesarias
+import usuariosModelo from "../models/Usuarios.js";
+import { parseListQuery, buildPagination, encodeCursor, ORDENES_USUARIOS } from "../utils/paginacion.js";
+import { ROLES } from "../utils/permisos.js";
+
+/**
+ * Controlador de Usuarios - Consulta las cuentas y asigna sus roles
+ * Solo lo usan los administradores
+ */
+class usuariosController {
+    constructor() {}
+
+    /**
+     * Lista los usuarios (sin contraseñas ni sesiones)
+     * @route GET /api/users
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.query.rol - admin, editor o reviewer (opcional)
+     * @param {string} req.query.q - Texto a buscar en el nombre de usuario o el email (opcional)
+     * @param {number} req.query.page - Página a obtener (por defecto 1)
+     * @param {number} req.query.limit - Usuarios por página (por defecto 20, máximo 100)
+     * @param {string} req.query.cursor - Cursor devuelto en pagination.nextCursor (alternativa a page)
+     * @param {string} req.query.sort - fechaCreacion o nombreUsuario, con "-" para descendente (por defecto -fechaCreacion)
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con la página de usuarios
+     */
+    async getAll(req, res) {
+        try {
+            let opciones;
+            try {
+                opciones = parseListQuery(
+                    { page: req.query.page, limit: req.query.limit, cursor: req.query.cursor, sort: req.query.sort },
+                    ORDENES_USUARIOS
+                );
+            } catch (error) {
+                if (error.name !== 'QueryParamError') throw error;
+                return res.status(400).json({ success: false, message: error.message, field: error.field });
+            }
+
+            const { rol, q } = req.query;
+            if (rol !== undefined && !ROLES.includes(rol)) {
+                return res.status(400).json({ success: false, message: `El rol debe ser uno de: ${ROLES.join(', ')}`, field: 'rol' });
+            }
+            if (q !== undefined && (typeof q !== 'string' || q.length > 100)) {
+                return res.status(400).json({ success: false, message: 'La búsqueda debe ser un texto de hasta 100 caracteres', field: 'q' });
+            }
+
+            const { items, total, ultimo } = await usuariosModelo.getPage({ rol, q: q?.trim() }, opciones);
+            const nextCursor = ultimo ? encodeCursor(ultimo.valor, ultimo.id) : null;
+            const { pagination, link } = buildPagination(req, opciones, total, nextCursor);
+
+            res.set('Link', link);
+            res.set('X-Total-Count', String(total));
+            return res.status(200).json({ success: true, data: items, pagination });
+        } catch (error) {
+            console.error('Error en getAll usuarios controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener los usuarios', error: error.message });
+        }
+    }
+
+    /**
+     * Obtiene un usuario (sin contraseña ni sesiones)
+     * @route GET /api/users/:id
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID del usuario
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con el usuario o mensaje de error
+     */
+    async getOne(req, res) {
+        try {
+            const user = await usuariosModelo.getOne(req.params.id);
+            if (!user) {
+                return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
+            }
+            return res.status(200).json({ success: true, data: user });
+        } catch (error) {
+            console.error('Error en getOne usuarios controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener el usuario', error: error.message });
+        }
+    }
+
+    /**
+     * Asigna un rol a un usuario
+     * El usuario lo recibe al renovar su access token (POST /api/auth/refresh); no se puede dejar la API sin administradores
+     * @route PUT /api/users/:id/role
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID del usuario
+     * @param {Object} req.body - Datos validados contra rolSchema
+     * @param {string} req.body.rol - admin, editor o reviewer
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con el usuario actualizado o mensaje de error
+     */
+    async setRol(req, res) {
+        try {
+            const { rol } = req.body;
+            const updated = await usuariosModelo.setRol(req.params.id, rol, req.user);
+            if (!updated) {
+                return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
+            }
+            return res.status(200).json({
+                success: true,
+                data: updated,
+                message: `Rol ${rol} asignado; se aplicará cuando el usuario renueve su sesión`
+            });
+        } catch (error) {
+            if (error.name === 'UsuarioError') {
+                return res.status(error.status).json({ success: false, message: error.message });
+            }
+            console.error('Error en setRol usuarios controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al asignar el rol', error: error.message });
+        }
+    }
+}
+
+// Exportar una instancia única del controlador (patrón Singleton)
+export default new usuariosController();
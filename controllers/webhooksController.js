@@ -0,0 +1,230 @@
+// Importación de los modelos y utilidades necesarios
+import webhooksModelo, { ESTADOS_ENTREGA } from "../models/Webhooks.js";
+import { parseListQuery, buildPagination, encodeCursor, ORDENES_ENTREGAS } from "../utils/paginacion.js";
+import { TIPOS_EVENTO } from "../utils/eventos.js";
+
+/**
+ * Controlador de Webhooks - Registra URLs que reciben los eventos del catálogo y consulta sus entregas
+ * Solo lo usan los administradores
+ */
+class webhooksController {
+    constructor() {}
+
+    /**
+     * Lista los webhooks registrados (sin sus secretos)
+     * @route GET /api/webhooks
+     * @param {Object} req - Objeto de petición Express
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con los webhooks
+     */
+    async getAll(req, res) {
+        try {
+            const webhooks = await webhooksModelo.getAll();
+            return res.status(200).json({ success: true, data: webhooks });
+        } catch (error) {
+            console.error('Error en getAll webhooks controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener los webhooks', error: error.message });
+        }
+    }
+
+    /**
+     * Registra un webhook; la respuesta incluye el secreto de firma, que no se vuelve a mostrar
+     * @route POST /api/webhooks
+     * @param {Object} req - Objeto de petición Express
+     * @param {Object} req.body - Datos del webhook, validados contra webhookSchema
+     * @param {string} req.body.url - URL que recibirá las entregas (obligatoria)
+     * @param {Array<string>} req.body.eventos - Tipos de evento suscritos (obligatorio)
+     * @param {string} req.body.descripcion - Descripción (opcional)
+     * @param {boolean} req.body.activo - Si recibe entregas (por defecto true)
+     * @param {string} req.body.secreto - Secreto de firma (por defecto, se genera uno)
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con el webhook creado
+     */
+    async create(req, res) {
+        try {
+            const webhook = await webhooksModelo.create(req.user, req.body);
+            return res.status(201).json({
+                success: true,
+                data: webhook,
+                message: 'Webhook registrado; guarda el secreto, no se volverá a mostrar'
+            });
+        } catch (error) {
+            console.error('Error en create webhooks controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al registrar el webhook', error: error.message });
+        }
+    }
+
+    /**
+     * Obtiene un webhook (sin su secreto)
+     * @route GET /api/webhooks/:id
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID del webhook
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con el webhook o mensaje de error
+     */
+    async getOne(req, res) {
+        try {
+            const webhook = await webhooksModelo.getOne(req.params.id);
+            if (!webhook) {
+                return res.status(404).json({ success: false, message: 'Webhook no encontrado' });
+            }
+            return res.status(200).json({ success: true, data: webhook });
+        } catch (error) {
+            console.error('Error en getOne webhooks controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener el webhook', error: error.message });
+        }
+    }
+
+    /**
+     * Modifica un webhook; si se envía un secreto nuevo, la respuesta lo incluye
+     * @route PUT /api/webhooks/:id
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID del webhook
+     * @param {Object} req.body - Campos a modificar, validados contra webhookSchema en modo parcial
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con el webhook actualizado o mensaje de error
+     */
+    async update(req, res) {
+        try {
+            const webhook = await webhooksModelo.update(req.params.id, req.body);
+            if (!webhook) {
+                return res.status(404).json({ success: false, message: 'Webhook no encontrado' });
+            }
+            return res.status(200).json({ success: true, data: webhook, message: 'Webhook actualizado' });
+        } catch (error) {
+            console.error('Error en update webhooks controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al actualizar el webhook', error: error.message });
+        }
+    }
+
+    /**
+     * Elimina un webhook y su registro de entregas
+     * @route DELETE /api/webhooks/:id
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID del webhook
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON confirmando la eliminación o mensaje de error
+     */
+    async delete(req, res) {
+        try {
+            const ok = await webhooksModelo.delete(req.params.id);
+            if (!ok) {
+                return res.status(404).json({ success: false, message: 'Webhook no encontrado' });
+            }
+            return res.status(200).json({ success: true, message: 'Webhook eliminado' });
+        } catch (error) {
+            console.error('Error en delete webhooks controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al eliminar el webhook', error: error.message });
+        }
+    }
+
+    /**
+     * Envía al momento un evento de prueba (tipo webhook.test) firmado como los reales
+     * La entrega queda en el registro; si falla no se reintenta
+     * @route POST /api/webhooks/:id/test
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID del webhook
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con la entrega y el resultado del envío
+     */
+    async test(req, res) {
+        try {
+            const webhook = await webhooksModelo.getOne(req.params.id);
+            if (!webhook) {
+                return res.status(404).json({ success: false, message: 'Webhook no encontrado' });
+            }
+
+            const entrega = await webhooksModelo.entregar(await webhooksModelo.crearEntregaPrueba(webhook, req.user));
+            const entregada = entrega.estado === 'delivered';
+            return res.status(200).json({
+                success: entregada,
+                data: entrega,
+                message: entregada
+                    ? `Evento de prueba entregado (HTTP ${entrega.ultimoCodigo})`
+                    : `El receptor no aceptó el evento de prueba: ${entrega.ultimoError || `HTTP ${entrega.ultimoCodigo}`}`
+            });
+        } catch (error) {
+            console.error('Error en test webhooks controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al enviar el evento de prueba', error: error.message });
+        }
+    }
+
+    /**
+     * Obtiene el registro de entregas de un webhook, las más recientes primero
+     * @route GET /api/webhooks/:id/deliveries
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID del webhook
+     * @param {string} req.query.estado - pending, sending, delivered o failed (opcional)
+     * @param {string} req.query.tipo - Tipo de evento (opcional)
+     * @param {number} req.query.page - Página a obtener (por defecto 1)
+     * @param {number} req.query.limit - Entregas por página (por defecto 20, máximo 100)
+     * @param {string} req.query.cursor - Cursor devuelto en pagination.nextCursor (alternativa a page)
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta JSON con la página de entregas
+     */
+    async getEntregas(req, res) {
+        try {
+            let opciones;
+            try {
+                opciones = parseListQuery(
+                    { page: req.query.page, limit: req.query.limit, cursor: req.query.cursor, sort: '-fechaCreacion' },
+                    ORDENES_ENTREGAS
+                );
+            } catch (error) {
+                if (error.name !== 'QueryParamError') throw error;
+                return res.status(400).json({ success: false, message: error.message, field: error.field });
+            }
+
+            const { estado, tipo } = req.query;
+            if (estado !== undefined && !ESTADOS_ENTREGA.includes(estado)) {
+                return res.status(400).json({ success: false, message: `El estado debe ser uno de: ${ESTADOS_ENTREGA.join(', ')}`, field: 'estado' });
+            }
+            if (tipo !== undefined && ![...TIPOS_EVENTO, 'webhook.test'].includes(tipo)) {
+                return res.status(400).json({ success: false, message: `El tipo debe ser uno de: ${[...TIPOS_EVENTO, 'webhook.test'].join(', ')}`, field: 'tipo' });
+            }
+
+            const webhook = await webhooksModelo.getOne(req.params.id);
+            if (!webhook) {
+                return res.status(404).json({ success: false, message: 'Webhook no encontrado' });
+            }
+
+            const { items, total, ultimo } = await webhooksModelo.getEntregas(req.params.id, { estado, tipo }, opciones);
+            const nextCursor = ultimo ? encodeCursor(ultimo.valor, ultimo.id) : null;
+            const { pagination, link } = buildPagination(req, opciones, total, nextCursor);
+
+            res.set('Link', link);
+            res.set('X-Total-Count', String(total));
+            return res.status(200).json({ success: true, data: items, pagination });
+        } catch (error) {
+            console.error('Error en getEntregas webhooks controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al obtener las entregas', error: error.message });
+        }
+    }
+
+    /**
+     * Vuelve a encolar una entrega ya entregada o fallida
+     * @route POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+     * @param {Object} req - Objeto de petición Express
+     * @param {string} req.params.id - ID del webhook
+     * @param {string} req.params.deliveryId - ID de la entrega
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Object} - Respuesta 202 con la entrega en cola o mensaje de error
+     */
+    async reenviar(req, res) {
+        try {
+            const entrega = await webhooksModelo.reenviar(req.params.id, req.params.deliveryId);
+            if (!entrega) {
+                return res.status(404).json({ success: false, message: 'Entrega no encontrada o todavía en cola' });
+            }
+            // Se envía en segundo plano; el resultado queda en el registro de entregas
+            webhooksModelo.procesarCola().catch(error => console.error('Error al procesar la cola de webhooks:', error));
+            return res.status(202).json({ success: true, data: entrega, message: 'Entrega puesta de nuevo en cola' });
+        } catch (error) {
+            console.error('Error en reenviar webhooks controller:', error);
+            return res.status(500).json({ success: false, message: 'Error al reenviar la entrega', error: error.message });
+        }
+    }
+}
+
+// Exportar una instancia única del controlador (patrón Singleton)
+export default new webhooksController();
@@ -0,0 +1,64 @@
+// Carga por lotes para los resolvers de GraphQL
+// Cada petición crea sus propios cargadores: las claves pedidas durante un mismo tick
+// se resuelven con una sola consulta y los resultados se reutilizan hasta que termina la petición
+import juegosModelo from "../models/Juegos.js";
+import reseñasModelo from "../models/Resenas.js";
+
+/**
+ * Crea un cargador que agrupa las claves pedidas en el mismo tick
+ * @param {Function} cargarLote - async (claves) => Map de clave a valor
+ * @returns {Function} - (clave) => Promise con el valor de esa clave (null si no está en el mapa)
+ */
+export const crearCargador = (cargarLote) => {
+    const cache = new Map();
+    let pendientes = null;
+
+    const despachar = async (lote) => {
+        try {
+            const resultados = await cargarLote([...lote.keys()]);
+            for (const [clave, { resolve }] of lote) resolve(resultados.get(clave) ?? null);
+        } catch (error) {
+            for (const { reject } of lote.values()) reject(error);
+        }
+    };
+
+    return (clave) => {
+        if (cache.has(clave)) return cache.get(clave);
+        if (!pendientes) {
+            pendientes = new Map();
+            const lote = pendientes;
+            process.nextTick(() => {
+                pendientes = null;
+                despachar(lote);
+            });
+        }
+        const promesa = new Promise((resolve, reject) => pendientes.set(clave, { resolve, reject }));
+        cache.set(clave, promesa);
+        return promesa;
+    };
+};
+
+/**
+ * Crea los cargadores de una petición
+ * @returns {Object} - { juego(id), reseñas(opciones)(juegoId) }
+ */
+export const crearCargadores = () => {
+    const porOpciones = new Map();
+
+    return {
+        // Juegos por ID (p. ej. Review.game)
+        juego: crearCargador(async (ids) => {
+            const juegos = await juegosModelo.getMany(ids);
+            return new Map(juegos.map(game => [String(game._id), game]));
+        }),
+
+        // Primeras reseñas de cada juego; se crea un cargador por combinación de estados, límite y orden
+        reseñas: ({ estados, limit, sort }) => {
+            const clave = JSON.stringify([estados, limit, sort.campo, sort.direccion]);
+            if (!porOpciones.has(clave)) {
+                porOpciones.set(clave, crearCargador(ids => reseñasModelo.getByJuegos(ids, estados, { limit, sort })));
+            }
+            return porOpciones.get(clave);
+        }
+    };
+};
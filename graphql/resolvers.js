@@ -0,0 +1,294 @@
+// Resolvers del esquema GraphQL
+// Reutilizan los modelos, la validación y los filtros de la API REST, con los mismos permisos:
+// leer es público, escribir requiere autenticación y las reseñas no aprobadas solo las ven sus autores o los administradores
+import { GraphQLError } from 'graphql';
+import juegosModelo from "../models/Juegos.js";
+import reseñasModelo, { ESTADOS_RESEÑA } from "../models/Resenas.js";
+import bibliotecaModelo from "../models/Biblioteca.js";
+import { juegoSchema, reseñaSchema } from "../schemas/juegos.js";
+import { validar } from "../utils/validacion.js";
+import { buildSearchFilter } from "../utils/busqueda.js";
+import { parseListQuery, encodeCursor, ORDENES_RESEÑAS } from "../utils/paginacion.js";
+import { versionDe } from "../utils/concurrencia.js";
+import { PERMISOS, tienePermiso } from "../utils/permisos.js";
+
+// Máximo de reseñas por juego en Game.reviews
+const LIMITE_RESEÑAS = 50;
+
+// Nombres de los campos de entrada en GraphQL → campos del modelo
+const CAMPOS_JUEGO = {
+    title: 'titulo',
+    genres: 'genero',
+    platforms: 'plataforma',
+    releaseYear: 'añoLanzamiento',
+    developer: 'desarrollador',
+    coverUrl: 'imagenPortada',
+    description: 'descripcion'
+};
+const CAMPOS_RESEÑA = {
+    text: 'textoReseña',
+    rating: 'calificaciones',
+    hoursPlayed: 'horasJugadas',
+    difficulty: 'dificultad',
+    recommended: 'recomendaria'
+};
+const CAMPOS_FILTRO = {
+    q: 'q',
+    genres: 'genero',
+    genreMode: 'generoModo',
+    platforms: 'plataforma',
+    platformMode: 'plataformaModo',
+    yearMin: 'añoMin',
+    yearMax: 'añoMax',
+    hoursMin: 'horasMin',
+    hoursMax: 'horasMax',
+    completed: 'completado'
+};
+
+/**
+ * Crea un error de GraphQL con su código en extensions
+ * @param {string} message - Mensaje para el cliente
+ * @param {string} code - BAD_USER_INPUT, UNAUTHENTICATED, FORBIDDEN, NOT_FOUND, CONFLICT, PRECONDITION_FAILED o RATE_LIMITED
+ * @param {Object} extra - Datos adicionales (field, errors, candidatos...)
+ * @returns {GraphQLError} - Error listo para lanzar
+ */
+const errorGraphQL = (message, code, extra = {}) => new GraphQLError(message, { extensions: { code, ...extra } });
+
+/**
+ * Traduce los nombres de GraphQL a los del modelo, descartando los argumentos no enviados o nulos
+ * (salvo releaseYear, que admite null para borrar el año)
+ * @param {Object} entrada - Argumentos recibidos
+ * @param {Object} campos - Mapa nombre GraphQL → nombre del modelo
+ * @returns {Object} - Datos con los nombres del modelo
+ */
+const traducir = (entrada, campos) => Object.fromEntries(
+    Object.entries(entrada ?? {})
+        .filter(([campo, valor]) => valor !== undefined && (valor !== null || campo === 'releaseYear'))
+        .map(([campo, valor]) => [campos[campo], valor])
+);
+
+/**
+ * Valida una entrada contra un esquema declarativo como lo hace validarBody en REST
+ * @param {Object} schema - Esquema declarativo
+ * @param {Object} datos - Datos con los nombres del modelo
+ * @param {Object} opciones - Opciones de validar()
+ * @returns {Object} - Datos normalizados
+ * @throws {GraphQLError} - BAD_USER_INPUT con la lista de errores
+ */
+const validarEntrada = (schema, datos, opciones) => {
+    const { value, errors } = validar(schema, datos, opciones);
+    if (errors.length > 0) throw errorGraphQL('Datos no válidos', 'BAD_USER_INPUT', { errors });
+    return value;
+};
+
+/**
+ * Convierte el argumento version en la lista de versiones aceptadas, como leerIfMatch
+ * @param {number|null|undefined} version - Versión leída por el cliente
+ * @returns {Array<number>|undefined} - Versiones aceptadas o undefined si la escritura no es condicional
+ */
+const versiones = (version) => (version === undefined || version === null ? undefined : [version]);
+
+/**
+ * Exige un usuario autenticado y, si se indica, un permiso de su rol (ver utils/permisos.js)
+ * @param {Object} context - Contexto de la petición
+ * @param {string} permiso - Clave de PERMISOS (opcional)
+ * @returns {Object} - Usuario autenticado
+ * @throws {GraphQLError} - UNAUTHENTICATED si no hay token válido, FORBIDDEN si el rol no tiene el permiso
+ */
+const requerirUsuario = ({ user }, permiso) => {
+    if (!user) throw errorGraphQL('Se requiere autenticación', 'UNAUTHENTICATED');
+    if (permiso && !tienePermiso(user.rol, permiso)) {
+        throw errorGraphQL(`Tu rol (${user.rol}) no tiene permiso para esta acción`, 'FORBIDDEN', {
+            permiso,
+            rolesPermitidos: PERMISOS[permiso]
+        });
+    }
+    return user;
+};
+
+/**
+ * Convierte los errores de los modelos y utilidades en errores de GraphQL
+ * @param {Error} error - Error lanzado
+ * @throws {GraphQLError} - Error equivalente al código HTTP de la API REST, o el original si no se reconoce
+ */
+const traducirError = (error) => {
+    if (error.name === 'QueryParamError') throw errorGraphQL(error.message, 'BAD_USER_INPUT', { field: error.field });
+    if (error.name === 'PrecondicionError') throw errorGraphQL(error.message, 'PRECONDITION_FAILED', { versionActual: error.versionActual });
+    // Documento rechazado por el validador $jsonSchema de la colección
+    if (error.code === 121) throw errorGraphQL('El juego no cumple el esquema de la colección', 'BAD_USER_INPUT');
+    throw error;
+};
+
+/**
+ * Convierte los estados pedidos en Game.reviews a los del modelo, comprobando permisos
+ * @param {Array<string>} status - Estados en GraphQL (PENDING, APPROVED, REJECTED)
+ * @param {Object} user - Usuario autenticado (o undefined)
+ * @returns {Array<string>} - Estados del modelo
+ * @throws {GraphQLError} - FORBIDDEN si se piden estados no aprobados sin ser administrador
+ */
+const estadosReseña = (status, user) => {
+    const estados = status?.length ? [...new Set(status.map(s => s.toLowerCase()))] : ['approved'];
+    if (estados.some(e => e !== 'approved') && !tienePermiso(user?.rol, 'reseñas:moderar')) {
+        throw errorGraphQL('Solo los administradores pueden ver reseñas no aprobadas', 'FORBIDDEN');
+    }
+    return estados.sort((a, b) => ESTADOS_RESEÑA.indexOf(a) - ESTADOS_RESEÑA.indexOf(b));
+};
+
+const resolvers = {
+    Query: {
+        async games(_, { filter, page, limit, cursor, sort }, context) {
+            try {
+                const opciones = parseListQuery({ page: page ?? undefined, limit: limit ?? undefined, cursor: cursor ?? undefined, sort: sort ?? undefined });
+                const query = traducir(filter, CAMPOS_FILTRO);
+
+                // El filtro "completed" depende de la biblioteca del usuario
+                const contexto = {};
+                if (query.completado !== undefined) {
+                    const user = requerirUsuario(context);
+                    contexto.completados = await bibliotecaModelo.getJuegoIds(user.id, 'completed');
+                }
+
+                const { items, total, ultimo } = await juegosModelo.paginate(buildSearchFilter(query, contexto), opciones);
+                const nextCursor = ultimo ? encodeCursor(ultimo.valor, ultimo.id) : null;
+                return {
+                    items,
+                    total,
+                    page: opciones.page,
+                    limit: opciones.limit,
+                    hasNextPage: opciones.cursor ? nextCursor !== null : opciones.skip + items.length < total,
+                    nextCursor
+                };
+            } catch (error) {
+                traducirError(error);
+            }
+        },
+
+        async game(_, { id }, { cargadores }) {
+            return cargadores.juego(id);
+        },
+
+        async review(_, { gameId, id }, { user }) {
+            const reseña = await reseñasModelo.getOne(gameId, id);
+            // Las reseñas no aprobadas solo las ven su autor y los administradores
+            const visible = reseña && ((reseña.estado || 'approved') === 'approved'
+                || (user && (tienePermiso(user.rol, 'reseñas:moderar') || String(reseña.usuarioId) === String(user.id))));
+            return visible ? reseña : null;
+        }
+    },
+
+    Mutation: {
+        async createGame(_, { input, force }, context) {
+            requerirUsuario(context, 'juegos:crear');
+            const datos = validarEntrada(juegoSchema, traducir(input, CAMPOS_JUEGO));
+
+            if (!force) {
+                const candidatos = await juegosModelo.buscarDuplicados(datos);
+                if (candidatos.length > 0) {
+                    throw errorGraphQL('Ya existen juegos que parecen el mismo; usa force: true para crearlo igualmente o fusiónalos', 'CONFLICT', {
+                        candidatos: candidatos.map(c => ({ id: String(c._id), titulo: c.titulo, confianza: c.confianza, coincide: c.coincide }))
+                    });
+                }
+            }
+
+            try {
+                return await juegosModelo.create(datos, context.contexto);
+            } catch (error) {
+                traducirError(error);
+            }
+        },
+
+        async updateGame(_, { id, input, version }, context) {
+            requerirUsuario(context, 'juegos:editar');
+            const datos = validarEntrada(juegoSchema, traducir(input, CAMPOS_JUEGO), { parcial: true });
+            if (Object.keys(datos).length === 0) throw errorGraphQL('No hay campos que modificar', 'BAD_USER_INPUT');
+
+            try {
+                const updated = await juegosModelo.update(id, datos, context.contexto, { version: versiones(version) });
+                if (!updated) throw errorGraphQL('Juego no encontrado', 'NOT_FOUND');
+                return updated;
+            } catch (error) {
+                traducirError(error);
+            }
+        },
+
+        async deleteGame(_, { id, version }, context) {
+            requerirUsuario(context, 'juegos:eliminar');
+            try {
+                const ok = await juegosModelo.delete(id, context.contexto, { version: versiones(version) });
+                if (!ok) throw errorGraphQL('Juego no encontrado', 'NOT_FOUND');
+                return true;
+            } catch (error) {
+                traducirError(error);
+            }
+        },
+
+        async addReview(_, { gameId, input }, context) {
+            const user = requerirUsuario(context, 'reseñas:escribir');
+            const { permitido, segundosReinicio } = await context.limitar('reseñas');
+            if (!permitido) {
+                throw errorGraphQL(`Demasiadas reseñas; vuelve a intentarlo en ${segundosReinicio} segundos`, 'RATE_LIMITED', { retryAfter: segundosReinicio });
+            }
+            const datos = validarEntrada(reseñaSchema, traducir(input, CAMPOS_RESEÑA));
+
+            const reseña = await reseñasModelo.create(gameId, datos, user, context.contexto);
+            if (!reseña) throw errorGraphQL('Juego no encontrado', 'NOT_FOUND');
+            return reseña;
+        }
+    },
+
+    Game: {
+        id: (game) => String(game._id),
+        title: (game) => game.titulo,
+        genres: (game) => game.genero ?? [],
+        platforms: (game) => game.plataforma ?? [],
+        releaseYear: (game) => game.añoLanzamiento ?? null,
+        developer: (game) => game.desarrollador ?? null,
+        coverUrl: (game) => game.imagenPortada || null,
+        description: (game) => game.descripcion ?? null,
+        createdAt: (game) => game.fechaCreacion ?? null,
+        version: (game) => versionDe(game),
+        stats: (game) => game.estadisticas ?? {},
+
+        // Se agrupan en una sola consulta las reseñas de todos los juegos de la respuesta
+        async reviews(game, { status, limit, sort }, { user, cargadores }) {
+            if (!Number.isInteger(limit) || limit < 1 || limit > LIMITE_RESEÑAS) {
+                throw errorGraphQL(`El límite debe ser un entero entre 1 y ${LIMITE_RESEÑAS}`, 'BAD_USER_INPUT', { field: 'limit' });
+            }
+            const estados = estadosReseña(status, user);
+            try {
+                const { sort: orden } = parseListQuery({ sort }, ORDENES_RESEÑAS);
+                const resultado = await cargadores.reseñas({ estados, limit, sort: orden })(String(game._id));
+                return resultado ?? { items: [], total: 0 };
+            } catch (error) {
+                traducirError(error);
+            }
+        }
+    },
+
+    GameStats: {
+        reviewCount: (stats) => stats.totalReseñas ?? 0,
+        averageRating: (stats) => stats.calificacionPromedio ?? null,
+        recommendPercent: (stats) => stats.porcentajeRecomienda ?? null,
+        medianHours: (stats) => stats.horasMediana ?? null,
+        ratingHistogram: (stats) => Object.entries(stats.histograma ?? {}).map(([rating, count]) => ({ rating: Number(rating), count })),
+        difficulty: (stats) => Object.entries(stats.dificultad ?? {}).map(([difficulty, count]) => ({ difficulty, count }))
+    },
+
+    Review: {
+        id: (reseña) => String(reseña._id),
+        // Cargado por lotes: varias reseñas del mismo juego (o de varios) se resuelven con una consulta
+        game: (reseña, _, { cargadores }) => cargadores.juego(String(reseña.juegoId)),
+        authorId: (reseña) => reseña.usuarioId ? String(reseña.usuarioId) : null,
+        author: (reseña) => reseña.nombreUsuario ?? null,
+        text: (reseña) => reseña.textoReseña ?? '',
+        rating: (reseña) => reseña.calificaciones ?? null,
+        hoursPlayed: (reseña) => reseña.horasJugadas ?? null,
+        difficulty: (reseña) => reseña.dificultad ?? null,
+        recommended: (reseña) => reseña.recomendaria ?? null,
+        status: (reseña) => (reseña.estado || 'approved').toUpperCase(),
+        helpfulCount: (reseña) => reseña.totalUtiles ?? 0,
+        createdAt: (reseña) => reseña.fechaCreacion ?? null
+    }
+};
+
+export default resolvers;
@@ -0,0 +1,150 @@
+// Esquema GraphQL del catálogo, servido en /graphql junto a la API REST
+// Los nombres de GraphQL no admiten "ñ", así que los campos se exponen en inglés
+import { buildSchema } from 'graphql';
+import resolvers from './resolvers.js';
+
+const typeDefs = `
+    "Modo de combinar varios géneros o plataformas en un filtro"
+    enum MatchMode { AND OR }
+
+    "Estado de moderación de una reseña"
+    enum ReviewStatus { PENDING APPROVED REJECTED }
+
+    type RatingCount { rating: Int! count: Int! }
+
+    type DifficultyCount { difficulty: String! count: Int! }
+
+    "Estadísticas calculadas a partir de las reseñas aprobadas"
+    type GameStats {
+        reviewCount: Int!
+        averageRating: Float
+        recommendPercent: Float
+        medianHours: Float
+        ratingHistogram: [RatingCount!]!
+        difficulty: [DifficultyCount!]!
+    }
+
+    type Review {
+        id: ID!
+        game: Game
+        authorId: ID
+        author: String
+        text: String!
+        rating: Float
+        hoursPlayed: Float
+        difficulty: String
+        recommended: Boolean
+        status: ReviewStatus!
+        helpfulCount: Int!
+        createdAt: String
+    }
+
+    type ReviewList {
+        items: [Review!]!
+        total: Int!
+    }
+
+    type Game {
+        id: ID!
+        title: String!
+        genres: [String!]!
+        platforms: [String!]!
+        releaseYear: Int
+        developer: String
+        coverUrl: String
+        description: String
+        createdAt: String
+        version: Int!
+        stats: GameStats!
+        "Primeras reseñas del juego; los estados distintos de APPROVED solo los ven los administradores"
+        reviews(status: [ReviewStatus!], limit: Int = 10, sort: String = "-fechaCreacion"): ReviewList!
+    }
+
+    type GamePage {
+        items: [Game!]!
+        total: Int!
+        page: Int
+        limit: Int!
+        hasNextPage: Boolean!
+        nextCursor: String
+    }
+
+    "Filtros de búsqueda (los mismos que GET /api/juegos/search)"
+    input GameFilter {
+        q: String
+        genres: [String!]
+        genreMode: MatchMode
+        platforms: [String!]
+        platformMode: MatchMode
+        yearMin: Int
+        yearMax: Int
+        hoursMin: Float
+        hoursMax: Float
+        "Según la biblioteca del usuario autenticado"
+        completed: Boolean
+    }
+
+    input GameInput {
+        title: String!
+        genres: [String!]!
+        platforms: [String!]
+        releaseYear: Int
+        developer: String
+        coverUrl: String
+        description: String
+    }
+
+    input GameUpdateInput {
+        title: String
+        genres: [String!]
+        platforms: [String!]
+        releaseYear: Int
+        developer: String
+        coverUrl: String
+        description: String
+    }
+
+    input ReviewInput {
+        text: String!
+        rating: Float
+        hoursPlayed: Float
+        difficulty: String
+        recommended: Boolean
+    }
+
+    type Query {
+        "Página de juegos; sort acepta los mismos valores que ?sort= (title, -year, rating...)"
+        games(filter: GameFilter, page: Int, limit: Int, cursor: String, sort: String): GamePage!
+        game(id: ID!): Game
+        review(gameId: ID!, id: ID!): Review
+    }
+
+    type Mutation {
+        "Con force: true se crea aunque haya juegos que parezcan el mismo"
+        createGame(input: GameInput!, force: Boolean = false): Game!
+        "Modifica solo los campos enviados; version funciona como If-Match"
+        updateGame(id: ID!, input: GameUpdateInput!, version: Int): Game!
+        "Envía el juego a la papelera"
+        deleteGame(id: ID!, version: Int): Boolean!
+        addReview(gameId: ID!, input: ReviewInput!): Review!
+    }
+`;
+
+/**
+ * Construye el esquema ejecutable: el SDL con los resolvers de cada tipo asignados a sus campos
+ * @returns {GraphQLSchema} - Esquema listo para ejecutar
+ */
+const construirEsquema = () => {
+    const schema = buildSchema(typeDefs);
+    for (const [tipo, campos] of Object.entries(resolvers)) {
+        const fields = schema.getType(tipo).getFields();
+        for (const [campo, resolve] of Object.entries(campos)) {
+            if (!fields[campo]) throw new Error(`El resolver ${tipo}.${campo} no corresponde a ningún campo del esquema`);
+            fields[campo].resolve = resolve;
+        }
+    }
+    return schema;
+};
+
+// Instancia única del esquema (patrón Singleton)
+export default construirEsquema();
@@ -0,0 +1,95 @@
+// Middleware de autenticación basado en JWT
+import { verifyToken } from "../utils/tokens.js";
+import { PERMISOS, normalizarRol, tienePermiso } from "../utils/permisos.js";
+
+/**
+ * Extrae el token del header Authorization con formato "Bearer <token>"
+ * @param {Object} req - Objeto de petición Express
+ * @returns {string|null} - Token o null si no se envió
+ */
+const extraerToken = (req) => {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+};
+
+/**
+ * Exige un access token válido y deja los datos del usuario en req.user
+ * Responde 401 si el token falta, es inválido o expiró
+ */
+export const requireAuth = (req, res, next) => {
+    const token = extraerToken(req);
+    if (!token) {
+        return res.status(401).json({ success: false, message: 'Se requiere autenticación' });
+    }
+
+    try {
+        const payload = verifyToken(token, 'access');
+        req.user = { id: payload.sub, nombreUsuario: payload.nombreUsuario, rol: normalizarRol(payload.rol) };
+        return next();
+    } catch (error) {
+        const message = error.name === 'TokenExpiredError' ? 'El token ha expirado' : 'Token inválido';
+        return res.status(401).json({ success: false, message });
+    }
+};
+
+/**
+ * Igual que requireAuth pero sin exigir el token:
+ * si viene uno válido se rellena req.user, si no la petición continúa como anónima
+ */
+export const optionalAuth = (req, res, next) => {
+    const user = leerUsuario(req);
+    if (user) req.user = user;
+    return next();
+};
+
+/**
+ * Obtiene el usuario del access token de la petición sin exigirlo ni rellenar req.user
+ * @param {Object} req - Objeto de petición Express
+ * @returns {Object|null} - { id, nombreUsuario, rol } o null si no hay token válido
+ */
+export const leerUsuario = (req) => {
+    const token = extraerToken(req);
+    if (!token) return null;
+    try {
+        const payload = verifyToken(token, 'access');
+        return { id: payload.sub, nombreUsuario: payload.nombreUsuario, rol: normalizarRol(payload.rol) };
+    } catch (error) {
+        // Token inválido: se trata como petición anónima
+        return null;
+    }
+};
+
+/**
+ * Responde 403 con el formato común de la API
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {string} message - Motivo del rechazo
+ * @param {Object} detalles - Datos adicionales (permiso requerido, roles que lo tienen...)
+ * @returns {Object} - Respuesta 403 { success: false, message, ...detalles }
+ */
+export const responderProhibido = (res, message, detalles = {}) =>
+    res.status(403).json({ success: false, message, ...detalles });
+
+/**
+ * Crea un middleware que exige un permiso al usuario autenticado (ver utils/permisos.js)
+ * Debe usarse después de requireAuth; sin usuario responde 401 y sin el permiso, 403
+ * @param {string} permiso - Clave de PERMISOS (p. ej. 'juegos:eliminar')
+ * @returns {Function} - Middleware de Express
+ * @throws {Error} - Al declarar la ruta, si el permiso no existe
+ */
+export const requirePermiso = (permiso) => {
+    if (!PERMISOS[permiso]) throw new Error(`Permiso desconocido: ${permiso}`);
+
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ success: false, message: 'Se requiere autenticación' });
+        }
+        if (!tienePermiso(req.user.rol, permiso)) {
+            return responderProhibido(res, `Tu rol (${req.user.rol}) no tiene permiso para esta acción`, {
+                permiso,
+                rolesPermitidos: PERMISOS[permiso]
+            });
+        }
+        return next();
+    };
+};
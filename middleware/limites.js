@@ -0,0 +1,121 @@
+// Middleware de límites de uso: peticiones por ventana de tiempo y tamaño del cuerpo
+import almacenLimites, { LIMITES } from "../config/limites.js";
+import { leerUsuario } from "./auth.js";
+
+// Métodos que cuentan como lectura cuando no se indica el grupo
+const METODOS_LECTURA = ['GET', 'HEAD'];
+
+// Multiplicadores de las unidades aceptadas en los límites de cuerpo ("16kb", "1mb")
+const UNIDADES = { b: 1, kb: 1024, mb: 1024 * 1024 };
+
+/**
+ * Convierte un tamaño como "16kb" o "1mb" a bytes
+ * @param {number|string} tamaño - Bytes o texto con unidad
+ * @returns {number} - Bytes
+ * @throws {Error} - Si el formato no es válido (error de programación en una ruta)
+ */
+const aBytes = (tamaño) => {
+    if (typeof tamaño === 'number') return tamaño;
+    const match = /^(\d+)\s*(b|kb|mb)$/i.exec(String(tamaño).trim());
+    if (!match) throw new Error(`Tamaño de cuerpo no válido: ${tamaño}`);
+    return Number(match[1]) * UNIDADES[match[2].toLowerCase()];
+};
+
+/**
+ * Cuenta una petición en un grupo de límites y añade las cabeceras RateLimit-Limit, RateLimit-Remaining,
+ * RateLimit-Reset y RateLimit-Policy (si se aplican varios grupos, las del más cercano a agotarse)
+ * Los usuarios autenticados se cuentan por usuario y los anónimos por IP (ver LIMITES en config/limites.js).
+ * Si el almacén falla, la petición se permite
+ * @param {Object} req - Objeto de petición Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {string} nombre - lectura, escritura o reseñas
+ * @returns {Promise<Object>} - { permitido, segundosReinicio }
+ */
+export const consumirLimite = async (req, res, nombre) => {
+    const { ventanaMs, maxIp, maxUsuario } = LIMITES[nombre];
+    const user = req.user || leerUsuario(req);
+    const max = user ? maxUsuario : maxIp;
+    const clave = user ? `${nombre}:usuario:${user.id}` : `${nombre}:ip:${req.ip}`;
+
+    let contador;
+    try {
+        contador = await almacenLimites.incrementar(clave, ventanaMs);
+    } catch (error) {
+        console.warn('⚠️ No se pudo comprobar el límite de peticiones:', error.message);
+        return { permitido: true, segundosReinicio: 0 };
+    }
+
+    const restantes = Math.max(0, max - contador.total);
+    const segundosReinicio = Math.max(0, Math.ceil((contador.reinicio - Date.now()) / 1000));
+    const anteriores = res.get('RateLimit-Remaining');
+    if (anteriores === undefined || restantes <= Number(anteriores)) {
+        res.set({
+            'RateLimit-Limit': String(max),
+            'RateLimit-Remaining': String(restantes),
+            'RateLimit-Reset': String(segundosReinicio),
+            'RateLimit-Policy': `${max};w=${Math.ceil(ventanaMs / 1000)}`
+        });
+    }
+
+    const permitido = contador.total <= max;
+    if (!permitido) res.set('Retry-After', String(segundosReinicio));
+    return { permitido, segundosReinicio };
+};
+
+/**
+ * Crea un middleware que limita las peticiones de cada cliente en una ventana de tiempo (ver consumirLimite)
+ * Al superar el límite responde 429 con la cabecera Retry-After
+ * @param {string} grupo - lectura, escritura o reseñas (por defecto, según el método HTTP)
+ * @returns {Function} - Middleware de Express
+ * @throws {Error} - Al declarar la ruta, si el grupo no existe
+ */
+export const limitarPeticiones = (grupo) => {
+    if (grupo !== undefined && !LIMITES[grupo]) throw new Error(`Grupo de límites desconocido: ${grupo}`);
+
+    return async (req, res, next) => {
+        const nombre = grupo || (METODOS_LECTURA.includes(req.method) ? 'lectura' : 'escritura');
+        const { permitido, segundosReinicio } = await consumirLimite(req, res, nombre);
+        if (!permitido) {
+            return res.status(429).json({
+                success: false,
+                message: `Demasiadas peticiones; vuelve a intentarlo en ${segundosReinicio} segundos`,
+                retryAfter: segundosReinicio
+            });
+        }
+        return next();
+    };
+};
+
+/**
+ * Opción "verify" de los parsers de cuerpo: guarda en req.tamañoCuerpo los bytes recibidos
+ * para que limitarCuerpo pueda aplicar un límite menor que el del parser global
+ * @param {Object} req - Objeto de petición Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Buffer} buf - Cuerpo sin procesar
+ */
+export const registrarTamañoCuerpo = (req, res, buf) => {
+    req.tamañoCuerpo = buf.length;
+};
+
+/**
+ * Crea un middleware que rechaza con 413 los cuerpos mayores que el límite de la ruta
+ * El parser global acepta hasta su propio máximo; cada ruta fija aquí el tamaño que necesita
+ * @param {number|string} limite - Bytes o texto con unidad ("16kb", "1mb")
+ * @returns {Function} - Middleware de Express
+ * @throws {Error} - Al declarar la ruta, si el límite no es válido
+ */
+export const limitarCuerpo = (limite) => {
+    const bytes = aBytes(limite);
+
+    return (req, res, next) => {
+        const tamaño = req.tamañoCuerpo ?? Number(req.get('Content-Length') || 0);
+        if (tamaño > bytes) {
+            return res.status(413).json({
+                success: false,
+                message: `El cuerpo de la petición no puede superar ${limite}`,
+                limite: bytes
+            });
+        }
+        return next();
+    };
+};
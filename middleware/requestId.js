@@ -0,0 +1,26 @@
+// Identificador de petición para correlacionar logs y registros de auditoría
+import { randomUUID } from 'crypto';
+
+// Se acepta el ID que envíe un proxy o el cliente si tiene un formato razonable
+const REQUEST_ID_REGEX = /^[\w.-]{1,100}$/;
+
+/**
+ * Asigna req.id (de la cabecera X-Request-Id o uno nuevo) y lo devuelve en la respuesta
+ */
+export const requestId = (req, res, next) => {
+    const recibido = req.get('X-Request-Id');
+    req.id = recibido && REQUEST_ID_REGEX.test(recibido) ? recibido : randomUUID();
+    res.set('X-Request-Id', req.id);
+    return next();
+};
+
+/**
+ * Construye el contexto de auditoría de una petición: quién hace el cambio y desde qué petición
+ * @param {Object} req - Objeto de petición Express
+ * @returns {{ usuario: Object|null, requestId: string, origen: string }} - Contexto para los modelos
+ */
+export const contextoAuditoria = (req) => ({
+    usuario: req.user || null,
+    requestId: req.id || null,
+    origen: 'api'
+});
@@ -0,0 +1,68 @@
+// Middleware de subida de archivos (multipart/form-data)
+import multer from 'multer';
+import { TIPOS_PORTADA, TAMAÑO_MAXIMO_PORTADA } from "../utils/portadas.js";
+
+// El archivo se mantiene en memoria: se procesa y se guarda en el almacenamiento configurado
+const uploadPortada = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: TAMAÑO_MAXIMO_PORTADA, files: 1 },
+    fileFilter: (req, file, cb) => {
+        if (!TIPOS_PORTADA[file.mimetype]) {
+            const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+            error.message = `Tipo de archivo no admitido. Permitidos: ${Object.keys(TIPOS_PORTADA).join(', ')}`;
+            return cb(error);
+        }
+        return cb(null, true);
+    }
+}).single('cover');
+
+/**
+ * Recibe la portada en el campo "cover" y la deja en req.file
+ * Responde 413 si supera el tamaño máximo y 400 si falta o no es de un tipo admitido
+ */
+export const subirPortada = (req, res, next) => {
+    uploadPortada(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            if (error.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({
+                    success: false,
+                    message: `La imagen no puede superar ${Math.round(TAMAÑO_MAXIMO_PORTADA / 1024 / 1024)} MB`
+                });
+            }
+            return res.status(400).json({ success: false, message: error.message, field: 'cover' });
+        }
+        if (error) return next(error);
+
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: 'Envía la imagen en el campo "cover" (multipart/form-data)', field: 'cover' });
+        }
+        return next();
+    });
+};
+
+// Tamaño máximo del archivo de importación (IMPORT_MAX_SIZE_MB, por defecto 10 MB)
+export const TAMAÑO_MAXIMO_IMPORTACION = Number(process.env.IMPORT_MAX_SIZE_MB || 10) * 1024 * 1024;
+
+const uploadImportacion = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: TAMAÑO_MAXIMO_IMPORTACION, files: 1 }
+}).single('file');
+
+/**
+ * Recibe opcionalmente un archivo de importación en el campo "file" (multipart/form-data)
+ * Las peticiones que no son multipart pasan sin cambios (el cuerpo llega como JSON o text/csv)
+ */
+export const subirImportacion = (req, res, next) => {
+    uploadImportacion(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            if (error.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({
+                    success: false,
+                    message: `El archivo no puede superar ${Math.round(TAMAÑO_MAXIMO_IMPORTACION / 1024 / 1024)} MB`
+                });
+            }
+            return res.status(400).json({ success: false, message: error.message, field: 'file' });
+        }
+        return next(error);
+    });
+};
@@ -0,0 +1,30 @@
+// Middleware de validación del cuerpo de las peticiones
+import { validar } from "../utils/validacion.js";
+
+/**
+ * Crea un middleware que valida req.body contra un esquema declarativo
+ * Si hay errores responde 400 con la lista campo a campo; si no, sustituye
+ * req.body por los datos normalizados (tipos convertidos, valores por defecto)
+ * @param {Object} schema - Esquema de schemas/
+ * @param {Object} opciones - Opciones de validación
+ * @param {boolean} opciones.parcial - Actualización parcial (solo campos presentes, al menos uno)
+ * @returns {Function} - Middleware de Express
+ */
+export const validarBody = (schema, opciones = {}) => (req, res, next) => {
+    const { value, errors } = validar(schema, req.body || {}, opciones);
+
+    if (errors.length === 0 && opciones.parcial && Object.keys(value).length === 0) {
+        errors.push({ field: null, message: 'No se envió ningún campo para actualizar' });
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Error de validación',
+            errors
+        });
+    }
+
+    req.body = value;
+    return next();
+};
@@ -0,0 +1,48 @@
+// Normaliza genero y plataforma de los juegos antiguos a arrays de textos no vacíos
+// Antes se aceptaba un texto suelto ("Acción, Aventura") o un array con "" cuando faltaba el valor
+
+export const descripcion = 'Convertir genero/plataforma de texto a array y quitar valores vacíos';
+
+/**
+ * Expresión que convierte un campo de texto separado por comas en un array limpio
+ * @param {string} campo - Nombre del campo
+ * @returns {Object} - Expresión de agregación
+ */
+const aArray = (campo) => ({
+    $switch: {
+        branches: [
+            {
+                case: { $eq: [{ $type: `$${campo}` }, 'string'] },
+                then: { $map: { input: { $split: [`$${campo}`, ','] }, in: { $trim: { input: '$$this' } } } }
+            },
+            { case: { $isArray: `$${campo}` }, then: `$${campo}` }
+        ],
+        // Ausente o nulo
+        default: []
+    }
+});
+
+/**
+ * Quita los elementos vacíos o que no son texto de un array
+ * @param {Object} array - Expresión que produce el array
+ * @returns {Object} - Expresión de agregación
+ */
+const sinVacios = (array) => ({
+    $filter: { input: array, cond: { $and: [{ $eq: [{ $type: '$$this' }, 'string'] }, { $ne: [{ $trim: { input: '$$this' } }, ''] }] } }
+});
+
+export async function up(db) {
+    await db.collection('games').updateMany(
+        {
+            $or: [
+                { genero: { $not: { $type: 'array' } } },
+                { plataforma: { $not: { $type: 'array' } } },
+                { genero: { $in: ['', null] } },
+                { plataforma: { $in: ['', null] } }
+            ]
+        },
+        [{ $set: { genero: sinVacios(aArray('genero')), plataforma: sinVacios(aArray('plataforma')) } }]
+    );
+}
+
+// Sin down(): los arrays son la forma válida del esquema y no se guarda el texto original
@@ -0,0 +1,38 @@
+// Convierte a número los años y horas guardados como texto ("2017", "35.5")
+// Los valores que no son numéricos quedan a null
+
+export const descripcion = 'Convertir añoLanzamiento y horasJugadas de texto a número';
+
+/**
+ * Convierte a número un campo de texto de los documentos que lo tengan como texto
+ * @param {Collection} col - Colección
+ * @param {string} campo - Campo a convertir
+ * @param {string} tipo - 'int' o 'double'
+ * @returns {Promise<void>}
+ */
+const convertir = async (col, campo, tipo) => {
+    await col.updateMany(
+        { [campo]: { $type: 'string' } },
+        [{
+            $set: {
+                [campo]: {
+                    $cond: [
+                        { $eq: [{ $trim: { input: `$${campo}` } }, ''] },
+                        null,
+                        { $convert: { input: { $trim: { input: `$${campo}` } }, to: tipo, onError: null, onNull: null } }
+                    ]
+                }
+            }
+        }]
+    );
+};
+
+export async function up(db) {
+    await convertir(db.collection('games'), 'añoLanzamiento', 'int');
+    // Progreso heredado del catálogo (antes de /api/me/library), en la biblioteca y en las reseñas
+    await convertir(db.collection('games'), 'horasJugadas', 'double');
+    await convertir(db.collection('library'), 'horasJugadas', 'double');
+    await convertir(db.collection('reviews'), 'horasJugadas', 'double');
+}
+
+// Sin down(): no se guarda el texto original
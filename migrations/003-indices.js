@@ -0,0 +1,52 @@
+// Crea los índices de los que dependen los listados, la búsqueda y las relaciones entre colecciones
+// Los de users, library y reviews coinciden con los ensureIndexes() de cada modelo
+
+export const descripcion = 'Crear los índices de games, users, library y reviews';
+
+// Índices del catálogo (solo estos se eliminan al revertir: el resto los recrean los modelos al arrancar)
+const INDICES_JUEGOS = [
+    { key: { fechaCreacion: -1 }, name: 'fechaCreacion_-1' },
+    { key: { titulo: 1 }, name: 'titulo_1' },
+    { key: { genero: 1 }, name: 'genero_1' },
+    { key: { plataforma: 1 }, name: 'plataforma_1' },
+    { key: { añoLanzamiento: 1 }, name: 'añoLanzamiento_1' },
+    { key: { 'estadisticas.calificacionPromedio': -1 }, name: 'estadisticas.calificacionPromedio_-1' },
+    { key: { 'estadisticas.horasMediana': 1 }, name: 'estadisticas.horasMediana_1' }
+];
+
+const INDICES_MODELOS = {
+    users: [
+        { key: { email: 1 }, unique: true },
+        { key: { nombreUsuario: 1 }, unique: true }
+    ],
+    library: [
+        { key: { usuarioId: 1, juegoId: 1 }, unique: true },
+        { key: { usuarioId: 1, estado: 1 } }
+    ],
+    reviews: [
+        { key: { juegoId: 1, estado: 1, fechaCreacion: -1 } },
+        { key: { juegoId: 1, estado: 1, calificaciones: -1 } },
+        { key: { juegoId: 1, estado: 1, totalUtiles: -1 } },
+        { key: { estado: 1, fechaCreacion: 1 } },
+        { key: { usuarioId: 1 } }
+    ]
+};
+
+export async function up(db) {
+    await db.collection('games').createIndexes(INDICES_JUEGOS);
+    for (const [coleccion, indices] of Object.entries(INDICES_MODELOS)) {
+        await db.collection(coleccion).createIndexes(indices);
+    }
+}
+
+export async function down(db) {
+    const games = db.collection('games');
+    for (const { name } of INDICES_JUEGOS) {
+        try {
+            await games.dropIndex(name);
+        } catch (error) {
+            // 27: IndexNotFound, ya se había eliminado
+            if (error.code !== 27) throw error;
+        }
+    }
+}
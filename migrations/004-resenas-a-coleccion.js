@@ -0,0 +1,11 @@
+// Mueve las reseñas embebidas en games.reseñas a la colección "reviews" (antes npm run migrate:reviews)
+import reseñasModelo from '../models/Resenas.js';
+
+export const descripcion = 'Mover las reseñas embebidas a la colección reviews';
+
+export async function up(db, { log }) {
+    const { juegos, reseñas } = await reseñasModelo.migrarDesdeJuegos();
+    log(`   ${reseñas} reseñas movidas desde ${juegos} juegos`);
+}
+
+// Sin down(): las estadísticas de los juegos ya se calculan desde la colección reviews
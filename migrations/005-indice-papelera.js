@@ -0,0 +1,18 @@
+// Índice para listar la papelera y purgar los juegos que superan el periodo de retención
+
+export const descripcion = 'Crear el índice de games.eliminado.fecha para la papelera';
+
+const NOMBRE = 'eliminado.fecha_1';
+
+export async function up(db) {
+    await db.collection('games').createIndex({ 'eliminado.fecha': 1 }, { name: NOMBRE, sparse: true });
+}
+
+export async function down(db) {
+    try {
+        await db.collection('games').dropIndex(NOMBRE);
+    } catch (error) {
+        // 27: IndexNotFound, ya se había eliminado
+        if (error.code !== 27) throw error;
+    }
+}
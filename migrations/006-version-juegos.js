@@ -0,0 +1,12 @@
+// Inicializa la versión de los juegos creados antes del control de concurrencia optimista
+// (mientras no se aplique, esos juegos se tratan como versión 0, ver utils/concurrencia.js)
+
+export const descripcion = 'Añadir games.version a los juegos que no la tienen';
+
+export async function up(db) {
+    await db.collection('games').updateMany({ version: { $exists: false } }, { $set: { version: 1 } });
+}
+
+export async function down(db) {
+    await db.collection('games').updateMany({}, { $unset: { version: "" } });
+}
@@ -0,0 +1,14 @@
+// Convierte las horas jugadas guardadas a mano en la biblioteca en sesiones de juego,
+// para que horasJugadas pase a ser la suma de las sesiones sin perder lo ya registrado
+import sesionesModelo from '../models/Sesiones.js';
+
+export const descripcion = 'Crear una sesión por cada entrada de biblioteca con horas jugadas';
+
+export async function up(db, { log }) {
+    const creadas = await sesionesModelo.migrarDesdeBiblioteca();
+    log(`   ${creadas} sesiones creadas desde la biblioteca`);
+}
+
+export async function down(db) {
+    await db.collection('sessions').deleteMany({ migrada: true });
+}
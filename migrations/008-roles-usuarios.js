@@ -0,0 +1,16 @@
+// Pasa las cuentas anteriores a los roles (rol "user" o sin rol) al rol reviewer
+// (mientras no se aplique, esas cuentas se tratan como reviewer, ver normalizarRol en utils/permisos.js)
+
+export const descripcion = 'Asignar el rol reviewer a los usuarios con rol "user" o sin rol';
+
+export async function up(db, { log }) {
+    const { modifiedCount } = await db.collection('users').updateMany(
+        { $or: [{ rol: 'user' }, { rol: { $exists: false } }] },
+        { $set: { rol: 'reviewer' } }
+    );
+    log(`   ${modifiedCount} usuarios pasados a reviewer`);
+}
+
+export async function down(db) {
+    await db.collection('users').updateMany({ rol: 'reviewer' }, { $set: { rol: 'user' } });
+}
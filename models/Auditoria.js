@@ -0,0 +1,149 @@
+// Importaciones necesarias para el modelo de auditoría
+import dbClient from "../config/dbClient.js";
+import { ObjectId } from 'mongodb';
+import { paginarColeccion } from "../utils/paginacion.js";
+
+// Acciones que se registran sobre los juegos y sus reseñas
+export const ACCIONES_AUDITORIA = [
+    'create', 'update', 'delete', 'restore', 'purge', 'revert', 'enrich', 'merge',
+    'cover.upload', 'cover.delete',
+    'review.create', 'review.update', 'review.delete', 'review.moderate'
+];
+
+// Campos del juego que se guardan en cada revisión y que se pueden revertir
+export const CAMPOS_REVERTIBLES = ['titulo', 'genero', 'plataforma', 'añoLanzamiento', 'desarrollador', 'imagenPortada', 'descripcion', 'idsExternos'];
+
+// Campos derivados o internos que no aparecen en el diff
+const CAMPOS_SIN_DIFF = ['_id', 'estadisticas', 'utiles', 'totalUtiles', 'version'];
+
+/**
+ * Calcula los cambios campo a campo entre dos versiones de un documento
+ * @param {Object|null} antes - Documento antes de la acción
+ * @param {Object|null} despues - Documento después de la acción
+ * @returns {Array<Object>} - Lista de { campo, antes, despues } (null si el campo no existía)
+ */
+const calcularCambios = (antes, despues) => {
+    const campos = new Set([...Object.keys(antes || {}), ...Object.keys(despues || {})]);
+    const cambios = [];
+    for (const campo of campos) {
+        if (CAMPOS_SIN_DIFF.includes(campo)) continue;
+        const a = antes?.[campo] ?? null;
+        const d = despues?.[campo] ?? null;
+        if (JSON.stringify(a) !== JSON.stringify(d)) cambios.push({ campo, antes: a, despues: d });
+    }
+    return cambios;
+};
+
+/**
+ * Modelo de Auditoría - Registra cada cambio sobre los juegos en la colección "audit_log"
+ * Cada revisión guarda quién hizo el cambio, cuándo, desde qué petición, el diff
+ * campo a campo y el estado del juego resultante (para poder revertirlo)
+ */
+class AuditoriaModelo {
+    constructor() {
+        // Nombre de la colección en MongoDB
+        this.colName = "audit_log";
+    }
+
+    /**
+     * Obtiene la colección de auditoría de la base de datos
+     * @returns {Collection} - Colección de MongoDB para el registro de auditoría
+     * @throws {Error} - Si la base de datos no está inicializada
+     */
+    _col() {
+        if (!dbClient.db) throw new Error('Database not initialized. Call connectarDB() first.');
+        return dbClient.db.collection(this.colName);
+    }
+
+    /**
+     * Crea los índices del historial por juego y por usuario
+     * @returns {Promise<void>}
+     */
+    async ensureIndexes() {
+        const col = this._col();
+        await col.createIndex({ juegoId: 1, fecha: -1 });
+        await col.createIndex({ usuarioId: 1, fecha: -1 });
+    }
+
+    /**
+     * Registra una acción sobre un juego o una de sus reseñas
+     * @param {Object} datos - Datos de la revisión
+     * @param {string} datos.accion - Una de ACCIONES_AUDITORIA
+     * @param {string|ObjectId} datos.juegoId - ID del juego afectado
+     * @param {string|ObjectId} datos.reseñaId - ID de la reseña afectada (acciones review.*)
+     * @param {Object|null} datos.antes - Documento antes de la acción (null al crear)
+     * @param {Object|null} datos.despues - Documento después de la acción (null al purgar o borrar una reseña)
+     * @param {Object} datos.contexto - Quién y desde dónde (ver contextoAuditoria en middleware/requestId.js)
+     * @param {Object} datos.extra - Datos adicionales de la acción (p. ej. la revisión revertida)
+     * @returns {Promise<void>}
+     */
+    async registrar({ accion, juegoId, reseñaId = null, antes = null, despues = null, contexto = {}, extra = {} }) {
+        try {
+            const esJuego = !accion.startsWith('review.');
+            // Estado completo del juego tras la acción, para poder volver a él
+            const estado = esJuego && despues
+                ? Object.fromEntries(CAMPOS_REVERTIBLES.filter(c => despues[c] !== undefined).map(c => [c, despues[c]]))
+                : null;
+
+            await this._col().insertOne({
+                juegoId: new ObjectId(juegoId),
+                reseñaId: reseñaId ? new ObjectId(reseñaId) : null,
+                accion,
+                usuarioId: contexto.usuario?.id ? new ObjectId(contexto.usuario.id) : null,
+                nombreUsuario: contexto.usuario?.nombreUsuario || null,
+                origen: contexto.origen || 'api',
+                requestId: contexto.requestId || null,
+                fecha: new Date().toISOString(),
+                cambios: calcularCambios(antes, despues),
+                estado,
+                ...extra
+            });
+        } catch (error) {
+            // Un fallo de auditoría no debe deshacer un cambio ya guardado
+            console.error('Error al registrar auditoría:', error);
+        }
+    }
+
+    /**
+     * Obtiene una página del historial de un juego, las revisiones más recientes primero
+     * @param {string} juegoId - ID del juego
+     * @param {Object} opciones - Opciones del listado (ver parseListQuery en utils/paginacion.js)
+     * @returns {Object|null} - { items, total, ultimo } o null si el ID no es válido
+     */
+    async getHistorial(juegoId, opciones) {
+        try {
+            if (!ObjectId.isValid(juegoId)) {
+                console.error('Formato de ObjectId inválido:', juegoId);
+                return null;
+            }
+
+            return await paginarColeccion(this._col(), { juegoId: new ObjectId(juegoId) }, opciones);
+        } catch (error) {
+            console.error('Error al obtener el historial:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Obtiene una revisión concreta del historial de un juego
+     * @param {string} juegoId - ID del juego
+     * @param {string} revisionId - ID de la revisión
+     * @returns {Object|null} - Revisión o null si no existe
+     */
+    async getRevision(juegoId, revisionId) {
+        try {
+            if (!ObjectId.isValid(juegoId) || !ObjectId.isValid(revisionId)) {
+                console.error('Formato de ObjectId inválido:', juegoId, revisionId);
+                return null;
+            }
+
+            return await this._col().findOne({ _id: new ObjectId(revisionId), juegoId: new ObjectId(juegoId) });
+        } catch (error) {
+            console.error('Error al obtener la revisión:', error);
+            throw error;
+        }
+    }
+}
+
+// Exportar una instancia única del modelo (patrón Singleton)
+export default new AuditoriaModelo();
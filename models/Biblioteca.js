@@ -0,0 +1,367 @@
+// Importaciones necesarias para el modelo de biblioteca personal
+import dbClient from "../config/dbClient.js";
+import { ObjectId } from 'mongodb';
+import { NO_ELIMINADO } from "../utils/papelera.js";
+import { cacheRecomendaciones } from "../utils/cache.js";
+
+// Estados posibles de un juego dentro de la biblioteca de un usuario
+export const ESTADOS_BIBLIOTECA = ['wishlist', 'playing', 'completed', 'dropped'];
+
+/**
+ * Modelo de Biblioteca - Maneja la biblioteca personal de cada usuario
+ * Cada entrada relaciona un usuario con un juego del catálogo y guarda
+ * su progreso personal (estado, horas, fechas y notas)
+ * Las horas jugadas se derivan de las sesiones de juego (ver Sesiones.js)
+ */
+class BibliotecaModelo {
+    constructor() {
+        // Nombre de la colección en MongoDB
+        this.colName = "library";
+    }
+
+    /**
+     * Obtiene la colección de la biblioteca de la base de datos
+     * @returns {Collection} - Colección de MongoDB para entradas de biblioteca
+     * @throws {Error} - Si la base de datos no está inicializada
+     */
+    _col() {
+        if (!dbClient.db) throw new Error('Database not initialized. Call connectarDB() first.');
+        return dbClient.db.collection(this.colName);
+    }
+
+    /**
+     * Crea los índices necesarios para la colección de biblioteca
+     * Un usuario solo puede tener cada juego una vez en su biblioteca
+     * @returns {Promise<void>}
+     */
+    async ensureIndexes() {
+        const col = this._col();
+        await col.createIndex({ usuarioId: 1, juegoId: 1 }, { unique: true });
+        await col.createIndex({ usuarioId: 1, estado: 1 });
+    }
+
+    /**
+     * Pipeline que adjunta los metadatos del catálogo a cada entrada
+     * Las reseñas se excluyen para no inflar la respuesta y se ocultan los juegos de la papelera
+     * @returns {Array} - Etapas de agregación
+     * @private
+     */
+    _lookupJuego() {
+        return [
+            {
+                $lookup: {
+                    from: "games",
+                    localField: "juegoId",
+                    foreignField: "_id",
+                    as: "juego",
+                    pipeline: [{ $project: { reseñas: 0 } }]
+                }
+            },
+            { $unwind: { path: "$juego", preserveNullAndEmptyArrays: true } },
+            { $match: { "juego.eliminado": { $exists: false } } }
+        ];
+    }
+
+    /**
+     * Obtiene la biblioteca de un usuario con los datos de cada juego
+     * @param {string} usuarioId - ID del usuario
+     * @param {Object} filtro - Filtro opcional
+     * @param {string} filtro.estado - Filtrar por estado
+     * @returns {Array} - Entradas de la biblioteca, las más recientes primero
+     */
+    async getAll(usuarioId, filtro = {}) {
+        try {
+            const col = this._col();
+            const match = { usuarioId: new ObjectId(usuarioId) };
+            if (filtro.estado) match.estado = filtro.estado;
+
+            return await col.aggregate([
+                { $match: match },
+                { $sort: { fechaActualizacion: -1 } },
+                ...this._lookupJuego()
+            ]).toArray();
+        } catch (error) {
+            console.error('Error al obtener la biblioteca:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Obtiene los IDs de los juegos de un usuario con un estado concreto
+     * @param {string} usuarioId - ID del usuario
+     * @param {string} estado - Estado buscado
+     * @returns {Array<ObjectId>} - IDs de juegos del catálogo
+     */
+    async getJuegoIds(usuarioId, estado) {
+        try {
+            const col = this._col();
+            const entradas = await col.find(
+                { usuarioId: new ObjectId(usuarioId), estado },
+                { projection: { juegoId: 1 } }
+            ).toArray();
+            return entradas.map(e => e.juegoId);
+        } catch (error) {
+            console.error('Error al obtener juegos de la biblioteca:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Obtiene una entrada concreta de la biblioteca de un usuario
+     * @param {string} usuarioId - ID del usuario
+     * @param {string} juegoId - ID del juego del catálogo
+     * @returns {Object|null} - Entrada con los datos del juego o null si no existe
+     */
+    async getOne(usuarioId, juegoId) {
+        try {
+            if (!ObjectId.isValid(juegoId)) {
+                console.error('Formato de ObjectId inválido:', juegoId);
+                return null;
+            }
+
+            const col = this._col();
+            const [entrada] = await col.aggregate([
+                { $match: { usuarioId: new ObjectId(usuarioId), juegoId: new ObjectId(juegoId) } },
+                ...this._lookupJuego()
+            ]).toArray();
+            return entrada || null;
+        } catch (error) {
+            console.error('Error al obtener la entrada de biblioteca:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Añade un juego del catálogo a la biblioteca de un usuario
+     * @param {string} usuarioId - ID del usuario
+     * @param {Object} data - Datos de la entrada (ya validados)
+     * @param {string} data.juegoId - ID del juego del catálogo
+     * @param {string} data.estado - Estado (wishlist, playing, completed, dropped)
+     * @param {number} data.horasJugadas - Horas jugadas (suma de sus sesiones de juego)
+     * @param {string} data.fechaInicio - Fecha en que empezó a jugar (ISO)
+     * @param {string} data.fechaFin - Fecha en que terminó o abandonó (ISO)
+     * @param {string} data.notas - Notas personales
+     * @returns {Object} - Entrada creada
+     */
+    async add(usuarioId, data) {
+        try {
+            const col = this._col();
+            const now = new Date().toISOString();
+            const entrada = {
+                usuarioId: new ObjectId(usuarioId),
+                juegoId: new ObjectId(data.juegoId),
+                estado: data.estado || 'wishlist',
+                horasJugadas: data.horasJugadas || 0,
+                fechaInicio: data.fechaInicio || null,
+                fechaFin: data.fechaFin || null,
+                notas: data.notas || "",
+                fechaCreacion: now,
+                fechaActualizacion: now
+            };
+
+            const result = await col.insertOne(entrada);
+            cacheRecomendaciones.invalidar(`usuario:${usuarioId}`);
+            return { ...entrada, _id: result.insertedId };
+        } catch (error) {
+            console.error('Error al añadir juego a la biblioteca:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Actualiza parcialmente una entrada de la biblioteca
+     * @param {string} usuarioId - ID del usuario
+     * @param {string} juegoId - ID del juego del catálogo
+     * @param {Object} data - Campos a actualizar (ya validados)
+     * @returns {Object|null} - Entrada actualizada o null si no existe
+     */
+    async update(usuarioId, juegoId, data) {
+        try {
+            if (!ObjectId.isValid(juegoId)) {
+                console.error('Formato de ObjectId inválido:', juegoId);
+                return null;
+            }
+
+            const col = this._col();
+            const { _id, usuarioId: _u, juegoId: _j, fechaCreacion, ...campos } = data;
+            const updated = await col.findOneAndUpdate(
+                { usuarioId: new ObjectId(usuarioId), juegoId: new ObjectId(juegoId) },
+                { $set: { ...campos, fechaActualizacion: new Date().toISOString() } },
+                { returnDocument: 'after' }
+            );
+            // El estado de las entradas decide qué juegos sirven de señal y cuáles se excluyen
+            cacheRecomendaciones.invalidar(`usuario:${usuarioId}`);
+            return updated;
+        } catch (error) {
+            console.error('Error al actualizar la entrada de biblioteca:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Guarda las horas jugadas de una entrada, calculadas a partir de las sesiones de juego
+     * Solo se actualiza una entrada existente, salvo con "añadir": un juego que el usuario quitó
+     * de su biblioteca no vuelve a aparecer al borrar o detener una de sus sesiones antiguas
+     * @param {string|ObjectId} usuarioId - ID del usuario
+     * @param {string|ObjectId} juegoId - ID del juego del catálogo
+     * @param {number} horas - Horas jugadas
+     * @param {Object} opciones - Opciones
+     * @param {boolean} opciones.añadir - Añadir el juego como "playing" si no está en la biblioteca (al registrar una sesión nueva)
+     * @returns {Promise<void>}
+     */
+    async setHorasJugadas(usuarioId, juegoId, horas, { añadir = false } = {}) {
+        try {
+            const now = new Date().toISOString();
+            const update = { $set: { horasJugadas: horas, fechaActualizacion: now } };
+            if (añadir) update.$setOnInsert = { estado: 'playing', fechaInicio: now, fechaFin: null, notas: "", fechaCreacion: now };
+            await this._col().updateOne(
+                { usuarioId: new ObjectId(usuarioId), juegoId: new ObjectId(juegoId) },
+                update,
+                { upsert: añadir }
+            );
+        } catch (error) {
+            console.error('Error al guardar las horas jugadas:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Quita un juego de la biblioteca de un usuario
+     * @param {string} usuarioId - ID del usuario
+     * @param {string} juegoId - ID del juego del catálogo
+     * @returns {boolean} - true si se eliminó, false si no existía
+     */
+    async remove(usuarioId, juegoId) {
+        try {
+            if (!ObjectId.isValid(juegoId)) {
+                console.error('Formato de ObjectId inválido:', juegoId);
+                return false;
+            }
+
+            const col = this._col();
+            const result = await col.deleteOne({ usuarioId: new ObjectId(usuarioId), juegoId: new ObjectId(juegoId) });
+            cacheRecomendaciones.invalidar(`usuario:${usuarioId}`);
+            return result.deletedCount === 1;
+        } catch (error) {
+            console.error('Error al quitar juego de la biblioteca:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Elimina un juego de todas las bibliotecas (al purgarlo del catálogo)
+     * @param {string} juegoId - ID del juego
+     * @returns {number} - Número de entradas eliminadas
+     */
+    async deleteByJuego(juegoId) {
+        try {
+            const result = await this._col().deleteMany({ juegoId: new ObjectId(juegoId) });
+            return result.deletedCount;
+        } catch (error) {
+            console.error('Error al eliminar el juego de las bibliotecas:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Pasa las entradas de un juego a otro (al fusionar juegos duplicados)
+     * Si el usuario ya tenía el juego destino, se conserva esa entrada y se descarta la del origen
+     * @param {string} origenId - ID del juego cuyas entradas se mueven
+     * @param {string} destinoId - ID del juego que las recibe
+     * @returns {number} - Número de entradas movidas
+     */
+    async moverAJuego(origenId, destinoId) {
+        try {
+            const col = this._col();
+            const origen = new ObjectId(origenId);
+            const destino = new ObjectId(destinoId);
+            const conDestino = await col.distinct("usuarioId", { juegoId: destino });
+
+            await col.deleteMany({ juegoId: origen, usuarioId: { $in: conDestino } });
+            const result = await col.updateMany({ juegoId: origen }, { $set: { juegoId: destino, fechaActualizacion: new Date().toISOString() } });
+            return result.modifiedCount;
+        } catch (error) {
+            console.error('Error al mover las entradas de biblioteca del juego:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Obtiene los juegos con más horas jugadas sumando las bibliotecas de todos los usuarios
+     * @param {number} top - Cuántos juegos devolver
+     * @returns {Array} - { juegoId, titulo, horasTotales, jugadores }
+     */
+    async getMasJugados(top = 10) {
+        try {
+            const col = this._col();
+            return await col.aggregate([
+                { $group: { _id: "$juegoId", horasTotales: { $sum: "$horasJugadas" }, jugadores: { $sum: 1 } } },
+                { $match: { horasTotales: { $gt: 0 } } },
+                { $sort: { horasTotales: -1 } },
+                { $lookup: { from: "games", localField: "_id", foreignField: "_id", as: "juego", pipeline: [{ $match: NO_ELIMINADO }, { $project: { titulo: 1, imagenPortada: 1 } }] } },
+                { $unwind: "$juego" },
+                { $limit: top },
+                { $project: { _id: 0, juegoId: "$_id", titulo: "$juego.titulo", imagenPortada: "$juego.imagenPortada", horasTotales: 1, jugadores: 1 } }
+            ]).toArray();
+        } catch (error) {
+            console.error('Error al obtener los juegos más jugados:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Migra los campos personales que antes vivían en el catálogo
+     * (completado y horasJugadas) a la biblioteca de un usuario por defecto
+     * y los elimina de los documentos de "games"
+     * @param {string} usuarioId - ID del usuario que recibirá las entradas
+     * @returns {Object} - { migrados, limpiados }
+     */
+    async migrarDesdeCatalogo(usuarioId) {
+        const col = this._col();
+        const games = dbClient.db.collection("games");
+        const owner = new ObjectId(usuarioId);
+        const now = new Date().toISOString();
+        let migrados = 0;
+
+        const cursor = games.find(
+            { $or: [{ completado: { $exists: true } }, { horasJugadas: { $exists: true } }] },
+            { projection: { completado: 1, horasJugadas: 1 } }
+        );
+
+        for await (const game of cursor) {
+            const horas = Number(game.horasJugadas) || 0;
+            // Solo se crea entrada si el juego tenía progreso registrado
+            if (game.completado !== true && horas <= 0) continue;
+
+            await col.updateOne(
+                { usuarioId: owner, juegoId: game._id },
+                {
+                    $setOnInsert: {
+                        usuarioId: owner,
+                        juegoId: game._id,
+                        estado: game.completado === true ? 'completed' : 'playing',
+                        horasJugadas: horas,
+                        fechaInicio: null,
+                        fechaFin: null,
+                        notas: "",
+                        fechaCreacion: now,
+                        fechaActualizacion: now
+                    }
+                },
+                { upsert: true }
+            );
+            migrados++;
+        }
+
+        // El catálogo queda solo con metadatos compartidos
+        const result = await games.updateMany(
+            { $or: [{ completado: { $exists: true } }, { horasJugadas: { $exists: true } }] },
+            { $unset: { completado: "", horasJugadas: "" } }
+        );
+
+        return { migrados, limpiados: result.modifiedCount };
+    }
+}
+
+// Exportar una instancia única del modelo (patrón Singleton)
+export default new BibliotecaModelo();
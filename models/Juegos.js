@@ -1,6 +1,34 @@
 // Importaciones necesarias para el modelo de juegos
 import dbClient from "../config/dbClient.js";
 import { ObjectId } from 'mongodb';
+import { toJsonSchema } from "../utils/validacion.js";
+import { paginarColeccion } from "../utils/paginacion.js";
+import { juegoSchema } from "../schemas/juegos.js";
+import { estadisticasVacias } from "../utils/estadisticas.js";
+import reseñasModelo from "./Resenas.js";
+import portadasModelo from "./Portadas.js";
+import bibliotecaModelo from "./Biblioteca.js";
+import listasModelo from "./Listas.js";
+import sesionesModelo from "./Sesiones.js";
+import auditoriaModelo from "./Auditoria.js";
+import { NO_ELIMINADO, EN_PAPELERA, soloVisibles, diasRetencion } from "../utils/papelera.js";
+import { PrecondicionError, versionDe, filtroVersion } from "../utils/concurrencia.js";
+import { PatchError } from "../utils/patch.js";
+import { CAMPOS_JUEGO } from "../schemas/juegos.js";
+import { cacheRecomendaciones } from "../utils/cache.js";
+import { busEventos } from "../utils/eventos.js";
+import { buscarCandidatos, agruparDuplicados } from "../utils/duplicados.js";
+
+/**
+ * Error de una fusión de juegos que no se puede hacer (p. ej. un juego consigo mismo)
+ */
+export class FusionError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'FusionError';
+        this.status = status;
+    }
+}
 
 /**
  * Modelo de Juegos - Maneja todas las operaciones CRUD para la colección de juegos
@@ -10,6 +38,8 @@ class JuegosModelo {
     constructor() {
         // Nombre de la colección en MongoDB
         this.colName = "games";
+        // Colección con el juego al que apunta cada ID fusionado en otro
+        this.redireccionesName = "game_redirects";
     }
 
     /**
@@ -22,6 +52,22 @@ class JuegosModelo {
         return dbClient.db.collection(this.colName);
     }
 
+    /**
+     * Instala el esquema de juegos como validador $jsonSchema de la colección
+     * Usa validationLevel "moderate" para no bloquear documentos antiguos que aún no cumplen el esquema
+     * @returns {Promise<void>}
+     */
+    async ensureValidator() {
+        const db = this._col().db;
+        const opciones = { validator: toJsonSchema(juegoSchema), validationLevel: 'moderate', validationAction: 'error' };
+        const existe = await db.listCollections({ name: this.colName }, { nameOnly: true }).hasNext();
+        if (existe) {
+            await db.command({ collMod: this.colName, ...opciones });
+        } else {
+            await db.createCollection(this.colName, opciones);
+        }
+    }
+
     /**
      * Crea un nuevo juego en la base de datos
      * @param {Object} gameData - Datos del juego a crear
@@ -30,14 +76,12 @@ class JuegosModelo {
      * @param {Array|string} gameData.plataforma - Plataforma(s) del juego
      * @param {number} gameData.añoLanzamiento - Año de lanzamiento
      * @param {string} gameData.desarrollador - Desarrollador del juego
-     * @param {string} gameData.imagenPortada - URL de la imagen de portada
+     * @param {string} gameData.imagenPortada - URL externa de la portada (las imágenes se suben a /:id/cover)
      * @param {string} gameData.descripcion - Descripción del juego
-     * @param {boolean} gameData.completado - Estado de completado
-     * @param {number} gameData.horasJugadas - Horas jugadas
-     * @param {Array} gameData.reseñas - Lista de reseñas iniciales
+     * @param {Object} contexto - Contexto de auditoría (usuario, requestId, origen)
      * @returns {Object} - Juego creado con su ID
      */
-    async create(gameData) {
+    async create(gameData, contexto) {
         try {    
             const col = this._col();
             // Estructura del nuevo juego con valores por defecto
@@ -51,16 +95,21 @@ class JuegosModelo {
                 desarrollador: gameData.desarrollador || "",
                 imagenPortada: gameData.imagenPortada || "",
                 descripcion: gameData.descripcion || "",
-                // Estado y estadísticas
-                completado: gameData.completado || false,
+                // El progreso (completado, horas) es personal y vive en la biblioteca de cada usuario
                 fechaCreacion: new Date().toISOString(),
-                horasJugadas: gameData.horasJugadas ? parseInt(gameData.horasJugadas) : 0,
-                reseñas: gameData.reseñas || []
+                // Versión para el control de concurrencia optimista (ETag / If-Match)
+                version: 1,
+                // Las reseñas viven en su propia colección; aquí solo sus estadísticas denormalizadas
+                estadisticas: estadisticasVacias()
             };
 
             // Insertar el juego y retornar con su ID
             const result = await col.insertOne(newGame);
-            return { ...newGame, _id: result.insertedId };
+            const created = { ...newGame, _id: result.insertedId };
+            await auditoriaModelo.registrar({ accion: 'create', juegoId: created._id, despues: created, contexto });
+            cacheRecomendaciones.invalidar();
+            busEventos.publicar('game.created', created);
+            return created;
         } catch (error) {
             console.error('Error al crear juego:', error);
             throw error;
@@ -68,7 +117,7 @@ class JuegosModelo {
     }
 
     /**
-     * Obtiene todos los juegos de la base de datos
+     * Obtiene todos los juegos de la base de datos (sin los de la papelera)
      * @param {Object} filter - Filtro de búsqueda opcional
      * @returns {Array} - Lista de juegos ordenados por fecha de creación (más reciente primero)
      */
@@ -76,7 +125,7 @@ class JuegosModelo {
         try {
             const col = this._col();
             // Buscar todos los juegos y ordenar por fecha de creación descendente
-            const cursor = col.find(filter).sort({ fechaCreacion: -1 });
+            const cursor = col.find(soloVisibles(filter)).sort({ fechaCreacion: -1 });
             const results = await cursor.toArray();
             return results;
         } catch (error) {
@@ -85,12 +134,144 @@ class JuegosModelo {
         }
     }
 
+    /**
+     * Obtiene una página de juegos con orden y proyección configurables (sin los de la papelera)
+     * @param {Object} filter - Filtro de búsqueda
+     * @param {Object} opciones - Opciones del listado (ver parseListQuery en utils/paginacion.js)
+     * @returns {Object} - { items, total, ultimo } (ver paginarColeccion)
+     */
+    async paginate(filter = {}, opciones) {
+        try {
+            return await paginarColeccion(this._col(), soloVisibles(filter), opciones);
+        } catch (error) {
+            console.error('Error al paginar juegos:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Obtiene los datos que identifican a cada juego (para detectar duplicados)
+     * @returns {Array} - Lista de { _id, titulo, plataforma, desarrollador, añoLanzamiento, estadisticas.totalReseñas }
+     */
+    async getIdentidades() {
+        try {
+            const col = this._col();
+            return await col.find(NO_ELIMINADO, {
+                projection: { titulo: 1, plataforma: 1, desarrollador: 1, añoLanzamiento: 1, "estadisticas.totalReseñas": 1 }
+            }).toArray();
+        } catch (error) {
+            console.error('Error al obtener identidades de juegos:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Busca en el catálogo los posibles duplicados de un juego (título normalizado, desarrollador y año)
+     * @param {Object} datos - Juego a comprobar ({ titulo, desarrollador, añoLanzamiento })
+     * @returns {Array} - Juegos parecidos con su confianza y los campos que coinciden
+     */
+    async buscarDuplicados(datos) {
+        try {
+            return buscarCandidatos(datos, await this.getIdentidades());
+        } catch (error) {
+            console.error('Error al buscar duplicados:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Agrupa los juegos del catálogo que parecen el mismo
+     * @returns {Array} - Grupos { confianza, juegos } (ver agruparDuplicados)
+     */
+    async getDuplicados() {
+        try {
+            return agruparDuplicados(await this.getIdentidades());
+        } catch (error) {
+            console.error('Error al obtener el informe de duplicados:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Abre un cursor sobre todo el catálogo para exportarlo
+     * @param {Object} opciones - Opciones de exportación
+     * @param {boolean} opciones.incluirReseñas - Añadir en "reseñas" las reseñas aprobadas de cada juego
+     * @returns {AggregationCursor} - Cursor de juegos ordenados por fecha de creación
+     */
+    exportCursor({ incluirReseñas = false } = {}) {
+        const pipeline = [
+            { $match: NO_ELIMINADO },
+            { $sort: { fechaCreacion: 1, _id: 1 } },
+            // Los metadatos internos de la portada no forman parte del catálogo exportado
+            { $project: { portada: 0 } }
+        ];
+        if (incluirReseñas) {
+            pipeline.push({
+                $lookup: {
+                    from: "reviews",
+                    localField: "_id",
+                    foreignField: "juegoId",
+                    as: "reseñas",
+                    pipeline: [
+                        { $match: { estado: 'approved' } },
+                        { $sort: { fechaCreacion: 1 } },
+                        { $project: { juegoId: 0, utiles: 0 } }
+                    ]
+                }
+            });
+        }
+        return this._col().aggregate(pipeline);
+    }
+
+    /**
+     * Calcula los conteos por faceta (género, plataforma, desarrollador y década)
+     * sobre los juegos que cumplen el filtro, para construir barras de filtros
+     * @param {Object} filter - Filtro de búsqueda
+     * @returns {Object} - { genero, plataforma, desarrollador, decada } con arrays { valor, total }
+     */
+    async facets(filter = {}) {
+        try {
+            const col = this._col();
+            // Agrupa por un campo y devuelve { valor, total } ordenado por frecuencia
+            const contar = (campo) => [
+                { $match: { [campo]: { $nin: [null, ""] } } },
+                { $group: { _id: `$${campo}`, total: { $sum: 1 } } },
+                { $sort: { total: -1, _id: 1 } },
+                { $project: { _id: 0, valor: "$_id", total: 1 } }
+            ];
+
+            const [result] = await col.aggregate([
+                { $match: soloVisibles(filter) },
+                {
+                    $facet: {
+                        genero: [{ $unwind: "$genero" }, ...contar("genero")],
+                        plataforma: [{ $unwind: "$plataforma" }, ...contar("plataforma")],
+                        desarrollador: contar("desarrollador"),
+                        decada: [
+                            { $match: { añoLanzamiento: { $type: "number" } } },
+                            { $group: { _id: { $multiply: [{ $floor: { $divide: ["$añoLanzamiento", 10] } }, 10] }, total: { $sum: 1 } } },
+                            { $sort: { _id: 1 } },
+                            { $project: { _id: 0, valor: "$_id", total: 1 } }
+                        ]
+                    }
+                }
+            ]).toArray();
+
+            return result;
+        } catch (error) {
+            console.error('Error al calcular facetas:', error);
+            throw error;
+        }
+    }
+
     /**
      * Obtiene un juego específico por su ID
      * @param {string} id - ID del juego a buscar
+     * @param {Object} opciones - Opciones de búsqueda
+     * @param {boolean} opciones.incluirEliminados - Devolver también el juego si está en la papelera
      * @returns {Object|null} - Juego encontrado o null si no existe
      */
-    async getOne(id) {
+    async getOne(id, { incluirEliminados = false } = {}) {
         try {
             // Validar que el ID sea un ObjectId válido
             if (!ObjectId.isValid(id)) {
@@ -100,7 +281,7 @@ class JuegosModelo {
             
             const col = this._col();
             const _id = new ObjectId(id);
-            const game = await col.findOne({ _id });
+            const game = await col.findOne(incluirEliminados ? { _id } : { _id, ...NO_ELIMINADO });
             return game;
         } catch (error) {
             console.error('Error al obtener juego:', error);
@@ -108,13 +289,59 @@ class JuegosModelo {
         }
     }
 
+    /**
+     * Obtiene varios juegos por sus IDs en una sola consulta (sin los de la papelera)
+     * @param {Array<string|ObjectId>} ids - IDs de los juegos
+     * @returns {Array} - Juegos encontrados, en cualquier orden
+     */
+    async getMany(ids) {
+        try {
+            const validos = ids.filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id));
+            if (validos.length === 0) return [];
+            return await this._col().find({ _id: { $in: validos }, ...NO_ELIMINADO }).toArray();
+        } catch (error) {
+            console.error('Error al obtener juegos por ID:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Distingue por qué no se aplicó una escritura condicional: si el juego sigue visible,
+     * es que su versión ya no era la esperada o que no cumplía las condiciones del patch
+     * @param {ObjectId} _id - ID del juego
+     * @param {Array<number>} version - Versiones aceptadas (undefined si la escritura no era condicional)
+     * @param {Object} condiciones - Condiciones adicionales del filtro (operaciones test de un patch)
+     * @returns {Promise<void>}
+     * @throws {PrecondicionError} - Si el juego existe con otra versión
+     * @throws {PatchError} - Si el juego existe pero no cumple las condiciones del patch (409)
+     * @private
+     */
+    async _comprobarPrecondicion(_id, version, condiciones = {}) {
+        const condicional = Object.keys(condiciones).length > 0;
+        if (version === undefined && !condicional) return;
+
+        const actual = await this._col().findOne({ _id, ...NO_ELIMINADO }, { projection: { version: 1 } });
+        if (!actual) return;
+        if (version !== undefined && !version.includes(versionDe(actual))) throw new PrecondicionError(versionDe(actual));
+        if (condicional) {
+            throw new PatchError('El patch no se puede aplicar al estado actual del juego (una operación "test" ha fallado o una ruta no existe)', { status: 409 });
+        }
+    }
+
     /**
      * Actualiza un juego existente
      * @param {string} id - ID del juego a actualizar
      * @param {Object} updateData - Datos a actualizar
-     * @returns {Object|null} - Juego actualizado o null si no existe
+     * @param {Object} contexto - Contexto de auditoría (usuario, requestId, origen)
+     * @param {Object} opciones - Opciones de la escritura
+     * @param {string} opciones.accion - Acción registrada en la auditoría (por defecto 'update')
+     * @param {Object} opciones.extra - Datos adicionales de la revisión
+     * @param {Array<number>} opciones.version - Versiones aceptadas (If-Match); sin ella no se comprueba
+     * @param {Array<string>} opciones.quitar - Campos que se eliminan del juego (p. ej. al revertir a una revisión en la que no existían)
+     * @returns {Object|null} - Juego actualizado o null si no existe (o está en la papelera)
+     * @throws {PrecondicionError} - Si el juego existe pero su versión no es ninguna de las aceptadas
      */
-    async update(id, updateData) {
+    async update(id, updateData, contexto, { accion = 'update', extra, version, quitar = [] } = {}) {
         try {
             if (!ObjectId.isValid(id)) {
                 console.error('Formato de ObjectId inválido:', id);
@@ -124,23 +351,118 @@ class JuegosModelo {
             const col = this._col();
             const _id = new ObjectId(id);
             delete updateData._id; // Prevenir cambiar el _id
-            const updatePayload = { $set: { ...updateData } };
+            // La portada subida solo se cambia desde /:id/cover
+            delete updateData.portada;
+            // El borrado lógico solo se cambia con delete/restore
+            delete updateData.eliminado;
+            // Los campos de progreso personal no pertenecen al catálogo
+            delete updateData.completado;
+            delete updateData.horasJugadas;
+            // La versión solo la incrementa el servidor
+            delete updateData.version;
+            const updatePayload = { $set: { ...updateData }, $inc: { version: 1 } };
+            if (quitar.length > 0) updatePayload.$unset = Object.fromEntries(quitar.map(campo => [campo, ""]));
             // Prevenir cambiar la fecha de creación
             if (updatePayload.$set.fechaCreacion) delete updatePayload.$set.fechaCreacion;
-            const result = await col.findOneAndUpdate({ _id }, updatePayload, { returnDocument: 'after' });
-            return result;
+            // Compare-and-set: la versión se comprueba y se incrementa en la misma operación,
+            // que además devuelve el estado anterior para registrar el diff
+            const antes = await col.findOneAndUpdate(
+                { _id, ...NO_ELIMINADO, ...filtroVersion(version) },
+                updatePayload,
+                { returnDocument: 'before' }
+            );
+            if (!antes) {
+                await this._comprobarPrecondicion(_id, version);
+                return null;
+            }
+            const despues = { ...antes, ...updatePayload.$set, version: versionDe(antes) + 1 };
+            quitar.forEach(campo => delete despues[campo]);
+            await auditoriaModelo.registrar({ accion, juegoId: _id, antes, despues, contexto, extra });
+            cacheRecomendaciones.invalidar();
+            busEventos.publicar('game.updated', despues);
+            return despues;
         } catch (error) {
-            console.error('Error al actualizar juego:', error);
+            if (error.name !== 'PrecondicionError') console.error('Error al actualizar juego:', error);
             throw error;
         }
     }
 
     /**
-     * Elimina un juego por su ID
+     * Sustituye todos los campos editables de un juego (PUT)
+     * Los campos que no se envían quedan con su valor por defecto, o a null si no tienen
+     * @param {string} id - ID del juego
+     * @param {Object} datos - Juego completo, validado contra juegoSchema
+     * @param {Object} contexto - Contexto de auditoría (usuario, requestId, origen)
+     * @param {Object} opciones - Opciones de la escritura (ver update)
+     * @returns {Object|null} - Juego actualizado o null si no existe (o está en la papelera)
+     * @throws {PrecondicionError} - Si el juego existe pero su versión no es ninguna de las aceptadas
+     */
+    async replace(id, datos, contexto, opciones) {
+        const completo = Object.fromEntries(CAMPOS_JUEGO.map(campo => [campo, datos[campo] ?? null]));
+        return this.update(id, completo, contexto, opciones);
+    }
+
+    /**
+     * Aplica un patch ya traducido a operadores de MongoDB (ver utils/patch.js) en una sola escritura atómica
+     * @param {string} id - ID del juego
+     * @param {Object} patch - Patch traducido
+     * @param {Object|Array} patch.update - Operadores de actualización o pipeline de agregación
+     * @param {Object} patch.condiciones - Condiciones que debe cumplir el juego (operaciones test, rutas existentes)
+     * @param {Object} contexto - Contexto de auditoría (usuario, requestId, origen)
+     * @param {Object} opciones - Opciones de la escritura
+     * @param {Array<number>} opciones.version - Versiones aceptadas (If-Match); sin ella no se comprueba
+     * @returns {Object|null} - Juego actualizado o null si no existe (o está en la papelera)
+     * @throws {PrecondicionError} - Si el juego existe pero su versión no es ninguna de las aceptadas
+     * @throws {PatchError} - Si el juego no cumple las condiciones del patch (409)
+     */
+    async patch(id, { update, condiciones = {} }, contexto, { version } = {}) {
+        try {
+            if (!ObjectId.isValid(id)) {
+                console.error('Formato de ObjectId inválido:', id);
+                return null;
+            }
+
+            const col = this._col();
+            const _id = new ObjectId(id);
+            // La versión se incrementa en la misma escritura, sea con operadores o con pipeline
+            const conVersion = Array.isArray(update)
+                ? [...update, { $set: { version: { $add: [{ $ifNull: ["$version", 0] }, 1] } } }]
+                : { ...update, $inc: { version: 1 } };
+
+            const antes = await col.findOneAndUpdate(
+                { ...condiciones, _id, ...NO_ELIMINADO, ...filtroVersion(version) },
+                conVersion,
+                { returnDocument: 'before' }
+            );
+            if (!antes) {
+                await this._comprobarPrecondicion(_id, version, condiciones);
+                return null;
+            }
+
+            // El pipeline se evalúa en el servidor: se lee la versión resultante para devolverla y auditarla
+            const despues = await col.findOne({ _id });
+            await auditoriaModelo.registrar({ accion: 'update', juegoId: _id, antes, despues, contexto });
+            cacheRecomendaciones.invalidar();
+            busEventos.publicar('game.updated', despues);
+            return despues;
+        } catch (error) {
+            if (error.name !== 'PrecondicionError' && error.name !== 'PatchError') console.error('Error al aplicar patch al juego:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Envía un juego a la papelera (borrado lógico)
+     * El juego deja de aparecer en la API pero conserva sus reseñas y su portada hasta que se purga;
+     * sí se quita de las listas de los usuarios (restore lo devuelve a su posición)
      * @param {string} id - ID del juego a eliminar
-     * @returns {boolean} - true si se eliminó correctamente, false si no
+     * @param {Object} contexto - Contexto de auditoría; contexto.usuario queda registrado como quien lo eliminó
+     * @param {Object} opciones - Opciones de la escritura
+     * @param {Array<number>} opciones.version - Versiones aceptadas (If-Match); sin ella no se comprueba
+     * @returns {boolean} - true si se eliminó correctamente, false si no existía o ya estaba en la papelera
+     * @throws {PrecondicionError} - Si el juego existe pero su versión no es ninguna de las aceptadas
      */
-    async delete(id) {
+    async delete(id, contexto = {}, { version } = {}) {
         try {
             if (!ObjectId.isValid(id)) {
                 console.error('Formato de ObjectId inválido:', id);
@@ -149,82 +471,262 @@ class JuegosModelo {
             
             const col = this._col();
             const _id = new ObjectId(id);
-            const result = await col.deleteOne({ _id });
-            return result.deletedCount === 1;
+            const actor = contexto.usuario;
+            const eliminado = {
+                fecha: new Date().toISOString(),
+                usuarioId: actor?.id ? new ObjectId(actor.id) : null,
+                nombreUsuario: actor?.nombreUsuario || null
+            };
+            const antes = await col.findOneAndUpdate(
+                { _id, ...NO_ELIMINADO, ...filtroVersion(version) },
+                { $set: { eliminado }, $inc: { version: 1 } }
+            );
+            if (!antes) {
+                await this._comprobarPrecondicion(_id, version);
+                return false;
+            }
+            // Se quita de las listas de los usuarios, guardando dónde estaba para poder restaurarlo
+            const listas = await listasModelo.quitarJuegoDeTodas(_id);
+            if (listas.length > 0) await col.updateOne({ _id }, { $set: { "eliminado.listas": listas } });
+            await auditoriaModelo.registrar({ accion: 'delete', juegoId: _id, antes, despues: { ...antes, eliminado, version: versionDe(antes) + 1 }, contexto });
+            cacheRecomendaciones.invalidar();
+            busEventos.publicar('game.deleted', { _id, titulo: antes.titulo });
+            return true;
         } catch (error) {
-            console.error('Error al eliminar juego:', error);
+            if (error.name !== 'PrecondicionError') console.error('Error al eliminar juego:', error);
             throw error;
         }
     }
 
     /**
-     * Añade una reseña a un juego específico
-     * @param {string} juegoId - ID del juego al que se añadirá la reseña
-     * @param {Object} reseñaData - Datos de la reseña
-     * @param {string} reseñaData.nombreUsuario - Nombre del usuario que reseña
-     * @param {string} reseñaData.textoReseña - Texto de la reseña
-     * @param {number} reseñaData.calificaciones - Calificación (0-5)
-     * @param {number} reseñaData.horasJugadas - Horas jugadas por el usuario
-     * @param {string} reseñaData.dificultad - Dificultad percibida
-     * @param {boolean} reseñaData.recomendaria - Si lo recomendaría
-     * @returns {Object} - Reseña creada
+     * Fusiona un juego duplicado en otro: el destino recibe sus géneros, plataformas, reseñas,
+     * entradas de biblioteca, sesiones y posiciones en listas; el origen se elimina
+     * y su ID queda redirigido al destino
+     * @param {string} id - ID del juego destino (el que se conserva)
+     * @param {string} origenId - ID del juego que se fusiona en el destino
+     * @param {Object} contexto - Contexto de auditoría (usuario, requestId, origen)
+     * @param {Object} opciones - Opciones de la escritura
+     * @param {Array<number>} opciones.version - Versiones aceptadas del destino (If-Match); sin ella no se comprueba
+     * @returns {Object|null} - Juego destino actualizado, o null si alguno de los dos no existe (o está en la papelera)
+     * @throws {PrecondicionError} - Si el destino existe pero su versión no es ninguna de las aceptadas
+     * @throws {FusionError} - Si los dos IDs son el mismo juego (400), aunque se escriban con distintas mayúsculas
      */
-    async addReseña(juegoId, reseñaData) {
+    async merge(id, origenId, contexto, { version } = {}) {
         try {
-            if (!ObjectId.isValid(juegoId)) {
-                console.error('Formato de ObjectId inválido:', juegoId);
-                throw new Error('ID de juego inválido');
+            if (!ObjectId.isValid(id) || !ObjectId.isValid(origenId)) {
+                console.error('Formato de ObjectId inválido:', id, origenId);
+                return null;
             }
-            
+            if (new ObjectId(id).equals(new ObjectId(origenId))) {
+                throw new FusionError('Un juego no se puede fusionar consigo mismo');
+            }
+
             const col = this._col();
-            const _id = new ObjectId(juegoId);
-            
-            // Crear nueva reseña con valores por defecto
-            const newReseña = {
-                _id: new ObjectId(), // ID único para la reseña
-                juegoId: juegoId,
-                nombreUsuario: reseñaData.nombreUsuario || "Anónimo",
-                textoReseña: reseñaData.textoReseña || "",
-                calificaciones: reseñaData.calificaciones || 0,
-                horasJugadas: reseñaData.horasJugadas || 0,
-                dificultad: reseñaData.dificultad || "Normal",
-                recomendaria: reseñaData.recomendaria !== undefined ? reseñaData.recomendaria : true,
-                fechaCreacion: new Date().toISOString()
-            };
+            const origen = await col.findOne({ _id: new ObjectId(origenId), ...NO_ELIMINADO });
+            const destino = await col.findOne({ _id: new ObjectId(id), ...NO_ELIMINADO });
+            if (!origen || !destino) return null;
 
-            // Añadir la reseña al array de reseñas del juego
-            const result = await col.findOneAndUpdate(
-                { _id },
-                { $push: { reseñas: newReseña } },
-                { returnDocument: 'after' }
+            const unir = (a = [], b = []) => [...new Set([...a, ...b].filter(Boolean))];
+            const cambios = { genero: unir(destino.genero, origen.genero), plataforma: unir(destino.plataforma, origen.plataforma) };
+            if (origen.idsExternos) cambios.idsExternos = { ...origen.idsExternos, ...destino.idsExternos };
+            const updated = await this.update(id, cambios, contexto, {
+                accion: 'merge',
+                extra: { origen: { _id: origen._id, titulo: origen.titulo } },
+                version
+            });
+            if (!updated) return null;
+
+            await reseñasModelo.moverAJuego(origenId, id);
+            await bibliotecaModelo.moverAJuego(origenId, id);
+            await sesionesModelo.moverAJuego(origenId, id);
+            await listasModelo.reemplazarJuego(origenId, id);
+            await col.deleteOne({ _id: origen._id });
+            await portadasModelo.eliminarArchivos(origenId);
+
+            // Los IDs que ya apuntaban al origen pasan a apuntar al destino, para no encadenar redirecciones
+            const redirecciones = col.db.collection(this.redireccionesName);
+            await redirecciones.updateMany({ destino: origen._id }, { $set: { destino: destino._id } });
+            await redirecciones.replaceOne(
+                { _id: origen._id },
+                { destino: destino._id, titulo: origen.titulo, fecha: new Date().toISOString() },
+                { upsert: true }
             );
-            
-            return newReseña;
+            await auditoriaModelo.registrar({ accion: 'merge', juegoId: origen._id, antes: origen, contexto, extra: { destino: { _id: destino._id, titulo: destino.titulo } } });
+            busEventos.publicar('game.deleted', { _id: origen._id, titulo: origen.titulo });
+
+            await reseñasModelo.recalcularEstadisticas(id);
+            return await col.findOne({ _id: destino._id });
+        } catch (error) {
+            if (error.name !== 'PrecondicionError' && error.name !== 'FusionError') console.error('Error al fusionar juegos:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Obtiene el juego en el que se fusionó un ID
+     * @param {string} id - ID de un juego fusionado
+     * @returns {string|null} - ID del juego destino, o null si el ID no se fusionó
+     */
+    async getRedireccion(id) {
+        try {
+            if (!ObjectId.isValid(id)) return null;
+            const redireccion = await this._col().db.collection(this.redireccionesName).findOne({ _id: new ObjectId(id) });
+            return redireccion ? String(redireccion.destino) : null;
+        } catch (error) {
+            console.error('Error al obtener la redirección del juego:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Obtiene una página de los juegos de la papelera
+     * @param {Object} opciones - Opciones del listado (ver parseListQuery en utils/paginacion.js)
+     * @returns {Object} - { items, total, ultimo } (ver paginarColeccion)
+     */
+    async getPapelera(opciones) {
+        try {
+            return await paginarColeccion(this._col(), EN_PAPELERA, opciones);
         } catch (error) {
-            console.error('Error al añadir reseña:', error);
+            console.error('Error al obtener la papelera:', error);
             throw error;
         }
     }
 
     /**
-     * Obtiene todas las reseñas de un juego específico
-     * @param {string} juegoId - ID del juego del que se obtendrán las reseñas
-     * @returns {Array} - Lista de reseñas del juego
+     * Saca un juego de la papelera y lo devuelve a las listas de las que se quitó
+     * @param {string} id - ID del juego
+     * @param {Object} contexto - Contexto de auditoría (usuario, requestId, origen)
+     * @returns {Object|null} - Juego restaurado o null si no estaba en la papelera
      */
-    async getReseñas(juegoId) {
+    async restore(id, contexto) {
         try {
-            if (!ObjectId.isValid(juegoId)) {
-                console.error('Formato de ObjectId inválido:', juegoId);
-                return [];
+            if (!ObjectId.isValid(id)) {
+                console.error('Formato de ObjectId inválido:', id);
+                return null;
             }
-            
+
+            const col = this._col();
+            const antes = await col.findOneAndUpdate({ _id: new ObjectId(id), ...EN_PAPELERA }, { $unset: { eliminado: "" }, $inc: { version: 1 } });
+            if (!antes) return null;
+            const { eliminado, ...resto } = antes;
+            const despues = { ...resto, version: versionDe(antes) + 1 };
+            await listasModelo.restaurarJuego(antes._id, eliminado.listas);
+            await auditoriaModelo.registrar({ accion: 'restore', juegoId: antes._id, antes, despues, contexto });
+            cacheRecomendaciones.invalidar();
+            // Para los clientes, un juego restaurado vuelve a aparecer en el catálogo
+            busEventos.publicar('game.created', despues);
+            return despues;
+        } catch (error) {
+            console.error('Error al restaurar juego:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Elimina definitivamente un juego de la papelera junto con sus reseñas,
+     * su portada, sus entradas en las bibliotecas de los usuarios y sus sesiones de juego
+     * El historial de auditoría se conserva
+     * @param {string} id - ID del juego
+     * @param {Object} contexto - Contexto de auditoría (usuario, requestId, origen)
+     * @returns {boolean} - true si se purgó, false si no estaba en la papelera
+     */
+    async purge(id, contexto) {
+        try {
+            if (!ObjectId.isValid(id)) {
+                console.error('Formato de ObjectId inválido:', id);
+                return false;
+            }
+
             const col = this._col();
-            const _id = new ObjectId(juegoId);
-            // Buscar el juego y proyectar solo el campo reseñas
-            const game = await col.findOne({ _id }, { projection: { reseñas: 1 } });
-            return game?.reseñas || [];
+            const antes = await col.findOneAndDelete({ _id: new ObjectId(id), ...EN_PAPELERA });
+            if (!antes) return false;
+            await auditoriaModelo.registrar({ accion: 'purge', juegoId: antes._id, antes, contexto });
+            await reseñasModelo.deleteByJuego(id);
+            await portadasModelo.eliminarArchivos(id);
+            await bibliotecaModelo.deleteByJuego(id);
+            await sesionesModelo.deleteByJuego(id);
+            return true;
+        } catch (error) {
+            console.error('Error al purgar juego:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Purga los juegos que llevan en la papelera más que el periodo de retención
+     * @param {number} dias - Días de retención (por defecto TRASH_RETENTION_DAYS)
+     * @returns {number} - Número de juegos purgados
+     */
+    async purgarCaducados(dias = diasRetencion()) {
+        const limite = new Date(Date.now() - dias * 24 * 60 * 60 * 1000).toISOString();
+        const caducados = await this._col()
+            .find({ "eliminado.fecha": { $lt: limite } }, { projection: { _id: 1 } })
+            .toArray();
+
+        let total = 0;
+        for (const { _id } of caducados) {
+            if (await this.purge(String(_id), { origen: 'sistema' })) total++;
+        }
+        return total;
+    }
+
+    /**
+     * Calcula estadísticas agregadas de todo el catálogo
+     * @param {Object} opciones - Opciones
+     * @param {number} opciones.top - Cuántos juegos incluir en el ranking de mejor valorados
+     * @param {number} opciones.minReseñas - Reseñas mínimas para entrar en el ranking
+     * @returns {Object} - { totales, porGenero, porPlataforma, porAño, mejorValorados }
+     */
+    async getEstadisticasCatalogo({ top = 10, minReseñas = 1 } = {}) {
+        try {
+            const col = this._col();
+            const contar = (campo) => [
+                { $unwind: `$${campo}` },
+                { $match: { [campo]: { $nin: [null, ""] } } },
+                { $group: { _id: `$${campo}`, total: { $sum: 1 } } },
+                { $sort: { total: -1, _id: 1 } },
+                { $project: { _id: 0, valor: "$_id", total: 1 } }
+            ];
+
+            const [result] = await col.aggregate([
+                { $match: NO_ELIMINADO },
+                {
+                    $facet: {
+                        totales: [
+                            {
+                                $group: {
+                                    _id: null,
+                                    juegos: { $sum: 1 },
+                                    reseñas: { $sum: { $ifNull: ["$estadisticas.totalReseñas", 0] } },
+                                    calificacionPromedio: { $avg: "$estadisticas.calificacionPromedio" }
+                                }
+                            },
+                            { $project: { _id: 0, juegos: 1, reseñas: 1, calificacionPromedio: { $round: ["$calificacionPromedio", 2] } } }
+                        ],
+                        porGenero: contar("genero"),
+                        porPlataforma: contar("plataforma"),
+                        porAño: [
+                            { $match: { añoLanzamiento: { $type: "number" } } },
+                            { $group: { _id: "$añoLanzamiento", total: { $sum: 1 } } },
+                            { $sort: { _id: 1 } },
+                            { $project: { _id: 0, valor: "$_id", total: 1 } }
+                        ],
+                        mejorValorados: [
+                            { $match: { "estadisticas.totalReseñas": { $gte: minReseñas } } },
+                            { $sort: { "estadisticas.calificacionPromedio": -1, "estadisticas.totalReseñas": -1 } },
+                            { $limit: top },
+                            { $project: { titulo: 1, imagenPortada: 1, estadisticas: { calificacionPromedio: 1, totalReseñas: 1 } } }
+                        ]
+                    }
+                }
+            ]).toArray();
+
+            return {
+                ...result,
+                totales: result.totales[0] || { juegos: 0, reseñas: 0, calificacionPromedio: null }
+            };
         } catch (error) {
-            console.error('Error al obtener reseñas:', error);
+            console.error('Error al calcular estadísticas del catálogo:', error);
             throw error;
         }
     }
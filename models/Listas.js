@@ -0,0 +1,412 @@
+// Importaciones necesarias para el modelo de listas
+import dbClient from "../config/dbClient.js";
+import { ObjectId } from 'mongodb';
+import { paginarColeccion } from "../utils/paginacion.js";
+import { NO_ELIMINADO } from "../utils/papelera.js";
+
+// Número máximo de juegos en una lista (el orden se guarda en el propio documento)
+export const MAXIMO_JUEGOS_LISTA = 500;
+
+/**
+ * Error de una operación sobre los juegos de una lista (juego inexistente, repetido, lista llena...)
+ */
+export class ListaError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ListaError';
+        this.status = status;
+    }
+}
+
+/**
+ * Modelo de Listas - Maneja la colección "lists"
+ * Cada lista pertenece a un usuario y guarda sus juegos en orden en el array "juegos"
+ * ({ juegoId, fechaAñadido }); puede ser pública o privada
+ */
+class ListasModelo {
+    constructor() {
+        // Nombre de la colección en MongoDB
+        this.colName = "lists";
+    }
+
+    /**
+     * Obtiene la colección de listas de la base de datos
+     * @returns {Collection} - Colección de MongoDB para listas
+     * @throws {Error} - Si la base de datos no está inicializada
+     */
+    _col() {
+        if (!dbClient.db) throw new Error('Database not initialized. Call connectarDB() first.');
+        return dbClient.db.collection(this.colName);
+    }
+
+    /**
+     * Obtiene la colección de juegos (para comprobar existencia y adjuntar sus datos)
+     * @returns {Collection} - Colección de MongoDB para juegos
+     * @private
+     */
+    _games() {
+        return this._col().db.collection("games");
+    }
+
+    /**
+     * Crea los índices de los listados por usuario, las listas públicas y la búsqueda inversa por juego
+     * @returns {Promise<void>}
+     */
+    async ensureIndexes() {
+        const col = this._col();
+        await col.createIndex({ usuarioId: 1, fechaActualizacion: -1 });
+        await col.createIndex({ visibilidad: 1, fechaActualizacion: -1 });
+        await col.createIndex({ "juegos.juegoId": 1 });
+    }
+
+    /**
+     * Filtro de las listas que puede ver un usuario: las públicas y las suyas
+     * @param {Object|null} usuario - Usuario autenticado (req.user) o null si es anónimo
+     * @returns {Object} - Filtro de MongoDB
+     * @private
+     */
+    _visibles(usuario) {
+        const publicas = { visibilidad: 'public' };
+        return usuario ? { $or: [publicas, { usuarioId: new ObjectId(usuario.id) }] } : publicas;
+    }
+
+    /**
+     * Crea una lista vacía
+     * @param {Object} autor - Usuario autenticado que crea la lista
+     * @param {Object} data - Datos de la lista (ya validados)
+     * @param {string} data.nombre - Nombre de la lista
+     * @param {string} data.descripcion - Descripción
+     * @param {string} data.visibilidad - public o private
+     * @returns {Object} - Lista creada
+     */
+    async create(autor, data) {
+        try {
+            const now = new Date().toISOString();
+            const lista = {
+                usuarioId: new ObjectId(autor.id),
+                nombreUsuario: autor.nombreUsuario,
+                nombre: data.nombre,
+                descripcion: data.descripcion || "",
+                visibilidad: data.visibilidad || 'private',
+                juegos: [],
+                fechaCreacion: now,
+                fechaActualizacion: now
+            };
+
+            const result = await this._col().insertOne(lista);
+            return { ...lista, _id: result.insertedId };
+        } catch (error) {
+            console.error('Error al crear lista:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Obtiene una página de las listas visibles para un usuario
+     * @param {Object|null} usuario - Usuario autenticado o null
+     * @param {Object} filtro - Filtro adicional
+     * @param {string} filtro.usuarioId - Solo las listas de este usuario
+     * @param {Object} opciones - Opciones del listado (ver parseListQuery en utils/paginacion.js)
+     * @returns {Object} - { items, total, ultimo }
+     */
+    async getPage(usuario, { usuarioId } = {}, opciones) {
+        try {
+            const filter = { ...this._visibles(usuario) };
+            if (usuarioId) filter.usuarioId = new ObjectId(usuarioId);
+            return await paginarColeccion(this._col(), filter, opciones);
+        } catch (error) {
+            console.error('Error al obtener listas:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Obtiene una lista por su ID (sin comprobar visibilidad)
+     * @param {string} id - ID de la lista
+     * @returns {Object|null} - Lista o null si no existe
+     */
+    async getOne(id) {
+        try {
+            if (!ObjectId.isValid(id)) {
+                console.error('Formato de ObjectId inválido:', id);
+                return null;
+            }
+
+            return await this._col().findOne({ _id: new ObjectId(id) });
+        } catch (error) {
+            console.error('Error al obtener lista:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Adjunta a cada entrada de la lista los datos del juego, manteniendo el orden
+     * Los juegos que están en la papelera no se muestran
+     * @param {Object} lista - Lista obtenida con getOne
+     * @returns {Object} - Lista con entradas { juegoId, fechaAñadido, juego }
+     */
+    async conJuegos(lista) {
+        try {
+            const ids = lista.juegos.map(e => e.juegoId);
+            const games = await this._games().find(
+                { _id: { $in: ids }, ...NO_ELIMINADO },
+                { projection: { titulo: 1, genero: 1, plataforma: 1, añoLanzamiento: 1, imagenPortada: 1, estadisticas: 1 } }
+            ).toArray();
+            const porId = new Map(games.map(g => [String(g._id), g]));
+
+            return {
+                ...lista,
+                juegos: lista.juegos
+                    .filter(e => porId.has(String(e.juegoId)))
+                    .map(e => ({ ...e, juego: porId.get(String(e.juegoId)) }))
+            };
+        } catch (error) {
+            console.error('Error al obtener los juegos de la lista:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Actualiza nombre, descripción o visibilidad de una lista
+     * @param {string} id - ID de la lista
+     * @param {Object} campos - Campos a modificar (ya validados)
+     * @returns {Object|null} - Lista actualizada o null si no existe
+     */
+    async update(id, campos) {
+        try {
+            if (!ObjectId.isValid(id)) {
+                console.error('Formato de ObjectId inválido:', id);
+                return null;
+            }
+
+            const { _id, usuarioId, nombreUsuario, juegos, fechaCreacion, ...resto } = campos;
+            return await this._col().findOneAndUpdate(
+                { _id: new ObjectId(id) },
+                { $set: { ...resto, fechaActualizacion: new Date().toISOString() } },
+                { returnDocument: 'after' }
+            );
+        } catch (error) {
+            console.error('Error al actualizar lista:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Elimina una lista
+     * @param {string} id - ID de la lista
+     * @returns {boolean} - true si se eliminó, false si no existía
+     */
+    async delete(id) {
+        try {
+            if (!ObjectId.isValid(id)) {
+                console.error('Formato de ObjectId inválido:', id);
+                return false;
+            }
+
+            const result = await this._col().deleteOne({ _id: new ObjectId(id) });
+            return result.deletedCount === 1;
+        } catch (error) {
+            console.error('Error al eliminar lista:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Añade un juego del catálogo a una lista
+     * La comprobación de duplicados y de tamaño máximo va en el filtro de la propia escritura
+     * @param {string} id - ID de la lista
+     * @param {string} juegoId - ID del juego
+     * @param {number} posicion - Posición en la que insertarlo (por defecto, al final)
+     * @returns {Object|null} - Lista actualizada o null si la lista no existe
+     * @throws {ListaError} - Si el juego no existe (404), ya está en la lista o la lista está llena (409)
+     */
+    async addJuego(id, juegoId, posicion) {
+        try {
+            if (!ObjectId.isValid(id)) {
+                console.error('Formato de ObjectId inválido:', id);
+                return null;
+            }
+            if (!ObjectId.isValid(juegoId)) throw new ListaError('ID de juego inválido');
+
+            const _juegoId = new ObjectId(juegoId);
+            const existe = await this._games().countDocuments({ _id: _juegoId, ...NO_ELIMINADO }, { limit: 1 });
+            if (!existe) throw new ListaError('Juego no encontrado', 404);
+
+            const _id = new ObjectId(id);
+            const now = new Date().toISOString();
+            const entrada = { juegoId: _juegoId, fechaAñadido: now };
+            const updated = await this._col().findOneAndUpdate(
+                { _id, "juegos.juegoId": { $ne: _juegoId }, [`juegos.${MAXIMO_JUEGOS_LISTA - 1}`]: { $exists: false } },
+                {
+                    $push: { juegos: posicion === undefined ? entrada : { $each: [entrada], $position: posicion } },
+                    $set: { fechaActualizacion: now }
+                },
+                { returnDocument: 'after' }
+            );
+            if (updated) return updated;
+
+            // Distinguir por qué no se añadió
+            const lista = await this._col().findOne({ _id }, { projection: { "juegos.juegoId": 1 } });
+            if (!lista) return null;
+            if (lista.juegos.some(e => e.juegoId.equals(_juegoId))) throw new ListaError('El juego ya está en la lista', 409);
+            throw new ListaError(`Una lista no puede tener más de ${MAXIMO_JUEGOS_LISTA} juegos`, 409);
+        } catch (error) {
+            if (error.name !== 'ListaError') console.error('Error al añadir juego a la lista:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Quita un juego de una lista
+     * @param {string} id - ID de la lista
+     * @param {string} juegoId - ID del juego
+     * @returns {Object|null} - Lista actualizada o null si la lista no existe o no contenía el juego
+     */
+    async removeJuego(id, juegoId) {
+        try {
+            if (!ObjectId.isValid(id) || !ObjectId.isValid(juegoId)) {
+                console.error('Formato de ObjectId inválido:', id, juegoId);
+                return null;
+            }
+
+            const _juegoId = new ObjectId(juegoId);
+            return await this._col().findOneAndUpdate(
+                { _id: new ObjectId(id), "juegos.juegoId": _juegoId },
+                { $pull: { juegos: { juegoId: _juegoId } }, $set: { fechaActualizacion: new Date().toISOString() } },
+                { returnDocument: 'after' }
+            );
+        } catch (error) {
+            console.error('Error al quitar juego de la lista:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Cambia el orden de los juegos de una lista
+     * Solo se aplica si la lista no ha cambiado desde que se leyó
+     * @param {Object} lista - Lista actual (obtenida con getOne)
+     * @param {Array<string>} juegoIds - Todos los IDs de juegos de la lista, en el nuevo orden
+     * @returns {Object|null} - Lista actualizada o null si ya no existe
+     * @throws {ListaError} - Si los IDs no son exactamente los de la lista (400) o la lista cambió mientras tanto (409)
+     */
+    async reordenar(lista, juegoIds) {
+        try {
+            const porId = new Map(lista.juegos.map(e => [String(e.juegoId), e]));
+            if (juegoIds.length !== porId.size || !juegoIds.every(juegoId => porId.has(juegoId))) {
+                throw new ListaError('El nuevo orden debe incluir exactamente los juegos de la lista, una vez cada uno');
+            }
+
+            const updated = await this._col().findOneAndUpdate(
+                { _id: lista._id, juegos: lista.juegos },
+                { $set: { juegos: juegoIds.map(juegoId => porId.get(juegoId)), fechaActualizacion: new Date().toISOString() } },
+                { returnDocument: 'after' }
+            );
+            if (updated) return updated;
+
+            const existe = await this._col().countDocuments({ _id: lista._id }, { limit: 1 });
+            if (!existe) return null;
+            throw new ListaError('La lista ha cambiado mientras se reordenaba; vuelve a cargarla', 409);
+        } catch (error) {
+            if (error.name !== 'ListaError') console.error('Error al reordenar la lista:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Obtiene las listas visibles para un usuario que contienen un juego
+     * @param {string} juegoId - ID del juego
+     * @param {Object|null} usuario - Usuario autenticado o null
+     * @returns {Array} - Listas (sin el array de juegos), las actualizadas más recientemente primero
+     */
+    async getByJuego(juegoId, usuario) {
+        try {
+            if (!ObjectId.isValid(juegoId)) {
+                console.error('Formato de ObjectId inválido:', juegoId);
+                return [];
+            }
+
+            return await this._col()
+                .find({ "juegos.juegoId": new ObjectId(juegoId), ...this._visibles(usuario) }, { projection: { juegos: 0 } })
+                .sort({ fechaActualizacion: -1 })
+                .toArray();
+        } catch (error) {
+            console.error('Error al obtener las listas del juego:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Quita un juego de todas las listas (al enviarlo a la papelera)
+     * @param {string|ObjectId} juegoId - ID del juego
+     * @returns {Array} - Dónde estaba: [{ listaId, posicion, fechaAñadido }], para poder restaurarlo
+     */
+    async quitarJuegoDeTodas(juegoId) {
+        try {
+            const _juegoId = new ObjectId(juegoId);
+            const col = this._col();
+            const listas = await col.find({ "juegos.juegoId": _juegoId }, { projection: { "juegos.juegoId": 1, "juegos.fechaAñadido": 1 } }).toArray();
+            const entradas = listas.map(lista => {
+                const posicion = lista.juegos.findIndex(e => e.juegoId.equals(_juegoId));
+                return { listaId: lista._id, posicion, fechaAñadido: lista.juegos[posicion].fechaAñadido };
+            });
+
+            await col.updateMany({ "juegos.juegoId": _juegoId }, { $pull: { juegos: { juegoId: _juegoId } } });
+            return entradas;
+        } catch (error) {
+            console.error('Error al quitar el juego de las listas:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Sustituye un juego por otro en todas las listas (al fusionar juegos duplicados)
+     * Las listas que ya contenían el juego destino simplemente pierden el origen
+     * @param {string|ObjectId} origenId - ID del juego que desaparece
+     * @param {string|ObjectId} destinoId - ID del juego que ocupa su posición
+     * @returns {Promise<void>}
+     */
+    async reemplazarJuego(origenId, destinoId) {
+        try {
+            const origen = new ObjectId(origenId);
+            const destino = new ObjectId(destinoId);
+            const col = this._col();
+            await col.updateMany(
+                { "juegos.juegoId": { $all: [origen, destino] } },
+                { $pull: { juegos: { juegoId: origen } } }
+            );
+            await col.updateMany(
+                { "juegos.juegoId": origen },
+                { $set: { "juegos.$[e].juegoId": destino } },
+                { arrayFilters: [{ "e.juegoId": origen }] }
+            );
+        } catch (error) {
+            console.error('Error al sustituir el juego en las listas:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Vuelve a poner un juego restaurado en las listas de las que se quitó, en su posición original
+     * @param {string|ObjectId} juegoId - ID del juego
+     * @param {Array} entradas - Resultado de quitarJuegoDeTodas
+     * @returns {Promise<void>}
+     */
+    async restaurarJuego(juegoId, entradas = []) {
+        try {
+            const _juegoId = new ObjectId(juegoId);
+            for (const { listaId, posicion, fechaAñadido } of entradas) {
+                // Las listas borradas o llenas mientras tanto se omiten
+                await this._col().updateOne(
+                    { _id: listaId, "juegos.juegoId": { $ne: _juegoId }, [`juegos.${MAXIMO_JUEGOS_LISTA - 1}`]: { $exists: false } },
+                    { $push: { juegos: { $each: [{ juegoId: _juegoId, fechaAñadido }], $position: posicion } } }
+                );
+            }
+        } catch (error) {
+            console.error('Error al restaurar el juego en las listas:', error);
+            throw error;
+        }
+    }
+}
+
+// Exportar una instancia única del modelo (patrón Singleton)
+export default new ListasModelo();
@@ -0,0 +1,202 @@
+// Importaciones necesarias para el modelo de portadas
+import dbClient from "../config/dbClient.js";
+import storage from "../config/storage.js";
+import { ObjectId } from 'mongodb';
+import { procesarPortada, TAMAÑOS_PORTADA } from "../utils/portadas.js";
+import { NO_ELIMINADO } from "../utils/papelera.js";
+import auditoriaModelo from "./Auditoria.js";
+import { cacheRecomendaciones } from "../utils/cache.js";
+import { busEventos } from "../utils/eventos.js";
+
+// Tamaños que se pueden pedir en GET /api/juegos/:id/cover?size=
+export const TAMAÑOS_DISPONIBLES = [...Object.keys(TAMAÑOS_PORTADA), 'original'];
+
+// Portadas embebidas como data URI en base64 (formato anterior a la subida de archivos)
+const DATA_URI_REGEX = /^data:image\/[a-z0-9.+-]+;base64,/i;
+
+/**
+ * Modelo de Portadas - Guarda las imágenes de portada en el almacenamiento configurado
+ * (GridFS o disco, ver config/storage.js) y sus metadatos en games.portada
+ */
+class PortadasModelo {
+    constructor() {
+        // Colección donde se guardan los metadatos de la portada
+        this.colName = "games";
+    }
+
+    /**
+     * Obtiene la colección de juegos de la base de datos
+     * @returns {Collection} - Colección de MongoDB para juegos
+     * @throws {Error} - Si la base de datos no está inicializada
+     */
+    _col() {
+        if (!dbClient.db) throw new Error('Database not initialized. Call connectarDB() first.');
+        return dbClient.db.collection(this.colName);
+    }
+
+    /**
+     * Prefijo de las claves de almacenamiento de un juego
+     * @param {string} juegoId - ID del juego
+     * @param {string} version - Versión de la portada (opcional)
+     * @returns {string} - Prefijo covers/<juegoId>/[<version>/]
+     * @private
+     */
+    _prefijo(juegoId, version) {
+        return version ? `covers/${juegoId}/${version}/` : `covers/${juegoId}/`;
+    }
+
+    /**
+     * Construye la URL pública de la portada de un juego
+     * @param {string} baseUrl - URL base de la API (protocolo y host)
+     * @param {string} juegoId - ID del juego
+     * @param {string} version - Versión de la portada
+     * @param {string} tamaño - Tamaño (opcional, por defecto el original)
+     * @returns {string} - URL versionada, cacheable indefinidamente
+     */
+    url(baseUrl, juegoId, version, tamaño) {
+        const size = tamaño && tamaño !== 'original' ? `size=${tamaño}&` : '';
+        return `${baseUrl}/api/juegos/${juegoId}/cover?${size}v=${version}`;
+    }
+
+    /**
+     * Procesa y guarda una portada nueva, reemplazando la anterior
+     * @param {string} juegoId - ID del juego
+     * @param {Buffer} buffer - Imagen subida
+     * @param {string} baseUrl - URL base de la API, para rellenar imagenPortada
+     * @param {Object} contexto - Contexto de auditoría (usuario, requestId, origen)
+     * @returns {Object|null} - Juego actualizado o null si no existe
+     * @throws {PortadaError} - Si el archivo no es una imagen admitida
+     */
+    async guardar(juegoId, buffer, baseUrl, contexto) {
+        try {
+            if (!ObjectId.isValid(juegoId)) {
+                console.error('Formato de ObjectId inválido:', juegoId);
+                return null;
+            }
+
+            const col = this._col();
+            const _id = new ObjectId(juegoId);
+            const anterior = await col.findOne({ _id, ...NO_ELIMINADO }, { projection: { portada: 1, imagenPortada: 1 } });
+            if (!anterior) return null;
+
+            const { variantes, ...info } = await procesarPortada(buffer);
+            const prefijo = this._prefijo(juegoId, info.version);
+            for (const [tamaño, { buffer: contenido, contentType }] of Object.entries(variantes)) {
+                await storage.save(`${prefijo}${tamaño}`, contenido, contentType);
+            }
+
+            const portada = {
+                ...info,
+                tipos: Object.fromEntries(Object.entries(variantes).map(([t, v]) => [t, v.contentType])),
+                fechaSubida: new Date().toISOString()
+            };
+            const updated = await col.findOneAndUpdate(
+                { _id },
+                { $set: { portada, imagenPortada: this.url(baseUrl, juegoId, info.version) }, $inc: { version: 1 } },
+                { returnDocument: 'after' }
+            );
+
+            await auditoriaModelo.registrar({
+                accion: 'cover.upload',
+                juegoId: _id,
+                antes: anterior,
+                despues: { _id, portada, imagenPortada: updated?.imagenPortada },
+                contexto
+            });
+            // Los juegos similares y las recomendaciones incluyen la URL de la portada
+            cacheRecomendaciones.invalidar();
+            if (updated) busEventos.publicar('game.updated', updated);
+
+            // Borrar los archivos de la versión anterior una vez que la nueva está guardada
+            const versionAnterior = anterior.portada?.version;
+            if (versionAnterior && versionAnterior !== info.version) {
+                await storage.removePrefix(this._prefijo(juegoId, versionAnterior));
+            }
+            return updated;
+        } catch (error) {
+            if (error.name !== 'PortadaError') console.error('Error al guardar portada:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Abre un tamaño de la portada de un juego para servirlo
+     * @param {Object} portada - Metadatos de la portada (games.portada)
+     * @param {string} juegoId - ID del juego
+     * @param {string} tamaño - Uno de TAMAÑOS_DISPONIBLES
+     * @returns {Promise<Object|null>} - { stream, size, contentType } o null si falta el archivo
+     */
+    async abrir(portada, juegoId, tamaño) {
+        const archivo = await storage.open(`${this._prefijo(juegoId, portada.version)}${tamaño}`);
+        if (!archivo) return null;
+        return { ...archivo, contentType: portada.tipos?.[tamaño] || archivo.contentType };
+    }
+
+    /**
+     * Elimina la portada subida de un juego
+     * @param {string} juegoId - ID del juego
+     * @param {Object} contexto - Contexto de auditoría (usuario, requestId, origen)
+     * @returns {boolean} - true si el juego tenía portada subida (false también si está en la papelera)
+     */
+    async eliminar(juegoId, contexto) {
+        try {
+            if (!ObjectId.isValid(juegoId)) {
+                console.error('Formato de ObjectId inválido:', juegoId);
+                return false;
+            }
+
+            const antes = await this._col().findOneAndUpdate(
+                { _id: new ObjectId(juegoId), portada: { $exists: true }, ...NO_ELIMINADO },
+                { $unset: { portada: "" }, $set: { imagenPortada: "" }, $inc: { version: 1 } },
+                { projection: { portada: 1, imagenPortada: 1 } }
+            );
+            if (!antes) return false;
+            await this.eliminarArchivos(juegoId);
+
+            await auditoriaModelo.registrar({ accion: 'cover.delete', juegoId, antes, despues: { _id: antes._id, imagenPortada: "" }, contexto });
+            cacheRecomendaciones.invalidar();
+            const game = await this._col().findOne({ _id: antes._id });
+            if (game) busEventos.publicar('game.updated', game);
+            return true;
+        } catch (error) {
+            console.error('Error al eliminar portada:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Elimina del almacenamiento todos los archivos de portada de un juego (al borrar el juego)
+     * @param {string} juegoId - ID del juego
+     * @returns {Promise<void>}
+     */
+    async eliminarArchivos(juegoId) {
+        await storage.removePrefix(this._prefijo(String(juegoId)));
+    }
+
+    /**
+     * Mueve al almacenamiento las portadas guardadas como data URI en imagenPortada
+     * @param {string} baseUrl - URL base de la API, para las nuevas URLs de portada
+     * @returns {Object} - { migradas, fallidas: [{ _id, titulo, error }] }
+     */
+    async migrarDesdeBase64(baseUrl) {
+        const col = this._col();
+        let migradas = 0;
+        const fallidas = [];
+
+        const cursor = col.find({ imagenPortada: { $regex: DATA_URI_REGEX } }, { projection: { titulo: 1, imagenPortada: 1 } });
+        for await (const game of cursor) {
+            try {
+                const base64 = game.imagenPortada.replace(DATA_URI_REGEX, '');
+                await this.guardar(String(game._id), Buffer.from(base64, 'base64'), baseUrl, { origen: 'cli' });
+                migradas++;
+            } catch (error) {
+                fallidas.push({ _id: game._id, titulo: game.titulo, error: error.message });
+            }
+        }
+
+        return { migradas, fallidas };
+    }
+}
+
+// Exportar una instancia única del modelo (patrón Singleton)
+export default new PortadasModelo();
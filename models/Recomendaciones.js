@@ -0,0 +1,230 @@
+// Importaciones necesarias para el modelo de recomendaciones
+import dbClient from "../config/dbClient.js";
+import { ObjectId } from 'mongodb';
+import { NO_ELIMINADO } from "../utils/papelera.js";
+import { cacheRecomendaciones } from "../utils/cache.js";
+import { perfilJuego, similitud, redondear } from "../utils/recomendaciones.js";
+
+// Número máximo de resultados que se calculan y guardan en caché (el límite de la petición recorta)
+export const MAXIMO_RECOMENDACIONES = 50;
+
+// Juegos candidatos que se puntúan como máximo en cada cálculo (los más reseñados primero)
+const MAXIMO_CANDIDATOS = 2000;
+
+// Calificación mínima de una reseña propia para que un juego completado cuente como señal
+const CALIFICACION_MINIMA_SEÑAL = 4;
+
+// Peso de un juego completado sin reseña (las reseñas pesan calificación / 5)
+const PESO_SIN_RESEÑA = 0.5;
+
+// Parte de la puntuación que aporta la valoración media del catálogo
+const PESO_VALORACION = 0.1;
+
+// Juegos de la biblioteca que contribuyen a cada recomendación y se devuelven como motivos
+const MAXIMO_MOTIVOS = 3;
+
+// Campos del juego necesarios para puntuar y para la respuesta
+const PROYECCION = {
+    titulo: 1, genero: 1, plataforma: 1, desarrollador: 1, añoLanzamiento: 1,
+    descripcion: 1, imagenPortada: 1, "estadisticas.calificacionPromedio": 1, "estadisticas.totalReseñas": 1
+};
+
+/**
+ * Resumen de un juego puntuado para la respuesta
+ * @param {Object} game - Juego del catálogo
+ * @param {number} puntuacion - Puntuación calculada
+ * @returns {Object} - Datos básicos del juego con su puntuación
+ */
+const resumen = (game, puntuacion) => ({
+    _id: game._id,
+    titulo: game.titulo,
+    imagenPortada: game.imagenPortada,
+    genero: game.genero,
+    plataforma: game.plataforma,
+    desarrollador: game.desarrollador,
+    añoLanzamiento: game.añoLanzamiento,
+    calificacionPromedio: game.estadisticas?.calificacionPromedio ?? null,
+    puntuacion: redondear(puntuacion)
+});
+
+/**
+ * Modelo de Recomendaciones - Calcula juegos similares y recomendaciones personales
+ * a partir del catálogo, las bibliotecas y las reseñas, sin servicios externos
+ * Los resultados se guardan en cacheRecomendaciones y se invalidan al cambiar los datos
+ */
+class RecomendacionesModelo {
+    /**
+     * Obtiene la base de datos
+     * @returns {Db} - Base de datos de MongoDB
+     * @throws {Error} - Si la base de datos no está inicializada
+     */
+    _db() {
+        if (!dbClient.db) throw new Error('Database not initialized. Call connectarDB() first.');
+        return dbClient.db;
+    }
+
+    /**
+     * Obtiene los juegos que comparten género, plataforma o desarrollador con alguno de los perfiles
+     * @param {Array<Object>} juegos - Juegos de referencia
+     * @param {Array<ObjectId>} excluir - IDs que no pueden ser candidatos
+     * @returns {Promise<Array>} - Juegos candidatos (sin los de la papelera)
+     * @private
+     */
+    async _candidatos(juegos, excluir) {
+        const generos = [...new Set(juegos.flatMap(g => g.genero || []))].filter(Boolean);
+        const plataformas = [...new Set(juegos.flatMap(g => g.plataforma || []))].filter(Boolean);
+        const desarrolladores = [...new Set(juegos.map(g => g.desarrollador))].filter(Boolean);
+
+        const afinidad = [];
+        if (generos.length) afinidad.push({ genero: { $in: generos } });
+        if (plataformas.length) afinidad.push({ plataforma: { $in: plataformas } });
+        if (desarrolladores.length) afinidad.push({ desarrollador: { $in: desarrolladores } });
+        if (afinidad.length === 0) return [];
+
+        return await this._db().collection("games")
+            .find({ ...NO_ELIMINADO, _id: { $nin: excluir }, $or: afinidad }, { projection: PROYECCION })
+            .sort({ "estadisticas.totalReseñas": -1, _id: 1 })
+            .limit(MAXIMO_CANDIDATOS)
+            .toArray();
+    }
+
+    /**
+     * Obtiene los juegos más parecidos a uno dado
+     * @param {string} juegoId - ID del juego
+     * @param {number} limit - Número de juegos a devolver (máximo MAXIMO_RECOMENDACIONES)
+     * @returns {Array|null} - Juegos ordenados por similitud, o null si el juego no existe
+     */
+    async getSimilares(juegoId, limit) {
+        try {
+            if (!ObjectId.isValid(juegoId)) {
+                console.error('Formato de ObjectId inválido:', juegoId);
+                return null;
+            }
+
+            const similares = await cacheRecomendaciones.obtener(`similares:${juegoId}`, async () => {
+                const game = await this._db().collection("games")
+                    .findOne({ _id: new ObjectId(juegoId), ...NO_ELIMINADO }, { projection: PROYECCION });
+                if (!game) return null;
+
+                const perfil = perfilJuego(game);
+                return (await this._candidatos([game], [game._id]))
+                    .map(candidato => resumen(candidato, similitud(perfil, perfilJuego(candidato))))
+                    .filter(r => r.puntuacion > 0)
+                    .sort((a, b) => b.puntuacion - a.puntuacion)
+                    .slice(0, MAXIMO_RECOMENDACIONES);
+            });
+            return similares && similares.slice(0, limit);
+        } catch (error) {
+            console.error('Error al obtener juegos similares:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Obtiene los juegos de la biblioteca que sirven de señal con su peso:
+     * los completados, salvo los que el usuario reseñó por debajo de CALIFICACION_MINIMA_SEÑAL
+     * o sin recomendarlos
+     * @param {ObjectId} usuarioId - ID del usuario
+     * @param {Array<ObjectId>} completados - IDs de los juegos completados
+     * @returns {Promise<Map>} - Mapa de ID de juego (string) a peso entre 0 y 1
+     * @private
+     */
+    async _señales(usuarioId, completados) {
+        const reseñas = await this._db().collection("reviews")
+            .find({ usuarioId, juegoId: { $in: completados } }, { projection: { juegoId: 1, calificaciones: 1, recomendaria: 1 } })
+            .toArray();
+        const porJuego = new Map(reseñas.map(r => [String(r.juegoId), r]));
+
+        const pesos = new Map();
+        for (const juegoId of completados) {
+            const reseña = porJuego.get(String(juegoId));
+            if (!reseña || (!reseña.calificaciones && reseña.recomendaria !== false)) {
+                // Sin reseña o sin calificación: haberlo completado ya es una señal moderada
+                pesos.set(String(juegoId), PESO_SIN_RESEÑA);
+            } else if (reseña.recomendaria !== false && reseña.calificaciones >= CALIFICACION_MINIMA_SEÑAL) {
+                pesos.set(String(juegoId), reseña.calificaciones / 5);
+            }
+        }
+        return pesos;
+    }
+
+    /**
+     * Calcula las recomendaciones de un usuario sin usar la caché
+     * @param {string} usuarioId - ID del usuario
+     * @returns {Promise<Object>} - { basadoEn, juegos }
+     * @private
+     */
+    async _calcularRecomendaciones(usuarioId) {
+        const _usuarioId = new ObjectId(usuarioId);
+        const entradas = await this._db().collection("library")
+            .find({ usuarioId: _usuarioId, estado: { $in: ['completed', 'dropped'] } }, { projection: { juegoId: 1, estado: 1 } })
+            .toArray();
+        const excluir = entradas.map(e => e.juegoId);
+        const completados = entradas.filter(e => e.estado === 'completed').map(e => e.juegoId);
+
+        const pesos = await this._señales(_usuarioId, completados);
+        const señales = pesos.size === 0 ? [] : await this._db().collection("games")
+            .find({ _id: { $in: completados.filter(id => pesos.has(String(id))) }, ...NO_ELIMINADO }, { projection: PROYECCION })
+            .toArray();
+
+        // Sin juegos que sirvan de señal se recomiendan los mejor valorados que aún no ha jugado
+        if (señales.length === 0) {
+            const mejores = await this._db().collection("games")
+                .find({ ...NO_ELIMINADO, _id: { $nin: excluir }, "estadisticas.totalReseñas": { $gte: 1 } }, { projection: PROYECCION })
+                .sort({ "estadisticas.calificacionPromedio": -1, "estadisticas.totalReseñas": -1, _id: 1 })
+                .limit(MAXIMO_RECOMENDACIONES)
+                .toArray();
+            return {
+                basadoEn: 'valoraciones',
+                juegos: mejores.map(game => ({ ...resumen(game, (game.estadisticas?.calificacionPromedio ?? 0) / 5), motivos: [] }))
+            };
+        }
+
+        const perfiles = señales.map(game => ({ game, perfil: perfilJuego(game), peso: pesos.get(String(game._id)) }));
+        const pesoTotal = perfiles.reduce((total, s) => total + s.peso, 0);
+
+        const juegos = [];
+        for (const candidato of await this._candidatos(señales, excluir)) {
+            const perfil = perfilJuego(candidato);
+            const aportes = perfiles
+                .map(s => ({ titulo: s.game.titulo, aporte: s.peso * similitud(s.perfil, perfil) }))
+                .filter(a => a.aporte > 0)
+                .sort((a, b) => b.aporte - a.aporte);
+            if (aportes.length === 0) continue;
+
+            // Afinidad media ponderada con la biblioteca más un pequeño impulso por la valoración del catálogo
+            const afinidad = aportes.reduce((total, a) => total + a.aporte, 0) / pesoTotal;
+            const valoracion = (candidato.estadisticas?.calificacionPromedio ?? 0) / 5;
+            juegos.push({
+                ...resumen(candidato, (1 - PESO_VALORACION) * afinidad + PESO_VALORACION * valoracion),
+                motivos: aportes.slice(0, MAXIMO_MOTIVOS).map(a => a.titulo)
+            });
+        }
+
+        juegos.sort((a, b) => b.puntuacion - a.puntuacion);
+        return { basadoEn: 'biblioteca', juegos: juegos.slice(0, MAXIMO_RECOMENDACIONES) };
+    }
+
+    /**
+     * Obtiene las recomendaciones personales de un usuario: juegos que aún no ha completado ni abandonado,
+     * ordenados por su parecido con los juegos completados que mejor valoró
+     * @param {string} usuarioId - ID del usuario
+     * @param {number} limit - Número de juegos a devolver (máximo MAXIMO_RECOMENDACIONES)
+     * @returns {Object} - { basadoEn: 'biblioteca' | 'valoraciones', juegos }
+     */
+    async getRecomendaciones(usuarioId, limit) {
+        try {
+            const { basadoEn, juegos } = await cacheRecomendaciones.obtener(
+                `usuario:${usuarioId}`,
+                () => this._calcularRecomendaciones(usuarioId)
+            );
+            return { basadoEn, juegos: juegos.slice(0, limit) };
+        } catch (error) {
+            console.error('Error al calcular recomendaciones:', error);
+            throw error;
+        }
+    }
+}
+
+// Exportar una instancia única del modelo (patrón Singleton)
+export default new RecomendacionesModelo();
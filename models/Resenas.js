@@ -0,0 +1,492 @@
+// Importaciones necesarias para el modelo de reseñas
+import dbClient from "../config/dbClient.js";
+import { ObjectId } from 'mongodb';
+import { paginarColeccion } from "../utils/paginacion.js";
+import { estadisticasVacias, expresionEstadisticas } from "../utils/estadisticas.js";
+import { NO_ELIMINADO, EN_PAPELERA } from "../utils/papelera.js";
+import { tienePermiso } from "../utils/permisos.js";
+import auditoriaModelo from "./Auditoria.js";
+import { cacheRecomendaciones } from "../utils/cache.js";
+import { busEventos } from "../utils/eventos.js";
+
+// Estados de moderación de una reseña
+export const ESTADOS_RESEÑA = ['pending', 'approved', 'rejected'];
+
+// Campos internos que nunca se devuelven al cliente (IDs de quienes votaron como útil)
+const PROYECCION_PUBLICA = { utiles: 0 };
+
+/**
+ * Modelo de Reseñas - Maneja la colección "reviews"
+ * Cada reseña es un documento propio indexado por juegoId, en lugar de un
+ * elemento embebido en el juego; las estadísticas del juego se mantienen
+ * denormalizadas en games.estadisticas tras cada cambio
+ */
+class ReseñasModelo {
+    constructor() {
+        // Nombre de la colección en MongoDB
+        this.colName = "reviews";
+    }
+
+    /**
+     * Obtiene la colección de reseñas de la base de datos
+     * @returns {Collection} - Colección de MongoDB para reseñas
+     * @throws {Error} - Si la base de datos no está inicializada
+     */
+    _col() {
+        if (!dbClient.db) throw new Error('Database not initialized. Call connectarDB() first.');
+        return dbClient.db.collection(this.colName);
+    }
+
+    /**
+     * Obtiene la colección de juegos (para comprobar existencia y guardar estadísticas)
+     * @returns {Collection} - Colección de MongoDB para juegos
+     * @private
+     */
+    _games() {
+        return this._col().db.collection("games");
+    }
+
+    /**
+     * Comprueba que un juego existe y no está en la papelera
+     * Las reseñas de los juegos eliminados no se pueden leer ni modificar hasta que se restauran
+     * @param {ObjectId} _juegoId - ID del juego
+     * @returns {Promise<boolean>} - true si el juego está visible
+     * @private
+     */
+    async _juegoVisible(_juegoId) {
+        return (await this._games().countDocuments({ _id: _juegoId, ...NO_ELIMINADO }, { limit: 1 })) > 0;
+    }
+
+    /**
+     * Crea los índices que usan los listados y la cola de moderación
+     * @returns {Promise<void>}
+     */
+    async ensureIndexes() {
+        const col = this._col();
+        await col.createIndex({ juegoId: 1, estado: 1, fechaCreacion: -1 });
+        await col.createIndex({ juegoId: 1, estado: 1, calificaciones: -1 });
+        await col.createIndex({ juegoId: 1, estado: 1, totalUtiles: -1 });
+        await col.createIndex({ estado: 1, fechaCreacion: 1 });
+        await col.createIndex({ usuarioId: 1 });
+    }
+
+    /**
+     * Añade una reseña a un juego
+     * @param {string} juegoId - ID del juego al que se añadirá la reseña
+     * @param {Object} reseñaData - Datos de la reseña (ya validados)
+     * @param {string} reseñaData.textoReseña - Texto de la reseña
+     * @param {number} reseñaData.calificaciones - Calificación (0-5)
+     * @param {number} reseñaData.horasJugadas - Horas jugadas por el usuario
+     * @param {string} reseñaData.dificultad - Dificultad percibida
+     * @param {boolean} reseñaData.recomendaria - Si lo recomendaría
+     * @param {Object} autor - Usuario autenticado que escribe la reseña
+     * @param {string} autor.id - ID del usuario
+     * @param {string} autor.nombreUsuario - Nombre visible del usuario
+     * @param {string} autor.rol - Rol del usuario (las de quien tiene el permiso reseñas:moderar se aprueban directamente)
+     * @param {Object} contexto - Contexto de auditoría (usuario, requestId, origen)
+     * @returns {Object|null} - Reseña creada o null si el juego no existe
+     */
+    async create(juegoId, reseñaData, autor, contexto) {
+        try {
+            if (!ObjectId.isValid(juegoId)) {
+                console.error('Formato de ObjectId inválido:', juegoId);
+                return null;
+            }
+
+            const _juegoId = new ObjectId(juegoId);
+            if (!await this._juegoVisible(_juegoId)) return null;
+
+            // Crear nueva reseña con valores por defecto
+            const newReseña = {
+                _id: new ObjectId(),
+                juegoId: _juegoId,
+                // El autor se toma del token, nunca del cuerpo de la petición
+                usuarioId: new ObjectId(autor.id),
+                nombreUsuario: autor.nombreUsuario,
+                textoReseña: reseñaData.textoReseña || "",
+                calificaciones: reseñaData.calificaciones || 0,
+                horasJugadas: reseñaData.horasJugadas || 0,
+                dificultad: reseñaData.dificultad || "Normal",
+                recomendaria: reseñaData.recomendaria !== undefined ? reseñaData.recomendaria : true,
+                // Las reseñas nuevas quedan pendientes de moderación, salvo las de quien puede moderarlas
+                estado: tienePermiso(autor.rol, 'reseñas:moderar') ? 'approved' : 'pending',
+                totalUtiles: 0,
+                utiles: [],
+                fechaCreacion: new Date().toISOString()
+            };
+
+            await this._col().insertOne(newReseña);
+            await this.recalcularEstadisticas(juegoId);
+
+            const { utiles, ...publica } = newReseña;
+            await auditoriaModelo.registrar({ accion: 'review.create', juegoId, reseñaId: newReseña._id, despues: publica, contexto });
+            // Las reseñas pendientes no se anuncian hasta que se aprueban
+            if (publica.estado === 'approved') busEventos.publicar('review.added', publica);
+            return publica;
+        } catch (error) {
+            console.error('Error al añadir reseña:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Obtiene una página de reseñas de un juego
+     * @param {string} juegoId - ID del juego
+     * @param {Array<string>} estados - Estados de moderación a incluir
+     * @param {Object} opciones - Opciones del listado (ver parseListQuery en utils/paginacion.js)
+     * @returns {Object|null} - { items, total, ultimo } o null si el juego no existe
+     */
+    async getPage(juegoId, estados, opciones) {
+        try {
+            if (!ObjectId.isValid(juegoId)) {
+                console.error('Formato de ObjectId inválido:', juegoId);
+                return null;
+            }
+
+            const _juegoId = new ObjectId(juegoId);
+            if (!await this._juegoVisible(_juegoId)) return null;
+
+            return await paginarColeccion(
+                this._col(),
+                { juegoId: _juegoId, estado: { $in: estados } },
+                { ...opciones, projection: PROYECCION_PUBLICA }
+            );
+        } catch (error) {
+            console.error('Error al obtener reseñas:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Obtiene las primeras reseñas de varios juegos en una sola consulta (carga por lotes de GraphQL)
+     * @param {Array<string|ObjectId>} juegoIds - IDs de los juegos
+     * @param {Array<string>} estados - Estados de moderación a incluir
+     * @param {Object} opciones - Opciones del listado
+     * @param {number} opciones.limit - Reseñas por juego
+     * @param {Object} opciones.sort - Orden { campo, direccion } (ver ORDENES_RESEÑAS)
+     * @returns {Map} - Mapa de ID de juego (string) a { items, total }
+     */
+    async getByJuegos(juegoIds, estados, { limit, sort }) {
+        try {
+            const ids = juegoIds.filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id));
+            const grupos = await this._col().aggregate([
+                { $match: { juegoId: { $in: ids }, estado: { $in: estados } } },
+                { $project: PROYECCION_PUBLICA },
+                { $sort: { [sort.campo]: sort.direccion, _id: sort.direccion } },
+                { $group: { _id: "$juegoId", items: { $push: "$$ROOT" }, total: { $sum: 1 } } },
+                { $project: { items: { $slice: ["$items", limit] }, total: 1 } }
+            ]).toArray();
+            return new Map(grupos.map(g => [String(g._id), { items: g.items, total: g.total }]));
+        } catch (error) {
+            console.error('Error al obtener reseñas de varios juegos:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Obtiene una reseña concreta de un juego
+     * @param {string} juegoId - ID del juego
+     * @param {string} reseñaId - ID de la reseña
+     * @returns {Object|null} - Reseña encontrada o null si no existe o el juego está en la papelera
+     */
+    async getOne(juegoId, reseñaId) {
+        try {
+            if (!ObjectId.isValid(juegoId) || !ObjectId.isValid(reseñaId)) {
+                console.error('Formato de ObjectId inválido:', juegoId, reseñaId);
+                return null;
+            }
+
+            const _juegoId = new ObjectId(juegoId);
+            if (!await this._juegoVisible(_juegoId)) return null;
+
+            return await this._col().findOne(
+                { _id: new ObjectId(reseñaId), juegoId: _juegoId },
+                { projection: PROYECCION_PUBLICA }
+            );
+        } catch (error) {
+            console.error('Error al obtener reseña:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Actualiza campos de una reseña
+     * @param {string} juegoId - ID del juego
+     * @param {string} reseñaId - ID de la reseña
+     * @param {Object} campos - Campos a modificar (ya validados)
+     * @param {Object} contexto - Contexto de auditoría (usuario, requestId, origen)
+     * @param {string} accion - Acción registrada en la auditoría (por defecto 'review.update')
+     * @returns {Object|null} - Reseña actualizada o null si no existe o el juego está en la papelera
+     */
+    async update(juegoId, reseñaId, campos, contexto, accion = 'review.update') {
+        try {
+            if (!ObjectId.isValid(juegoId) || !ObjectId.isValid(reseñaId)) {
+                console.error('Formato de ObjectId inválido:', juegoId, reseñaId);
+                return null;
+            }
+
+            // Campos que identifican la reseña, a su autor o sus votos no se pueden cambiar
+            const { _id, juegoId: _j, usuarioId, nombreUsuario, fechaCreacion, utiles, totalUtiles, ...resto } = campos;
+            const cambios = { ...resto, fechaActualizacion: new Date().toISOString() };
+            if (!await this._juegoVisible(new ObjectId(juegoId))) return null;
+
+            const antes = await this._col().findOneAndUpdate(
+                { _id: new ObjectId(reseñaId), juegoId: new ObjectId(juegoId) },
+                { $set: cambios },
+                { returnDocument: 'before', projection: PROYECCION_PUBLICA }
+            );
+            if (!antes) return null;
+            const updated = { ...antes, ...cambios };
+
+            await this.recalcularEstadisticas(juegoId);
+            await auditoriaModelo.registrar({ accion, juegoId, reseñaId, antes, despues: updated, contexto });
+            return updated;
+        } catch (error) {
+            console.error('Error al actualizar reseña:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Elimina una reseña
+     * @param {string} juegoId - ID del juego
+     * @param {string} reseñaId - ID de la reseña
+     * @param {Object} contexto - Contexto de auditoría (usuario, requestId, origen)
+     * @returns {boolean} - true si se eliminó, false si no existía o el juego está en la papelera
+     */
+    async delete(juegoId, reseñaId, contexto) {
+        try {
+            if (!ObjectId.isValid(juegoId) || !ObjectId.isValid(reseñaId)) {
+                console.error('Formato de ObjectId inválido:', juegoId, reseñaId);
+                return false;
+            }
+            if (!await this._juegoVisible(new ObjectId(juegoId))) return false;
+
+            const antes = await this._col().findOneAndDelete(
+                { _id: new ObjectId(reseñaId), juegoId: new ObjectId(juegoId) },
+                { projection: PROYECCION_PUBLICA }
+            );
+            if (!antes) return false;
+
+            await this.recalcularEstadisticas(juegoId);
+            await auditoriaModelo.registrar({ accion: 'review.delete', juegoId, reseñaId, antes, contexto });
+            return true;
+        } catch (error) {
+            console.error('Error al eliminar reseña:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Elimina todas las reseñas de un juego (al borrar el juego)
+     * @param {string} juegoId - ID del juego
+     * @returns {number} - Número de reseñas eliminadas
+     */
+    async deleteByJuego(juegoId) {
+        try {
+            const result = await this._col().deleteMany({ juegoId: new ObjectId(juegoId) });
+            return result.deletedCount;
+        } catch (error) {
+            console.error('Error al eliminar las reseñas del juego:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Pasa todas las reseñas de un juego a otro (al fusionar juegos duplicados)
+     * Las estadísticas del juego destino las recalcula quien fusiona
+     * @param {string} origenId - ID del juego cuyas reseñas se mueven
+     * @param {string} destinoId - ID del juego que las recibe
+     * @returns {number} - Número de reseñas movidas
+     */
+    async moverAJuego(origenId, destinoId) {
+        try {
+            const result = await this._col().updateMany({ juegoId: new ObjectId(origenId) }, { $set: { juegoId: new ObjectId(destinoId) } });
+            return result.modifiedCount;
+        } catch (error) {
+            console.error('Error al mover las reseñas del juego:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Cambia el estado de moderación de una reseña
+     * @param {string} juegoId - ID del juego
+     * @param {string} reseñaId - ID de la reseña
+     * @param {Object} moderacion - Datos de la moderación
+     * @param {string} moderacion.estado - pending, approved o rejected
+     * @param {string} moderacion.motivo - Motivo (opcional, útil al rechazar)
+     * @param {Object} contexto - Contexto de auditoría; contexto.usuario es el administrador que modera
+     * @returns {Object|null} - Reseña actualizada o null si no existe
+     */
+    async moderar(juegoId, reseñaId, { estado, motivo }, contexto) {
+        const anterior = await this.getOne(juegoId, reseñaId);
+        const updated = await this.update(juegoId, reseñaId, {
+            estado,
+            motivoModeracion: motivo || "",
+            moderadoPor: new ObjectId(contexto.usuario.id),
+            fechaModeracion: new Date().toISOString()
+        }, contexto, 'review.moderate');
+        // Al aprobarse, la reseña aparece para el resto de usuarios
+        if (updated && estado === 'approved' && anterior?.estado !== 'approved') busEventos.publicar('review.added', updated);
+        return updated;
+    }
+
+    /**
+     * Marca o desmarca una reseña como útil para un usuario (un voto por usuario)
+     * @param {string} juegoId - ID del juego
+     * @param {string} reseñaId - ID de la reseña
+     * @param {string} usuarioId - ID del usuario que vota
+     * @param {boolean} util - true para votar, false para retirar el voto
+     * @returns {Object|null} - Reseña con el contador actualizado o null si no existe o el juego está en la papelera
+     */
+    async votarUtil(juegoId, reseñaId, usuarioId, util = true) {
+        try {
+            if (!ObjectId.isValid(juegoId) || !ObjectId.isValid(reseñaId)) {
+                console.error('Formato de ObjectId inválido:', juegoId, reseñaId);
+                return null;
+            }
+
+            if (!await this._juegoVisible(new ObjectId(juegoId))) return null;
+
+            const col = this._col();
+            const filtro = { _id: new ObjectId(reseñaId), juegoId: new ObjectId(juegoId) };
+            const uid = new ObjectId(usuarioId);
+
+            // La condición sobre "utiles" hace que votar dos veces no incremente el contador
+            await col.updateOne(
+                util ? { ...filtro, utiles: { $ne: uid } } : { ...filtro, utiles: uid },
+                util
+                    ? { $addToSet: { utiles: uid }, $inc: { totalUtiles: 1 } }
+                    : { $pull: { utiles: uid }, $inc: { totalUtiles: -1 } }
+            );
+            return await col.findOne(filtro, { projection: PROYECCION_PUBLICA });
+        } catch (error) {
+            console.error('Error al votar la reseña:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Obtiene la cola de moderación: reseñas pendientes de todos los juegos (sin las de juegos en la papelera,
+     * que no se pueden moderar hasta que el juego se restaure)
+     * @param {Object} opciones - Paginación
+     * @param {number} opciones.limit - Máximo de reseñas
+     * @param {number} opciones.skip - Reseñas a saltar
+     * @returns {Object} - { items, total } con las reseñas más antiguas primero
+     */
+    async getPendientes({ limit = 20, skip = 0 } = {}) {
+        try {
+            const col = this._col();
+            const enPapelera = await this._games().distinct('_id', EN_PAPELERA);
+            const filtro = { estado: 'pending', juegoId: { $nin: enPapelera } };
+            const [items, total] = await Promise.all([
+                col.aggregate([
+                    { $match: filtro },
+                    { $sort: { fechaCreacion: 1 } },
+                    { $skip: skip },
+                    { $limit: limit },
+                    { $lookup: { from: "games", localField: "juegoId", foreignField: "_id", as: "juego", pipeline: [{ $project: { titulo: 1 } }] } },
+                    { $addFields: { tituloJuego: { $first: "$juego.titulo" } } },
+                    { $project: { juego: 0, ...PROYECCION_PUBLICA } }
+                ]).toArray(),
+                col.countDocuments(filtro)
+            ]);
+            return { items, total };
+        } catch (error) {
+            console.error('Error al obtener reseñas pendientes:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Recalcula las estadísticas denormalizadas de un juego a partir de sus reseñas aprobadas
+     * Solo se guardan (y se incrementa la versión del juego, su ETag) si alguna estadística cambió;
+     * así una reseña pendiente o rechazada no invalida el If-Match de quien está editando el juego
+     * @param {string} juegoId - ID del juego
+     * @returns {Promise<void>}
+     */
+    async recalcularEstadisticas(juegoId) {
+        const _juegoId = new ObjectId(juegoId);
+        const [result] = await this._col().aggregate([
+            { $match: { juegoId: _juegoId, estado: 'approved' } },
+            { $project: { calificaciones: 1, horasJugadas: 1, recomendaria: 1, dificultad: 1 } },
+            { $group: { _id: null, r: { $push: "$$ROOT" } } },
+            { $project: { _id: 0, estadisticas: expresionEstadisticas("$r") } }
+        ]).toArray();
+
+        const estadisticas = result?.estadisticas || estadisticasVacias();
+        // La fecha de actualización cambia siempre; no cuenta para decidir si las estadísticas cambiaron
+        const { fechaActualizacion, ...valores } = estadisticas;
+        const iguales = { $and: Object.entries(valores).map(([campo, valor]) => ({ $eq: [`$estadisticas.${campo}`, { $literal: valor }] })) };
+        await this._games().updateOne({ _id: _juegoId }, [{
+            $set: {
+                estadisticas: { $cond: [iguales, '$estadisticas', { $literal: estadisticas }] },
+                version: { $cond: [iguales, '$version', { $add: [{ $ifNull: ['$version', 0] }, 1] }] }
+            }
+        }]);
+        // Las valoraciones cambian las recomendaciones de todos los usuarios, no solo las del autor
+        cacheRecomendaciones.invalidar();
+    }
+
+    /**
+     * Recalcula las estadísticas de los juegos que cumplan el filtro
+     * @param {Object} filter - Filtro sobre "games" (por defecto, los juegos sin estadísticas)
+     * @returns {number} - Número de juegos recalculados
+     */
+    async recalcularTodas(filter = { estadisticas: { $exists: false } }) {
+        let total = 0;
+        const cursor = this._games().find(filter, { projection: { _id: 1 } });
+        for await (const game of cursor) {
+            await this.recalcularEstadisticas(game._id);
+            total++;
+        }
+        return total;
+    }
+
+    /**
+     * Mueve las reseñas embebidas en games.reseñas a la colección "reviews"
+     * Es idempotente: las reseñas ya copiadas (mismo _id) se ignoran
+     * @returns {Object} - { juegos, reseñas } procesados
+     */
+    async migrarDesdeJuegos() {
+        const col = this._col();
+        const games = this._games();
+        let juegos = 0;
+        let reseñas = 0;
+
+        const cursor = games.find({ reseñas: { $exists: true } }, { projection: { reseñas: 1 } });
+        for await (const game of cursor) {
+            const docs = (game.reseñas || []).map(r => ({
+                ...r,
+                _id: r._id || new ObjectId(),
+                juegoId: game._id,
+                usuarioId: r.usuarioId || null,
+                // Las reseñas anteriores a la moderación se consideran aprobadas
+                estado: r.estado || 'approved',
+                totalUtiles: r.totalUtiles || 0,
+                utiles: r.utiles || []
+            }));
+
+            if (docs.length > 0) {
+                try {
+                    const result = await col.insertMany(docs, { ordered: false });
+                    reseñas += result.insertedCount;
+                } catch (error) {
+                    // 11000: la reseña ya se había migrado en una ejecución anterior
+                    if (error.code !== 11000 && !error.writeErrors?.every(e => e.code === 11000)) throw error;
+                    reseñas += error.result?.insertedCount ?? 0;
+                }
+            }
+
+            await games.updateOne({ _id: game._id }, { $unset: { reseñas: "" } });
+            await this.recalcularEstadisticas(game._id);
+            juegos++;
+        }
+
+        return { juegos, reseñas };
+    }
+}
+
+// Exportar una instancia única del modelo (patrón Singleton)
+export default new ReseñasModelo();
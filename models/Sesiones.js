@@ -0,0 +1,420 @@
+// Importaciones necesarias para el modelo de sesiones de juego
+import dbClient from "../config/dbClient.js";
+import { ObjectId } from 'mongodb';
+import { paginarColeccion } from "../utils/paginacion.js";
+import { NO_ELIMINADO } from "../utils/papelera.js";
+import { DURACION_MAXIMA_SESION } from "../schemas/sesiones.js";
+import bibliotecaModelo from "./Biblioteca.js";
+
+// Las sesiones terminadas son las que cuentan para las horas jugadas y las estadísticas
+const TERMINADA = { activa: { $exists: false } };
+
+/**
+ * Error de una operación sobre sesiones (sesión ya en curso, ninguna en curso, plataforma inválida...)
+ */
+export class SesionError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'SesionError';
+        this.status = status;
+    }
+}
+
+/**
+ * Etapas que agrupan las sesiones por una clave y suman su duración
+ * @param {Object|string} clave - Expresión de agrupación
+ * @param {string} campo - Nombre del campo de la clave en el resultado
+ * @returns {Array} - Etapas de agregación, ordenadas por la clave
+ */
+const agruparDuracion = (clave, campo) => [
+    { $group: { _id: clave, minutos: { $sum: "$duracionMinutos" }, sesiones: { $sum: 1 } } },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, [campo]: "$_id", minutos: 1, horas: { $round: [{ $divide: ["$minutos", 60] }, 2] }, sesiones: 1 } }
+];
+
+/**
+ * Expresión que formatea la fecha de inicio de una sesión
+ * @param {string} formato - Formato de $dateToString
+ * @returns {Object} - Expresión de agregación
+ */
+const periodo = (formato) => ({ $dateToString: { format: formato, date: { $toDate: "$inicio" } } });
+
+/**
+ * Modelo de Sesiones - Maneja la colección "sessions"
+ * Cada sesión es un rato de juego de un usuario en un juego: se cronometra (start/stop)
+ * o se registra a mano con su duración. Las horas jugadas de la biblioteca se derivan
+ * de la suma de las sesiones terminadas
+ */
+class SesionesModelo {
+    constructor() {
+        // Nombre de la colección en MongoDB
+        this.colName = "sessions";
+    }
+
+    /**
+     * Obtiene la colección de sesiones de la base de datos
+     * @returns {Collection} - Colección de MongoDB para sesiones
+     * @throws {Error} - Si la base de datos no está inicializada
+     */
+    _col() {
+        if (!dbClient.db) throw new Error('Database not initialized. Call connectarDB() first.');
+        return dbClient.db.collection(this.colName);
+    }
+
+    /**
+     * Crea los índices de los listados y las estadísticas
+     * Un usuario solo puede tener una sesión en curso a la vez
+     * @returns {Promise<void>}
+     */
+    async ensureIndexes() {
+        const col = this._col();
+        await col.createIndex({ usuarioId: 1, juegoId: 1, inicio: -1 });
+        await col.createIndex({ inicio: 1 });
+        await col.createIndex({ usuarioId: 1 }, { name: 'sesion_activa', unique: true, partialFilterExpression: { activa: true } });
+    }
+
+    /**
+     * Comprueba que el juego existe y que la plataforma es una de las suyas
+     * @param {ObjectId} juegoId - ID del juego
+     * @param {string} plataforma - Plataforma indicada (opcional)
+     * @returns {boolean} - false si el juego no existe o está en la papelera
+     * @throws {SesionError} - Si la plataforma no es una de las del juego
+     * @private
+     */
+    async _comprobarJuego(juegoId, plataforma) {
+        const game = await this._col().db.collection("games").findOne(
+            { _id: juegoId, ...NO_ELIMINADO },
+            { projection: { plataforma: 1 } }
+        );
+        if (!game) return false;
+        const plataformas = (game.plataforma || []).filter(Boolean);
+        if (plataforma && plataformas.length > 0 && !plataformas.includes(plataforma)) {
+            throw new SesionError(`La plataforma debe ser una de las del juego: ${plataformas.join(', ')}`);
+        }
+        return true;
+    }
+
+    /**
+     * Empieza a cronometrar una sesión
+     * @param {string} usuarioId - ID del usuario
+     * @param {string} juegoId - ID del juego
+     * @param {Object} datos - Datos de la sesión
+     * @param {string} datos.plataforma - Plataforma en la que juega (opcional)
+     * @param {string} datos.nota - Nota (opcional)
+     * @returns {Object|null} - Sesión en curso o null si el juego no existe
+     * @throws {SesionError} - Si el usuario ya tiene una sesión en curso (409)
+     */
+    async iniciar(usuarioId, juegoId, { plataforma, nota } = {}) {
+        try {
+            if (!ObjectId.isValid(juegoId)) {
+                console.error('Formato de ObjectId inválido:', juegoId);
+                return null;
+            }
+
+            const _juegoId = new ObjectId(juegoId);
+            if (!await this._comprobarJuego(_juegoId, plataforma)) return null;
+
+            const now = new Date().toISOString();
+            const sesion = {
+                usuarioId: new ObjectId(usuarioId),
+                juegoId: _juegoId,
+                plataforma: plataforma || null,
+                nota: nota || "",
+                inicio: now,
+                fin: null,
+                duracionMinutos: null,
+                activa: true,
+                fechaCreacion: now
+            };
+
+            const result = await this._col().insertOne(sesion);
+            return { ...sesion, _id: result.insertedId };
+        } catch (error) {
+            // 11000: ya hay una sesión en curso (índice único parcial sobre las activas)
+            if (error.code === 11000) throw new SesionError('Ya tienes una sesión en curso; detenla antes de empezar otra', 409);
+            if (error.name !== 'SesionError') console.error('Error al iniciar sesión de juego:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Detiene la sesión en curso de un usuario en un juego y calcula su duración
+     * Las sesiones olvidadas en marcha se recortan a la duración máxima
+     * @param {string} usuarioId - ID del usuario
+     * @param {string} juegoId - ID del juego
+     * @param {Object} datos - Datos con los que cerrar la sesión
+     * @param {string} datos.nota - Nota (opcional, sustituye a la de inicio)
+     * @returns {Object} - Sesión terminada
+     * @throws {SesionError} - Si no hay ninguna sesión en curso en ese juego (409)
+     */
+    async detener(usuarioId, juegoId, { nota } = {}) {
+        try {
+            const _usuarioId = new ObjectId(usuarioId);
+            const activa = ObjectId.isValid(juegoId)
+                ? await this._col().findOne({ usuarioId: _usuarioId, juegoId: new ObjectId(juegoId), activa: true })
+                : null;
+            if (!activa) throw new SesionError('No tienes ninguna sesión en curso en este juego', 409);
+
+            const fin = new Date();
+            const minutos = Math.max(1, Math.round((fin - new Date(activa.inicio)) / 60000));
+            const $set = {
+                fin: fin.toISOString(),
+                duracionMinutos: Math.min(minutos, DURACION_MAXIMA_SESION)
+            };
+            if (minutos > DURACION_MAXIMA_SESION) $set.recortada = true;
+            if (nota !== undefined) $set.nota = nota;
+
+            const terminada = await this._col().findOneAndUpdate(
+                { _id: activa._id, activa: true },
+                { $set, $unset: { activa: "" } },
+                { returnDocument: 'after' }
+            );
+            if (!terminada) throw new SesionError('La sesión ya se había detenido', 409);
+
+            await this.recalcularHoras(usuarioId, activa.juegoId);
+            return terminada;
+        } catch (error) {
+            if (error.name !== 'SesionError') console.error('Error al detener sesión de juego:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Registra una sesión ya jugada con su duración
+     * @param {string} usuarioId - ID del usuario
+     * @param {string} juegoId - ID del juego
+     * @param {Object} datos - Datos de la sesión (ya validados)
+     * @param {number} datos.duracionMinutos - Duración en minutos
+     * @param {string} datos.inicio - Inicio (ISO); por defecto, hace duracionMinutos
+     * @param {string} datos.plataforma - Plataforma (opcional)
+     * @param {string} datos.nota - Nota (opcional)
+     * @returns {Object|null} - Sesión registrada o null si el juego no existe
+     */
+    async registrar(usuarioId, juegoId, { duracionMinutos, inicio, plataforma, nota }) {
+        try {
+            if (!ObjectId.isValid(juegoId)) {
+                console.error('Formato de ObjectId inválido:', juegoId);
+                return null;
+            }
+
+            const _juegoId = new ObjectId(juegoId);
+            if (!await this._comprobarJuego(_juegoId, plataforma)) return null;
+
+            const now = new Date();
+            const desde = inicio ? new Date(inicio) : new Date(now.getTime() - duracionMinutos * 60000);
+            const sesion = {
+                usuarioId: new ObjectId(usuarioId),
+                juegoId: _juegoId,
+                plataforma: plataforma || null,
+                nota: nota || "",
+                inicio: desde.toISOString(),
+                fin: new Date(desde.getTime() + duracionMinutos * 60000).toISOString(),
+                duracionMinutos,
+                fechaCreacion: now.toISOString()
+            };
+
+            const result = await this._col().insertOne(sesion);
+            // Registrar una sesión nueva añade el juego a la biblioteca si no estaba
+            await this.recalcularHoras(usuarioId, _juegoId, { añadir: true });
+            return { ...sesion, _id: result.insertedId };
+        } catch (error) {
+            if (error.name !== 'SesionError') console.error('Error al registrar sesión de juego:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Obtiene una página de las sesiones de un usuario en un juego
+     * @param {string} usuarioId - ID del usuario
+     * @param {string} juegoId - ID del juego
+     * @param {Object} opciones - Opciones del listado (ver parseListQuery en utils/paginacion.js)
+     * @returns {Object|null} - { items, total, ultimo } o null si el ID no es válido
+     */
+    async getPage(usuarioId, juegoId, opciones) {
+        try {
+            if (!ObjectId.isValid(juegoId)) {
+                console.error('Formato de ObjectId inválido:', juegoId);
+                return null;
+            }
+
+            return await paginarColeccion(
+                this._col(),
+                { usuarioId: new ObjectId(usuarioId), juegoId: new ObjectId(juegoId) },
+                opciones
+            );
+        } catch (error) {
+            console.error('Error al obtener sesiones de juego:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Elimina una sesión de un usuario
+     * @param {string} usuarioId - ID del usuario
+     * @param {string} juegoId - ID del juego
+     * @param {string} sesionId - ID de la sesión
+     * @returns {boolean} - true si se eliminó, false si no existía
+     */
+    async delete(usuarioId, juegoId, sesionId) {
+        try {
+            if (!ObjectId.isValid(juegoId) || !ObjectId.isValid(sesionId)) {
+                console.error('Formato de ObjectId inválido:', juegoId, sesionId);
+                return false;
+            }
+
+            const result = await this._col().deleteOne({
+                _id: new ObjectId(sesionId),
+                usuarioId: new ObjectId(usuarioId),
+                juegoId: new ObjectId(juegoId)
+            });
+            if (result.deletedCount !== 1) return false;
+
+            await this.recalcularHoras(usuarioId, juegoId);
+            return true;
+        } catch (error) {
+            console.error('Error al eliminar sesión de juego:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Suma los minutos de las sesiones terminadas de un usuario en un juego
+     * @param {string|ObjectId} usuarioId - ID del usuario
+     * @param {string|ObjectId} juegoId - ID del juego
+     * @returns {number} - Horas jugadas (con dos decimales)
+     */
+    async getHoras(usuarioId, juegoId) {
+        const [result] = await this._col().aggregate([
+            { $match: { usuarioId: new ObjectId(usuarioId), juegoId: new ObjectId(juegoId), ...TERMINADA } },
+            { $group: { _id: null, minutos: { $sum: "$duracionMinutos" } } }
+        ]).toArray();
+        return Math.round((result?.minutos || 0) / 60 * 100) / 100;
+    }
+
+    /**
+     * Recalcula las horas jugadas de la entrada de biblioteca de un usuario a partir de sus sesiones
+     * @param {string|ObjectId} usuarioId - ID del usuario
+     * @param {string|ObjectId} juegoId - ID del juego
+     * @param {Object} opciones - Opciones
+     * @param {boolean} opciones.añadir - Añadir el juego a la biblioteca como "playing" si no estaba (ver setHorasJugadas)
+     * @returns {Promise<void>}
+     */
+    async recalcularHoras(usuarioId, juegoId, { añadir = false } = {}) {
+        await bibliotecaModelo.setHorasJugadas(usuarioId, juegoId, await this.getHoras(usuarioId, juegoId), { añadir });
+    }
+
+    /**
+     * Elimina las sesiones de un juego (al purgarlo del catálogo)
+     * @param {string} juegoId - ID del juego
+     * @returns {number} - Número de sesiones eliminadas
+     */
+    async deleteByJuego(juegoId) {
+        try {
+            const result = await this._col().deleteMany({ juegoId: new ObjectId(juegoId) });
+            return result.deletedCount;
+        } catch (error) {
+            console.error('Error al eliminar las sesiones del juego:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Pasa las sesiones de un juego a otro (al fusionar juegos duplicados)
+     * y recalcula las horas jugadas del juego destino de cada usuario afectado
+     * @param {string} origenId - ID del juego cuyas sesiones se mueven
+     * @param {string} destinoId - ID del juego que las recibe
+     * @returns {number} - Número de sesiones movidas
+     */
+    async moverAJuego(origenId, destinoId) {
+        try {
+            const col = this._col();
+            const origen = new ObjectId(origenId);
+            const usuarios = await col.distinct("usuarioId", { juegoId: origen });
+            const result = await col.updateMany({ juegoId: origen }, { $set: { juegoId: new ObjectId(destinoId) } });
+            for (const usuarioId of usuarios) {
+                await this.recalcularHoras(usuarioId, destinoId);
+            }
+            return result.modifiedCount;
+        } catch (error) {
+            console.error('Error al mover las sesiones del juego:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Tiempo de juego en un rango de fechas, por día, semana ISO, mes, género y plataforma
+     * Cada sesión cuenta en la fecha en que empezó; un juego con varios géneros suma en todos ellos
+     * @param {Object} opciones - Opciones del informe
+     * @param {Date} opciones.desde - Inicio del rango (incluido)
+     * @param {Date} opciones.hasta - Fin del rango (excluido)
+     * @param {string} opciones.usuarioId - Solo las sesiones de este usuario (opcional)
+     * @returns {Object} - { total, porDia, porSemana, porMes, porGenero, porPlataforma }
+     */
+    async getPlaytime({ desde, hasta, usuarioId }) {
+        try {
+            const match = { ...TERMINADA, inicio: { $gte: desde.toISOString(), $lt: hasta.toISOString() } };
+            if (usuarioId) match.usuarioId = new ObjectId(usuarioId);
+
+            const [result] = await this._col().aggregate([
+                { $match: match },
+                {
+                    $facet: {
+                        total: agruparDuracion(null, "total"),
+                        porDia: agruparDuracion(periodo("%Y-%m-%d"), "dia"),
+                        porSemana: agruparDuracion(periodo("%G-W%V"), "semana"),
+                        porMes: agruparDuracion(periodo("%Y-%m"), "mes"),
+                        porGenero: [
+                            { $lookup: { from: "games", localField: "juegoId", foreignField: "_id", as: "juego", pipeline: [{ $project: { genero: 1 } }] } },
+                            { $unwind: "$juego" },
+                            { $unwind: "$juego.genero" },
+                            ...agruparDuracion("$juego.genero", "genero")
+                        ],
+                        porPlataforma: agruparDuracion({ $ifNull: ["$plataforma", "Sin plataforma"] }, "plataforma")
+                    }
+                }
+            ]).toArray();
+
+            const { total: [total], ...grupos } = result;
+            return { total: { minutos: total?.minutos || 0, horas: total?.horas || 0, sesiones: total?.sesiones || 0 }, ...grupos };
+        } catch (error) {
+            console.error('Error al calcular el tiempo de juego:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Convierte las horas jugadas guardadas a mano en la biblioteca en una sesión por entrada
+     * Es idempotente: solo migra las entradas que aún no tienen sesiones
+     * @returns {number} - Número de sesiones creadas
+     */
+    async migrarDesdeBiblioteca() {
+        const col = this._col();
+        let creadas = 0;
+
+        const cursor = col.db.collection("library").find({ horasJugadas: { $gt: 0 } });
+        for await (const entrada of cursor) {
+            const tiene = await col.countDocuments({ usuarioId: entrada.usuarioId, juegoId: entrada.juegoId }, { limit: 1 });
+            if (tiene) continue;
+
+            const minutos = Math.round(entrada.horasJugadas * 60);
+            const inicio = new Date(entrada.fechaInicio || entrada.fechaCreacion || Date.now());
+            await col.insertOne({
+                usuarioId: entrada.usuarioId,
+                juegoId: entrada.juegoId,
+                plataforma: null,
+                nota: "Horas registradas antes de las sesiones",
+                inicio: inicio.toISOString(),
+                fin: new Date(inicio.getTime() + minutos * 60000).toISOString(),
+                duracionMinutos: minutos,
+                migrada: true,
+                fechaCreacion: new Date().toISOString()
+            });
+            creadas++;
+        }
+
+        return creadas;
+    }
+}
+
+// Exportar una instancia única del modelo (patrón Singleton)
+export default new SesionesModelo();
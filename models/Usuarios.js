@@ -0,0 +1,287 @@
+// Importaciones necesarias para el modelo de usuarios
+import dbClient from "../config/dbClient.js";
+import { ObjectId } from 'mongodb';
+import bcrypt from 'bcryptjs';
+import { ROL_POR_DEFECTO } from "../utils/permisos.js";
+import { paginarColeccion } from "../utils/paginacion.js";
+import { regexSinAcentos } from "../utils/busqueda.js";
+
+// Número de rondas de sal para el hash de contraseñas
+const SALT_ROUNDS = 10;
+
+// Sesiones (refresh tokens) activas como máximo por usuario
+const MAX_REFRESH_TOKENS = Number(process.env.MAX_REFRESH_TOKENS) || 10;
+
+/**
+ * Error de una operación sobre usuarios (p. ej. quitar el rol al último administrador)
+ */
+export class UsuarioError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'UsuarioError';
+        this.status = status;
+    }
+}
+
+/**
+ * Modelo de Usuarios - Maneja las cuentas de usuario y sus sesiones
+ * Guarda las contraseñas hasheadas y los identificadores de los refresh tokens activos
+ */
+class UsuariosModelo {
+    constructor() {
+        // Nombre de la colección en MongoDB
+        this.colName = "users";
+    }
+
+    /**
+     * Obtiene la colección de usuarios de la base de datos
+     * @returns {Collection} - Colección de MongoDB para usuarios
+     * @throws {Error} - Si la base de datos no está inicializada
+     */
+    _col() {
+        if (!dbClient.db) throw new Error('Database not initialized. Call connectarDB() first.');
+        return dbClient.db.collection(this.colName);
+    }
+
+    /**
+     * Elimina los campos sensibles de un usuario antes de enviarlo al cliente
+     * @param {Object} user - Documento de usuario
+     * @returns {Object|null} - Usuario sin hash de contraseña ni tokens
+     */
+    toPublic(user) {
+        if (!user) return null;
+        const { passwordHash, refreshTokens, ...publicUser } = user;
+        return publicUser;
+    }
+
+    /**
+     * Crea los índices necesarios para la colección de usuarios
+     * El email y el nombre de usuario deben ser únicos
+     * @returns {Promise<void>}
+     */
+    async ensureIndexes() {
+        const col = this._col();
+        await col.createIndex({ email: 1 }, { unique: true });
+        await col.createIndex({ nombreUsuario: 1 }, { unique: true });
+    }
+
+    /**
+     * Crea un nuevo usuario con la contraseña hasheada
+     * @param {Object} userData - Datos del usuario
+     * @param {string} userData.nombreUsuario - Nombre visible del usuario
+     * @param {string} userData.email - Correo electrónico (se guarda en minúsculas)
+     * @param {string} userData.password - Contraseña en texto plano
+     * @returns {Object} - Usuario creado sin campos sensibles
+     */
+    async create(userData) {
+        try {
+            const col = this._col();
+            const newUser = {
+                nombreUsuario: userData.nombreUsuario.trim(),
+                email: userData.email.trim().toLowerCase(),
+                passwordHash: await bcrypt.hash(userData.password, SALT_ROUNDS),
+                // Los roles editor y admin los asigna un administrador (PUT /api/users/:id/role)
+                rol: ROL_POR_DEFECTO,
+                refreshTokens: [],
+                fechaCreacion: new Date().toISOString()
+            };
+
+            const result = await col.insertOne(newUser);
+            return this.toPublic({ ...newUser, _id: result.insertedId });
+        } catch (error) {
+            console.error('Error al crear usuario:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Busca un usuario por su email
+     * @param {string} email - Correo electrónico del usuario
+     * @returns {Object|null} - Usuario completo (incluye hash) o null si no existe
+     */
+    async findByEmail(email) {
+        try {
+            const col = this._col();
+            return await col.findOne({ email: String(email).trim().toLowerCase() });
+        } catch (error) {
+            console.error('Error al buscar usuario por email:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Obtiene un usuario por su ID
+     * @param {string} id - ID del usuario
+     * @returns {Object|null} - Usuario sin campos sensibles o null si no existe
+     */
+    async getOne(id) {
+        try {
+            if (!ObjectId.isValid(id)) {
+                console.error('Formato de ObjectId inválido:', id);
+                return null;
+            }
+
+            const col = this._col();
+            const user = await col.findOne({ _id: new ObjectId(id) });
+            return this.toPublic(user);
+        } catch (error) {
+            console.error('Error al obtener usuario:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Obtiene una página de usuarios sin campos sensibles
+     * @param {Object} filtros - Filtros del listado
+     * @param {string} filtros.rol - Solo los usuarios con este rol (opcional)
+     * @param {string} filtros.q - Texto a buscar en el nombre de usuario o el email (opcional)
+     * @param {Object} opciones - Opciones del listado (resultado de parseListQuery)
+     * @returns {Promise<Object>} - { items, total, ultimo }
+     */
+    async getPage({ rol, q } = {}, opciones) {
+        try {
+            const filter = {};
+            if (rol) filter.rol = rol;
+            if (q) {
+                const regex = regexSinAcentos(q);
+                filter.$or = [{ nombreUsuario: regex }, { email: regex }];
+            }
+            return await paginarColeccion(this._col(), filter, {
+                ...opciones,
+                projection: { passwordHash: 0, refreshTokens: 0 }
+            });
+        } catch (error) {
+            console.error('Error al listar usuarios:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Cuenta los usuarios con rol de administrador
+     * @returns {Promise<number>} - Número de administradores
+     */
+    async countAdmins() {
+        try {
+            return await this._col().countDocuments({ rol: 'admin' });
+        } catch (error) {
+            console.error('Error al contar administradores:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Asigna un rol a un usuario, registrando quién y cuándo lo cambió
+     * El nuevo rol se aplica a partir del siguiente access token (al renovar la sesión)
+     * MongoDB no puede condicionar la actualización al número de administradores, así que al quitar el rol a uno
+     * se cuenta después de cambiarlo y se deshace si no queda ninguno; si dos administradores se degradan a la vez,
+     * ambos cambios se deshacen en lugar de dejar la API sin administradores
+     * @param {string} id - ID del usuario
+     * @param {string} rol - Nuevo rol (uno de ROLES)
+     * @param {Object} admin - Administrador que hace el cambio (req.user); sin él, se registra como asignado desde la consola
+     * @returns {Object|null} - Usuario actualizado sin campos sensibles o null si no existe
+     * @throws {UsuarioError} - Si se quita el rol al último administrador (409)
+     */
+    async setRol(id, rol, admin) {
+        try {
+            if (!ObjectId.isValid(id)) {
+                console.error('Formato de ObjectId inválido:', id);
+                return null;
+            }
+
+            const col = this._col();
+            const _id = new ObjectId(id);
+            const anterior = await col.findOneAndUpdate(
+                { _id },
+                {
+                    $set: {
+                        rol,
+                        rolAsignadoPor: admin ? { usuarioId: new ObjectId(admin.id), nombreUsuario: admin.nombreUsuario } : null,
+                        fechaCambioRol: new Date().toISOString()
+                    }
+                },
+                { returnDocument: 'before' }
+            );
+            if (!anterior) return null;
+
+            if (anterior.rol === 'admin' && rol !== 'admin' && await this.countAdmins() === 0) {
+                // Deshacer solo si nadie ha vuelto a cambiar el rol mientras tanto
+                await col.updateOne({ _id, rol }, [{
+                    $set: {
+                        rol: 'admin',
+                        rolAsignadoPor: anterior.rolAsignadoPor !== undefined ? { $literal: anterior.rolAsignadoPor } : '$$REMOVE',
+                        fechaCambioRol: anterior.fechaCambioRol ?? '$$REMOVE'
+                    }
+                }]);
+                throw new UsuarioError('No se puede quitar el rol al último administrador', 409);
+            }
+
+            return this.toPublic(await col.findOne({ _id }));
+        } catch (error) {
+            if (error.name !== 'UsuarioError') console.error('Error al asignar rol:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Compara una contraseña en texto plano con el hash guardado
+     * @param {Object} user - Documento de usuario con passwordHash
+     * @param {string} password - Contraseña a verificar
+     * @returns {Promise<boolean>} - true si la contraseña es correcta
+     */
+    async verifyPassword(user, password) {
+        if (!user?.passwordHash || typeof password !== 'string') return false;
+        return bcrypt.compare(password, user.passwordHash);
+    }
+
+    /**
+     * Registra el identificador (jti) de un refresh token emitido (máximo MAX_REFRESH_TOKENS por usuario)
+     * @param {string} userId - ID del usuario
+     * @param {string} jti - Identificador único del token
+     * @param {Date} expiraEn - Fecha de expiración del token
+     * @returns {Promise<void>}
+     */
+    async addRefreshToken(userId, jti, expiraEn) {
+        const col = this._col();
+        // En una sola actualización: descartar los tokens expirados, añadir el nuevo
+        // y conservar solo los MAX_REFRESH_TOKENS más recientes (las sesiones más antiguas se cierran)
+        await col.updateOne({ _id: new ObjectId(userId) }, [{
+            $set: {
+                refreshTokens: {
+                    $slice: [
+                        {
+                            $concatArrays: [
+                                {
+                                    $filter: {
+                                        input: { $ifNull: ['$refreshTokens', []] },
+                                        cond: { $gte: ['$$this.expiraEn', new Date()] }
+                                    }
+                                },
+                                [{ jti: { $literal: jti }, expiraEn: { $literal: expiraEn } }]
+                            ]
+                        },
+                        -MAX_REFRESH_TOKENS
+                    ]
+                }
+            }
+        }]);
+    }
+
+    /**
+     * Revoca un refresh token de forma atómica
+     * @param {string} userId - ID del usuario
+     * @param {string} jti - Identificador del token a revocar
+     * @returns {Promise<boolean>} - true si el token existía y fue revocado
+     */
+    async revokeRefreshToken(userId, jti) {
+        if (!ObjectId.isValid(userId)) return false;
+        const col = this._col();
+        const result = await col.updateOne(
+            { _id: new ObjectId(userId), 'refreshTokens.jti': jti },
+            { $pull: { refreshTokens: { jti } } }
+        );
+        return result.modifiedCount === 1;
+    }
+}
+
+// Exportar una instancia única del modelo (patrón Singleton)
+export default new UsuariosModelo();
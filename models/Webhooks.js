@@ -0,0 +1,386 @@
+// Importaciones necesarias para el modelo de webhooks
+import dbClient from "../config/dbClient.js";
+import { ObjectId } from 'mongodb';
+import { randomUUID } from 'node:crypto';
+import { paginarColeccion } from "../utils/paginacion.js";
+import { generarSecreto, enviarEntrega, calcularEspera, INTENTOS_MAXIMOS, TIMEOUT_WEBHOOK_MS } from "../utils/webhooks.js";
+
+// El secreto solo se devuelve al crear el webhook o al cambiarlo
+const SIN_SECRETO = { secreto: 0 };
+
+// Intentos que se conservan en el historial de cada entrega
+const HISTORIAL_MAXIMO = 20;
+
+// Entregas que se envían como máximo en cada pasada de la cola
+const LOTE_COLA = 20;
+
+// Estados de una entrega: en cola (o esperando reintento), enviándose, entregada o fallida tras agotar los intentos
+export const ESTADOS_ENTREGA = ['pending', 'sending', 'delivered', 'failed'];
+
+/**
+ * Modelo de Webhooks - Maneja las colecciones "webhooks" y "webhook_deliveries"
+ * Cada webhook es una URL suscrita a tipos de evento; cada evento genera una entrega por webhook
+ * que se guarda en la cola persistente y se reintenta con espera exponencial hasta que el receptor responde 2xx
+ */
+class WebhooksModelo {
+    constructor() {
+        // Nombres de las colecciones en MongoDB
+        this.colName = "webhooks";
+        this.entregasName = "webhook_deliveries";
+        // Evita dos pasadas de la cola a la vez en el mismo proceso
+        this.procesando = false;
+    }
+
+    /**
+     * Obtiene la colección de webhooks de la base de datos
+     * @returns {Collection} - Colección de MongoDB para webhooks
+     * @throws {Error} - Si la base de datos no está inicializada
+     */
+    _col() {
+        if (!dbClient.db) throw new Error('Database not initialized. Call connectarDB() first.');
+        return dbClient.db.collection(this.colName);
+    }
+
+    /**
+     * Obtiene la colección de entregas
+     * @returns {Collection} - Colección de MongoDB para entregas de webhooks
+     * @private
+     */
+    _entregas() {
+        return this._col().db.collection(this.entregasName);
+    }
+
+    /**
+     * Crea los índices de la búsqueda de suscriptores, la cola y el registro de entregas
+     * Un mismo evento solo se encola una vez por webhook, aunque lo reciban varias instancias de la API
+     * @returns {Promise<void>}
+     */
+    async ensureIndexes() {
+        await this._col().createIndex({ eventos: 1, activo: 1 });
+        const entregas = this._entregas();
+        await entregas.createIndex({ webhookId: 1, fechaCreacion: -1 });
+        await entregas.createIndex({ estado: 1, siguienteIntento: 1 });
+        await entregas.createIndex({ webhookId: 1, claveEvento: 1 }, { unique: true });
+    }
+
+    /**
+     * Registra un webhook
+     * @param {Object} usuario - Administrador que lo registra (req.user)
+     * @param {Object} datos - Datos validados contra webhookSchema
+     * @returns {Object} - Webhook creado, con su secreto
+     */
+    async create(usuario, datos) {
+        try {
+            const ahora = new Date().toISOString();
+            const webhook = {
+                url: datos.url,
+                eventos: datos.eventos,
+                descripcion: datos.descripcion || "",
+                activo: datos.activo !== undefined ? datos.activo : true,
+                secreto: datos.secreto || generarSecreto(),
+                usuarioId: new ObjectId(usuario.id),
+                fechaCreacion: ahora,
+                fechaActualizacion: ahora
+            };
+            const result = await this._col().insertOne(webhook);
+            return { ...webhook, _id: result.insertedId };
+        } catch (error) {
+            console.error('Error al crear webhook:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Obtiene todos los webhooks, sin sus secretos
+     * @returns {Array} - Webhooks, los más recientes primero
+     */
+    async getAll() {
+        try {
+            return await this._col().find({}, { projection: SIN_SECRETO }).sort({ fechaCreacion: -1 }).toArray();
+        } catch (error) {
+            console.error('Error al obtener webhooks:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Obtiene un webhook por su ID
+     * @param {string} id - ID del webhook
+     * @param {Object} opciones - Opciones de la consulta
+     * @param {boolean} opciones.conSecreto - Incluir el secreto (para firmar las entregas)
+     * @returns {Object|null} - Webhook o null si no existe
+     */
+    async getOne(id, { conSecreto = false } = {}) {
+        try {
+            if (!ObjectId.isValid(id)) {
+                console.error('Formato de ObjectId inválido:', id);
+                return null;
+            }
+
+            return await this._col().findOne({ _id: new ObjectId(id) }, { projection: conSecreto ? {} : SIN_SECRETO });
+        } catch (error) {
+            console.error('Error al obtener webhook:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Modifica un webhook
+     * @param {string} id - ID del webhook
+     * @param {Object} datos - Campos validados contra webhookSchema en modo parcial
+     * @returns {Object|null} - Webhook actualizado (con el secreto solo si se ha cambiado) o null si no existe
+     */
+    async update(id, datos) {
+        try {
+            if (!ObjectId.isValid(id)) {
+                console.error('Formato de ObjectId inválido:', id);
+                return null;
+            }
+
+            const { _id, usuarioId, fechaCreacion, ...cambios } = datos;
+            return await this._col().findOneAndUpdate(
+                { _id: new ObjectId(id) },
+                { $set: { ...cambios, fechaActualizacion: new Date().toISOString() } },
+                { returnDocument: 'after', projection: cambios.secreto ? {} : SIN_SECRETO }
+            );
+        } catch (error) {
+            console.error('Error al actualizar webhook:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Elimina un webhook junto con su registro de entregas (y las que quedaban en cola)
+     * @param {string} id - ID del webhook
+     * @returns {boolean} - true si se eliminó, false si no existía
+     */
+    async delete(id) {
+        try {
+            if (!ObjectId.isValid(id)) {
+                console.error('Formato de ObjectId inválido:', id);
+                return false;
+            }
+
+            const _id = new ObjectId(id);
+            const result = await this._col().deleteOne({ _id });
+            if (result.deletedCount === 0) return false;
+            await this._entregas().deleteMany({ webhookId: _id });
+            return true;
+        } catch (error) {
+            console.error('Error al eliminar webhook:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Encola un evento del catálogo para los webhooks activos suscritos a su tipo
+     * @param {Object} evento - Evento del bus ({ clave, tipo, juegoId, fecha, datos })
+     * @returns {number} - Entregas encoladas
+     */
+    async encolar(evento) {
+        try {
+            const webhooks = await this._col().find({ activo: true, eventos: evento.tipo }, { projection: { _id: 1 } }).toArray();
+            if (webhooks.length === 0) return 0;
+
+            const ahora = new Date().toISOString();
+            const cuerpo = { id: evento.clave, tipo: evento.tipo, juegoId: evento.juegoId, fecha: evento.fecha, datos: evento.datos };
+            const result = await this._entregas().bulkWrite(webhooks.map(webhook => ({
+                updateOne: {
+                    filter: { webhookId: webhook._id, claveEvento: evento.clave },
+                    update: {
+                        $setOnInsert: {
+                            evento: cuerpo,
+                            tipoEvento: evento.tipo,
+                            estado: 'pending',
+                            intentos: 0,
+                            historial: [],
+                            siguienteIntento: ahora,
+                            fechaCreacion: ahora
+                        }
+                    },
+                    upsert: true
+                }
+            })), { ordered: false });
+            return result.upsertedCount;
+        } catch (error) {
+            // Otra instancia encoló el mismo evento a la vez: ya está en la cola
+            if (error.code === 11000) return 0;
+            console.error('Error al encolar evento para webhooks:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Crea la entrega de un evento de prueba para un webhook (no se reintenta si falla)
+     * @param {Object} webhook - Webhook destino
+     * @param {Object} usuario - Administrador que la pide (req.user)
+     * @returns {Object} - Entrega creada
+     */
+    async crearEntregaPrueba(webhook, usuario) {
+        try {
+            const ahora = new Date().toISOString();
+            const clave = randomUUID();
+            const entrega = {
+                webhookId: webhook._id,
+                claveEvento: clave,
+                evento: {
+                    id: clave,
+                    tipo: 'webhook.test',
+                    juegoId: null,
+                    fecha: ahora,
+                    datos: { webhookId: String(webhook._id), mensaje: 'Evento de prueba de PlayLib', solicitadoPor: usuario.nombreUsuario }
+                },
+                tipoEvento: 'webhook.test',
+                prueba: true,
+                estado: 'sending',
+                intentos: 0,
+                historial: [],
+                siguienteIntento: ahora,
+                fechaCreacion: ahora
+            };
+            const result = await this._entregas().insertOne(entrega);
+            return { ...entrega, _id: result.insertedId };
+        } catch (error) {
+            console.error('Error al crear entrega de prueba:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Envía una entrega y registra el resultado del intento
+     * Si falla, vuelve a la cola con espera exponencial hasta agotar INTENTOS_MAXIMOS (las de prueba no se reintentan)
+     * @param {Object} entrega - Entrega ya reclamada (estado "sending")
+     * @returns {Object} - Entrega actualizada
+     */
+    async entregar(entrega) {
+        try {
+            const webhook = await this.getOne(entrega.webhookId, { conSecreto: true });
+            const resultado = !webhook
+                ? { ok: false, codigo: null, duracionMs: 0, respuesta: null, error: 'El webhook ya no existe' }
+                : !webhook.activo && !entrega.prueba
+                    ? { ok: false, codigo: null, duracionMs: 0, respuesta: null, error: 'El webhook está desactivado' }
+                    : await enviarEntrega(webhook, entrega);
+
+            const ahora = new Date();
+            const intentos = entrega.intentos + 1;
+            const agotada = entrega.prueba || !webhook?.activo || intentos >= INTENTOS_MAXIMOS;
+            const estado = resultado.ok ? 'delivered' : (agotada ? 'failed' : 'pending');
+            const cambios = {
+                estado,
+                intentos,
+                ultimoCodigo: resultado.codigo,
+                ultimoError: resultado.error,
+                siguienteIntento: estado === 'pending' ? new Date(ahora.getTime() + calcularEspera(intentos)).toISOString() : null
+            };
+            if (resultado.ok) cambios.fechaEntrega = ahora.toISOString();
+
+            const intento = { fecha: ahora.toISOString(), ...resultado };
+            delete intento.ok;
+            const updated = await this._entregas().findOneAndUpdate(
+                { _id: entrega._id },
+                { $set: cambios, $unset: { bloqueadaHasta: "" }, $push: { historial: { $each: [intento], $slice: -HISTORIAL_MAXIMO } } },
+                { returnDocument: 'after' }
+            );
+            if (webhook) {
+                await this._col().updateOne(
+                    { _id: webhook._id },
+                    { $set: { ultimaEntrega: { fecha: intento.fecha, estado, codigo: resultado.codigo, error: resultado.error } } }
+                );
+            }
+            return updated;
+        } catch (error) {
+            console.error('Error al entregar webhook:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Reclama la siguiente entrega pendiente cuyo reintento ya toca
+     * También recupera las que se quedaron "enviándose" por una instancia que se detuvo a medias
+     * @returns {Object|null} - Entrega reclamada o null si no hay ninguna
+     * @private
+     */
+    async _reclamarSiguiente() {
+        const ahora = new Date();
+        return this._entregas().findOneAndUpdate(
+            {
+                $or: [
+                    { estado: 'pending', siguienteIntento: { $lte: ahora.toISOString() } },
+                    { estado: 'sending', prueba: { $ne: true }, bloqueadaHasta: { $lte: ahora.toISOString() } }
+                ]
+            },
+            { $set: { estado: 'sending', bloqueadaHasta: new Date(ahora.getTime() + 2 * TIMEOUT_WEBHOOK_MS).toISOString() } },
+            { sort: { siguienteIntento: 1 }, returnDocument: 'after' }
+        );
+    }
+
+    /**
+     * Envía las entregas pendientes de la cola, en orden, hasta vaciarla o enviar un lote
+     * @returns {Promise<number>} - Entregas enviadas en esta pasada
+     */
+    async procesarCola() {
+        if (this.procesando) return 0;
+        this.procesando = true;
+        let enviadas = 0;
+        try {
+            while (enviadas < LOTE_COLA) {
+                const entrega = await this._reclamarSiguiente();
+                if (!entrega) break;
+                await this.entregar(entrega);
+                enviadas++;
+            }
+            return enviadas;
+        } finally {
+            this.procesando = false;
+        }
+    }
+
+    /**
+     * Obtiene una página del registro de entregas de un webhook
+     * @param {string} webhookId - ID del webhook
+     * @param {Object} filtros - Filtros del listado
+     * @param {string} filtros.estado - Solo las entregas en este estado (opcional)
+     * @param {string} filtros.tipo - Solo las entregas de este tipo de evento (opcional)
+     * @param {Object} opciones - Opciones del listado (ver parseListQuery en utils/paginacion.js)
+     * @returns {Object} - { items, total, ultimo }
+     */
+    async getEntregas(webhookId, { estado, tipo } = {}, opciones) {
+        try {
+            const filter = { webhookId: new ObjectId(webhookId) };
+            if (estado) filter.estado = estado;
+            if (tipo) filter.tipoEvento = tipo;
+            return await paginarColeccion(this._entregas(), filter, opciones);
+        } catch (error) {
+            console.error('Error al obtener entregas de webhook:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Vuelve a poner en cola una entrega (fallida o ya entregada) para enviarla de nuevo
+     * Conserva su historial y reinicia el contador de intentos
+     * @param {string} webhookId - ID del webhook
+     * @param {string} entregaId - ID de la entrega
+     * @returns {Object|null} - Entrega en cola o null si no existe (o se está enviando)
+     */
+    async reenviar(webhookId, entregaId) {
+        try {
+            if (!ObjectId.isValid(webhookId) || !ObjectId.isValid(entregaId)) {
+                console.error('Formato de ObjectId inválido:', webhookId, entregaId);
+                return null;
+            }
+
+            return await this._entregas().findOneAndUpdate(
+                { _id: new ObjectId(entregaId), webhookId: new ObjectId(webhookId), estado: { $in: ['delivered', 'failed'] } },
+                { $set: { estado: 'pending', intentos: 0, siguienteIntento: new Date().toISOString() }, $unset: { prueba: "" } },
+                { returnDocument: 'after' }
+            );
+        } catch (error) {
+            console.error('Error al reenviar entrega de webhook:', error);
+            throw error;
+        }
+    }
+}
+
+// Exportar una instancia única del modelo (patrón Singleton)
+export default new WebhooksModelo();
@@ -0,0 +1,18 @@
+import express from "express";
+
+const route = express.Router();
+
+import AuthController from "../controllers/authController.js";
+import { requireAuth } from "../middleware/auth.js";
+import { limitarCuerpo } from "../middleware/limites.js";
+
+// Los cuerpos de autenticación solo llevan credenciales o tokens
+route.use(limitarCuerpo("8kb"));
+
+route.post("/register", AuthController.register);
+route.post("/login", AuthController.login);
+route.post("/refresh", AuthController.refresh);
+route.post("/logout", AuthController.logout);
+route.get("/me", requireAuth, AuthController.me);
+
+export default route;
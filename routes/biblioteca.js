@@ -0,0 +1,18 @@
+import express from "express";
+
+const route = express.Router();
+
+import BibliotecaController from "../controllers/bibliotecaController.js";
+import { requireAuth } from "../middleware/auth.js";
+import { limitarCuerpo } from "../middleware/limites.js";
+
+// Toda la biblioteca personal requiere un usuario autenticado
+route.use(requireAuth, limitarCuerpo("16kb"));
+
+route.get("/", BibliotecaController.getAll);
+route.get("/:juegoId", BibliotecaController.getOne);
+route.post("/", BibliotecaController.add);
+route.put("/:juegoId", BibliotecaController.update);
+route.delete("/:juegoId", BibliotecaController.remove);
+
+export default route;
@@ -0,0 +1,11 @@
+import express from "express";
+
+const route = express.Router();
+
+import EventosController from "../controllers/eventosController.js";
+
+// Flujo público de cambios del catálogo (Server-Sent Events)
+// Solo se anuncian datos que ya son públicos: las reseñas, cuando están aprobadas
+route.get("/", EventosController.stream);
+
+export default route;
@@ -0,0 +1,13 @@
+import express from "express";
+
+const route = express.Router();
+
+import GraphqlController from "../controllers/graphqlController.js";
+import { optionalAuth } from "../middleware/auth.js";
+import { limitarCuerpo } from "../middleware/limites.js";
+
+// Consultas por GET o POST; las mutaciones exigen usuario dentro de sus resolvers
+route.get("/", optionalAuth, GraphqlController.execute);
+route.post("/", optionalAuth, limitarCuerpo("100kb"), GraphqlController.execute);
+
+export default route;
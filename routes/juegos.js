@@ -3,18 +3,84 @@ import express from "express";
 const route = express.Router();
 
 import JuegosController from "../controllers/juegosController.js";
+import PortadasController from "../controllers/portadasController.js";
+import ImportacionController from "../controllers/importacionController.js";
+import ListasController from "../controllers/listasController.js";
+import SesionesController from "../controllers/sesionesController.js";
+import RecomendacionesController from "../controllers/recomendacionesController.js";
+import MetadatosController from "../controllers/metadatosController.js";
+import { requireAuth, optionalAuth, requirePermiso } from "../middleware/auth.js";
+import { validarBody } from "../middleware/validate.js";
+import { limitarPeticiones, limitarCuerpo } from "../middleware/limites.js";
+import { subirPortada, subirImportacion, TAMAÑO_MAXIMO_IMPORTACION } from "../middleware/upload.js";
+import { juegoSchema, reseñaSchema, moderacionSchema, fusionSchema } from "../schemas/juegos.js";
+import { sesionSchema } from "../schemas/sesiones.js";
+import { enriquecimientoSchema } from "../schemas/metadatos.js";
+import { TIPOS_PATCH } from "../utils/patch.js";
+
+// Los IDs de juegos fusionados redirigen al juego en el que se fusionaron
+route.param("id", JuegosController.redirigirFusionado);
 
 route.get("/", JuegosController.getAll);
+// Debe declararse antes de "/:id" para no interpretarse como un ID
+route.get("/search", optionalAuth, JuegosController.search);
+// Importación y exportación masiva del catálogo (JSON o CSV)
+route.get("/export", ImportacionController.export);
+route.post("/import", requireAuth, requirePermiso("juegos:importar"), subirImportacion, express.text({ type: 'text/csv', limit: TAMAÑO_MAXIMO_IMPORTACION }), ImportacionController.import);
+// Búsqueda de un título en los proveedores de metadatos (editores)
+route.get("/lookup", requireAuth, requirePermiso("juegos:editar"), MetadatosController.lookup);
+// Papelera: juegos eliminados pendientes de purga (administradores)
+route.get("/trash", requireAuth, requirePermiso("juegos:eliminar"), JuegosController.getPapelera);
+route.delete("/trash/:id", requireAuth, requirePermiso("juegos:eliminar"), limitarCuerpo("1kb"), JuegosController.purge);
+// Posibles duplicados del catálogo (administradores)
+route.get("/duplicates", requireAuth, requirePermiso("juegos:fusionar"), JuegosController.getDuplicados);
+// Cola de moderación de reseñas (administradores)
+route.get("/reviews/pending", requireAuth, requirePermiso("reseñas:moderar"), JuegosController.getReseñasPendientes);
 route.get("/:id", JuegosController.getOne);
-route.post("/", JuegosController.create);
-route.put("/:id", JuegosController.update);
-route.delete("/:id", JuegosController.delete);
+// Alta y edición del catálogo (editores y administradores); eliminar y restaurar, solo administradores
+route.post("/", requireAuth, requirePermiso("juegos:crear"), limitarCuerpo("64kb"), validarBody(juegoSchema), JuegosController.create);
+route.put("/:id", requireAuth, requirePermiso("juegos:editar"), limitarCuerpo("64kb"), validarBody(juegoSchema), JuegosController.update);
+// Los cuerpos de PATCH usan sus propios tipos JSON, que el parser global no interpreta
+route.patch("/:id", requireAuth, requirePermiso("juegos:editar"), limitarCuerpo("64kb"), express.json({ type: Object.values(TIPOS_PATCH), limit: '64kb' }), JuegosController.patch);
+route.delete("/:id", requireAuth, requirePermiso("juegos:eliminar"), limitarCuerpo("1kb"), JuegosController.delete);
+route.post("/:id/restore", requireAuth, requirePermiso("juegos:eliminar"), limitarCuerpo("1kb"), JuegosController.restore);
+// Fusionar un juego duplicado en este (administradores)
+route.post("/:id/merge", requireAuth, requirePermiso("juegos:fusionar"), limitarCuerpo("1kb"), validarBody(fusionSchema), JuegosController.merge);
+// Completar el juego con datos de los proveedores de metadatos (vista previa salvo "aplicar": true)
+route.post("/:id/enrich", requireAuth, requirePermiso("juegos:editar"), limitarCuerpo("16kb"), validarBody(enriquecimientoSchema), MetadatosController.enrich);
+
+// Sesiones de juego del usuario autenticado
+route.post("/:id/sessions", requireAuth, limitarCuerpo("4kb"), validarBody(sesionSchema), SesionesController.create);
+route.get("/:id/sessions", requireAuth, SesionesController.getAll);
+route.delete("/:id/sessions/:sessionId", requireAuth, limitarCuerpo("1kb"), SesionesController.delete);
+
+// Juegos parecidos por contenido
+route.get("/:id/similar", RecomendacionesController.getSimilares);
+
+// Listas visibles que contienen el juego
+route.get("/:id/lists", optionalAuth, ListasController.getByJuego);
+
+// Historial de cambios del juego y revert a una revisión anterior
+route.get("/:id/history", requireAuth, requirePermiso("juegos:editar"), JuegosController.getHistorial);
+route.post("/:id/revert/:revisionId", requireAuth, requirePermiso("juegos:editar"), limitarCuerpo("1kb"), JuegosController.revert);
+
+// Portada del juego (multipart/form-data, campo "cover")
+route.post("/:id/cover", requireAuth, requirePermiso("juegos:editar"), subirPortada, PortadasController.upload);
+route.get("/:id/cover", PortadasController.get);
+route.delete("/:id/cover", requireAuth, requirePermiso("juegos:editar"), limitarCuerpo("1kb"), PortadasController.delete);
 
-// Rutas para reseñas
-route.post("/:id/reviews", JuegosController.addReseña);
-route.get("/:id/reviews", JuegosController.getReseñas);
+// Rutas para reseñas (cada autor edita o borra solo las suyas; los administradores, cualquiera)
+// Publicar tiene su propio límite de peticiones, además del de escrituras
+route.post("/:id/reviews", requireAuth, requirePermiso("reseñas:escribir"), limitarPeticiones("reseñas"), limitarCuerpo("32kb"), validarBody(reseñaSchema), JuegosController.addReseña);
+route.get("/:id/reviews", optionalAuth, JuegosController.getReseñas);
+route.get("/:id/reviews/:reviewId", optionalAuth, JuegosController.getReseña);
+route.put("/:id/reviews/:reviewId", requireAuth, requirePermiso("reseñas:escribir"), limitarCuerpo("32kb"), validarBody(reseñaSchema, { parcial: true }), JuegosController.updateReseña);
+route.delete("/:id/reviews/:reviewId", requireAuth, requirePermiso("reseñas:escribir"), limitarCuerpo("1kb"), JuegosController.deleteReseña);
+route.post("/:id/reviews/:reviewId/helpful", requireAuth, limitarCuerpo("1kb"), JuegosController.votarReseña);
+route.delete("/:id/reviews/:reviewId/helpful", requireAuth, limitarCuerpo("1kb"), JuegosController.quitarVotoReseña);
+route.put("/:id/reviews/:reviewId/moderation", requireAuth, requirePermiso("reseñas:moderar"), limitarCuerpo("4kb"), validarBody(moderacionSchema), JuegosController.moderarReseña);
 // Mantener rutas antiguas por compatibilidad (deprecated)
-route.post("/:id/reseñas", JuegosController.addReseña);
-route.get("/:id/reseñas", JuegosController.getReseñas);
+route.post("/:id/reseñas", requireAuth, requirePermiso("reseñas:escribir"), limitarPeticiones("reseñas"), limitarCuerpo("32kb"), validarBody(reseñaSchema), JuegosController.addReseña);
+route.get("/:id/reseñas", optionalAuth, JuegosController.getReseñas);
 
 export default route;
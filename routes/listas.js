@@ -0,0 +1,23 @@
+import express from "express";
+
+const route = express.Router();
+
+import ListasController from "../controllers/listasController.js";
+import { requireAuth, optionalAuth } from "../middleware/auth.js";
+import { validarBody } from "../middleware/validate.js";
+import { limitarCuerpo } from "../middleware/limites.js";
+import { listaSchema, entradaListaSchema, ordenListaSchema } from "../schemas/listas.js";
+
+// Las listas públicas se pueden consultar sin sesión; las privadas solo las ve su autor
+route.get("/", optionalAuth, ListasController.getAll);
+route.get("/:id", optionalAuth, ListasController.getOne);
+route.post("/", requireAuth, limitarCuerpo("16kb"), validarBody(listaSchema), ListasController.create);
+route.put("/:id", requireAuth, limitarCuerpo("16kb"), validarBody(listaSchema, { parcial: true }), ListasController.update);
+route.delete("/:id", requireAuth, limitarCuerpo("1kb"), ListasController.delete);
+
+// Juegos de la lista: añadir, quitar y reordenar (el orden completo puede incluir miles de IDs)
+route.post("/:id/games", requireAuth, limitarCuerpo("1kb"), validarBody(entradaListaSchema), ListasController.addJuego);
+route.put("/:id/games", requireAuth, limitarCuerpo("256kb"), validarBody(ordenListaSchema), ListasController.reordenar);
+route.delete("/:id/games/:juegoId", requireAuth, limitarCuerpo("1kb"), ListasController.removeJuego);
+
+export default route;
@@ -0,0 +1,11 @@
+import express from "express";
+
+const route = express.Router();
+
+import RecomendacionesController from "../controllers/recomendacionesController.js";
+import { requireAuth } from "../middleware/auth.js";
+
+// Recomendaciones personales a partir de la biblioteca del usuario autenticado
+route.get("/", requireAuth, RecomendacionesController.getRecomendaciones);
+
+export default route;
@@ -0,0 +1,12 @@
+import express from "express";
+
+const route = express.Router();
+
+import StatsController from "../controllers/statsController.js";
+import { optionalAuth } from "../middleware/auth.js";
+
+route.get("/", StatsController.getCatalogo);
+// Tiempo de juego de todos los usuarios, o solo el propio con ?mine=true
+route.get("/playtime", optionalAuth, StatsController.getPlaytime);
+
+export default route;
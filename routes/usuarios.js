@@ -0,0 +1,18 @@
+import express from "express";
+
+const route = express.Router();
+
+import UsuariosController from "../controllers/usuariosController.js";
+import { requireAuth, requirePermiso } from "../middleware/auth.js";
+import { validarBody } from "../middleware/validate.js";
+import { limitarCuerpo } from "../middleware/limites.js";
+import { rolSchema } from "../schemas/usuarios.js";
+
+// Los usuarios y sus roles los gestionan solo los administradores
+route.use(requireAuth, requirePermiso("usuarios:gestionar"));
+
+route.get("/", UsuariosController.getAll);
+route.get("/:id", UsuariosController.getOne);
+route.put("/:id/role", limitarCuerpo("1kb"), validarBody(rolSchema), UsuariosController.setRol);
+
+export default route;
@@ -0,0 +1,25 @@
+import express from "express";
+
+const route = express.Router();
+
+import WebhooksController from "../controllers/webhooksController.js";
+import { requireAuth, requirePermiso } from "../middleware/auth.js";
+import { validarBody } from "../middleware/validate.js";
+import { limitarCuerpo } from "../middleware/limites.js";
+import { webhookSchema } from "../schemas/webhooks.js";
+
+// Los webhooks los gestionan solo los administradores
+route.use(requireAuth, requirePermiso("webhooks:gestionar"), limitarCuerpo("16kb"));
+
+route.get("/", WebhooksController.getAll);
+route.post("/", validarBody(webhookSchema), WebhooksController.create);
+route.get("/:id", WebhooksController.getOne);
+route.put("/:id", validarBody(webhookSchema, { parcial: true }), WebhooksController.update);
+route.delete("/:id", WebhooksController.delete);
+
+// Evento de prueba y registro de entregas
+route.post("/:id/test", WebhooksController.test);
+route.get("/:id/deliveries", WebhooksController.getEntregas);
+route.post("/:id/deliveries/:deliveryId/redeliver", WebhooksController.reenviar);
+
+export default route;
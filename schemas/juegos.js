@@ -0,0 +1,71 @@
+// Esquemas declarativos de juegos y reseñas
+// Los usa el middleware de validación (create, update, reseñas) y el validador $jsonSchema de "games"
+
+// Valores aceptados para la dificultad percibida en una reseña
+export const DIFICULTADES = ['Muy fácil', 'Fácil', 'Normal', 'Difícil', 'Muy difícil'];
+
+// Año máximo aceptado: se permiten anuncios con algunos años de antelación
+const AÑO_MAXIMO = new Date().getFullYear() + 5;
+
+/**
+ * Esquema de un juego del catálogo
+ */
+export const juegoSchema = {
+    titulo: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+    genero: {
+        type: 'array',
+        required: true,
+        coerceArray: true,
+        unique: true,
+        minItems: 1,
+        maxItems: 20,
+        items: { type: 'string', minLength: 1, maxLength: 50 }
+    },
+    plataforma: {
+        type: 'array',
+        coerceArray: true,
+        unique: true,
+        maxItems: 20,
+        default: () => [],
+        items: { type: 'string', minLength: 1, maxLength: 50 }
+    },
+    añoLanzamiento: { type: 'integer', nullable: true, min: 1950, max: AÑO_MAXIMO },
+    desarrollador: { type: 'string', maxLength: 200, default: "" },
+    // URL externa; las imágenes propias se suben con POST /api/juegos/:id/cover
+    imagenPortada: { type: 'string', format: 'url', maxLength: 2048, default: "" },
+    descripcion: { type: 'string', maxLength: 5000, default: "" },
+    // Progreso personal: ahora vive en /api/me/library, se acepta y descarta por compatibilidad
+    completado: { ignorar: true },
+    horasJugadas: { ignorar: true }
+};
+
+// Campos del juego que puede modificar el cliente (PUT los sustituye todos, PATCH uno a uno)
+export const CAMPOS_JUEGO = Object.keys(juegoSchema).filter(campo => !juegoSchema[campo].ignorar);
+
+/**
+ * Esquema para fusionar un juego duplicado en otro
+ */
+export const fusionSchema = {
+    juegoId: { type: 'string', required: true, minLength: 24, maxLength: 24 }
+};
+
+/**
+ * Esquema de una reseña
+ */
+export const reseñaSchema = {
+    textoReseña: { type: 'string', required: true, minLength: 1, maxLength: 5000 },
+    calificaciones: { type: 'number', min: 0, max: 5, default: 0 },
+    horasJugadas: { type: 'number', min: 0, max: 100000, default: 0 },
+    dificultad: { type: 'string', enum: DIFICULTADES, default: 'Normal' },
+    recomendaria: { type: 'boolean', default: true },
+    // El autor se toma del token; se acepta y descarta por compatibilidad con clientes antiguos
+    nombreUsuario: { ignorar: true }
+};
+
+/**
+ * Esquema de una decisión de moderación sobre una reseña
+ */
+export const moderacionSchema = {
+    estado: { type: 'string', required: true, enum: ['pending', 'approved', 'rejected'] },
+    motivo: { type: 'string', maxLength: 500 }
+};
@@ -0,0 +1,29 @@
+// Esquemas declarativos de las listas de juegos creadas por los usuarios
+
+// Visibilidades de una lista: las públicas las puede ver cualquiera, las privadas solo su autor
+export const VISIBILIDADES_LISTA = ['public', 'private'];
+
+/**
+ * Esquema de una lista (nombre, descripción y visibilidad; los juegos se gestionan aparte)
+ */
+export const listaSchema = {
+    nombre: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+    descripcion: { type: 'string', maxLength: 1000, default: "" },
+    visibilidad: { type: 'string', enum: VISIBILIDADES_LISTA, default: 'private' }
+};
+
+/**
+ * Esquema para añadir un juego a una lista
+ */
+export const entradaListaSchema = {
+    juegoId: { type: 'string', required: true, minLength: 24, maxLength: 24 },
+    // Posición en la que se inserta (por defecto, al final)
+    posicion: { type: 'integer', min: 0 }
+};
+
+/**
+ * Esquema para reordenar los juegos de una lista
+ */
+export const ordenListaSchema = {
+    juegos: { type: 'array', required: true, unique: true, items: { type: 'string', minLength: 24, maxLength: 24 } }
+};
@@ -0,0 +1,23 @@
+// Esquemas declarativos del enriquecimiento de juegos con proveedores de metadatos
+
+// Campos del juego que pueden completarse con datos de un proveedor
+// El título no se incluye: es lo que se usa para encontrar el juego en cada proveedor
+export const CAMPOS_ENRIQUECIBLES = ['genero', 'plataforma', 'añoLanzamiento', 'desarrollador', 'descripcion', 'imagenPortada'];
+
+/**
+ * Esquema de una petición de enriquecimiento (POST /api/juegos/:id/enrich)
+ * Sin "aplicar" solo se devuelve la vista previa de los cambios y los conflictos
+ */
+export const enriquecimientoSchema = {
+    aplicar: { type: 'boolean', default: false },
+    // Sustituir también los campos que ya tienen valor (por defecto solo se rellenan los vacíos)
+    sobrescribir: { type: 'boolean', default: false },
+    // Campos a aplicar (por defecto, todos los enriquecibles)
+    campos: { type: 'array', coerceArray: true, unique: true, items: { type: 'string', enum: CAMPOS_ENRIQUECIBLES } },
+    // Proveedores a consultar (por defecto, todos los configurados en METADATA_PROVIDERS)
+    proveedores: { type: 'array', coerceArray: true, unique: true, items: { type: 'string', minLength: 1, maxLength: 50 } },
+    // Coincidencia elegida en cada proveedor, como "proveedor:idExterno" (por defecto, la mejor por título)
+    coincidencias: { type: 'array', coerceArray: true, unique: true, items: { type: 'string', minLength: 3, maxLength: 200 } },
+    // Proveedor preferido para un campo en conflicto, como "campo:proveedor"
+    preferir: { type: 'array', coerceArray: true, unique: true, items: { type: 'string', minLength: 3, maxLength: 100 } }
+};
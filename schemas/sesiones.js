@@ -0,0 +1,20 @@
+// Esquema declarativo de las sesiones de juego
+
+// Acciones para cronometrar una sesión en curso
+export const ACCIONES_SESION = ['start', 'stop'];
+
+// Duración máxima de una sesión registrada a mano (24 horas)
+export const DURACION_MAXIMA_SESION = 24 * 60;
+
+/**
+ * Esquema de POST /api/juegos/:id/sessions
+ * Se envía "accion" (start/stop) para cronometrar, o "duracionMinutos" para registrar una sesión ya jugada
+ */
+export const sesionSchema = {
+    accion: { type: 'string', enum: ACCIONES_SESION },
+    duracionMinutos: { type: 'integer', min: 1, max: DURACION_MAXIMA_SESION },
+    // Inicio de una sesión registrada a mano (fecha ISO); por defecto, hace "duracionMinutos"
+    inicio: { type: 'string', maxLength: 40 },
+    plataforma: { type: 'string', maxLength: 50 },
+    nota: { type: 'string', maxLength: 500 }
+};
@@ -0,0 +1,9 @@
+// Esquemas declarativos de la gestión de usuarios
+import { ROLES } from "../utils/permisos.js";
+
+/**
+ * Esquema de PUT /api/users/:id/role
+ */
+export const rolSchema = {
+    rol: { type: 'string', required: true, enum: ROLES }
+};
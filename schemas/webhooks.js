@@ -0,0 +1,22 @@
+// Esquemas declarativos de los webhooks salientes
+import { TIPOS_EVENTO } from "../utils/eventos.js";
+
+/**
+ * Esquema de un webhook (PUT acepta los mismos campos en modo parcial)
+ */
+export const webhookSchema = {
+    url: { type: 'string', required: true, format: 'url', maxLength: 2048 },
+    eventos: {
+        type: 'array',
+        required: true,
+        coerceArray: true,
+        unique: true,
+        minItems: 1,
+        items: { type: 'string', enum: TIPOS_EVENTO }
+    },
+    descripcion: { type: 'string', maxLength: 500, default: "" },
+    activo: { type: 'boolean', default: true },
+    // Secreto para firmar las entregas; si no se envía, se genera uno
+    secreto: { type: 'string', minLength: 16, maxLength: 200 }
+};
+
@@ -0,0 +1,41 @@
+// Exporta el catálogo a un archivo JSON o CSV con la misma lógica que GET /api/juegos/export
+// Uso: npm run export -- <archivo.json|archivo.csv> [--reviews]
+import "dotenv/config";
+import { createWriteStream } from 'fs';
+import { finished } from 'stream/promises';
+import path from 'path';
+import dbClient from '../config/dbClient.js';
+import { exportarJuegos } from '../utils/importacion.js';
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const archivo = args.find(a => !a.startsWith('--'));
+  if (!archivo) {
+    console.error('❌ Indica el archivo de destino: npm run export -- <archivo.json|archivo.csv> [--reviews]');
+    process.exit(1);
+  }
+  const formato = path.extname(archivo).toLowerCase() === '.csv' ? 'csv' : 'json';
+
+  await dbClient.conectarDB();
+  if (!dbClient.db) {
+    console.error('❌ No se pudo conectar a la base de datos');
+    process.exit(1);
+  }
+
+  try {
+    const destino = createWriteStream(archivo);
+    const total = await exportarJuegos(destino, { formato, incluirReseñas: args.includes('--reviews') });
+    destino.end();
+    await finished(destino);
+    console.log(`✅ ${total} juegos exportados a ${archivo}`);
+  } catch (error) {
+    console.error('❌ Error durante la exportación:', error);
+    process.exitCode = 1;
+  } finally {
+    await dbClient.closeConnection();
+    // Salir explícitamente: dbClient programa reconexiones al cerrarse el pool
+    process.exit(process.exitCode || 0);
+  }
+};
+
+main();
@@ -0,0 +1,46 @@
+// Importa juegos desde un archivo JSON o CSV con la misma lógica que POST /api/juegos/import
+// Uso: npm run import -- <archivo.json|archivo.csv> [--dry-run] [--upsert]
+import "dotenv/config";
+import { readFile } from 'fs/promises';
+import path from 'path';
+import dbClient from '../config/dbClient.js';
+import { leerImportacion, importarJuegos } from '../utils/importacion.js';
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const archivo = args.find(a => !a.startsWith('--'));
+  if (!archivo) {
+    console.error('❌ Indica el archivo a importar: npm run import -- <archivo.json|archivo.csv> [--dry-run] [--upsert]');
+    process.exit(1);
+  }
+  const formato = path.extname(archivo).toLowerCase() === '.csv' ? 'csv' : 'json';
+  const dryRun = args.includes('--dry-run');
+  const duplicados = args.includes('--upsert') ? 'upsert' : 'skip';
+
+  await dbClient.conectarDB();
+  if (!dbClient.db) {
+    console.error('❌ No se pudo conectar a la base de datos');
+    process.exit(1);
+  }
+
+  try {
+    const juegos = leerImportacion(await readFile(archivo, 'utf8'), formato);
+    const informe = await importarJuegos(juegos, { dryRun, duplicados, contexto: { origen: 'cli' } });
+
+    for (const fila of informe.filas.filter(f => f.estado === 'invalid')) {
+      const errores = fila.errors.map(e => e.message).join('; ');
+      console.warn(`⚠️ Fila ${fila.fila} (${fila.titulo || 'sin título'}): ${errores}`);
+    }
+    console.log(`${dryRun ? '🧪 Simulación: ' : '✅ '}${informe.creados} creados, ${informe.actualizados} actualizados, ${informe.omitidos} omitidos, ${informe.invalidos} inválidos de ${informe.total}`);
+    if (informe.invalidos > 0) process.exitCode = 1;
+  } catch (error) {
+    console.error('❌ Error durante la importación:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await dbClient.closeConnection();
+    // Salir explícitamente: dbClient programa reconexiones al cerrarse el pool
+    process.exit(process.exitCode || 0);
+  }
+};
+
+main();
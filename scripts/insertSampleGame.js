@@ -0,0 +1,29 @@
+// Inserta los juegos de ejemplo de scripts/data/sampleGames.json (los que ya existen se omiten)
+// Uso: npm run insert-sample
+import "dotenv/config";
+import { readFile } from 'fs/promises';
+import dbClient from '../config/dbClient.js';
+import { leerImportacion, importarJuegos } from '../utils/importacion.js';
+
+const main = async () => {
+  await dbClient.conectarDB();
+  if (!dbClient.db) {
+    console.error('❌ No se pudo conectar a la base de datos');
+    process.exit(1);
+  }
+
+  try {
+    const contenido = await readFile(new URL('./data/sampleGames.json', import.meta.url), 'utf8');
+    const informe = await importarJuegos(leerImportacion(contenido, 'json'), { duplicados: 'skip', contexto: { origen: 'cli' } });
+    console.log(`✅ ${informe.creados} juegos de ejemplo insertados, ${informe.omitidos} ya existían`);
+  } catch (error) {
+    console.error('❌ Error al insertar los juegos de ejemplo:', error);
+    process.exitCode = 1;
+  } finally {
+    await dbClient.closeConnection();
+    // Salir explícitamente: dbClient programa reconexiones al cerrarse el pool
+    process.exit(process.exitCode || 0);
+  }
+};
+
+main();
@@ -0,0 +1,33 @@
+// Mueve las portadas guardadas como data URI en base64 al almacenamiento de archivos
+// Uso: npm run migrate:covers -- <url-base-de-la-api>  (o PUBLIC_API_URL en el .env)
+import "dotenv/config";
+import dbClient from '../config/dbClient.js';
+import portadasModelo from '../models/Portadas.js';
+
+const main = async () => {
+  const baseUrl = (process.argv[2] || process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5100}`).replace(/\/$/, '');
+
+  await dbClient.conectarDB();
+  if (!dbClient.db) {
+    console.error('❌ No se pudo conectar a la base de datos');
+    process.exit(1);
+  }
+
+  try {
+    const { migradas, fallidas } = await portadasModelo.migrarDesdeBase64(baseUrl);
+    console.log(`✅ ${migradas} portadas movidas al almacenamiento (URLs con base ${baseUrl})`);
+    for (const f of fallidas) {
+      console.warn(`⚠️ No se pudo migrar la portada de "${f.titulo}" (${f._id}): ${f.error}`);
+    }
+    if (fallidas.length > 0) process.exitCode = 1;
+  } catch (error) {
+    console.error('❌ Error durante la migración:', error);
+    process.exitCode = 1;
+  } finally {
+    await dbClient.closeConnection();
+    // Salir explícitamente: dbClient programa reconexiones al cerrarse el pool
+    process.exit(process.exitCode || 0);
+  }
+};
+
+main();
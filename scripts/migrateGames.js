@@ -0,0 +1,63 @@
+// Ejecuta las migraciones de esquema de migrations/ y las registra en la colección _migrations
+// Uso: npm run migrate                      aplica todas las pendientes
+//      npm run migrate -- up --to <nombre>  aplica hasta <nombre> (incluida)
+//      npm run migrate -- down [--steps n]  revierte las n últimas (por defecto 1)
+//      npm run migrate -- status            muestra qué migraciones están aplicadas
+import "dotenv/config";
+import dbClient from '../config/dbClient.js';
+import { estadoMigraciones, aplicarMigraciones, revertirMigraciones } from '../utils/migraciones.js';
+
+/**
+ * Obtiene el valor de una opción "--nombre valor" de la línea de comandos
+ * @param {Array<string>} args - Argumentos
+ * @param {string} nombre - Nombre de la opción
+ * @returns {string|undefined} - Valor de la opción
+ */
+const opcion = (args, nombre) => {
+  const i = args.indexOf(`--${nombre}`);
+  return i !== -1 ? args[i + 1] : undefined;
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const comando = args[0] && !args[0].startsWith('--') ? args[0] : 'up';
+  if (!['up', 'down', 'status'].includes(comando)) {
+    console.error(`❌ Comando desconocido "${comando}". Usa: up, down o status`);
+    process.exit(1);
+  }
+  const pasos = Number(opcion(args, 'steps') ?? 1);
+  if (!Number.isInteger(pasos) || pasos < 1) {
+    console.error('❌ --steps debe ser un entero mayor o igual a 1');
+    process.exit(1);
+  }
+
+  await dbClient.conectarDB();
+  if (!dbClient.db) {
+    console.error('❌ No se pudo conectar a la base de datos');
+    process.exit(1);
+  }
+
+  try {
+    if (comando === 'status') {
+      for (const m of await estadoMigraciones(dbClient.db)) {
+        const estado = m.aplicada ? `✅ aplicada el ${m.fechaAplicacion}` : '⏳ pendiente';
+        console.log(`${m.nombre.padEnd(32)} ${estado}${m.reversible ? '' : ' (irreversible)'}`);
+      }
+    } else if (comando === 'up') {
+      const hechas = await aplicarMigraciones(dbClient.db, { hasta: opcion(args, 'to'), log: console.log });
+      console.log(hechas.length ? `✅ ${hechas.length} migraciones aplicadas` : '✅ No hay migraciones pendientes');
+    } else {
+      const hechas = await revertirMigraciones(dbClient.db, { pasos, log: console.log });
+      console.log(`✅ ${hechas.length} migraciones revertidas`);
+    }
+  } catch (error) {
+    console.error('❌ Error durante la migración:', error.name === 'MigracionError' ? error.message : error);
+    process.exitCode = 1;
+  } finally {
+    await dbClient.closeConnection();
+    // Salir explícitamente: dbClient programa reconexiones al cerrarse el pool
+    process.exit(process.exitCode || 0);
+  }
+};
+
+main();
@@ -0,0 +1,43 @@
+// Migra el progreso personal guardado en el catálogo a la biblioteca de un usuario
+// Uso: npm run migrate:library -- <email>  (o DEFAULT_LIBRARY_USER_EMAIL en el .env)
+import "dotenv/config";
+import dbClient from '../config/dbClient.js';
+import usuariosModelo from '../models/Usuarios.js';
+import bibliotecaModelo from '../models/Biblioteca.js';
+
+const main = async () => {
+  const email = process.argv[2] || process.env.DEFAULT_LIBRARY_USER_EMAIL;
+  if (!email) {
+    console.error('❌ Indica el email del usuario que recibirá la biblioteca: npm run migrate:library -- <email>');
+    process.exit(1);
+  }
+
+  await dbClient.conectarDB();
+  if (!dbClient.db) {
+    console.error('❌ No se pudo conectar a la base de datos');
+    process.exit(1);
+  }
+
+  try {
+    const user = await usuariosModelo.findByEmail(email);
+    if (!user) {
+      console.error(`❌ No existe ningún usuario con el email ${email}. Regístralo primero en /api/auth/register`);
+      process.exitCode = 1;
+      return;
+    }
+
+    await bibliotecaModelo.ensureIndexes();
+    const { migrados, limpiados } = await bibliotecaModelo.migrarDesdeCatalogo(user._id);
+    console.log(`✅ ${migrados} juegos añadidos a la biblioteca de ${user.nombreUsuario}`);
+    console.log(`🧹 ${limpiados} juegos del catálogo sin campos de progreso personal`);
+  } catch (error) {
+    console.error('❌ Error durante la migración:', error);
+    process.exitCode = 1;
+  } finally {
+    await dbClient.closeConnection();
+    // Salir explícitamente: dbClient programa reconexiones al cerrarse el pool
+    process.exit(process.exitCode || 0);
+  }
+};
+
+main();
@@ -0,0 +1,42 @@
+// Asigna el rol admin a una cuenta ya registrada, para crear el primer administrador
+// (después, los administradores asignan los roles con PUT /api/users/:id/role)
+// Uso: npm run promote-admin -- <email>
+import "dotenv/config";
+import dbClient from '../config/dbClient.js';
+import usuariosModelo from '../models/Usuarios.js';
+
+const main = async () => {
+  const email = process.argv[2];
+  if (!email) {
+    console.error('❌ Indica el email de la cuenta: npm run promote-admin -- <email>');
+    process.exit(1);
+  }
+
+  await dbClient.conectarDB();
+  if (!dbClient.db) {
+    console.error('❌ No se pudo conectar a la base de datos');
+    process.exit(1);
+  }
+
+  try {
+    const user = await usuariosModelo.findByEmail(email);
+    if (!user) {
+      console.error(`❌ No existe ninguna cuenta con el email ${email}; regístrala antes con POST /api/auth/register`);
+      process.exitCode = 1;
+    } else if (user.rol === 'admin') {
+      console.log(`✅ ${user.nombreUsuario} ya es administrador`);
+    } else {
+      await usuariosModelo.setRol(String(user._id), 'admin');
+      console.log(`✅ ${user.nombreUsuario} es ahora administrador; el rol se aplicará cuando renueve su sesión`);
+    }
+  } catch (error) {
+    console.error('❌ Error al asignar el rol de administrador:', error);
+    process.exitCode = 1;
+  } finally {
+    await dbClient.closeConnection();
+    // Salir explícitamente: dbClient programa reconexiones al cerrarse el pool
+    process.exit(process.exitCode || 0);
+  }
+};
+
+main();
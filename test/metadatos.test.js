@@ -0,0 +1,159 @@
+// Pruebas de los proveedores de metadatos: catálogo local (archivos temporales) y RAWG (servidor HTTP local)
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { LocalCatalogProvider, RawgProvider, ProveedorError } from '../config/metadatos.js';
+
+describe('LocalCatalogProvider', () => {
+    let dir;
+
+    // Escribe un volcado en el directorio temporal y devuelve un proveedor que lo lee
+    const proveedorCon = async (nombre, contenido) => {
+        const archivo = path.join(dir, nombre);
+        await fs.writeFile(archivo, typeof contenido === 'string' ? contenido : JSON.stringify(contenido));
+        return new LocalCatalogProvider(archivo);
+    };
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'playlib-metadatos-'));
+    });
+
+    after(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('por defecto usa los juegos de ejemplo del repositorio', async () => {
+        const [registro] = await new LocalCatalogProvider().buscar('Hollow Knight');
+        assert.equal(registro.titulo, 'Hollow Knight');
+        assert.equal(registro.desarrollador, 'Team Cherry');
+    });
+
+    test('busca por parecido del título y obtiene por id', async () => {
+        const proveedor = await proveedorCon('catalogo.json', {
+            juegos: [
+                { id: 'celeste', titulo: ' Celeste ', genero: ['Plataformas'], añoLanzamiento: '2018' },
+                { titulo: 'Hades', desarrollador: 'Supergiant Games' }
+            ]
+        });
+
+        const resultados = await proveedor.buscar('celeste');
+        assert.equal(resultados[0].idExterno, 'celeste');
+        assert.equal(resultados[0].titulo, 'Celeste');
+        assert.equal(resultados[0].añoLanzamiento, 2018);
+
+        // Sin id se usa la posición en el archivo
+        const hades = await proveedor.obtener('2');
+        assert.equal(hades.desarrollador, 'Supergiant Games');
+        assert.equal(await proveedor.obtener('no-existe'), null);
+    });
+
+    test('lee volcados CSV con listas separadas por "|"', async () => {
+        const proveedor = await proveedorCon('catalogo.csv', 'id,titulo,genero,plataforma\r\n7,Hollow Knight,Metroidvania|Plataformas,PC\r\n');
+        const registro = await proveedor.obtener('7');
+        assert.deepEqual(registro.genero, ['Metroidvania', 'Plataformas']);
+        assert.deepEqual(registro.plataforma, ['PC']);
+    });
+
+    test('admite listas como texto y títulos numéricos', async () => {
+        const proveedor = await proveedorCon('tipos.json', [
+            { titulo: 1942, genero: 'Shoot \'em up|Arcade', plataforma: 5 }
+        ]);
+        const [registro] = await proveedor.buscar('1942');
+        assert.equal(registro.titulo, '1942');
+        assert.deepEqual(registro.genero, ['Shoot \'em up', 'Arcade']);
+        assert.equal(registro.plataforma, undefined);
+    });
+
+    test('lanza ProveedorError si el archivo falta o no es válido', async () => {
+        await assert.rejects(new LocalCatalogProvider(path.join(dir, 'no-existe.json')).buscar('x'), ProveedorError);
+        await assert.rejects((await proveedorCon('roto.json', '{ no es json')).buscar('x'), ProveedorError);
+        await assert.rejects((await proveedorCon('objeto.json', { otro: [] })).buscar('x'), ProveedorError);
+        await assert.rejects((await proveedorCon('nulos.json', [null])).buscar('x'), ProveedorError);
+    });
+});
+
+describe('RawgProvider', () => {
+    let servidor;
+    let url;
+    const peticiones = [];
+
+    const JUEGO = {
+        id: 3328,
+        name: 'The Witcher 3: Wild Hunt',
+        released: '2015-05-18',
+        genres: [{ name: 'RPG' }],
+        platforms: [{ platform: { name: 'PC' } }],
+        developers: [{ name: 'CD PROJEKT RED' }],
+        description_raw: 'Geralt busca a Ciri.',
+        background_image: 'https://example.com/witcher.jpg'
+    };
+
+    before(async () => {
+        // Servidor local que imita las rutas de la API de RAWG
+        servidor = http.createServer((req, res) => {
+            const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+            peticiones.push({ pathname, searchParams });
+            const responder = (status, cuerpo) => {
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(typeof cuerpo === 'string' ? cuerpo : JSON.stringify(cuerpo));
+            };
+
+            if (pathname === '/games') return responder(200, { results: [JUEGO] });
+            if (pathname === '/games/3328') return responder(200, JUEGO);
+            if (pathname === '/games/500') return responder(500, { error: 'fallo' });
+            if (pathname === '/games/roto') return responder(200, '<html>');
+            if (pathname === '/games/lento') return setTimeout(() => responder(200, JUEGO), 500);
+            return responder(404, { detail: 'Not found.' });
+        });
+        await new Promise(resolve => servidor.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${servidor.address().port}/`;
+    });
+
+    after(async () => {
+        servidor.closeAllConnections();
+        await new Promise(resolve => servidor.close(resolve));
+    });
+
+    test('busca juegos y traduce la respuesta a registros', async () => {
+        const proveedor = new RawgProvider({ url, key: 'clave', timeoutMs: 1000 });
+        const [registro] = await proveedor.buscar('witcher', { limit: 3 });
+
+        assert.deepEqual(registro, {
+            idExterno: '3328',
+            titulo: 'The Witcher 3: Wild Hunt',
+            genero: ['RPG'],
+            plataforma: ['PC'],
+            añoLanzamiento: 2015,
+            desarrollador: 'CD PROJEKT RED',
+            descripcion: 'Geralt busca a Ciri.',
+            imagenPortada: 'https://example.com/witcher.jpg'
+        });
+        const { searchParams } = peticiones.at(-1);
+        assert.equal(searchParams.get('search'), 'witcher');
+        assert.equal(searchParams.get('page_size'), '3');
+        assert.equal(searchParams.get('key'), 'clave');
+    });
+
+    test('obtiene un juego por id y devuelve null si no existe', async () => {
+        const proveedor = new RawgProvider({ url, timeoutMs: 1000 });
+        assert.equal((await proveedor.obtener(3328)).titulo, 'The Witcher 3: Wild Hunt');
+        assert.equal(await proveedor.obtener('999'), null);
+        // Sin clave no se envía el parámetro
+        assert.equal(peticiones.at(-1).searchParams.has('key'), false);
+    });
+
+    test('lanza ProveedorError ante errores, respuestas no JSON y tiempo agotado', async () => {
+        const proveedor = new RawgProvider({ url, timeoutMs: 100 });
+        await assert.rejects(proveedor.obtener('500'), { name: 'ProveedorError', message: /500/ });
+        await assert.rejects(proveedor.obtener('roto'), { name: 'ProveedorError', message: /JSON/ });
+        await assert.rejects(proveedor.obtener('lento'), { name: 'ProveedorError', message: /100 ms/ });
+    });
+
+    test('lanza ProveedorError si no puede conectar', async () => {
+        const proveedor = new RawgProvider({ url: 'http://127.0.0.1:1', timeoutMs: 1000 });
+        await assert.rejects(proveedor.buscar('x'), ProveedorError);
+    });
+});
@@ -0,0 +1,28 @@
+// Pruebas de los cursores de paginación
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeCursor, decodeCursor, QueryParamError } from '../utils/paginacion.js';
+
+const ID = '64b000000000000000000001';
+
+// Cursor con un valor arbitrario, como podría fabricarlo un cliente
+const cursorCon = (v) => Buffer.from(JSON.stringify({ v, id: ID })).toString('base64url');
+
+describe('decodeCursor', () => {
+    test('devuelve el valor y el id codificados con encodeCursor', () => {
+        for (const valor of ['Celeste', 4.5, true, null, '$titulo']) {
+            assert.deepEqual(decodeCursor(encodeCursor(valor, ID)), { valor, id: ID });
+        }
+    });
+
+    test('rechaza valores que MongoDB interpretaría como expresiones', () => {
+        for (const valor of [{ $function: { body: 'return 1', args: [], lang: 'js' } }, { $toLower: '$titulo' }, ['$a']]) {
+            assert.throws(() => decodeCursor(cursorCon(valor)), QueryParamError);
+        }
+    });
+
+    test('rechaza cursores mal formados', () => {
+        assert.throws(() => decodeCursor('no-es-un-cursor'), QueryParamError);
+        assert.throws(() => decodeCursor(Buffer.from(JSON.stringify({ v: 1, id: 'x' })).toString('base64url')), QueryParamError);
+    });
+});
@@ -0,0 +1,224 @@
+// Pruebas de las entregas de webhooks contra un receptor HTTP local
+// Las de la cola y el endpoint de prueba necesitan MongoDB: se ejecutan solo si MONGODB_TEST_URI está definida
+// (usan una base de datos temporal que se elimina al terminar)
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { MongoClient } from 'mongodb';
+import express from 'express';
+import { firmar, verificarFirma, enviarEntrega, calcularEspera, generarSecreto } from '../utils/webhooks.js';
+
+process.env.JWT_SECRET ??= 'secreto-de-pruebas';
+
+/**
+ * Arranca un receptor de webhooks que guarda las peticiones recibidas
+ * y responde con los códigos de la lista, en orden (204 cuando se acaban)
+ * @param {Array<number>} codigos - Códigos de respuesta
+ * @returns {Promise<Object>} - { url, recibidas, cerrar }
+ */
+const crearReceptor = async (codigos = []) => {
+    const recibidas = [];
+    const servidor = http.createServer((req, res) => {
+        let cuerpo = '';
+        req.setEncoding('utf8');
+        req.on('data', trozo => { cuerpo += trozo; });
+        req.on('end', () => {
+            recibidas.push({ headers: req.headers, cuerpo });
+            const codigo = codigos.shift() ?? 204;
+            res.writeHead(codigo);
+            res.end(codigo >= 400 ? 'fallo del receptor' : '');
+        });
+    });
+    await new Promise(resolve => servidor.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${servidor.address().port}/hooks`,
+        recibidas,
+        cerrar: () => {
+            servidor.closeAllConnections();
+            return new Promise(resolve => servidor.close(resolve));
+        }
+    };
+};
+
+describe('firma y envío', () => {
+    test('verificarFirma acepta la firma correcta y rechaza cuerpos o secretos distintos', () => {
+        const secreto = generarSecreto();
+        const cabecera = firmar(secreto, 1700000000, '{"a":1}');
+        assert.match(cabecera, /^t=1700000000,v1=[0-9a-f]{64}$/);
+        assert.equal(verificarFirma(secreto, cabecera, '{"a":1}'), true);
+        assert.equal(verificarFirma(secreto, cabecera, '{"a":2}'), false);
+        assert.equal(verificarFirma(generarSecreto(), cabecera, '{"a":1}'), false);
+        assert.equal(verificarFirma(secreto, undefined, '{"a":1}'), false);
+    });
+
+    test('enviarEntrega envía el evento firmado con sus cabeceras', async () => {
+        const receptor = await crearReceptor([202]);
+        try {
+            const webhook = { url: receptor.url, secreto: generarSecreto() };
+            const entrega = { _id: 'entrega-1', evento: { id: 'evt-1', tipo: 'game.created', juegoId: 'j1', datos: { titulo: 'Celeste' } } };
+            const resultado = await enviarEntrega(webhook, entrega);
+
+            assert.equal(resultado.ok, true);
+            assert.equal(resultado.codigo, 202);
+            const [{ headers, cuerpo }] = receptor.recibidas;
+            assert.equal(headers['x-playlib-event'], 'game.created');
+            assert.equal(headers['x-playlib-delivery'], 'entrega-1');
+            assert.equal(verificarFirma(webhook.secreto, headers['x-playlib-signature'], cuerpo), true);
+            assert.deepEqual(JSON.parse(cuerpo), entrega.evento);
+        } finally {
+            await receptor.cerrar();
+        }
+    });
+
+    test('enviarEntrega informa de los errores del receptor sin lanzar', async () => {
+        const receptor = await crearReceptor([500]);
+        try {
+            const resultado = await enviarEntrega({ url: receptor.url, secreto: 's' }, { _id: 'x', evento: { tipo: 'game.updated' } });
+            assert.equal(resultado.ok, false);
+            assert.equal(resultado.codigo, 500);
+            assert.equal(resultado.respuesta, 'fallo del receptor');
+        } finally {
+            await receptor.cerrar();
+        }
+
+        const caido = await enviarEntrega({ url: 'http://127.0.0.1:1/', secreto: 's' }, { _id: 'x', evento: { tipo: 'game.updated' } });
+        assert.equal(caido.ok, false);
+        assert.equal(caido.codigo, null);
+        assert.ok(caido.error);
+    });
+
+    test('calcularEspera duplica la espera en cada intento, con un 20 % de variación', () => {
+        for (const intentos of [1, 2, 3]) {
+            const base = 30 * 1000 * 2 ** (intentos - 1);
+            const espera = calcularEspera(intentos);
+            assert.ok(espera >= base * 0.9 && espera <= base * 1.1, `intento ${intentos}: ${espera} ms`);
+        }
+    });
+});
+
+describe('cola de entregas y evento de prueba', { skip: !process.env.MONGODB_TEST_URI && 'MONGODB_TEST_URI no definida' }, () => {
+    let cliente;
+    let dbClient;
+    let webhooksModelo;
+    let signAccessToken;
+    let api;
+
+    before(async () => {
+        ({ default: dbClient } = await import('../config/dbClient.js'));
+        ({ default: webhooksModelo } = await import('../models/Webhooks.js'));
+        ({ signAccessToken } = await import('../utils/tokens.js'));
+        const { default: rutasWebhooks } = await import('../routes/webhooks.js');
+
+        cliente = new MongoClient(process.env.MONGODB_TEST_URI);
+        await cliente.connect();
+        dbClient.db = cliente.db(`playlib_test_webhooks_${process.pid}`);
+        await webhooksModelo.ensureIndexes();
+
+        const app = express();
+        app.use(express.json());
+        app.use('/api/webhooks', rutasWebhooks);
+        api = await new Promise(resolve => {
+            const servidor = app.listen(0, '127.0.0.1', () => resolve(servidor));
+        });
+    });
+
+    after(async () => {
+        if (api) {
+            api.closeAllConnections();
+            await new Promise(resolve => api.close(resolve));
+        }
+        if (dbClient?.db) await dbClient.db.dropDatabase();
+        if (cliente) await cliente.close();
+    });
+
+    beforeEach(async () => {
+        await dbClient.db.collection('webhooks').deleteMany({});
+        await dbClient.db.collection('webhook_deliveries').deleteMany({});
+    });
+
+    test('reintenta con espera tras un 500 y registra cada intento en el historial', async () => {
+        const receptor = await crearReceptor([500, 204]);
+        try {
+            const webhook = await webhooksModelo.create({ id: '64b000000000000000000001' }, { url: receptor.url, eventos: ['game.created'] });
+            const evento = { clave: 'evt-reintento', tipo: 'game.created', juegoId: 'j1', fecha: new Date().toISOString(), datos: {} };
+            assert.equal(await webhooksModelo.encolar(evento), 1);
+            // El mismo evento no se encola dos veces
+            assert.equal(await webhooksModelo.encolar(evento), 0);
+
+            const entregas = dbClient.db.collection('webhook_deliveries');
+            const antes = Date.now();
+            assert.equal(await webhooksModelo.procesarCola(), 1);
+            let entrega = await entregas.findOne({ webhookId: webhook._id });
+            assert.equal(entrega.estado, 'pending');
+            assert.equal(entrega.intentos, 1);
+            assert.equal(entrega.ultimoCodigo, 500);
+            assert.equal(entrega.historial.length, 1);
+            assert.equal(entrega.historial[0].codigo, 500);
+            assert.equal(entrega.historial[0].respuesta, 'fallo del receptor');
+            assert.ok(Date.parse(entrega.siguienteIntento) >= antes + 30 * 1000 * 0.9);
+
+            // Hasta que pasa la espera no se vuelve a enviar
+            assert.equal(await webhooksModelo.procesarCola(), 0);
+            await entregas.updateOne({ _id: entrega._id }, { $set: { siguienteIntento: new Date().toISOString() } });
+            assert.equal(await webhooksModelo.procesarCola(), 1);
+
+            entrega = await entregas.findOne({ _id: entrega._id });
+            assert.equal(entrega.estado, 'delivered');
+            assert.equal(entrega.intentos, 2);
+            assert.deepEqual(entrega.historial.map(i => i.codigo), [500, 204]);
+            assert.equal(entrega.siguienteIntento, null);
+            assert.ok(entrega.fechaEntrega);
+
+            // Las dos peticiones llevan el mismo evento, firmado con el secreto del webhook
+            assert.equal(receptor.recibidas.length, 2);
+            for (const { headers, cuerpo } of receptor.recibidas) {
+                assert.equal(verificarFirma(webhook.secreto, headers['x-playlib-signature'], cuerpo), true);
+                assert.equal(JSON.parse(cuerpo).id, 'evt-reintento');
+            }
+        } finally {
+            await receptor.cerrar();
+        }
+    });
+
+    test('POST /api/webhooks/:id/test envía un evento de prueba firmado', async () => {
+        const receptor = await crearReceptor([200]);
+        try {
+            const webhook = await webhooksModelo.create({ id: '64b000000000000000000001' }, { url: receptor.url, eventos: ['game.deleted'] });
+            const admin = { _id: '64b000000000000000000001', nombreUsuario: 'admin', rol: 'admin' };
+            const url = `http://127.0.0.1:${api.address().port}/api/webhooks/${webhook._id}/test`;
+
+            const res = await fetch(url, { method: 'POST', headers: { Authorization: `Bearer ${signAccessToken(admin)}` } });
+            const body = await res.json();
+            assert.equal(res.status, 200);
+            assert.equal(body.success, true);
+            assert.equal(body.data.estado, 'delivered');
+            assert.equal(body.data.prueba, true);
+            assert.equal(body.data.historial[0].codigo, 200);
+
+            const [{ headers, cuerpo }] = receptor.recibidas;
+            assert.equal(headers['x-playlib-event'], 'webhook.test');
+            assert.equal(verificarFirma(webhook.secreto, headers['x-playlib-signature'], cuerpo), true);
+            assert.equal(JSON.parse(cuerpo).datos.solicitadoPor, 'admin');
+
+            // Los editores no gestionan webhooks
+            const editor = { ...admin, rol: 'editor' };
+            const prohibido = await fetch(url, { method: 'POST', headers: { Authorization: `Bearer ${signAccessToken(editor)}` } });
+            assert.equal(prohibido.status, 403);
+        } finally {
+            await receptor.cerrar();
+        }
+    });
+
+    test('el evento de prueba fallido no se reintenta', async () => {
+        const receptor = await crearReceptor([503]);
+        try {
+            const webhook = await webhooksModelo.create({ id: '64b000000000000000000001' }, { url: receptor.url, eventos: ['game.deleted'] });
+            const entrega = await webhooksModelo.entregar(await webhooksModelo.crearEntregaPrueba(webhook, { nombreUsuario: 'admin' }));
+            assert.equal(entrega.estado, 'failed');
+            assert.equal(entrega.historial[0].codigo, 503);
+            assert.equal(await webhooksModelo.procesarCola(), 0);
+        } finally {
+            await receptor.cerrar();
+        }
+    });
+});
@@ -0,0 +1,149 @@
+// Utilidades para construir los filtros de búsqueda del catálogo
+import { QueryParamError } from "./paginacion.js";
+
+// Campos sobre los que se hace la búsqueda de texto libre
+export const CAMPOS_TEXTO = ['titulo', 'desarrollador', 'descripcion'];
+
+// Variantes acentuadas de cada letra base
+const VARIANTES = {
+    a: 'aáàäâã',
+    e: 'eéèëê',
+    i: 'iíìïî',
+    o: 'oóòöôõ',
+    u: 'uúùüû',
+    n: 'nñ',
+    c: 'cç'
+};
+
+/**
+ * Quita tildes y diacríticos de un texto
+ * @param {string} texto - Texto original
+ * @returns {string} - Texto sin diacríticos
+ */
+export const quitarAcentos = (texto) => String(texto).normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+/**
+ * Grado de coincidencia entre dos títulos, ignorando mayúsculas, tildes y puntuación
+ * @param {string} a - Primer título
+ * @param {string} b - Segundo título
+ * @returns {number} - 1 si son iguales; si no, la proporción de palabras compartidas (Jaccard)
+ */
+export const similitudTitulo = (a, b) => {
+    const palabras = (texto) => quitarAcentos(texto ?? '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+    const pa = palabras(a);
+    const pb = palabras(b);
+    if (pa.length === 0 || pb.length === 0) return 0;
+    if (pa.join(' ') === pb.join(' ')) return 1;
+    const sa = new Set(pa);
+    const sb = new Set(pb);
+    const comunes = [...sa].filter(p => sb.has(p)).length;
+    return comunes / (sa.size + sb.size - comunes);
+};
+
+/**
+ * Construye una expresión regular que ignora mayúsculas y tildes
+ * "accion" genera /[aáàäâãAÁÀÄÂÃ][cçCÇ].../i y encuentra "Acción"
+ * @param {string} termino - Término buscado
+ * @returns {RegExp} - Expresión regular insensible a acentos
+ */
+export const regexSinAcentos = (termino) => {
+    const patron = [...quitarAcentos(termino).toLowerCase()]
+        // Se incluyen también las mayúsculas por si el motor de regex no pliega caracteres no ASCII
+        .map(ch => VARIANTES[ch] ? `[${VARIANTES[ch]}${VARIANTES[ch].toUpperCase()}]` : ch.replace(/[.*+?^${}()|[\]\\/-]/g, '\\$&'))
+        .join('');
+    return new RegExp(patron, 'i');
+};
+
+/**
+ * Convierte un parámetro de lista (a,b o ?x=a&x=b) en array de strings
+ * @param {string|Array} valor - Valor del parámetro
+ * @returns {Array<string>} - Valores no vacíos
+ */
+const lista = (valor) => (Array.isArray(valor) ? valor : String(valor).split(','))
+    .map(v => String(v).trim())
+    .filter(Boolean);
+
+/**
+ * Lee un número opcional de la query
+ * @param {Object} query - req.query
+ * @param {string} nombre - Nombre del parámetro
+ * @returns {number|undefined} - Número o undefined si no se envió
+ * @throws {QueryParamError} - Si no es un número
+ */
+const numero = (query, nombre) => {
+    if (query[nombre] === undefined || query[nombre] === '') return undefined;
+    const n = Number(query[nombre]);
+    if (isNaN(n)) throw new QueryParamError(nombre, `El parámetro "${nombre}" debe ser un número`);
+    return n;
+};
+
+/**
+ * Construye el filtro de MongoDB para GET /api/juegos/search
+ * @param {Object} query - req.query
+ * @param {string} query.q - Texto libre sobre título, desarrollador y descripción
+ * @param {string} query.genero - Géneros separados por coma
+ * @param {string} query.generoModo - "or" (cualquiera, por defecto) o "and" (todos)
+ * @param {string} query.plataforma - Plataformas separadas por coma
+ * @param {string} query.plataformaModo - "or" o "and"
+ * @param {number} query.añoMin - Año de lanzamiento mínimo
+ * @param {number} query.añoMax - Año de lanzamiento máximo
+ * @param {number} query.horasMin - Mediana mínima de horas jugadas según las reseñas
+ * @param {number} query.horasMax - Mediana máxima de horas jugadas según las reseñas
+ * @param {Object} contexto - Datos ya resueltos por el controlador
+ * @param {Array<ObjectId>} contexto.completados - IDs completados por el usuario (si se filtra por completado)
+ * @returns {Object} - Filtro de MongoDB
+ * @throws {QueryParamError} - Si algún parámetro no es válido
+ */
+export const buildSearchFilter = (query, contexto = {}) => {
+    const condiciones = [];
+
+    // Texto libre: cada palabra debe aparecer en alguno de los campos
+    if (query.q !== undefined && String(query.q).trim() !== '') {
+        const palabras = String(query.q).trim().split(/\s+/).slice(0, 10);
+        for (const palabra of palabras) {
+            const regex = regexSinAcentos(palabra);
+            condiciones.push({ $or: CAMPOS_TEXTO.map(campo => ({ [campo]: regex })) });
+        }
+    }
+
+    // Géneros y plataformas con semántica AND / OR
+    for (const campo of ['genero', 'plataforma']) {
+        if (query[campo] === undefined) continue;
+        const valores = lista(query[campo]);
+        if (valores.length === 0) continue;
+        const modo = String(query[`${campo}Modo`] || 'or').toLowerCase();
+        if (!['and', 'or'].includes(modo)) {
+            throw new QueryParamError(`${campo}Modo`, `El parámetro "${campo}Modo" debe ser "and" u "or"`);
+        }
+        condiciones.push({ [campo]: modo === 'and' ? { $all: valores } : { $in: valores } });
+    }
+
+    // Rango de año de lanzamiento
+    const añoMin = numero(query, 'añoMin');
+    const añoMax = numero(query, 'añoMax');
+    if (añoMin !== undefined || añoMax !== undefined) {
+        const rango = {};
+        if (añoMin !== undefined) rango.$gte = añoMin;
+        if (añoMax !== undefined) rango.$lte = añoMax;
+        condiciones.push({ añoLanzamiento: rango });
+    }
+
+    // Rango de horas jugadas (mediana de las reseñas aprobadas)
+    const horasMin = numero(query, 'horasMin');
+    const horasMax = numero(query, 'horasMax');
+    if (horasMin !== undefined || horasMax !== undefined) {
+        const rango = {};
+        if (horasMin !== undefined) rango.$gte = horasMin;
+        if (horasMax !== undefined) rango.$lte = horasMax;
+        condiciones.push({ 'estadisticas.horasMediana': rango });
+    }
+
+    // Completado según la biblioteca del usuario
+    if (contexto.completados) {
+        const completado = String(query.completado).toLowerCase() === 'true';
+        condiciones.push({ _id: completado ? { $in: contexto.completados } : { $nin: contexto.completados } });
+    }
+
+    if (condiciones.length === 0) return {};
+    return condiciones.length === 1 ? condiciones[0] : { $and: condiciones };
+};
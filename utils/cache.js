@@ -0,0 +1,80 @@
+// Caché en memoria con caducidad para resultados costosos de calcular
+
+/**
+ * Caché clave-valor con TTL y tamaño máximo
+ * Las entradas más antiguas se descartan primero cuando se llena (orden de inserción del Map)
+ */
+export class CacheMemoria {
+    /**
+     * @param {Object} opciones - Opciones de la caché
+     * @param {number} opciones.ttlMs - Tiempo de vida de cada entrada en milisegundos
+     * @param {number} opciones.maxEntradas - Número máximo de entradas
+     */
+    constructor({ ttlMs, maxEntradas = 500 }) {
+        this.ttlMs = ttlMs;
+        this.maxEntradas = maxEntradas;
+        this.entradas = new Map();
+    }
+
+    /**
+     * Obtiene un valor si existe y no ha caducado
+     * @param {string} clave - Clave de la entrada
+     * @returns {*} - Valor guardado o undefined
+     */
+    get(clave) {
+        const entrada = this.entradas.get(clave);
+        if (!entrada) return undefined;
+        if (entrada.caduca <= Date.now()) {
+            this.entradas.delete(clave);
+            return undefined;
+        }
+        return entrada.valor;
+    }
+
+    /**
+     * Guarda un valor
+     * @param {string} clave - Clave de la entrada
+     * @param {*} valor - Valor a guardar
+     */
+    set(clave, valor) {
+        this.entradas.delete(clave);
+        if (this.entradas.size >= this.maxEntradas) {
+            this.entradas.delete(this.entradas.keys().next().value);
+        }
+        this.entradas.set(clave, { valor, caduca: Date.now() + this.ttlMs });
+    }
+
+    /**
+     * Devuelve el valor guardado o lo calcula y lo guarda
+     * @param {string} clave - Clave de la entrada
+     * @param {Function} calcular - Función async que produce el valor
+     * @returns {Promise<*>} - Valor guardado o recién calculado
+     */
+    async obtener(clave, calcular) {
+        const guardado = this.get(clave);
+        if (guardado !== undefined) return guardado;
+        const valor = await calcular();
+        this.set(clave, valor);
+        return valor;
+    }
+
+    /**
+     * Elimina las entradas cuya clave empieza por un prefijo, o todas si no se indica
+     * @param {string} prefijo - Prefijo de las claves a invalidar (opcional)
+     */
+    invalidar(prefijo) {
+        if (prefijo === undefined) {
+            this.entradas.clear();
+            return;
+        }
+        for (const clave of this.entradas.keys()) {
+            if (clave.startsWith(prefijo)) this.entradas.delete(clave);
+        }
+    }
+}
+
+// Caché de juegos similares y recomendaciones (RECOMMENDATIONS_CACHE_TTL_MS, por defecto 10 minutos)
+// Se invalida entera cuando cambia el catálogo o las reseñas, y por usuario cuando cambia su biblioteca
+export const cacheRecomendaciones = new CacheMemoria({
+    ttlMs: Number(process.env.RECOMMENDATIONS_CACHE_TTL_MS || 10 * 60 * 1000)
+});
@@ -0,0 +1,57 @@
+// Control de concurrencia optimista de los juegos: versión, ETag y cabeceras condicionales
+
+// ETag fuerte de una versión: "v<version>"
+const ETAG_REGEX = /^"v(\d+)"$/;
+
+/**
+ * Error de una petición condicional cuya versión ya no es la actual (se responde 412)
+ */
+export class PrecondicionError extends Error {
+    constructor(versionActual) {
+        super('El juego ha cambiado desde que lo leíste; vuelve a cargarlo antes de guardar');
+        this.name = 'PrecondicionError';
+        this.status = 412;
+        this.versionActual = versionActual;
+    }
+}
+
+/**
+ * Versión de un juego (los juegos anteriores al control de versiones cuentan como 0)
+ * @param {Object} game - Juego
+ * @returns {number} - Versión actual
+ */
+export const versionDe = (game) => game?.version ?? 0;
+
+/**
+ * ETag de un juego, derivado de su versión
+ * @param {Object} game - Juego
+ * @returns {string} - ETag fuerte entre comillas
+ */
+export const etagJuego = (game) => `"v${versionDe(game)}"`;
+
+/**
+ * Lee la cabecera If-Match de una petición
+ * Las ETags débiles (W/) nunca coinciden: If-Match usa comparación fuerte
+ * @param {Object} req - Objeto de petición Express
+ * @returns {Array<number>|undefined} - Versiones aceptadas, o undefined si no hay condición (sin cabecera o "*")
+ */
+export const leerIfMatch = (req) => {
+    const cabecera = req.get('If-Match');
+    if (!cabecera || cabecera.trim() === '*') return undefined;
+
+    return cabecera.split(',')
+        .map(etag => ETAG_REGEX.exec(etag.trim()))
+        .filter(Boolean)
+        .map(m => Number(m[1]));
+};
+
+/**
+ * Condición de versión para el filtro de una escritura atómica (compare-and-set)
+ * @param {Array<number>|undefined} versiones - Versiones aceptadas (ver leerIfMatch)
+ * @returns {Object} - Fragmento de filtro de MongoDB ({} si no hay condición)
+ */
+export const filtroVersion = (versiones) => {
+    if (versiones === undefined) return {};
+    // La versión 0 corresponde a los documentos que aún no tienen el campo
+    return { version: { $in: versiones.includes(0) ? [...versiones, null] : versiones } };
+};
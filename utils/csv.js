@@ -0,0 +1,73 @@
+// Lectura y escritura de CSV (RFC 4180) para la importación y exportación del catálogo
+
+/**
+ * Escapa un valor para una celda CSV
+ * Se entrecomilla si contiene separador, comillas o saltos de línea
+ * @param {*} valor - Valor de la celda (null/undefined quedan vacíos)
+ * @returns {string} - Celda lista para escribir
+ */
+const escaparCelda = (valor) => {
+    if (valor === null || valor === undefined) return '';
+    const texto = String(valor);
+    return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+};
+
+/**
+ * Convierte una lista de valores en una línea CSV (con salto de línea final)
+ * @param {Array} valores - Valores de las celdas
+ * @returns {string} - Línea CSV
+ */
+export const toCsvRow = (valores) => `${valores.map(escaparCelda).join(',')}\r\n`;
+
+/**
+ * Interpreta un texto CSV con cabecera
+ * @param {string} texto - Contenido CSV (la primera fila son los nombres de columna)
+ * @returns {Array<Object>} - Una entrada por fila, con las columnas como claves
+ * @throws {Error} - Si hay comillas sin cerrar
+ */
+export const parseCsv = (texto) => {
+    // Quitar la marca BOM que añaden algunas hojas de cálculo
+    const contenido = String(texto).replace(/^\uFEFF/, '');
+    const filas = [];
+    let fila = [];
+    let celda = '';
+    let entreComillas = false;
+
+    for (let i = 0; i < contenido.length; i++) {
+        const c = contenido[i];
+        if (entreComillas) {
+            if (c === '"' && contenido[i + 1] === '"') {
+                celda += '"';
+                i++;
+            } else if (c === '"') {
+                entreComillas = false;
+            } else {
+                celda += c;
+            }
+        } else if (c === '"') {
+            entreComillas = true;
+        } else if (c === ',') {
+            fila.push(celda);
+            celda = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && contenido[i + 1] === '\n') i++;
+            fila.push(celda);
+            filas.push(fila);
+            fila = [];
+            celda = '';
+        } else {
+            celda += c;
+        }
+    }
+    if (entreComillas) throw new Error('CSV mal formado: hay comillas sin cerrar');
+    if (celda !== '' || fila.length > 0) {
+        fila.push(celda);
+        filas.push(fila);
+    }
+
+    // Ignorar líneas vacías
+    const [cabecera, ...datos] = filas.filter(f => f.some(c => c.trim() !== ''));
+    if (!cabecera) return [];
+    const columnas = cabecera.map(c => c.trim());
+    return datos.map(f => Object.fromEntries(columnas.map((col, i) => [col, f[i] ?? ''])));
+};
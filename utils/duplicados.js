@@ -0,0 +1,124 @@
+// Detección aproximada de juegos duplicados en el catálogo
+// La usan la creación de juegos (409 con candidatos) y el informe GET /api/juegos/duplicates
+import { quitarAcentos, similitudTitulo } from "./busqueda.js";
+
+// Parecido mínimo entre títulos normalizados para considerar dos juegos posibles duplicados
+export const UMBRAL_DUPLICADO = 0.8;
+
+// Diferencia de años de lanzamiento que aún se considera el mismo juego (fechas regionales, reediciones)
+const DIFERENCIA_AÑOS = 1;
+
+/**
+ * Normaliza un título para compararlo: sin tildes, mayúsculas, puntuación
+ * ni anotaciones entre paréntesis o corchetes ("Hollow Knight (Switch)" → "hollow knight")
+ * @param {string} titulo - Título original
+ * @returns {string} - Título normalizado
+ */
+export const normalizarTitulo = (titulo) => quitarAcentos(titulo ?? '')
+    .toLowerCase()
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+/**
+ * Normaliza el nombre de un desarrollador para compararlo
+ * @param {string} desarrollador - Nombre original
+ * @returns {string} - Nombre normalizado ("" si no hay)
+ */
+const normalizarDesarrollador = (desarrollador) => quitarAcentos(desarrollador ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Compara dos juegos por título normalizado, desarrollador y año
+ * Un desarrollador o un año distintos (cuando ambos juegos los tienen) descartan el duplicado
+ * @param {Object} a - Primer juego ({ titulo, desarrollador, añoLanzamiento })
+ * @param {Object} b - Segundo juego
+ * @returns {Object|null} - { confianza, coincide: [campos] } o null si no parecen el mismo juego
+ */
+export const compararJuegos = (a, b) => {
+    const tituloA = normalizarTitulo(a.titulo);
+    const tituloB = normalizarTitulo(b.titulo);
+    if (!tituloA || !tituloB) return null;
+
+    const parecido = tituloA === tituloB ? 1 : similitudTitulo(tituloA, tituloB);
+    if (parecido < UMBRAL_DUPLICADO) return null;
+    const coincide = ['titulo'];
+
+    const desarrolladorA = normalizarDesarrollador(a.desarrollador);
+    const desarrolladorB = normalizarDesarrollador(b.desarrollador);
+    if (desarrolladorA && desarrolladorB) {
+        if (desarrolladorA !== desarrolladorB) return null;
+        coincide.push('desarrollador');
+    }
+
+    if (typeof a.añoLanzamiento === 'number' && typeof b.añoLanzamiento === 'number') {
+        if (Math.abs(a.añoLanzamiento - b.añoLanzamiento) > DIFERENCIA_AÑOS) return null;
+        coincide.push('añoLanzamiento');
+    }
+
+    return { confianza: Math.round(parecido * 100) / 100, coincide };
+};
+
+/**
+ * Busca entre los juegos existentes los posibles duplicados de uno
+ * @param {Object} juego - Juego a comprobar
+ * @param {Array<Object>} existentes - Juegos del catálogo
+ * @returns {Array<Object>} - Existentes que parecen el mismo juego, con confianza y coincide, los más parecidos primero
+ */
+export const buscarCandidatos = (juego, existentes) => existentes
+    .map(existente => ({ existente, comparacion: compararJuegos(juego, existente) }))
+    .filter(c => c.comparacion)
+    .sort((a, b) => b.comparacion.confianza - a.comparacion.confianza || b.comparacion.coincide.length - a.comparacion.coincide.length)
+    .map(({ existente, comparacion }) => ({ ...existente, ...comparacion }));
+
+/**
+ * Agrupa los juegos que parecen el mismo
+ * Solo se comparan entre sí los juegos cuyo título normalizado empieza por la misma palabra,
+ * para no comparar todo el catálogo contra todo el catálogo
+ * @param {Array<Object>} juegos - Juegos del catálogo ({ _id, titulo, desarrollador, añoLanzamiento, ... })
+ * @returns {Array<Object>} - Grupos { confianza, juegos } de dos o más juegos, los más grandes primero
+ */
+export const agruparDuplicados = (juegos) => {
+    const bloques = new Map();
+    for (const juego of juegos) {
+        const [primera] = normalizarTitulo(juego.titulo).split(' ');
+        if (!primera) continue;
+        if (!bloques.has(primera)) bloques.set(primera, []);
+        bloques.get(primera).push(juego);
+    }
+
+    // Unión de conjuntos: cada juego apunta a un representante de su grupo
+    const padre = new Map();
+    const raiz = (id) => {
+        while (padre.get(id) !== id) id = padre.get(id);
+        return id;
+    };
+    const confianzas = new Map();
+
+    for (const bloque of bloques.values()) {
+        for (const juego of bloque) if (!padre.has(String(juego._id))) padre.set(String(juego._id), String(juego._id));
+        for (let i = 0; i < bloque.length; i++) {
+            for (let j = i + 1; j < bloque.length; j++) {
+                const comparacion = compararJuegos(bloque[i], bloque[j]);
+                if (!comparacion) continue;
+                const a = raiz(String(bloque[i]._id));
+                const b = raiz(String(bloque[j]._id));
+                const confianza = Math.min(comparacion.confianza, confianzas.get(a) ?? 1, confianzas.get(b) ?? 1);
+                if (a !== b) padre.set(b, a);
+                confianzas.set(a, confianza);
+            }
+        }
+    }
+
+    const grupos = new Map();
+    for (const juego of juegos) {
+        if (!padre.has(String(juego._id))) continue;
+        const id = raiz(String(juego._id));
+        if (!grupos.has(id)) grupos.set(id, []);
+        grupos.get(id).push(juego);
+    }
+
+    return [...grupos.entries()]
+        .filter(([, miembros]) => miembros.length > 1)
+        .map(([id, miembros]) => ({ confianza: confianzas.get(id) ?? 1, juegos: miembros }))
+        .sort((a, b) => b.juegos.length - a.juegos.length || b.confianza - a.confianza);
+};
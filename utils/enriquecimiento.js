@@ -0,0 +1,224 @@
+// Búsqueda de metadatos en los proveedores configurados y combinación campo a campo con un juego
+// La usan GET /api/juegos/lookup y POST /api/juegos/:id/enrich
+import proveedoresConfigurados from "../config/metadatos.js";
+import { juegoSchema } from "../schemas/juegos.js";
+import { CAMPOS_ENRIQUECIBLES } from "../schemas/metadatos.js";
+import { validar } from "./validacion.js";
+import { similitudTitulo, quitarAcentos } from "./busqueda.js";
+
+// Parecido mínimo entre títulos para aceptar automáticamente la coincidencia de un proveedor
+export const CONFIANZA_MINIMA = 0.8;
+
+// Resultados que se piden a cada proveedor en una búsqueda
+const RESULTADOS_POR_PROVEEDOR = 5;
+
+/**
+ * Error en los parámetros del enriquecimiento, se responde 400
+ */
+export class EnriquecimientoError extends Error {
+    constructor(message, field) {
+        super(message);
+        this.name = 'EnriquecimientoError';
+        this.status = 400;
+        this.field = field;
+    }
+}
+
+/**
+ * Nombres de los proveedores configurados, en orden de prioridad
+ * @returns {Array<string>} - Nombres
+ */
+export const nombresProveedores = () => proveedoresConfigurados.map(p => p.nombre);
+
+/**
+ * Obtiene los proveedores a consultar
+ * @param {Array<string>} nombres - Proveedores pedidos (por defecto, todos los configurados)
+ * @returns {Array<Object>} - Proveedores, en el orden de prioridad configurado
+ * @throws {EnriquecimientoError} - Si se pide un proveedor que no está configurado
+ */
+const seleccionarProveedores = (nombres) => {
+    if (!nombres) return proveedoresConfigurados;
+    const desconocido = nombres.find(n => !nombresProveedores().includes(n));
+    if (desconocido) {
+        throw new EnriquecimientoError(`El proveedor "${desconocido}" no está configurado (disponibles: ${nombresProveedores().join(', ') || 'ninguno'})`, 'proveedores');
+    }
+    return proveedoresConfigurados.filter(p => nombres.includes(p.nombre));
+};
+
+/**
+ * Convierte una lista de pares "a:b" en un objeto { a: b }
+ * @param {Array<string>} pares - Pares recibidos
+ * @param {string} campo - Nombre del parámetro (para el mensaje de error)
+ * @returns {Object} - Pares como objeto
+ * @throws {EnriquecimientoError} - Si algún par no tiene el formato esperado
+ */
+export const leerPares = (pares = [], campo) => {
+    const resultado = {};
+    for (const par of pares) {
+        const separador = par.indexOf(':');
+        if (separador <= 0 || separador === par.length - 1) {
+            throw new EnriquecimientoError(`Cada valor de "${campo}" debe tener el formato "clave:valor"`, campo);
+        }
+        resultado[par.slice(0, separador)] = par.slice(separador + 1);
+    }
+    return resultado;
+};
+
+/**
+ * Indica si un valor de un campo está vacío
+ * @param {*} valor - Valor del campo
+ * @returns {boolean} - true si es null, undefined, "" o una lista vacía (o solo con "")
+ */
+const vacio = (valor) => valor === undefined || valor === null || valor === ''
+    || (Array.isArray(valor) && valor.every(v => v === '' || v === null));
+
+/**
+ * Clave para comparar valores sin tener en cuenta mayúsculas, tildes ni el orden de las listas
+ * @param {*} valor - Valor del campo
+ * @returns {string} - Clave de comparación
+ */
+const claveValor = (valor) => Array.isArray(valor)
+    ? valor.map(claveValor).sort().join('|')
+    : quitarAcentos(String(valor)).toLowerCase().trim();
+
+/**
+ * Valida el valor de un proveedor contra el esquema de juegos
+ * @param {string} campo - Campo del juego
+ * @param {*} valor - Valor propuesto
+ * @returns {*} - Valor normalizado, o undefined si no cumple el esquema
+ */
+const valorValido = (campo, valor) => {
+    const { value, errors } = validar({ [campo]: juegoSchema[campo] }, { [campo]: valor }, { parcial: true });
+    return errors.length === 0 ? value[campo] : undefined;
+};
+
+/**
+ * Busca un título en los proveedores
+ * Los fallos de un proveedor no impiden devolver los resultados de los demás
+ * @param {string} titulo - Título buscado
+ * @param {Object} opciones - Opciones de la búsqueda
+ * @param {Array<string>} opciones.proveedores - Proveedores a consultar (por defecto, todos)
+ * @param {number} opciones.limit - Resultados por proveedor
+ * @returns {Promise<Object>} - { resultados, errores }; cada resultado lleva proveedor y confianza (0-1)
+ * @throws {EnriquecimientoError} - Si se pide un proveedor que no está configurado
+ */
+export const buscarMetadatos = async (titulo, { proveedores, limit = RESULTADOS_POR_PROVEEDOR } = {}) => {
+    const seleccionados = seleccionarProveedores(proveedores);
+    const errores = [];
+    const porProveedor = await Promise.all(seleccionados.map(async (proveedor) => {
+        try {
+            return (await proveedor.buscar(titulo, { limit })).map(registro => ({
+                proveedor: proveedor.nombre,
+                confianza: Math.round(similitudTitulo(titulo, registro.titulo) * 100) / 100,
+                ...registro
+            }));
+        } catch (error) {
+            if (error.name !== 'ProveedorError') console.error(`Error al consultar el proveedor ${proveedor.nombre}:`, error);
+            errores.push({ proveedor: proveedor.nombre, message: error.message });
+            return [];
+        }
+    }));
+
+    // La prioridad del proveedor desempata entre resultados igual de parecidos
+    const resultados = porProveedor.flat().sort((a, b) => b.confianza - a.confianza);
+    return { resultados, errores };
+};
+
+/**
+ * Combina campo a campo los registros de varios proveedores con los datos actuales de un juego
+ * Cada campo propone el valor del proveedor preferido o, si no, el del primero por prioridad que lo tenga;
+ * hay conflicto cuando los proveedores (o el valor actual) no coinciden
+ * @param {Object} actual - Datos actuales del juego ({} si no existe)
+ * @param {Array<Object>} registros - Registros de los proveedores, en orden de prioridad
+ * @param {Object} preferir - Proveedor preferido por campo { campo: proveedor }
+ * @returns {Array<Object>} - { campo, actual, valor, proveedor, propuestas: [{ proveedor, valor }], conflicto }
+ */
+export const combinarMetadatos = (actual, registros, preferir = {}) => {
+    const campos = [];
+    for (const campo of CAMPOS_ENRIQUECIBLES) {
+        const propuestas = registros
+            .map(r => ({ proveedor: r.proveedor, valor: vacio(r[campo]) ? undefined : valorValido(campo, r[campo]) }))
+            .filter(p => p.valor !== undefined);
+        if (propuestas.length === 0) continue;
+
+        const elegida = propuestas.find(p => p.proveedor === preferir[campo]) || propuestas[0];
+        const distintos = new Set(propuestas.map(p => claveValor(p.valor)));
+        if (!vacio(actual[campo])) distintos.add(claveValor(actual[campo]));
+
+        campos.push({
+            campo,
+            actual: actual[campo] ?? null,
+            valor: elegida.valor,
+            proveedor: elegida.proveedor,
+            propuestas,
+            conflicto: distintos.size > 1
+        });
+    }
+    return campos;
+};
+
+/**
+ * Busca un juego del catálogo en los proveedores y calcula qué cambiaría al enriquecerlo
+ * En cada proveedor se usa la coincidencia indicada, la que ya tiene guardada el juego en idsExternos
+ * o, si no, el resultado más parecido por título (solo si alcanza CONFIANZA_MINIMA)
+ * @param {Object} game - Juego del catálogo
+ * @param {Object} opciones - Opciones del enriquecimiento (ver enriquecimientoSchema)
+ * @param {Array<string>} opciones.proveedores - Proveedores a consultar
+ * @param {Object} opciones.coincidencias - ID externo elegido por proveedor { proveedor: idExterno }
+ * @param {Object} opciones.preferir - Proveedor preferido por campo { campo: proveedor }
+ * @param {Array<string>} opciones.campos - Campos a aplicar (por defecto, todos)
+ * @param {boolean} opciones.sobrescribir - Sustituir también los campos que ya tienen valor
+ * @returns {Promise<Object>} - { coincidencias, cambios, datos, idsExternos, errores }
+ *   datos son los campos a escribir; cada cambio indica si se aplicaría y, si no, el motivo
+ * @throws {EnriquecimientoError} - Si los proveedores o las coincidencias pedidas no son válidos
+ */
+export const prepararEnriquecimiento = async (game, { proveedores, coincidencias = {}, preferir = {}, campos, sobrescribir = false } = {}) => {
+    const seleccionados = seleccionarProveedores(proveedores);
+    const ajeno = Object.keys(coincidencias).find(n => !seleccionados.some(p => p.nombre === n));
+    if (ajeno) throw new EnriquecimientoError(`La coincidencia de "${ajeno}" no corresponde a ningún proveedor consultado`, 'coincidencias');
+
+    const errores = [];
+    const encontrados = await Promise.all(seleccionados.map(async (proveedor) => {
+        try {
+            const idElegido = coincidencias[proveedor.nombre] ?? game.idsExternos?.[proveedor.nombre];
+            if (idElegido !== undefined) {
+                const registro = await proveedor.obtener(idElegido);
+                if (!registro) {
+                    errores.push({ proveedor: proveedor.nombre, message: `No existe el juego ${idElegido} en el proveedor` });
+                    return null;
+                }
+                return { proveedor: proveedor.nombre, confianza: Math.round(similitudTitulo(game.titulo, registro.titulo) * 100) / 100, ...registro };
+            }
+
+            const [mejor] = (await proveedor.buscar(game.titulo, { limit: RESULTADOS_POR_PROVEEDOR }))
+                .map(registro => ({ registro, confianza: similitudTitulo(game.titulo, registro.titulo) }))
+                .sort((a, b) => b.confianza - a.confianza);
+            if (!mejor || mejor.confianza < CONFIANZA_MINIMA) return null;
+            // Los resultados de búsqueda pueden venir incompletos: se pide la ficha entera
+            const ficha = await proveedor.obtener(mejor.registro.idExterno) || mejor.registro;
+            return { proveedor: proveedor.nombre, confianza: Math.round(mejor.confianza * 100) / 100, ...ficha };
+        } catch (error) {
+            if (error.name !== 'ProveedorError') console.error(`Error al consultar el proveedor ${proveedor.nombre}:`, error);
+            errores.push({ proveedor: proveedor.nombre, message: error.message });
+            return null;
+        }
+    }));
+    const registros = encontrados.filter(Boolean);
+
+    const cambios = combinarMetadatos(game, registros, preferir).map(cambio => {
+        let motivo = null;
+        if (campos && !campos.includes(cambio.campo)) motivo = 'Campo no seleccionado';
+        else if (cambio.campo === 'imagenPortada' && game.portada) motivo = 'El juego tiene una portada subida';
+        else if (!vacio(cambio.actual) && claveValor(cambio.actual) === claveValor(cambio.valor)) motivo = 'Sin cambios';
+        else if (!vacio(cambio.actual) && !sobrescribir) motivo = 'El campo ya tiene valor (usa "sobrescribir")';
+        return { ...cambio, aplicar: motivo === null, motivo };
+    });
+
+    return {
+        coincidencias: registros.map(({ proveedor, idExterno, titulo, confianza }) => ({ proveedor, idExterno, titulo, confianza })),
+        cambios,
+        datos: Object.fromEntries(cambios.filter(c => c.aplicar).map(c => [c.campo, c.valor])),
+        idsExternos: { ...game.idsExternos, ...Object.fromEntries(registros.map(r => [r.proveedor, r.idExterno])) },
+        errores
+    };
+};
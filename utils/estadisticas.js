@@ -0,0 +1,94 @@
+// Expresiones de agregación para las estadísticas denormalizadas de cada juego
+import { DIFICULTADES } from "../schemas/juegos.js";
+
+// Valores posibles del histograma de calificaciones
+const PUNTUACIONES = [0, 1, 2, 3, 4, 5];
+
+/**
+ * Estadísticas de un juego sin reseñas
+ * @returns {Object} - Estadísticas iniciales
+ */
+export const estadisticasVacias = () => ({
+    totalReseñas: 0,
+    calificacionPromedio: null,
+    histograma: Object.fromEntries(PUNTUACIONES.map(p => [String(p), 0])),
+    porcentajeRecomienda: null,
+    horasMediana: null,
+    dificultad: Object.fromEntries(DIFICULTADES.map(d => [d, 0])),
+    fechaActualizacion: new Date().toISOString()
+});
+
+/**
+ * Construye la expresión que calcula las estadísticas a partir de un array de reseñas
+ * Se usa en un update con pipeline para recalcular de forma atómica en el servidor
+ * @param {Object} reseñas - Expresión que produce el array de reseñas a contar
+ * @returns {Object} - Expresión de agregación con el objeto de estadísticas
+ */
+export const expresionEstadisticas = (reseñas) => ({
+    $let: {
+        vars: { r: reseñas },
+        in: {
+            $let: {
+                vars: {
+                    n: { $size: "$$r" },
+                    horas: { $sortArray: { input: { $filter: { input: "$$r.horasJugadas", cond: { $isNumber: "$$this" } } }, sortBy: 1 } }
+                },
+                in: {
+                    totalReseñas: "$$n",
+                    calificacionPromedio: {
+                        $cond: [{ $gt: ["$$n", 0] }, { $round: [{ $avg: "$$r.calificaciones" }, 2] }, null]
+                    },
+                    // Cada calificación cuenta en el entero más cercano (4.5 -> 5)
+                    histograma: {
+                        $arrayToObject: {
+                            $map: {
+                                input: PUNTUACIONES,
+                                as: "p",
+                                in: {
+                                    k: { $toString: "$$p" },
+                                    v: { $size: { $filter: { input: "$$r", cond: { $eq: [{ $floor: { $add: ["$$this.calificaciones", 0.5] } }, "$$p"] } } } }
+                                }
+                            }
+                        }
+                    },
+                    porcentajeRecomienda: {
+                        $cond: [
+                            { $gt: ["$$n", 0] },
+                            { $round: [{ $multiply: [{ $divide: [{ $size: { $filter: { input: "$$r", cond: { $eq: ["$$this.recomendaria", true] } } } }, "$$n"] }, 100] }, 1] },
+                            null
+                        ]
+                    },
+                    horasMediana: {
+                        $let: {
+                            vars: { m: { $size: "$$horas" } },
+                            in: {
+                                $switch: {
+                                    branches: [
+                                        { case: { $eq: ["$$m", 0] }, then: null },
+                                        { case: { $eq: [{ $mod: ["$$m", 2] }, 1] }, then: { $arrayElemAt: ["$$horas", { $floor: { $divide: ["$$m", 2] } }] } }
+                                    ],
+                                    default: {
+                                        $avg: [
+                                            { $arrayElemAt: ["$$horas", { $subtract: [{ $divide: ["$$m", 2] }, 1] }] },
+                                            { $arrayElemAt: ["$$horas", { $divide: ["$$m", 2] }] }
+                                        ]
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    dificultad: {
+                        $arrayToObject: {
+                            $map: {
+                                input: DIFICULTADES,
+                                as: "d",
+                                in: { k: "$$d", v: { $size: { $filter: { input: "$$r", cond: { $eq: ["$$this.dificultad", "$$d"] } } } } }
+                            }
+                        }
+                    },
+                    fechaActualizacion: { $dateToString: { date: "$$NOW" } }
+                }
+            }
+        }
+    }
+});
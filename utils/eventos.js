@@ -0,0 +1,217 @@
+// Bus de eventos de cambios en el catálogo, consumido por GET /api/events (Server-Sent Events)
+// Con un replica set (o un clúster fragmentado) los eventos salen de los change streams de MongoDB,
+// así también llegan los cambios hechos por otras instancias o directamente en la base de datos;
+// con un mongod independiente los modelos los publican en este mismo proceso
+import { EventEmitter } from 'node:events';
+import { randomUUID } from 'node:crypto';
+
+// Tipos de evento que se publican
+export const TIPOS_EVENTO = ['game.created', 'game.updated', 'game.deleted', 'review.added'];
+
+// Eventos que se conservan para reenviarlos a los clientes que se reconectan con Last-Event-ID
+const HISTORIAL_MAXIMO = 200;
+
+/**
+ * Quita de un juego los campos internos que no se envían a los clientes
+ * @param {Object} game - Juego tal como está en la base de datos
+ * @returns {Object} - Juego público
+ */
+const juegoPublico = ({ portada, eliminado, ...game }) => game;
+
+/**
+ * Quita de una reseña los campos internos que no se envían a los clientes
+ * @param {Object} reseña - Reseña tal como está en la base de datos
+ * @returns {Object} - Reseña pública
+ */
+const reseñaPublica = ({ utiles, ...reseña }) => reseña;
+
+/**
+ * Bus de eventos con historial corto y dos orígenes posibles: 'local' (emits de los modelos) o 'changeStream'
+ */
+export class BusEventos {
+    constructor() {
+        this.emisor = new EventEmitter();
+        // Cada conexión SSE abierta es un oyente
+        this.emisor.setMaxListeners(0);
+        this.origen = 'local';
+        // Los IDs parten de la hora de arranque: tras un reinicio siguen siendo mayores que los anteriores
+        // y un cliente que reconecta con un Last-Event-ID viejo recibe todo el historial nuevo
+        this.ultimoId = Date.now();
+        this.historial = [];
+        this.streams = [];
+    }
+
+    /**
+     * Publica un cambio hecho en este proceso
+     * Se ignora si los eventos llegan de los change streams, que ya lo recogerán
+     * @param {string} tipo - Tipo de evento (ver TIPOS_EVENTO)
+     * @param {Object} datos - Juego o reseña afectados
+     */
+    publicar(tipo, datos) {
+        if (this.origen !== 'local') return;
+        this._emitir(tipo, datos);
+    }
+
+    /**
+     * Asigna ID al evento, lo guarda en el historial y lo entrega a los suscriptores
+     * @param {string} tipo - Tipo de evento
+     * @param {Object} datos - Juego o reseña afectados
+     * @param {string} clave - Identificador global del cambio; con change streams es su resume token,
+     *   igual en todas las instancias, lo que permite descartar duplicados (p. ej. en las entregas de webhooks)
+     * @private
+     */
+    _emitir(tipo, datos, clave = randomUUID()) {
+        const publicos = tipo === 'review.added' ? reseñaPublica(datos) : juegoPublico(datos);
+        const evento = {
+            id: ++this.ultimoId,
+            clave,
+            tipo,
+            juegoId: String(tipo === 'review.added' ? datos.juegoId : datos._id),
+            fecha: new Date().toISOString(),
+            datos: publicos
+        };
+        this.historial.push(evento);
+        if (this.historial.length > HISTORIAL_MAXIMO) this.historial.shift();
+        this.emisor.emit('evento', evento);
+    }
+
+    /**
+     * Se suscribe a los eventos
+     * @param {Function} oyente - (evento) => void
+     * @param {Function} alCerrar - Se llama cuando el servidor se apaga (opcional)
+     * @returns {Function} - Función para cancelar la suscripción
+     */
+    suscribir(oyente, alCerrar) {
+        this.emisor.on('evento', oyente);
+        if (alCerrar) this.emisor.on('cierre', alCerrar);
+        return () => {
+            this.emisor.off('evento', oyente);
+            if (alCerrar) this.emisor.off('cierre', alCerrar);
+        };
+    }
+
+    /**
+     * Cierra los change streams y pide a los suscriptores que terminen (apagado del servidor)
+     * Las conexiones SSE abiertas impedirían que server.close() terminase
+     * @returns {Promise<void>}
+     */
+    async cerrar() {
+        await this.detenerChangeStreams();
+        this.emisor.emit('cierre');
+    }
+
+    /**
+     * Eventos del historial posteriores a uno dado
+     * @param {number} id - ID del último evento recibido por el cliente
+     * @returns {Array<Object>} - Eventos posteriores que siguen en el historial
+     */
+    desde(id) {
+        return this.historial.filter(evento => evento.id > id);
+    }
+
+    /**
+     * Empieza a leer los change streams de juegos y reseñas si el servidor los admite
+     * Si no (mongod independiente) o si fallan más adelante, se sigue con los emits locales
+     * @param {Db} db - Base de datos conectada
+     * @param {Object} colecciones - Nombres de las colecciones
+     * @param {string} colecciones.juegos - Colección de juegos
+     * @param {string} colecciones.reseñas - Colección de reseñas
+     * @returns {Promise<string>} - Origen de los eventos: 'changeStream' o 'local'
+     */
+    async iniciarChangeStreams(db, { juegos, reseñas }) {
+        try {
+            // Los change streams solo existen en replica sets y clústeres fragmentados
+            const hello = await db.admin().command({ hello: 1 });
+            if (!hello.setName && hello.msg !== 'isdbgrid') return this.origen;
+
+            const opciones = { fullDocument: 'updateLookup' };
+            this.streams = [
+                this._escuchar(db.collection(juegos).watch([], opciones), cambio => this._eventoJuego(cambio)),
+                this._escuchar(db.collection(reseñas).watch([], opciones), cambio => this._eventoReseña(cambio))
+            ];
+            this.origen = 'changeStream';
+        } catch (error) {
+            console.warn('⚠️ No se pudieron abrir los change streams, los eventos se publicarán desde la API:', error.message);
+            await this.detenerChangeStreams();
+        }
+        return this.origen;
+    }
+
+    /**
+     * Cierra los change streams y vuelve a los emits locales
+     * @returns {Promise<void>}
+     */
+    async detenerChangeStreams() {
+        const streams = this.streams;
+        this.streams = [];
+        this.origen = 'local';
+        await Promise.all(streams.map(stream => stream.close().catch(() => {})));
+    }
+
+    /**
+     * Conecta un change stream con su traductor a eventos
+     * @param {ChangeStream} stream - Change stream abierto
+     * @param {Function} traducir - (cambio) => void
+     * @returns {ChangeStream} - El mismo stream
+     * @private
+     */
+    _escuchar(stream, traducir) {
+        stream.on('change', traducir);
+        stream.on('error', (error) => {
+            if (!this.streams.includes(stream)) return;
+            console.warn('⚠️ Change stream interrumpido, los eventos se publicarán desde la API:', error.message);
+            this.detenerChangeStreams();
+        });
+        return stream;
+    }
+
+    /**
+     * Traduce un cambio de la colección de juegos
+     * Enviar a la papelera o borrar es game.deleted; restaurar de la papelera, game.created
+     * @param {Object} cambio - Evento del change stream
+     * @private
+     */
+    _eventoJuego(cambio) {
+        const { operationType, fullDocument, documentKey, updateDescription } = cambio;
+        const clave = cambio._id?._data;
+        if (operationType === 'insert') return this._emitir('game.created', fullDocument, clave);
+        if (operationType === 'delete') return this._emitir('game.deleted', { _id: documentKey._id }, clave);
+        if (!fullDocument) return;
+
+        if (operationType === 'replace') {
+            if (!fullDocument.eliminado) this._emitir('game.updated', fullDocument, clave);
+            return;
+        }
+        if (operationType !== 'update') return;
+
+        // Las estadísticas (y la versión) cambian con cada reseña: ese cambio ya lo anuncia review.added
+        const modificados = Object.keys(updateDescription?.updatedFields ?? {});
+        const quitados = updateDescription?.removedFields ?? [];
+        if ([...modificados, ...quitados].every(campo => ['estadisticas', 'version'].includes(campo.split('.')[0]))) return;
+        if (modificados.includes('eliminado')) {
+            this._emitir('game.deleted', { _id: fullDocument._id, titulo: fullDocument.titulo }, clave);
+        } else if (quitados.includes('eliminado')) {
+            this._emitir('game.created', fullDocument, clave);
+        } else if (!fullDocument.eliminado) {
+            this._emitir('game.updated', fullDocument, clave);
+        }
+    }
+
+    /**
+     * Traduce un cambio de la colección de reseñas
+     * Solo se publican las reseñas visibles: al crearse ya aprobadas o al aprobarse en moderación
+     * @param {Object} cambio - Evento del change stream
+     * @private
+     */
+    _eventoReseña(cambio) {
+        const { operationType, fullDocument, updateDescription } = cambio;
+        const clave = cambio._id?._data;
+        if (fullDocument?.estado !== 'approved') return;
+        const aprobada = operationType === 'insert'
+            || (operationType === 'update' && updateDescription?.updatedFields?.estado === 'approved');
+        if (aprobada) this._emitir('review.added', fullDocument, clave);
+    }
+}
+
+// Instancia única del bus (patrón Singleton)
+export const busEventos = new BusEventos();
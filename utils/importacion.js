@@ -0,0 +1,224 @@
+// Importación y exportación masiva del catálogo en JSON y CSV
+// La usan tanto los endpoints /api/juegos/import y /export como los scripts de scripts/
+import juegosModelo from "../models/Juegos.js";
+import { juegoSchema } from "../schemas/juegos.js";
+import { validar } from "./validacion.js";
+import { quitarAcentos } from "./busqueda.js";
+import { parseCsv, toCsvRow } from "./csv.js";
+
+// Formatos admitidos
+export const FORMATOS = ['json', 'csv'];
+
+// Estrategias ante un juego que ya existe (mismo título y plataformas)
+export const ESTRATEGIAS_DUPLICADOS = ['skip', 'upsert'];
+
+// Separador de los valores de una lista (género, plataforma) dentro de una celda CSV
+const SEPARADOR_LISTAS = '|';
+
+// Columnas del CSV exportado, en orden
+const COLUMNAS_CSV = ['_id', 'titulo', 'genero', 'plataforma', 'añoLanzamiento', 'desarrollador', 'imagenPortada', 'descripcion', 'fechaCreacion'];
+const CAMPOS_LISTA = ['genero', 'plataforma'];
+
+// Campos que genera el servidor: se aceptan en el archivo (p. ej. de una exportación) pero se ignoran
+// (idsExternos lo rellena el enriquecimiento con los proveedores de metadatos)
+const CAMPOS_GENERADOS = ['_id', 'fechaCreacion', 'fechaActualizacion', 'estadisticas', 'reseñas', 'portada', 'version', 'idsExternos'];
+
+/**
+ * Error del archivo a importar (formato o estructura), se responde 400
+ */
+export class ImportacionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ImportacionError';
+        this.status = 400;
+    }
+}
+
+/**
+ * Normaliza un texto para comparar títulos y plataformas (sin tildes, mayúsculas ni espacios extra)
+ * @param {string} texto - Texto a normalizar
+ * @returns {string} - Texto normalizado
+ */
+const normalizar = (texto) => quitarAcentos(texto).toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Clave con la que se detectan juegos duplicados: mismo título y mismas plataformas
+ * @param {string} titulo - Título del juego
+ * @param {Array<string>} plataforma - Plataformas del juego
+ * @returns {string} - Clave de comparación
+ */
+export const claveDuplicado = (titulo, plataforma = []) => {
+    const plataformas = [...new Set((plataforma || []).map(normalizar))].sort();
+    return `${normalizar(titulo)}::${plataformas.join(SEPARADOR_LISTAS)}`;
+};
+
+/**
+ * Convierte una fila de CSV en un objeto de juego (las listas van separadas por "|")
+ * @param {Object} fila - Fila con las columnas como claves
+ * @returns {Object} - Datos del juego sin validar
+ */
+const filaCsvAJuego = (fila) => {
+    const juego = {};
+    for (const [columna, valor] of Object.entries(fila)) {
+        juego[columna] = CAMPOS_LISTA.includes(columna)
+            ? valor.split(SEPARADOR_LISTAS).map(v => v.trim()).filter(Boolean)
+            : valor;
+    }
+    return juego;
+};
+
+/**
+ * Lee el contenido de un archivo de importación
+ * @param {string|Object|Array} contenido - Texto CSV, o JSON ya interpretado (array de juegos o { juegos: [...] })
+ * @param {string} formato - 'json' o 'csv'
+ * @returns {Array<Object>} - Juegos a importar, sin validar
+ * @throws {ImportacionError} - Si el contenido no tiene la estructura esperada
+ */
+export const leerImportacion = (contenido, formato) => {
+    if (formato === 'csv') {
+        if (typeof contenido !== 'string') throw new ImportacionError('El CSV debe enviarse como texto (Content-Type: text/csv)');
+        try {
+            return parseCsv(contenido).map(filaCsvAJuego);
+        } catch (error) {
+            throw new ImportacionError(error.message);
+        }
+    }
+
+    let datos = contenido;
+    if (typeof datos === 'string') {
+        try {
+            datos = JSON.parse(datos);
+        } catch (error) {
+            throw new ImportacionError('El JSON no es válido');
+        }
+    }
+    const juegos = Array.isArray(datos) ? datos : datos?.juegos;
+    if (!Array.isArray(juegos)) {
+        throw new ImportacionError('El JSON debe ser un array de juegos o un objeto { "juegos": [...] }');
+    }
+    return juegos;
+};
+
+/**
+ * Importa una lista de juegos validando cada fila
+ * @param {Array<Object>} juegos - Juegos a importar (ver leerImportacion)
+ * @param {Object} opciones - Opciones de importación
+ * @param {boolean} opciones.dryRun - Solo validar y simular: no se escribe nada
+ * @param {string} opciones.duplicados - 'skip' (por defecto) u 'upsert' para actualizar los existentes
+ * @param {Object} opciones.contexto - Contexto de auditoría de los cambios (usuario, requestId, origen)
+ * @returns {Promise<Object>} - Informe { dryRun, total, creados, actualizados, omitidos, invalidos, filas }
+ */
+export const importarJuegos = async (juegos, { dryRun = false, duplicados = 'skip', contexto } = {}) => {
+    // Juegos existentes indexados por título + plataformas
+    const existentes = new Map();
+    for (const game of await juegosModelo.getIdentidades()) {
+        existentes.set(claveDuplicado(game.titulo, game.plataforma), game._id);
+    }
+    // Primera fila del archivo con cada clave, para detectar duplicados internos
+    const vistas = new Map();
+
+    const informe = { dryRun, total: juegos.length, creados: 0, actualizados: 0, omitidos: 0, invalidos: 0, filas: [] };
+
+    for (const [i, datos] of juegos.entries()) {
+        // Número de fila tal como lo ve el usuario (1 = primer juego)
+        const fila = i + 1;
+
+        const entrada = datos && typeof datos === 'object' && !Array.isArray(datos) ? { ...datos } : datos;
+        if (entrada && typeof entrada === 'object') CAMPOS_GENERADOS.forEach(c => delete entrada[c]);
+
+        const { value, errors } = validar(juegoSchema, entrada);
+        if (errors.length > 0) {
+            informe.invalidos++;
+            informe.filas.push({ fila, estado: 'invalid', titulo: entrada?.titulo, errors });
+            continue;
+        }
+
+        const clave = claveDuplicado(value.titulo, value.plataforma);
+        if (vistas.has(clave)) {
+            informe.omitidos++;
+            informe.filas.push({ fila, estado: 'skipped', titulo: value.titulo, message: `Duplicado de la fila ${vistas.get(clave)} del archivo` });
+            continue;
+        }
+        vistas.set(clave, fila);
+
+        const existente = existentes.get(clave);
+        if (existente && duplicados !== 'upsert') {
+            informe.omitidos++;
+            informe.filas.push({ fila, estado: 'skipped', titulo: value.titulo, _id: existente, message: 'Ya existe un juego con el mismo título y plataformas' });
+            continue;
+        }
+
+        try {
+            if (existente) {
+                if (!dryRun) await juegosModelo.update(String(existente), value, contexto);
+                informe.actualizados++;
+                informe.filas.push({ fila, estado: 'updated', titulo: value.titulo, _id: existente });
+            } else {
+                const created = dryRun ? null : await juegosModelo.create(value, contexto);
+                informe.creados++;
+                informe.filas.push({ fila, estado: 'created', titulo: value.titulo, _id: created?._id });
+            }
+        } catch (error) {
+            informe.invalidos++;
+            informe.filas.push({ fila, estado: 'invalid', titulo: value.titulo, errors: [{ field: null, message: error.message }] });
+        }
+    }
+
+    return informe;
+};
+
+/**
+ * Escribe el catálogo completo en un stream (respuesta HTTP o archivo)
+ * Los juegos se leen con un cursor, sin cargar todo el catálogo en memoria
+ * @param {Writable} destino - Stream de escritura
+ * @param {Object} opciones - Opciones de exportación
+ * @param {string} opciones.formato - 'json' o 'csv'
+ * @param {boolean} opciones.incluirReseñas - Añadir las reseñas aprobadas de cada juego
+ * @returns {Promise<number>} - Número de juegos exportados
+ */
+export const exportarJuegos = async (destino, { formato = 'json', incluirReseñas = false } = {}) => {
+    // Respetar la contrapresión del destino; si se cierra antes de vaciarse (el cliente cortó la descarga)
+    // se lanza un error, que al salir del for await cierra también el cursor de MongoDB
+    const escribir = (texto) => {
+        if (destino.destroyed) return Promise.reject(new Error('El destino de la exportación se cerró'));
+        if (destino.write(texto)) return null;
+        return new Promise((resolve, reject) => {
+            const terminar = (error) => {
+                destino.off('drain', terminar);
+                destino.off('close', alCerrar);
+                destino.off('error', terminar);
+                return error ? reject(error) : resolve();
+            };
+            const alCerrar = () => terminar(new Error('El destino de la exportación se cerró'));
+            destino.on('drain', terminar);
+            destino.on('close', alCerrar);
+            destino.on('error', terminar);
+        });
+    };
+
+    const columnas = incluirReseñas ? [...COLUMNAS_CSV, 'reseñas'] : COLUMNAS_CSV;
+    let total = 0;
+
+    if (formato === 'csv') {
+        await escribir(toCsvRow(columnas));
+    } else {
+        await escribir('[');
+    }
+
+    for await (const game of juegosModelo.exportCursor({ incluirReseñas })) {
+        if (formato === 'csv') {
+            await escribir(toCsvRow(columnas.map(c => {
+                if (CAMPOS_LISTA.includes(c)) return (game[c] || []).join(SEPARADOR_LISTAS);
+                // En CSV las reseñas van como JSON dentro de una celda
+                if (c === 'reseñas') return JSON.stringify(game.reseñas || []);
+                return game[c];
+            })));
+        } else {
+            await escribir(`${total > 0 ? ',' : ''}\n${JSON.stringify(game)}`);
+        }
+        total++;
+    }
+
+    if (formato !== 'csv') await escribir('\n]\n');
+    return total;
+};
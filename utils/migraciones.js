@@ -0,0 +1,166 @@
+// Ejecutor de migraciones de esquema
+// Cada archivo de migrations/ (NNN-nombre.js) exporta "descripcion", "up(db, { log })" y opcionalmente "down(db, { log })"
+// (log es la función de progreso que recibe el ejecutor; por defecto no escribe nada)
+// Las migraciones aplicadas se registran en la colección "_migrations"
+import { readdir } from 'fs/promises';
+
+// Colección donde se registran las migraciones aplicadas
+const COLECCION = '_migrations';
+// Documento que impide que dos procesos migren a la vez
+const ID_BLOQUEO = '_lock';
+// Un bloqueo más antiguo se considera abandonado (proceso caído a mitad de migración)
+const BLOQUEO_CADUCA_MS = 10 * 60 * 1000;
+
+const DIRECTORIO = new URL('../migrations/', import.meta.url);
+const NOMBRE_MIGRACION = /^\d{3}-[\w-]+\.js$/;
+
+/**
+ * Error del proceso de migración (bloqueo ocupado, migración desconocida o irreversible)
+ */
+export class MigracionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MigracionError';
+    }
+}
+
+/**
+ * Carga las migraciones disponibles, ordenadas por su prefijo numérico
+ * @returns {Promise<Array<Object>>} - Lista de { nombre, descripcion, up, down }
+ */
+export const cargarMigraciones = async () => {
+    const archivos = (await readdir(DIRECTORIO)).filter(f => NOMBRE_MIGRACION.test(f)).sort();
+    const migraciones = [];
+    for (const archivo of archivos) {
+        const modulo = await import(new URL(archivo, DIRECTORIO));
+        if (typeof modulo.up !== 'function') throw new MigracionError(`La migración ${archivo} no exporta up()`);
+        migraciones.push({
+            nombre: archivo.replace(/\.js$/, ''),
+            descripcion: modulo.descripcion || '',
+            up: modulo.up,
+            down: modulo.down
+        });
+    }
+    return migraciones;
+};
+
+/**
+ * Toma el bloqueo de migraciones
+ * @param {Collection} col - Colección _migrations
+ * @throws {MigracionError} - Si otro proceso está migrando
+ * @private
+ */
+const adquirirBloqueo = async (col) => {
+    const ahora = new Date();
+    try {
+        await col.insertOne({ _id: ID_BLOQUEO, fecha: ahora });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        // Recuperar un bloqueo abandonado
+        const result = await col.updateOne(
+            { _id: ID_BLOQUEO, fecha: { $lt: new Date(ahora.getTime() - BLOQUEO_CADUCA_MS) } },
+            { $set: { fecha: ahora } }
+        );
+        if (result.modifiedCount !== 1) throw new MigracionError('Hay otra migración en curso');
+    }
+};
+
+/**
+ * Ejecuta una función con el bloqueo de migraciones tomado
+ * @private
+ */
+const conBloqueo = async (db, fn) => {
+    const col = db.collection(COLECCION);
+    await adquirirBloqueo(col);
+    try {
+        return await fn(col);
+    } finally {
+        await col.deleteOne({ _id: ID_BLOQUEO });
+    }
+};
+
+/**
+ * Obtiene el estado de cada migración
+ * @param {Db} db - Base de datos
+ * @returns {Promise<Array<Object>>} - Lista de { nombre, descripcion, aplicada, fechaAplicacion, reversible }
+ */
+export const estadoMigraciones = async (db) => {
+    const [migraciones, aplicadas] = await Promise.all([
+        cargarMigraciones(),
+        db.collection(COLECCION).find({ _id: { $ne: ID_BLOQUEO } }).toArray()
+    ]);
+    const porNombre = new Map(aplicadas.map(m => [m._id, m]));
+    return migraciones.map(m => ({
+        nombre: m.nombre,
+        descripcion: m.descripcion,
+        aplicada: porNombre.has(m.nombre),
+        fechaAplicacion: porNombre.get(m.nombre)?.fechaAplicacion || null,
+        reversible: typeof m.down === 'function'
+    }));
+};
+
+/**
+ * Aplica en orden las migraciones pendientes
+ * @param {Db} db - Base de datos
+ * @param {Object} opciones - Opciones
+ * @param {string} opciones.hasta - Última migración a aplicar (incluida); por defecto todas
+ * @param {Function} opciones.log - Función para informar del progreso
+ * @returns {Promise<Array<string>>} - Nombres de las migraciones aplicadas
+ * @throws {MigracionError} - Si "hasta" no existe o hay otra migración en curso
+ */
+export const aplicarMigraciones = async (db, { hasta, log = () => {} } = {}) => {
+    const migraciones = await cargarMigraciones();
+    if (hasta && !migraciones.some(m => m.nombre === hasta)) {
+        throw new MigracionError(`No existe la migración "${hasta}"`);
+    }
+
+    return conBloqueo(db, async (col) => {
+        const aplicadas = new Set((await col.find({}, { projection: { _id: 1 } }).toArray()).map(m => m._id));
+        const hechas = [];
+        for (const migracion of migraciones) {
+            if (!aplicadas.has(migracion.nombre)) {
+                const inicio = Date.now();
+                log(`⬆️  ${migracion.nombre}: ${migracion.descripcion}`);
+                await migracion.up(db, { log });
+                await col.insertOne({
+                    _id: migracion.nombre,
+                    descripcion: migracion.descripcion,
+                    fechaAplicacion: new Date().toISOString(),
+                    duracionMs: Date.now() - inicio
+                });
+                hechas.push(migracion.nombre);
+            }
+            if (migracion.nombre === hasta) break;
+        }
+        return hechas;
+    });
+};
+
+/**
+ * Revierte las últimas migraciones aplicadas, de la más reciente a la más antigua
+ * @param {Db} db - Base de datos
+ * @param {Object} opciones - Opciones
+ * @param {number} opciones.pasos - Número de migraciones a revertir (por defecto 1)
+ * @param {Function} opciones.log - Función para informar del progreso
+ * @returns {Promise<Array<string>>} - Nombres de las migraciones revertidas
+ * @throws {MigracionError} - Si alguna no tiene down() o hay otra migración en curso
+ */
+export const revertirMigraciones = async (db, { pasos = 1, log = () => {} } = {}) => {
+    const migraciones = await cargarMigraciones();
+    const porNombre = new Map(migraciones.map(m => [m.nombre, m]));
+
+    return conBloqueo(db, async (col) => {
+        const aplicadas = await col.find({ _id: { $ne: ID_BLOQUEO } }).sort({ _id: -1 }).limit(pasos).toArray();
+        const hechas = [];
+        for (const { _id: nombre } of aplicadas) {
+            const migracion = porNombre.get(nombre);
+            if (!migracion) throw new MigracionError(`La migración aplicada "${nombre}" ya no existe en migrations/`);
+            if (typeof migracion.down !== 'function') throw new MigracionError(`La migración "${nombre}" no se puede revertir`);
+            log(`⬇️  ${nombre}: ${migracion.descripcion}`);
+            await migracion.down(db, { log });
+            await col.deleteOne({ _id: nombre });
+            hechas.push(nombre);
+        }
+        return hechas;
+    });
+};
@@ -0,0 +1,307 @@
+// Utilidades para paginar, ordenar y proyectar los listados de la API
+import { ObjectId } from 'mongodb';
+
+// Límites de tamaño de página
+export const LIMITE_POR_DEFECTO = 20;
+export const LIMITE_MAXIMO = 100;
+
+/**
+ * Campos por los que se puede ordenar el listado de juegos
+ * La clave es el nombre aceptado en ?sort= y el valor describe el orden:
+ * - campo: ruta del campo en el documento
+ * - expr: expresión de agregación cuando el valor se calcula (opcional)
+ */
+export const ORDENES_JUEGOS = {
+    titulo: { campo: 'titulo' },
+    año: { campo: 'añoLanzamiento' },
+    rating: { campo: 'estadisticas.calificacionPromedio' },
+    horas: { campo: 'estadisticas.horasMediana' },
+    reseñas: { campo: 'estadisticas.totalReseñas' },
+    recomendacion: { campo: 'estadisticas.porcentajeRecomienda' },
+    fechaCreacion: { campo: 'fechaCreacion' }
+};
+
+// Campos por los que se puede ordenar el listado de reseñas de un juego
+export const ORDENES_RESEÑAS = {
+    fechaCreacion: { campo: 'fechaCreacion' },
+    rating: { campo: 'calificaciones' },
+    utiles: { campo: 'totalUtiles' }
+};
+
+// Campos por los que se puede ordenar la papelera
+export const ORDENES_PAPELERA = {
+    fechaEliminacion: { campo: 'eliminado.fecha' },
+    titulo: { campo: 'titulo' },
+    fechaCreacion: { campo: 'fechaCreacion' }
+};
+
+// Campos por los que se puede ordenar el historial de cambios de un juego
+export const ORDENES_AUDITORIA = {
+    fecha: { campo: 'fecha' }
+};
+
+// Campos por los que se pueden ordenar las sesiones de juego
+export const ORDENES_SESIONES = {
+    inicio: { campo: 'inicio' },
+    duracion: { campo: 'duracionMinutos' }
+};
+
+// Campos por los que se pueden ordenar las listas de juegos
+export const ORDENES_LISTAS = {
+    fechaActualizacion: { campo: 'fechaActualizacion' },
+    fechaCreacion: { campo: 'fechaCreacion' },
+    nombre: { campo: 'nombre' }
+};
+
+// Campos por los que se puede ordenar el registro de entregas de un webhook
+export const ORDENES_ENTREGAS = {
+    fechaCreacion: { campo: 'fechaCreacion' }
+};
+
+// Campos por los que se puede ordenar el listado de usuarios
+export const ORDENES_USUARIOS = {
+    fechaCreacion: { campo: 'fechaCreacion' },
+    nombreUsuario: { campo: 'nombreUsuario' }
+};
+
+// Alias en inglés para los campos de orden
+const ALIAS_ORDEN = { title: 'titulo', year: 'año', hours: 'horas', reviews: 'reseñas', recommended: 'recomendacion', createdAt: 'fechaCreacion' };
+
+// Campos que se pueden pedir o excluir con ?fields=
+export const CAMPOS_JUEGOS = [
+    'titulo', 'genero', 'plataforma', 'añoLanzamiento', 'desarrollador',
+    'imagenPortada', 'descripcion', 'fechaCreacion', 'estadisticas'
+];
+
+/**
+ * Error de parámetros de consulta, con el parámetro afectado
+ */
+export class QueryParamError extends Error {
+    constructor(field, message) {
+        super(message);
+        this.name = 'QueryParamError';
+        this.field = field;
+        this.status = 400;
+    }
+}
+
+/**
+ * Codifica la posición de un elemento como cursor opaco
+ * @param {*} valor - Valor del campo de orden del último elemento
+ * @param {ObjectId|string} id - ID del último elemento
+ * @returns {string} - Cursor en base64url
+ */
+export const encodeCursor = (valor, id) =>
+    Buffer.from(JSON.stringify({ v: valor ?? null, id: String(id) })).toString('base64url');
+
+/**
+ * Decodifica un cursor generado con encodeCursor
+ * El valor lo envía el cliente, así que solo se aceptan valores simples (nunca objetos que MongoDB interpretaría como expresiones)
+ * @param {string} cursor - Cursor recibido
+ * @returns {{ valor: string|number|boolean|null, id: string }} - Posición del último elemento visto
+ * @throws {QueryParamError} - Si el cursor está mal formado
+ */
+export const decodeCursor = (cursor) => {
+    try {
+        const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (typeof id !== 'string' || !/^[a-fA-F0-9]{24}$/.test(id)) throw new Error('id');
+        if (v !== null && !['string', 'number', 'boolean'].includes(typeof v)) throw new Error('v');
+        return { valor: v, id };
+    } catch (error) {
+        throw new QueryParamError('cursor', 'El cursor no es válido');
+    }
+};
+
+/**
+ * Interpreta los parámetros de paginación, orden y proyección de un listado
+ * @param {Object} query - req.query
+ * @param {string} query.page - Página (1 en adelante) para paginación por páginas
+ * @param {string} query.limit - Elementos por página
+ * @param {string} query.cursor - Cursor para paginación por cursor (excluye page)
+ * @param {string} query.sort - Campo de orden, con "-" delante para descendente
+ * @param {string} query.fields - Lista de campos separados por coma; con "-" delante se excluyen
+ * @param {Object} ordenes - Mapa de ordenes permitidos
+ * @param {Array} campos - Campos permitidos en la proyección
+ * @returns {Object} - { page, limit, skip, cursor, sort, projection }
+ * @throws {QueryParamError} - Si algún parámetro no es válido
+ */
+export const parseListQuery = (query, ordenes = ORDENES_JUEGOS, campos = CAMPOS_JUEGOS) => {
+    // Tamaño de página
+    let limit = LIMITE_POR_DEFECTO;
+    if (query.limit !== undefined) {
+        limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > LIMITE_MAXIMO) {
+            throw new QueryParamError('limit', `El límite debe ser un entero entre 1 y ${LIMITE_MAXIMO}`);
+        }
+    }
+
+    // Cursor o número de página (no se pueden combinar)
+    let page = null;
+    let cursor = null;
+    if (query.cursor !== undefined && query.page !== undefined) {
+        throw new QueryParamError('cursor', 'No se puede usar "cursor" junto con "page"');
+    }
+    if (query.cursor !== undefined) {
+        cursor = decodeCursor(query.cursor);
+    } else {
+        page = 1;
+        if (query.page !== undefined) {
+            page = Number(query.page);
+            if (!Number.isInteger(page) || page < 1) {
+                throw new QueryParamError('page', 'La página debe ser un entero mayor o igual a 1');
+            }
+        }
+    }
+
+    // Orden: por defecto los más recientes primero
+    let sort = { clave: 'fechaCreacion', direccion: -1 };
+    if (query.sort !== undefined) {
+        const raw = String(query.sort).trim();
+        const direccion = raw.startsWith('-') ? -1 : 1;
+        let clave = raw.replace(/^[-+]/, '');
+        clave = ALIAS_ORDEN[clave] || clave;
+        if (!ordenes[clave]) {
+            throw new QueryParamError('sort', `Solo se puede ordenar por: ${Object.keys(ordenes).join(', ')}`);
+        }
+        sort = { clave, direccion };
+    }
+
+    // Proyección: solo inclusiones o solo exclusiones, como exige MongoDB
+    let projection = null;
+    if (query.fields !== undefined && String(query.fields).trim() !== '') {
+        const lista = String(query.fields).split(',').map(f => f.trim()).filter(Boolean);
+        const excluye = lista.every(f => f.startsWith('-'));
+        if (!excluye && lista.some(f => f.startsWith('-'))) {
+            throw new QueryParamError('fields', 'No se pueden mezclar campos incluidos y excluidos');
+        }
+        projection = {};
+        for (const f of lista) {
+            const nombre = f.replace(/^-/, '');
+            if (!campos.includes(nombre)) {
+                throw new QueryParamError('fields', `Campo desconocido "${nombre}". Permitidos: ${campos.join(', ')}`);
+            }
+            projection[nombre] = excluye ? 0 : 1;
+        }
+    }
+
+    return {
+        page,
+        limit,
+        skip: page ? (page - 1) * limit : 0,
+        cursor,
+        sort: { ...sort, ...ordenes[sort.clave] },
+        projection
+    };
+};
+
+/**
+ * Construye los metadatos de paginación y el header Link (RFC 8288)
+ * @param {Object} req - Objeto de petición Express
+ * @param {Object} opciones - Resultado de parseListQuery
+ * @param {number} total - Total de elementos que cumplen el filtro
+ * @param {string|null} nextCursor - Cursor de la página siguiente (modo cursor)
+ * @returns {{ pagination: Object, link: string }} - Metadatos y valor del header Link
+ */
+export const buildPagination = (req, opciones, total, nextCursor) => {
+    const base = `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path === '/' ? '' : req.path}`;
+    const urlCon = (cambios) => {
+        const params = new URLSearchParams();
+        for (const [k, v] of Object.entries({ ...req.query, ...cambios })) {
+            if (v === undefined || v === null) continue;
+            params.set(k, Array.isArray(v) ? v.join(',') : v);
+        }
+        return `${base}?${params.toString()}`;
+    };
+
+    const links = [];
+    let pagination;
+
+    if (opciones.cursor) {
+        // Modo cursor: solo se conoce la página siguiente
+        pagination = { limit: opciones.limit, total, nextCursor };
+        if (nextCursor) links.push(`<${urlCon({ cursor: nextCursor, page: undefined })}>; rel="next"`);
+        links.push(`<${urlCon({ cursor: undefined, page: 1 })}>; rel="first"`);
+    } else {
+        const totalPages = Math.max(1, Math.ceil(total / opciones.limit));
+        const { page } = opciones;
+        pagination = {
+            page,
+            limit: opciones.limit,
+            total,
+            totalPages,
+            hasNext: page < totalPages,
+            hasPrev: page > 1,
+            nextCursor
+        };
+        links.push(`<${urlCon({ page: 1 })}>; rel="first"`);
+        if (page > 1) links.push(`<${urlCon({ page: page - 1 })}>; rel="prev"`);
+        if (page < totalPages) links.push(`<${urlCon({ page: page + 1 })}>; rel="next"`);
+        links.push(`<${urlCon({ page: totalPages })}>; rel="last"`);
+    }
+
+    return { pagination, link: links.join(', ') };
+};
+
+/**
+ * Obtiene una página de una colección con orden y proyección configurables
+ * Soporta paginación por salto (skip) y por cursor (keyset sobre el campo de orden + _id)
+ * @param {Collection} col - Colección de MongoDB
+ * @param {Object} filter - Filtro de búsqueda
+ * @param {Object} opciones - Opciones del listado (resultado de parseListQuery)
+ * @param {Object} opciones.sort - { campo | expr, direccion }
+ * @param {number} opciones.limit - Tamaño de página
+ * @param {number} opciones.skip - Elementos a saltar (modo página)
+ * @param {Object|null} opciones.cursor - { valor, id } del último elemento visto (modo cursor)
+ * @param {Object|null} opciones.projection - Proyección de campos
+ * @returns {Promise<Object>} - { items, total, ultimo } donde ultimo es { valor, id } o null si no hay más
+ */
+export const paginarColeccion = async (col, filter, opciones) => {
+    const { sort, limit, skip, cursor, projection } = opciones;
+    const dir = sort.direccion;
+
+    // Valor de orden normalizado (null si falta) para comparar de forma estable
+    const pipeline = [
+        { $match: filter },
+        { $addFields: { _orden: { $ifNull: [sort.expr || `$${sort.campo}`, null] } } }
+    ];
+
+    // Modo cursor: elementos posteriores al último visto según el orden
+    if (cursor) {
+        const op = dir === 1 ? '$gt' : '$lt';
+        const id = new ObjectId(cursor.id);
+        // $literal: un valor como "$campo" se compara como texto, no como referencia a otro campo
+        const valor = { $literal: cursor.valor };
+        pipeline.push({
+            $match: {
+                $expr: {
+                    $or: [
+                        { [op]: ['$_orden', valor] },
+                        { $and: [{ $eq: ['$_orden', valor] }, { [op]: ['$_id', id] }] }
+                    ]
+                }
+            }
+        });
+    }
+
+    pipeline.push({ $sort: { _orden: dir, _id: dir } });
+    if (skip) pipeline.push({ $skip: skip });
+    // Pedir uno más para saber si existe una página siguiente
+    pipeline.push({ $limit: limit + 1 });
+    if (projection) {
+        const incluye = Object.values(projection).some(v => v === 1);
+        pipeline.push({ $project: incluye ? { ...projection, _orden: 1 } : projection });
+    }
+
+    const [docs, total] = await Promise.all([
+        col.aggregate(pipeline).toArray(),
+        col.countDocuments(filter)
+    ]);
+
+    const hayMas = docs.length > limit;
+    const items = docs.slice(0, limit);
+    const last = items[items.length - 1];
+    const ultimo = hayMas && last ? { valor: last._orden, id: last._id } : null;
+    items.forEach(doc => delete doc._orden);
+
+    return { items, total, ultimo };
+};
@@ -0,0 +1,21 @@
+// Filtros y configuración de la papelera de juegos (borrado lógico)
+
+// Juegos visibles: los que no se han enviado a la papelera
+export const NO_ELIMINADO = { eliminado: { $exists: false } };
+
+// Juegos en la papelera
+export const EN_PAPELERA = { eliminado: { $exists: true } };
+
+// Días que un juego permanece en la papelera antes de purgarse (TRASH_RETENTION_DAYS, por defecto 30)
+export const diasRetencion = () => {
+    const dias = Number(process.env.TRASH_RETENTION_DAYS ?? 30);
+    return Number.isFinite(dias) && dias >= 0 ? dias : 30;
+};
+
+/**
+ * Añade la condición "no eliminado" a un filtro de juegos
+ * @param {Object} filter - Filtro de búsqueda
+ * @returns {Object} - Filtro que excluye los juegos de la papelera
+ */
+export const soloVisibles = (filter = {}) =>
+    Object.keys(filter).length === 0 ? { ...NO_ELIMINADO } : { $and: [filter, NO_ELIMINADO] };
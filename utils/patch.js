@@ -0,0 +1,247 @@
+// Traducción de PATCH /api/juegos/:id a operaciones atómicas de MongoDB
+// Admite JSON Merge Patch (RFC 7396) y JSON Patch (RFC 6902: add, remove, replace, test)
+import { juegoSchema, CAMPOS_JUEGO } from "../schemas/juegos.js";
+import { validar } from "./validacion.js";
+
+// Tipos de contenido admitidos en PATCH
+export const TIPOS_PATCH = {
+    merge: 'application/merge-patch+json',
+    json: 'application/json-patch+json'
+};
+
+// Operaciones de JSON Patch admitidas
+export const OPERACIONES_PATCH = ['add', 'remove', 'replace', 'test'];
+
+/**
+ * Error de un documento de patch: 400 si está mal formado, 409 si no se puede aplicar al juego actual
+ */
+export class PatchError extends Error {
+    constructor(message, { status = 400, path = null } = {}) {
+        super(message);
+        this.name = 'PatchError';
+        this.status = status;
+        this.path = path;
+    }
+}
+
+/**
+ * Valida un valor de un campo del juego (o de un elemento de una lista) contra juegoSchema
+ * @param {string} campo - Campo del juego
+ * @param {*} valor - Valor recibido
+ * @param {string} path - Ruta del patch (para los mensajes)
+ * @param {boolean} elemento - Validar como elemento de la lista en lugar del campo completo
+ * @returns {*} - Valor normalizado
+ * @throws {PatchError} - Si el valor no es válido
+ */
+const validarValor = (campo, valor, path, elemento = false) => {
+    const def = elemento ? juegoSchema[campo].items : juegoSchema[campo];
+    const { value, errors } = validar({ [campo]: def }, { [campo]: valor }, { parcial: true });
+    if (errors.length > 0) throw new PatchError(errors[0].message, { path });
+    if (value[campo] === undefined) throw new PatchError(`Falta el valor de "${path}"`, { path });
+    return value[campo];
+};
+
+/**
+ * Compara dos valores JSON (los de dos operaciones test)
+ * @param {*} a - Primer valor
+ * @param {*} b - Segundo valor
+ * @returns {boolean} - true si son iguales
+ */
+const mismoValor = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Traduce un JSON Merge Patch a $set/$unset
+ * Los valores null eliminan el campo y las listas se sustituyen completas
+ * @param {Object} patch - Documento de merge patch
+ * @returns {{ update: Object, condiciones: Object }} - Operadores de actualización y condiciones del filtro
+ * @throws {PatchError} - Si el patch no es válido
+ */
+export const traducirMergePatch = (patch) => {
+    if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+        throw new PatchError('Un merge patch debe ser un objeto JSON');
+    }
+
+    const nulos = Object.keys(patch).filter(campo => patch[campo] === null);
+    const valores = Object.fromEntries(Object.entries(patch).filter(([, valor]) => valor !== null));
+
+    const { value, errors } = validar(juegoSchema, valores, { parcial: true });
+    if (errors.length > 0) throw new PatchError(errors[0].message, { path: errors[0].field ? `/${errors[0].field}` : null });
+
+    const $unset = {};
+    for (const campo of nulos) {
+        const def = juegoSchema[campo];
+        if (!def) throw new PatchError(`El campo "${campo}" no está permitido`, { path: `/${campo}` });
+        if (def.ignorar) continue;
+        if (def.required) throw new PatchError(`El campo "${campo}" es obligatorio y no se puede eliminar`, { path: `/${campo}` });
+        $unset[campo] = "";
+    }
+
+    const update = {};
+    if (Object.keys(value).length > 0) update.$set = value;
+    if (Object.keys($unset).length > 0) update.$unset = $unset;
+    if (Object.keys(update).length === 0) throw new PatchError('El patch no modifica ningún campo');
+    return { update, condiciones: {} };
+};
+
+/**
+ * Interpreta un JSON Pointer (RFC 6901) sobre un juego: /campo o /campo/índice
+ * @param {string} path - Puntero recibido
+ * @returns {{ campo: string, indice: number|'-'|undefined }} - Campo e índice (si apunta a un elemento)
+ * @throws {PatchError} - Si el puntero no es válido o el campo no se puede modificar
+ */
+const parsePath = (path) => {
+    if (typeof path !== 'string' || !path.startsWith('/')) {
+        throw new PatchError('"path" debe ser un JSON Pointer que empiece por "/"', { path });
+    }
+    const partes = path.slice(1).split('/').map(p => p.replace(/~1/g, '/').replace(/~0/g, '~'));
+    const [campo, indice] = partes;
+
+    if (!CAMPOS_JUEGO.includes(campo)) throw new PatchError(`El campo "${campo}" no se puede modificar`, { path });
+    if (partes.length === 1) return { campo, indice: undefined };
+
+    if (partes.length > 2 || juegoSchema[campo].type !== 'array') {
+        throw new PatchError(`La ruta "${path}" no existe en un juego`, { path });
+    }
+    if (indice === '-') return { campo, indice };
+    if (!/^(0|[1-9]\d*)$/.test(indice)) throw new PatchError(`Índice de lista inválido en "${path}"`, { path });
+    return { campo, indice: Number(indice) };
+};
+
+/**
+ * Expresión de agregación de una lista del juego (lista vacía si el campo no existe)
+ * @param {string} campo - Campo de tipo lista
+ * @returns {Object} - Expresión de agregación
+ */
+const lista = (campo) => ({ $ifNull: [`$${campo}`, []] });
+
+/**
+ * Expresión que sustituye el tramo [desde, hasta) de una lista por los elementos dados
+ * @param {string} campo - Campo de tipo lista
+ * @param {number} desde - Primer índice sustituido
+ * @param {number} hasta - Primer índice conservado tras el tramo
+ * @param {Array} elementos - Elementos que se insertan en su lugar
+ * @returns {Object} - Expresión de agregación
+ */
+const empalmar = (campo, desde, hasta, elementos) => ({
+    $concatArrays: [
+        desde > 0 ? { $slice: [lista(campo), desde] } : [],
+        elementos.map(e => ({ $literal: e })),
+        { $slice: [lista(campo), hasta, { $max: [{ $size: lista(campo) }, 1] }] }
+    ]
+});
+
+/**
+ * Traduce un JSON Patch a una actualización con pipeline de agregación, que MongoDB aplica
+ * de forma atómica y en orden. Las condiciones que el juego debe cumplir (operaciones test,
+ * índices y campos que deben existir) se añaden al filtro de la escritura
+ * Limitación: "test" solo puede comprobar campos que no se hayan modificado antes en el mismo patch
+ * @param {Array<Object>} operaciones - Documento de JSON Patch
+ * @returns {{ update: Array<Object>, condiciones: Object }} - Pipeline de actualización y condiciones del filtro
+ * @throws {PatchError} - Si el patch no es válido o no se puede aplicar
+ */
+export const traducirJsonPatch = (operaciones) => {
+    if (!Array.isArray(operaciones) || operaciones.length === 0) {
+        throw new PatchError('Un JSON Patch debe ser una lista de operaciones no vacía');
+    }
+
+    const pipeline = [];
+    const condiciones = {};
+    // Estado conocido de cada campo tras las operaciones anteriores del mismo patch:
+    // { existe, longitud } si se conoce exactamente, o { delta } si solo se sabe cuánto ha cambiado la lista
+    const estados = {};
+
+    // Añade una condición al filtro, combinándola con las que ya haya sobre la misma clave
+    const exigir = (clave, condicion) => { condiciones[clave] = { ...condiciones[clave], ...condicion }; };
+
+    // Exige que el juego original tenga al menos n elementos en la lista, descontando lo que ya ha cambiado
+    const exigirLongitud = (campo, n, path) => {
+        const estado = estados[campo];
+        if (estado?.longitud !== undefined) {
+            if (estado.longitud < n) throw new PatchError(`El índice de "${path}" está fuera de la lista`, { status: 409, path });
+            return;
+        }
+        const original = n - (estado?.delta || 0);
+        if (original > 0) exigir(`${campo}.${original - 1}`, { $exists: true });
+    };
+
+    // Exige que el campo exista (en el juego original o tras las operaciones anteriores)
+    const exigirCampo = (campo, path) => {
+        const estado = estados[campo];
+        if (estado?.existe === false) throw new PatchError(`El campo de "${path}" no existe`, { status: 409, path });
+        if (!estado) exigir(campo, { $exists: true });
+    };
+
+    operaciones.forEach((operacion, i) => {
+        if (!operacion || typeof operacion !== 'object') throw new PatchError(`La operación ${i} no es un objeto`);
+        const { op, path, value } = operacion;
+        if (!OPERACIONES_PATCH.includes(op)) {
+            throw new PatchError(`Operación "${op}" no admitida en la posición ${i}; se admiten: ${OPERACIONES_PATCH.join(', ')}`, { path });
+        }
+        const { campo, indice } = parsePath(path);
+        const def = juegoSchema[campo];
+        const estado = estados[campo];
+
+        if (op !== 'remove' && !('value' in operacion)) throw new PatchError(`La operación ${i} ("${op}") necesita "value"`, { path });
+
+        if (op === 'test') {
+            if (estado) throw new PatchError(`"test" sobre "${path}" después de modificarlo en el mismo patch no está soportado`, { path });
+            if (indice === '-') throw new PatchError(`"test" no admite el índice "-"`, { path });
+            // El tipo se valida como en cualquier otra operación, pero se compara el valor literal recibido
+            // (sin recortar ni normalizar): "  Zelda " no pasa el test contra "Zelda"
+            validarValor(campo, value, path, indice !== undefined);
+            const clave = indice === undefined ? campo : `${campo}.${indice}`;
+            // Todos los test deben cumplirse: dos valores distintos para la misma ruta no pueden cumplirse a la vez
+            if (condiciones[clave] && '$eq' in condiciones[clave] && !mismoValor(condiciones[clave].$eq, value)) {
+                throw new PatchError(`Las operaciones "test" sobre "${path}" exigen valores distintos`, { status: 409, path });
+            }
+            exigir(clave, { $eq: value });
+            return;
+        }
+
+        // Operaciones sobre el campo completo
+        if (indice === undefined) {
+            if (op === 'remove') {
+                if (def.required) throw new PatchError(`El campo "${campo}" es obligatorio y no se puede eliminar`, { path });
+                exigirCampo(campo, path);
+                pipeline.push({ $unset: campo });
+                estados[campo] = { existe: false, longitud: 0 };
+                return;
+            }
+            if (op === 'replace') exigirCampo(campo, path);
+            const valor = validarValor(campo, value, path);
+            pipeline.push({ $set: { [campo]: { $literal: valor } } });
+            estados[campo] = { existe: true, longitud: Array.isArray(valor) ? valor.length : undefined };
+            return;
+        }
+
+        // Operaciones sobre un elemento de una lista
+        const longitud = estado?.longitud;
+        const delta = estado?.delta || 0;
+        if (op === 'add') {
+            const valor = validarValor(campo, value, path, true);
+            const posicion = indice === '-' ? null : indice;
+            if (posicion === null) {
+                pipeline.push({ $set: { [campo]: { $concatArrays: [lista(campo), [{ $literal: valor }]] } } });
+            } else {
+                exigirLongitud(campo, posicion, path);
+                pipeline.push({ $set: { [campo]: empalmar(campo, posicion, posicion, [valor]) } });
+            }
+            estados[campo] = longitud !== undefined ? { existe: true, longitud: longitud + 1 } : { delta: delta + 1 };
+            return;
+        }
+
+        if (indice === '-') throw new PatchError(`"${op}" no admite el índice "-"`, { path });
+        exigirLongitud(campo, indice + 1, path);
+        if (op === 'remove') {
+            pipeline.push({ $set: { [campo]: empalmar(campo, indice, indice + 1, []) } });
+            estados[campo] = longitud !== undefined ? { existe: true, longitud: longitud - 1 } : { delta: delta - 1 };
+        } else {
+            const valor = validarValor(campo, value, path, true);
+            pipeline.push({ $set: { [campo]: empalmar(campo, indice, indice + 1, [valor]) } });
+            estados[campo] = estado || { delta: 0 };
+        }
+    });
+
+    if (pipeline.length === 0) throw new PatchError('El patch solo contiene operaciones "test" y no modifica nada');
+    return { update: pipeline, condiciones };
+};
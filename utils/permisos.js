@@ -0,0 +1,46 @@
+// Roles de usuario y permisos de cada uno
+// Sin sesión solo se puede leer; cada ruta que escribe exige un permiso (ver requirePermiso en middleware/auth.js)
+
+// Roles disponibles, de más a menos privilegios
+export const ROLES = ['admin', 'editor', 'reviewer'];
+
+// Rol de los usuarios nuevos y de las cuentas anteriores a los roles (rol "user")
+export const ROL_POR_DEFECTO = 'reviewer';
+
+/**
+ * Roles que tienen cada permiso
+ * - admin: gestiona usuarios, webhooks y las listas de cualquier usuario; elimina, importa, fusiona y modera
+ * - editor: crea y edita las fichas del catálogo
+ * - reviewer: escribe reseñas y edita o borra las suyas
+ */
+export const PERMISOS = {
+    'juegos:crear': ['admin', 'editor'],
+    'juegos:editar': ['admin', 'editor'],
+    'juegos:eliminar': ['admin'],
+    'juegos:importar': ['admin'],
+    'juegos:fusionar': ['admin'],
+    'reseñas:escribir': ['admin', 'editor', 'reviewer'],
+    'reseñas:moderar': ['admin'],
+    'listas:gestionar': ['admin'],
+    'usuarios:gestionar': ['admin'],
+    'webhooks:gestionar': ['admin']
+};
+
+/**
+ * Normaliza el rol guardado en un usuario o en un token
+ * @param {string} rol - Rol recibido
+ * @returns {string} - Uno de ROLES (ROL_POR_DEFECTO si falta o no se reconoce)
+ */
+export const normalizarRol = (rol) => (ROLES.includes(rol) ? rol : ROL_POR_DEFECTO);
+
+/**
+ * Indica si un rol tiene un permiso
+ * @param {string} rol - Rol del usuario (undefined si es anónimo)
+ * @param {string} permiso - Clave de PERMISOS
+ * @returns {boolean} - true si lo tiene
+ * @throws {Error} - Si el permiso no existe (error de programación en una ruta)
+ */
+export const tienePermiso = (rol, permiso) => {
+    if (!PERMISOS[permiso]) throw new Error(`Permiso desconocido: ${permiso}`);
+    return Boolean(rol) && PERMISOS[permiso].includes(rol);
+};
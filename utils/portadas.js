@@ -0,0 +1,75 @@
+// Procesamiento de las portadas subidas: validación del contenido y generación de miniaturas
+import sharp from 'sharp';
+import { createHash } from 'crypto';
+
+// Tipos MIME aceptados en la subida y el formato real que debe detectar sharp
+export const TIPOS_PORTADA = {
+    'image/jpeg': 'jpeg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif'
+};
+
+// Tamaño máximo del archivo subido (COVER_MAX_SIZE_MB, por defecto 5 MB)
+export const TAMAÑO_MAXIMO_PORTADA = Number(process.env.COVER_MAX_SIZE_MB || 5) * 1024 * 1024;
+
+// Anchos de las miniaturas; "original" es el archivo subido tal cual
+export const TAMAÑOS_PORTADA = {
+    thumb: 160,
+    small: 320,
+    medium: 640
+};
+
+/**
+ * Error de una portada que no se puede procesar (se responde 400)
+ */
+export class PortadaError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PortadaError';
+        this.status = 400;
+    }
+}
+
+/**
+ * Valida una imagen subida y genera sus variantes
+ * @param {Buffer} buffer - Contenido del archivo subido
+ * @returns {Promise<Object>} - { version, formato, ancho, alto, bytes, variantes: { [tamaño]: { buffer, contentType } } }
+ * @throws {PortadaError} - Si el archivo no es una imagen de un formato admitido
+ */
+export const procesarPortada = async (buffer) => {
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (error) {
+        throw new PortadaError('El archivo no es una imagen válida');
+    }
+
+    // El tipo declarado por el cliente no basta: se comprueba el contenido real
+    const formatos = Object.values(TIPOS_PORTADA);
+    if (!formatos.includes(metadata.format)) {
+        throw new PortadaError(`Formato de imagen no admitido. Permitidos: ${formatos.join(', ')}`);
+    }
+
+    const variantes = {
+        original: { buffer, contentType: `image/${metadata.format}` }
+    };
+    for (const [tamaño, ancho] of Object.entries(TAMAÑOS_PORTADA)) {
+        const miniatura = await sharp(buffer)
+            .rotate()
+            .resize({ width: ancho, withoutEnlargement: true })
+            .webp({ quality: 80 })
+            .toBuffer();
+        variantes[tamaño] = { buffer: miniatura, contentType: 'image/webp' };
+    }
+
+    return {
+        // El hash del contenido sirve de versión (URLs cacheables y ETag)
+        version: createHash('sha256').update(buffer).digest('hex').slice(0, 16),
+        formato: metadata.format,
+        ancho: metadata.width,
+        alto: metadata.height,
+        bytes: buffer.length,
+        variantes
+    };
+};
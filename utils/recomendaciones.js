@@ -0,0 +1,91 @@
+// Similitud entre juegos por contenido, usada para "juegos similares" y recomendaciones
+import { quitarAcentos } from "./busqueda.js";
+
+// Peso de cada rasgo en la similitud (suman 1)
+export const PESOS_SIMILITUD = {
+    genero: 0.35,
+    desarrollador: 0.2,
+    descripcion: 0.2,
+    plataforma: 0.15,
+    año: 0.1
+};
+
+// Diferencia de años a partir de la cual el año ya no aporta similitud
+const RANGO_AÑOS = 10;
+
+// Palabras frecuentes que no dicen nada del juego
+const PALABRAS_VACIAS = new Set([
+    'the', 'and', 'for', 'with', 'you', 'your', 'that', 'this', 'from', 'are', 'its', 'into', 'game',
+    'los', 'las', 'del', 'una', 'uno', 'unos', 'unas', 'con', 'por', 'para', 'que', 'sus', 'como',
+    'mas', 'pero', 'sin', 'sobre', 'entre', 'cada', 'este', 'esta', 'estos', 'estas', 'juego', 'juegos'
+]);
+
+/**
+ * Normaliza un valor de texto para compararlo (sin tildes, en minúsculas y sin espacios sobrantes)
+ * @param {string} valor - Texto original
+ * @returns {string} - Texto normalizado
+ */
+const normalizar = (valor) => quitarAcentos(valor ?? '').toLowerCase().trim();
+
+/**
+ * Extrae los términos significativos de una descripción
+ * @param {string} texto - Descripción del juego
+ * @returns {Set<string>} - Términos de 3 o más letras que no son palabras vacías
+ */
+export const terminos = (texto) => new Set(
+    normalizar(texto)
+        .split(/[^a-z0-9]+/)
+        .filter(t => t.length >= 3 && !PALABRAS_VACIAS.has(t))
+);
+
+/**
+ * Coeficiente de Jaccard entre dos conjuntos
+ * @param {Set} a - Primer conjunto
+ * @param {Set} b - Segundo conjunto
+ * @returns {number} - Tamaño de la intersección entre tamaño de la unión (0 si ambos están vacíos)
+ */
+const jaccard = (a, b) => {
+    if (a.size === 0 || b.size === 0) return 0;
+    let comunes = 0;
+    for (const x of a) if (b.has(x)) comunes++;
+    return comunes / (a.size + b.size - comunes);
+};
+
+/**
+ * Precalcula los rasgos de un juego que intervienen en la similitud
+ * @param {Object} game - Juego del catálogo
+ * @returns {Object} - { genero, plataforma, desarrollador, año, descripcion }
+ */
+export const perfilJuego = (game) => ({
+    genero: new Set((game.genero || []).map(normalizar).filter(Boolean)),
+    plataforma: new Set((game.plataforma || []).map(normalizar).filter(Boolean)),
+    desarrollador: normalizar(game.desarrollador),
+    año: typeof game.añoLanzamiento === 'number' ? game.añoLanzamiento : null,
+    descripcion: terminos(game.descripcion)
+});
+
+/**
+ * Similitud por contenido entre dos perfiles de juego
+ * @param {Object} a - Perfil del primer juego (ver perfilJuego)
+ * @param {Object} b - Perfil del segundo juego
+ * @returns {number} - Puntuación entre 0 y 1
+ */
+export const similitud = (a, b) => {
+    const mismoDesarrollador = a.desarrollador !== '' && a.desarrollador === b.desarrollador ? 1 : 0;
+    const cercaniaAño = a.año !== null && b.año !== null
+        ? Math.max(0, 1 - Math.abs(a.año - b.año) / RANGO_AÑOS)
+        : 0;
+
+    return PESOS_SIMILITUD.genero * jaccard(a.genero, b.genero)
+        + PESOS_SIMILITUD.plataforma * jaccard(a.plataforma, b.plataforma)
+        + PESOS_SIMILITUD.desarrollador * mismoDesarrollador
+        + PESOS_SIMILITUD.año * cercaniaAño
+        + PESOS_SIMILITUD.descripcion * jaccard(a.descripcion, b.descripcion);
+};
+
+/**
+ * Redondea una puntuación para la respuesta
+ * @param {number} valor - Puntuación
+ * @returns {number} - Puntuación con 4 decimales
+ */
+export const redondear = (valor) => Math.round(valor * 10000) / 10000;
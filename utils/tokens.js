@@ -0,0 +1,66 @@
+// Utilidades para firmar y verificar los tokens JWT de la API
+import jwt from 'jsonwebtoken';
+import { randomUUID } from 'crypto';
+import { normalizarRol } from './permisos.js';
+
+// Duraciones por defecto si no se configuran en el entorno
+const ACCESS_EXPIRES_IN = () => process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_EXPIRES_IN = () => process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+
+/**
+ * Obtiene el secreto usado para firmar los tokens
+ * @param {string} tipo - 'access' o 'refresh'
+ * @returns {string} - Secreto de firma
+ * @throws {Error} - Si JWT_SECRET no está configurado
+ */
+const getSecret = (tipo) => {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('Falta la variable de entorno JWT_SECRET');
+    }
+    if (tipo === 'refresh' && process.env.JWT_REFRESH_SECRET) {
+        return process.env.JWT_REFRESH_SECRET;
+    }
+    return process.env.JWT_SECRET;
+};
+
+/**
+ * Genera un access token de corta duración para un usuario
+ * @param {Object} user - Usuario autenticado
+ * @returns {string} - Token JWT firmado
+ */
+export const signAccessToken = (user) => jwt.sign(
+    { nombreUsuario: user.nombreUsuario, rol: normalizarRol(user.rol), type: 'access' },
+    getSecret('access'),
+    { subject: String(user._id), expiresIn: ACCESS_EXPIRES_IN() }
+);
+
+/**
+ * Genera un refresh token de larga duración con un identificador único (jti)
+ * @param {Object} user - Usuario autenticado
+ * @returns {{ token: string, jti: string, expiraEn: Date }} - Token y sus metadatos
+ */
+export const signRefreshToken = (user) => {
+    const jti = randomUUID();
+    const token = jwt.sign(
+        { type: 'refresh' },
+        getSecret('refresh'),
+        { subject: String(user._id), jwtid: jti, expiresIn: REFRESH_EXPIRES_IN() }
+    );
+    const { exp } = jwt.decode(token);
+    return { token, jti, expiraEn: new Date(exp * 1000) };
+};
+
+/**
+ * Verifica un token y comprueba que sea del tipo esperado
+ * @param {string} token - Token JWT recibido
+ * @param {string} tipo - 'access' o 'refresh'
+ * @returns {Object} - Payload decodificado
+ * @throws {Error} - Si el token es inválido, expiró o no es del tipo esperado
+ */
+export const verifyToken = (token, tipo) => {
+    const payload = jwt.verify(token, getSecret(tipo));
+    if (payload.type !== tipo) {
+        throw new jwt.JsonWebTokenError('Tipo de token inválido');
+    }
+    return payload;
+};
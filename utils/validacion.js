@@ -0,0 +1,173 @@
+// Motor de validación declarativa para los esquemas de la API (ver schemas/)
+
+// Formato de URL aceptado: http(s)
+const URL_REGEX = /^https?:\/\/[^\s/$.?#].[^\s]*$/i;
+
+/**
+ * Valida un valor contra la definición de un campo
+ * @param {Object} def - Definición del campo
+ * @param {*} valor - Valor recibido
+ * @param {string} campo - Ruta del campo (para los mensajes)
+ * @param {Array} errors - Acumulador de errores { field, message }
+ * @returns {*} - Valor normalizado (o undefined si no es válido)
+ * @private
+ */
+const validarCampo = (def, valor, campo, errors) => {
+    const error = (message) => { errors.push({ field: campo, message }); return undefined; };
+
+    if (valor === null) {
+        return def.nullable ? null : error(`El campo "${campo}" no puede ser nulo`);
+    }
+
+    switch (def.type) {
+        case 'string': {
+            if (typeof valor !== 'string') return error(`El campo "${campo}" debe ser texto`);
+            const texto = def.trim === false ? valor : valor.trim();
+            if (def.minLength !== undefined && texto.length < def.minLength) {
+                return error(def.minLength === 1
+                    ? `El campo "${campo}" no puede estar vacío`
+                    : `El campo "${campo}" debe tener al menos ${def.minLength} caracteres`);
+            }
+            if (def.maxLength !== undefined && texto.length > def.maxLength) {
+                return error(`El campo "${campo}" no puede superar ${def.maxLength} caracteres`);
+            }
+            if (def.enum && !def.enum.includes(texto)) {
+                return error(`El campo "${campo}" debe ser uno de: ${def.enum.join(', ')}`);
+            }
+            if (def.format === 'url' && texto !== '' && !URL_REGEX.test(texto)) {
+                return error(`El campo "${campo}" debe ser una URL http(s) válida`);
+            }
+            return texto;
+        }
+
+        case 'number':
+        case 'integer': {
+            // Se aceptan números enviados como texto ("2017") por compatibilidad con formularios
+            const n = typeof valor === 'string' && valor.trim() !== '' ? Number(valor) : valor;
+            if (typeof n !== 'number' || !Number.isFinite(n)) return error(`El campo "${campo}" debe ser un número`);
+            if (def.type === 'integer' && !Number.isInteger(n)) return error(`El campo "${campo}" debe ser un número entero`);
+            if (def.min !== undefined && n < def.min) return error(`El campo "${campo}" debe ser mayor o igual a ${def.min}`);
+            if (def.max !== undefined && n > def.max) return error(`El campo "${campo}" debe ser menor o igual a ${def.max}`);
+            return n;
+        }
+
+        case 'boolean': {
+            if (valor === 'true' || valor === 'false') return valor === 'true';
+            if (typeof valor !== 'boolean') return error(`El campo "${campo}" debe ser verdadero o falso`);
+            return valor;
+        }
+
+        case 'array': {
+            // Un valor suelto se convierte en array de un elemento si el esquema lo permite
+            const arr = Array.isArray(valor) ? valor : (def.coerceArray ? [valor] : null);
+            if (!arr) return error(`El campo "${campo}" debe ser una lista`);
+            if (def.minItems !== undefined && arr.length < def.minItems) {
+                return error(`El campo "${campo}" debe tener al menos ${def.minItems} elemento(s)`);
+            }
+            if (def.maxItems !== undefined && arr.length > def.maxItems) {
+                return error(`El campo "${campo}" no puede tener más de ${def.maxItems} elementos`);
+            }
+            const antes = errors.length;
+            const items = arr.map((item, i) => validarCampo(def.items, item, `${campo}[${i}]`, errors));
+            if (errors.length > antes) return undefined;
+            // Quitar duplicados manteniendo el orden
+            return def.unique ? [...new Set(items)] : items;
+        }
+
+        default:
+            return error(`Tipo desconocido en el esquema para "${campo}"`);
+    }
+};
+
+/**
+ * Valida un objeto contra un esquema declarativo
+ * @param {Object} schema - Esquema { campo: definición }
+ * @param {Object} data - Datos recibidos
+ * @param {Object} opciones - Opciones de validación
+ * @param {boolean} opciones.parcial - Actualización parcial: solo se validan los campos presentes
+ * @returns {{ value: Object, errors: Array<{ field: string, message: string }> }} - Datos normalizados y errores
+ */
+export const validar = (schema, data, { parcial = false } = {}) => {
+    const errors = [];
+    const value = {};
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { value, errors: [{ field: null, message: 'El cuerpo de la petición debe ser un objeto JSON' }] };
+    }
+
+    // Campos no declarados en el esquema
+    for (const campo of Object.keys(data)) {
+        if (!schema[campo]) errors.push({ field: campo, message: `El campo "${campo}" no está permitido` });
+    }
+
+    for (const [campo, def] of Object.entries(schema)) {
+        // Campos aceptados por compatibilidad pero que no se guardan
+        if (def.ignorar) continue;
+
+        const valor = data[campo];
+        if (valor === undefined || (valor === '' && def.type !== 'string')) {
+            if (!parcial && def.required) {
+                errors.push({ field: campo, message: `El campo "${campo}" es obligatorio` });
+            } else if (!parcial && def.default !== undefined) {
+                value[campo] = typeof def.default === 'function' ? def.default() : def.default;
+            }
+            continue;
+        }
+
+        const normalizado = validarCampo(def, valor, campo, errors);
+        if (normalizado === undefined) continue;
+        if (def.required && (normalizado === '' || (Array.isArray(normalizado) && normalizado.length === 0))) {
+            errors.push({ field: campo, message: `El campo "${campo}" es obligatorio` });
+            continue;
+        }
+        value[campo] = normalizado;
+    }
+
+    return { value, errors };
+};
+
+/**
+ * Convierte un esquema declarativo en un validador $jsonSchema de MongoDB
+ * Solo describe los campos del esquema: el resto de campos del documento se permiten
+ * @param {Object} schema - Esquema { campo: definición }
+ * @returns {Object} - Objeto { $jsonSchema }
+ */
+export const toJsonSchema = (schema) => {
+    const convertir = (def) => {
+        const tipos = {
+            string: 'string',
+            number: 'number',
+            integer: 'number',
+            boolean: 'bool',
+            array: 'array'
+        };
+        const out = { bsonType: def.nullable ? [tipos[def.type], 'null'] : tipos[def.type] };
+        if (def.type === 'string') {
+            if (def.maxLength !== undefined) out.maxLength = def.maxLength;
+            if (def.enum) out.enum = def.nullable ? [...def.enum, null] : def.enum;
+        }
+        if (def.type === 'number' || def.type === 'integer') {
+            if (def.min !== undefined) out.minimum = def.min;
+            if (def.max !== undefined) out.maximum = def.max;
+        }
+        if (def.type === 'array') {
+            if (def.minItems !== undefined) out.minItems = def.minItems;
+            if (def.maxItems !== undefined) out.maxItems = def.maxItems;
+            if (def.unique) out.uniqueItems = true;
+            out.items = convertir(def.items);
+        }
+        return out;
+    };
+
+    const properties = {};
+    const required = [];
+    for (const [campo, def] of Object.entries(schema)) {
+        if (def.ignorar) continue;
+        properties[campo] = convertir(def);
+        if (def.required) required.push(campo);
+    }
+
+    const jsonSchema = { bsonType: 'object', properties };
+    if (required.length > 0) jsonSchema.required = required;
+    return { $jsonSchema: jsonSchema };
+};
@@ -0,0 +1,104 @@
+// Firma y envío HTTP de las entregas de webhooks, y cálculo de los reintentos
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+
+// Tiempo máximo de espera de la respuesta del receptor
+export const TIMEOUT_WEBHOOK_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+
+// Intentos antes de dar una entrega por fallida
+export const INTENTOS_MAXIMOS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+
+// Espera antes del primer reintento; se duplica en cada intento hasta ESPERA_MAXIMA_MS
+const ESPERA_BASE_MS = Number(process.env.WEBHOOK_BACKOFF_MS) || 30 * 1000;
+const ESPERA_MAXIMA_MS = 6 * 60 * 60 * 1000;
+
+// Caracteres de la respuesta del receptor que se guardan en el registro de entregas
+const RESPUESTA_MAXIMA = 1024;
+
+/**
+ * Genera un secreto de firma aleatorio
+ * @returns {string} - Secreto con prefijo "whsec_"
+ */
+export const generarSecreto = () => `whsec_${randomBytes(24).toString('hex')}`;
+
+/**
+ * Firma el cuerpo de una entrega con HMAC-SHA256
+ * Se firma "<timestamp>.<cuerpo>" para que un receptor pueda rechazar entregas antiguas reenviadas
+ * @param {string} secreto - Secreto del webhook
+ * @param {number} timestamp - Segundos desde epoch del envío
+ * @param {string} cuerpo - Cuerpo JSON exacto que se envía
+ * @returns {string} - Valor de la cabecera X-PlayLib-Signature ("t=<timestamp>,v1=<hex>")
+ */
+export const firmar = (secreto, timestamp, cuerpo) => {
+    const firma = createHmac('sha256', secreto).update(`${timestamp}.${cuerpo}`).digest('hex');
+    return `t=${timestamp},v1=${firma}`;
+};
+
+/**
+ * Comprueba una firma como lo haría un receptor (útil en pruebas y en receptores escritos en Node)
+ * @param {string} secreto - Secreto del webhook
+ * @param {string} cabecera - Valor de X-PlayLib-Signature
+ * @param {string} cuerpo - Cuerpo recibido, sin volver a serializar
+ * @returns {boolean} - true si la firma es válida
+ */
+export const verificarFirma = (secreto, cabecera, cuerpo) => {
+    const partes = Object.fromEntries(String(cabecera ?? '').split(',').map(p => p.trim().split('=')));
+    if (!partes.t || !partes.v1) return false;
+    const esperada = Buffer.from(firmar(secreto, partes.t, cuerpo).split('v1=')[1], 'hex');
+    const recibida = Buffer.from(partes.v1, 'hex');
+    return esperada.length === recibida.length && timingSafeEqual(esperada, recibida);
+};
+
+/**
+ * Calcula cuándo reintentar una entrega: espera exponencial con un 20 % de variación aleatoria,
+ * para que los reintentos de muchas entregas fallidas a la vez no coincidan
+ * @param {number} intentos - Intentos ya hechos (1 tras el primer fallo)
+ * @returns {number} - Milisegundos de espera
+ */
+export const calcularEspera = (intentos) => {
+    const espera = Math.min(ESPERA_BASE_MS * 2 ** (intentos - 1), ESPERA_MAXIMA_MS);
+    return Math.round(espera * (0.9 + Math.random() * 0.2));
+};
+
+/**
+ * Envía una entrega firmada a la URL de un webhook
+ * Se considera entregada con cualquier respuesta 2xx; no se siguen redirecciones
+ * @param {Object} webhook - Webhook destino ({ url, secreto })
+ * @param {Object} entrega - Entrega a enviar ({ _id, evento })
+ * @returns {Promise<Object>} - { ok, codigo, duracionMs, respuesta, error }
+ */
+export const enviarEntrega = async (webhook, entrega) => {
+    const cuerpo = JSON.stringify(entrega.evento);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const inicio = Date.now();
+    try {
+        const res = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'PlayLib-Webhooks/1.0',
+                'X-PlayLib-Event': entrega.evento.tipo,
+                'X-PlayLib-Delivery': String(entrega._id),
+                'X-PlayLib-Signature': firmar(webhook.secreto, timestamp, cuerpo)
+            },
+            body: cuerpo,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(TIMEOUT_WEBHOOK_MS)
+        });
+        const respuesta = (await res.text().catch(() => '')).slice(0, RESPUESTA_MAXIMA);
+        return {
+            ok: res.status >= 200 && res.status < 300,
+            codigo: res.status,
+            duracionMs: Date.now() - inicio,
+            respuesta,
+            error: null
+        };
+    } catch (error) {
+        return {
+            ok: false,
+            codigo: null,
+            duracionMs: Date.now() - inicio,
+            respuesta: null,
+            error: error.name === 'TimeoutError' ? `El receptor no respondió en ${TIMEOUT_WEBHOOK_MS} ms` : (error.cause?.message || error.message)
+        };
+    }
+};